@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const puppeteer = require('puppeteer');
+const browserPool = require('./browser-pool');
 const crypto = require('crypto');
 
 class BAAService {
@@ -120,29 +120,14 @@ class BAAService {
         .replace(/{{baSignature}}/g, baSignature)
         .replace(/{{baaHash}}/g, hashDisplay);
       
-      // Generate PDF using puppeteer
-      const browser = await puppeteer.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
-      
-      let pdfBuffer;
-      try {
-        const page = await browser.newPage();
+      // Generate PDF in a pooled browser (the page's isolated context is always closed afterwards)
+      const pdfBuffer = await browserPool.withPage(async (page) => {
         await page.setContent(htmlTemplate, { waitUntil: 'networkidle0' });
         
         // Add a delay to ensure everything is rendered
         await new Promise(resolve => setTimeout(resolve, 2000));
         
-        pdfBuffer = await page.pdf({
+        return page.pdf({
           format: 'A4',
           printBackground: true,
           margin: { 
@@ -152,10 +137,7 @@ class BAAService {
             left: '20mm' 
           }
         });
-      } finally {
-        // Always close browser to prevent resource leaks
-        await browser.close();
-      }
+      });
       
       // Upload to GCS (HIPAA bucket - use existing HIPAA submissions bucket)
       const bucketName = process.env.GCS_HIPAA_BUCKET || 'chatterforms-submissions-us-central1';
@@ -0,0 +1,251 @@
+/**
+ * Browser Pool for ChatterForms Railway Backend
+ * Keeps a few warm headless Chromium instances shared by screenshots and PDF generation.
+ * Each task gets its own isolated browser context (no shared cookies, storage or cache).
+ */
+
+const puppeteer = require('puppeteer');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+  '--disable-extensions',
+  '--disable-default-apps',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-features=VizDisplayCompositor'
+];
+
+class BrowserPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.size - Maximum number of browsers running at once
+   * @param {number} options.contextsPerBrowser - Tasks a single browser serves concurrently
+   * @param {number} options.maxUsesPerBrowser - A browser is replaced after serving this many tasks
+   * @param {number} options.maxQueued - Tasks allowed to wait when every browser is busy
+   * @param {number} options.acquireTimeoutMs - How long a queued task waits before failing
+   * @param {number} options.idleTimeoutMs - Idle browsers are closed after this long (0 = keep warm forever)
+   * @param {Function} options.launch - Launches a browser (defaults to puppeteer.launch)
+   */
+  constructor({
+    size = 2,
+    contextsPerBrowser = 2,
+    maxUsesPerBrowser = 50,
+    maxQueued = 50,
+    acquireTimeoutMs = 60000,
+    idleTimeoutMs = 5 * 60 * 1000,
+    launch = (launchOptions) => puppeteer.launch(launchOptions)
+  } = {}) {
+    this.size = size;
+    this.contextsPerBrowser = contextsPerBrowser;
+    this.maxUsesPerBrowser = maxUsesPerBrowser;
+    this.maxQueued = maxQueued;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.launch = launch;
+
+    this.entries = [];
+    this.waiters = [];
+    this.launching = 0;
+    this.closed = false;
+    this.counters = { launched: 0, recycled: 0, crashed: 0 };
+  }
+
+  getLaunchOptions() {
+    const launchOptions = { headless: true, args: LAUNCH_ARGS };
+
+    // System Chrome from the Dockerfile on Railway; bundled Chromium locally
+    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+      launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    }
+    return launchOptions;
+  }
+
+  /**
+   * Run a task with a fresh page in an isolated browser context; the context is always closed afterwards
+   * @param {Function} task - async (page, context) => result
+   */
+  async withPage(task) {
+    const entry = await this.acquire();
+    let context;
+
+    try {
+      context = await entry.browser.createBrowserContext();
+      const page = await context.newPage();
+      return await task(page, context);
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      this.release(entry);
+    }
+  }
+
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Browser pool is closed');
+    }
+
+    const available = this.findAvailable();
+    if (available) return this.lease(available);
+
+    if (this.entries.length + this.launching < this.size) {
+      return this.lease(await this.launchBrowser());
+    }
+
+    if (this.waiters.length >= this.maxQueued) {
+      const error = new Error(`Browser pool is saturated (${this.waiters.length} tasks waiting)`);
+      error.code = 'BROWSER_POOL_SATURATED';
+      throw error;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        const error = new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for a browser`);
+        error.code = 'BROWSER_POOL_TIMEOUT';
+        reject(error);
+      }, this.acquireTimeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  release(entry) {
+    entry.active--;
+
+    if (entry.uses >= this.maxUsesPerBrowser && !entry.retiring) {
+      entry.retiring = true;
+      this.counters.recycled++;
+    }
+
+    if (entry.active === 0) {
+      if (entry.retiring) {
+        this.retire(entry);
+      } else {
+        this.scheduleIdleClose(entry);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  // Hand freed capacity (or a newly launched browser) to queued tasks, oldest first
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const available = this.findAvailable();
+      if (available) {
+        const waiter = this.waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.resolve(this.lease(available));
+        continue;
+      }
+
+      if (this.entries.length + this.launching >= this.size || this.closed) return;
+
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+      this.launchBrowser()
+        .then(entry => waiter.resolve(this.lease(entry)))
+        .catch(waiter.reject);
+    }
+  }
+
+  findAvailable() {
+    return this.entries.find(entry => !entry.retiring && entry.active < this.contextsPerBrowser) || null;
+  }
+
+  lease(entry) {
+    clearTimeout(entry.idleTimer);
+    entry.active++;
+    entry.uses++;
+    return entry;
+  }
+
+  async launchBrowser() {
+    this.launching++;
+    let browser;
+    try {
+      browser = await this.launch(this.getLaunchOptions());
+    } finally {
+      this.launching--;
+    }
+
+    const entry = { browser, active: 0, uses: 0, retiring: false, idleTimer: null };
+    this.entries.push(entry);
+    this.counters.launched++;
+    console.log(`🌐 Browser launched (${this.entries.length}/${this.size} in pool)`);
+
+    // Crashed or killed (e.g. OOM): drop it so the next task gets a fresh browser
+    browser.on('disconnected', () => {
+      if (!this.entries.includes(entry)) return;
+      this.entries.splice(this.entries.indexOf(entry), 1);
+      if (!entry.retiring) {
+        this.counters.crashed++;
+        console.warn('⚠️ Pooled browser disconnected unexpectedly; it will be replaced');
+      }
+      this.dispatch();
+    });
+
+    return entry;
+  }
+
+  retire(entry) {
+    entry.retiring = true;
+    clearTimeout(entry.idleTimer);
+    this.entries.splice(this.entries.indexOf(entry), 1);
+    entry.browser.close().catch(error => console.warn('⚠️ Failed to close pooled browser:', error.message));
+  }
+
+  scheduleIdleClose(entry) {
+    if (!this.idleTimeoutMs) return;
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => {
+      if (entry.active === 0 && this.entries.includes(entry)) this.retire(entry);
+    }, this.idleTimeoutMs);
+    entry.idleTimer.unref();
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      browsers: this.entries.length,
+      launching: this.launching,
+      activeTasks: this.entries.reduce((sum, entry) => sum + entry.active, 0),
+      queued: this.waiters.length,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Close every browser and fail queued tasks (used on shutdown)
+   */
+  async close() {
+    this.closed = true;
+    this.waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    });
+    const entries = this.entries.splice(0);
+    await Promise.all(entries.map(entry => {
+      entry.retiring = true;
+      clearTimeout(entry.idleTimer);
+      return entry.browser.close().catch(() => {});
+    }));
+  }
+}
+
+// One pool per process, shared by server.js, PDFGenerator and BAAService
+const browserPool = new BrowserPool({
+  size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2,
+  maxUsesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_USES, 10) || 50
+});
+
+module.exports = browserPool;
+module.exports.BrowserPool = BrowserPool;
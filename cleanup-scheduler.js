@@ -0,0 +1,198 @@
+/**
+ * Cleanup Scheduler for ChatterForms Railway Backend
+ * Periodically removes expired uploads, renders and screenshots, then evicts least recently used
+ * entries until the working folders fit within a disk quota
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class CleanupScheduler {
+  /**
+   * @param {Object} options
+   * @param {Array} options.targets - [{ name, dir, retentionMs }]; every file or folder directly inside dir is one entry
+   * @param {number} options.maxBytes - Disk quota across all targets (0 = no quota)
+   * @param {number} options.intervalMs - How often the scheduler runs (0 = only on demand)
+   * @param {Function} [options.isInUse] - (targetName, entryName) => true for entries that must not be removed yet
+   * @param {Function} [options.afterRun] - Async hook run after local cleanup; its result is reported as `extra`
+   */
+  constructor({ targets, maxBytes = 0, intervalMs = 0, isInUse = () => false, afterRun = null }) {
+    this.targets = targets;
+    this.maxBytes = maxBytes;
+    this.intervalMs = intervalMs;
+    this.isInUse = isInUse;
+    this.afterRun = afterRun;
+    this.timer = null;
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) return;
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('❌ Scheduled cleanup failed:', error));
+    }, this.intervalMs);
+    // The scheduler alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one cleanup pass; concurrent callers share the pass already in progress
+   * @returns {Promise<Object>} - Run stats (see getStats().lastRun)
+   */
+  run() {
+    if (!this.currentRun) {
+      this.currentRun = this.runOnce().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  async runOnce() {
+    const startedAt = new Date();
+    const stats = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      expiredCount: 0,
+      evictedCount: 0,
+      freedBytes: 0,
+      totalBytes: 0,
+      targets: {},
+      extra: null,
+      error: null
+    };
+
+    try {
+      const entries = [];
+      for (const target of this.targets) {
+        stats.targets[target.name] = { entries: 0, bytes: 0, expired: 0, evicted: 0 };
+        const cutoff = startedAt.getTime() - target.retentionMs;
+
+        for (const entry of await this.listEntries(target)) {
+          if (entry.lastUsed < cutoff && !this.isInUse(target.name, entry.name)) {
+            await this.removeEntry(entry);
+            stats.expiredCount++;
+            stats.freedBytes += entry.bytes;
+            stats.targets[target.name].expired++;
+          } else {
+            entries.push(entry);
+          }
+        }
+      }
+
+      let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+
+      if (this.maxBytes > 0 && totalBytes > this.maxBytes) {
+        const leastRecentlyUsed = entries
+          .filter(entry => !this.isInUse(entry.target, entry.name))
+          .sort((a, b) => a.lastUsed - b.lastUsed);
+
+        for (const entry of leastRecentlyUsed) {
+          if (totalBytes <= this.maxBytes) break;
+          await this.removeEntry(entry);
+          entries.splice(entries.indexOf(entry), 1);
+          totalBytes -= entry.bytes;
+          stats.evictedCount++;
+          stats.freedBytes += entry.bytes;
+          stats.targets[entry.target].evicted++;
+        }
+
+        if (totalBytes > this.maxBytes) {
+          console.warn(`⚠️ Disk quota still exceeded after eviction: ${totalBytes} of ${this.maxBytes} bytes (remaining entries are in use)`);
+        }
+      }
+
+      entries.forEach(entry => {
+        stats.targets[entry.target].entries++;
+        stats.targets[entry.target].bytes += entry.bytes;
+      });
+      stats.totalBytes = totalBytes;
+
+      if (this.afterRun) {
+        stats.extra = await this.afterRun();
+      }
+    } catch (error) {
+      stats.error = error.message;
+      throw error;
+    } finally {
+      const finishedAt = new Date();
+      stats.finishedAt = finishedAt.toISOString();
+      stats.durationMs = finishedAt.getTime() - startedAt.getTime();
+      this.lastRun = stats;
+    }
+
+    console.log(`🗑️ Cleanup completed. Expired: ${stats.expiredCount}, Evicted: ${stats.evictedCount}, Freed: ${stats.freedBytes} bytes, In use: ${stats.totalBytes} bytes`);
+    return stats;
+  }
+
+  getStats() {
+    return {
+      intervalMs: this.intervalMs,
+      maxBytes: this.maxBytes,
+      retention: Object.fromEntries(this.targets.map(target => [target.name, target.retentionMs])),
+      running: !!this.currentRun,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Entries directly inside a target folder with their size and last use (mtime)
+   */
+  async listEntries(target) {
+    let names;
+    try {
+      names = await fs.promises.readdir(target.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const name of names) {
+      const entryPath = path.join(target.dir, name);
+      try {
+        const stat = await fs.promises.stat(entryPath);
+        entries.push({
+          target: target.name,
+          name,
+          path: entryPath,
+          isDirectory: stat.isDirectory(),
+          lastUsed: stat.mtime.getTime(),
+          bytes: stat.isDirectory() ? await this.measureDirectory(entryPath) : stat.size
+        });
+      } catch (error) {
+        // Removed by a request while we were scanning
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return entries;
+  }
+
+  async measureDirectory(dir) {
+    let bytes = 0;
+    for (const dirent of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        bytes += await this.measureDirectory(entryPath);
+      } else {
+        bytes += (await fs.promises.stat(entryPath)).size;
+      }
+    }
+    return bytes;
+  }
+
+  async removeEntry(entry) {
+    await fs.promises.rm(entry.path, { recursive: true, force: true });
+  }
+}
+
+module.exports = CleanupScheduler;
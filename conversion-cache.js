@@ -0,0 +1,120 @@
+/**
+ * Conversion Cache for ChatterForms Railway Backend
+ * Content-addressed lookup of existing /upload renders so identical PDFs are not converted twice
+ * Manifests (which hold the cache key) live outside the publicly served output folder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ConversionCache {
+  /**
+   * @param {string} outputRoot - Directory holding one folder of renders per upload uuid
+   * @param {number} maxAgeMs - Renders older than this are treated as expired (matches /cleanup)
+   * @param {string} manifestRoot - Private directory holding one <uuid>.json manifest per cached render
+   */
+  constructor(outputRoot, maxAgeMs = 60 * 60 * 1000, manifestRoot = path.join(path.dirname(outputRoot), 'conversion-cache')) {
+    this.outputRoot = outputRoot;
+    this.maxAgeMs = maxAgeMs;
+    this.manifestRoot = manifestRoot;
+    this.index = new Map();
+  }
+
+  manifestPath(uuid) {
+    return path.join(this.manifestRoot, `${uuid}.json`);
+  }
+
+  /**
+   * Hash the PDF bytes together with everything that changes the output
+   * Passwords are part of the key so a cached render of an encrypted PDF is only
+   * served to callers who supplied the same password
+   */
+  computeKey(pdfPath, options, passwords = {}) {
+    const hash = crypto.createHash('sha256');
+    hash.update(fs.readFileSync(pdfPath));
+    hash.update(JSON.stringify(options));
+    hash.update(JSON.stringify(passwords));
+    return hash.digest('hex');
+  }
+
+  /**
+   * Rebuild the in-memory index from manifests left by earlier runs
+   */
+  load() {
+    if (!fs.existsSync(this.manifestRoot)) return 0;
+
+    let loaded = 0;
+    fs.readdirSync(this.manifestRoot).forEach(filename => {
+      if (!filename.endsWith('.json')) return;
+      const uuid = filename.slice(0, -'.json'.length);
+      const manifestPath = this.manifestPath(uuid);
+
+      // Renders already cleaned up: the manifest is of no use any more
+      if (!fs.existsSync(path.join(this.outputRoot, uuid))) {
+        fs.rmSync(manifestPath, { force: true });
+        return;
+      }
+
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        this.index.set(manifest.cacheKey, uuid);
+        loaded++;
+      } catch (error) {
+        console.warn(`⚠️ Ignoring unreadable conversion manifest ${manifestPath}:`, error.message);
+      }
+    });
+    return loaded;
+  }
+
+  /**
+   * Return the stored result for a key if every rendered page is still on disk and not expired
+   * A hit refreshes the folder's mtime so /cleanup keeps it for another retention window
+   */
+  lookup(cacheKey) {
+    const uuid = this.index.get(cacheKey);
+    if (!uuid) return null;
+
+    const outputDir = path.join(this.outputRoot, uuid);
+    const manifestPath = this.manifestPath(uuid);
+
+    try {
+      const stats = fs.statSync(outputDir);
+      if (stats.mtime.getTime() < Date.now() - this.maxAgeMs) {
+        this.index.delete(cacheKey);
+        return null;
+      }
+
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      const allPagesPresent = manifest.result.images.every(image => fs.existsSync(path.join(outputDir, image.filename)));
+      if (!allPagesPresent) {
+        this.index.delete(cacheKey);
+        return null;
+      }
+
+      const now = new Date();
+      fs.utimesSync(outputDir, now, now);
+      fs.utimesSync(manifestPath, now, now);
+
+      return { uuid, result: manifest.result, createdAt: manifest.createdAt };
+    } catch (error) {
+      this.index.delete(cacheKey);
+      return null;
+    }
+  }
+
+  /**
+   * Record a finished conversion; the manifest is dropped on load once its renders are gone
+   */
+  store(cacheKey, uuid, result) {
+    fs.mkdirSync(this.manifestRoot, { recursive: true });
+    fs.writeFileSync(this.manifestPath(uuid), JSON.stringify({
+      cacheKey,
+      createdAt: new Date().toISOString(),
+      result
+    }));
+    this.index.set(cacheKey, uuid);
+  }
+}
+
+module.exports = ConversionCache;
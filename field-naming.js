@@ -0,0 +1,45 @@
+/**
+ * Field Naming helpers for ChatterForms Railway Backend
+ * Turn raw control names from imported forms (PDF AcroForms, web pages) into ChatterForms labels and ids
+ */
+
+// Imported text inputs often carry no semantic type, so fall back to naming conventions
+function inferTextFieldType(name) {
+  const normalized = String(name || '').toLowerCase();
+  if (/e-?mail/.test(normalized)) return 'email';
+  if (/phone|mobile|\btel\b|fax/.test(normalized)) return 'tel';
+  if (/date|dob|birth/.test(normalized)) return 'date';
+  return 'text';
+}
+
+function humanizeFieldName(name) {
+  const lastSegment = name.split('.').pop();
+  const words = lastSegment
+    .replace(/\[\d+\]$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : name;
+}
+
+function uniqueFieldId(name, usedIds) {
+  const base = name
+    .toLowerCase()
+    .replace(/\[\d+\]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'field';
+
+  let id = base;
+  let suffix = 2;
+  while (usedIds.has(id)) {
+    id = `${base}_${suffix++}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+module.exports = {
+  inferTextFieldType,
+  humanizeFieldName,
+  uniqueFieldId
+};
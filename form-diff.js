@@ -0,0 +1,102 @@
+/**
+ * Form Diff for ChatterForms Railway Backend
+ * Field-level comparison of two form structures (used by the version history endpoints)
+ */
+
+// Stable JSON so that key order does not show up as a change
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function isEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+// Property-by-property changes between two objects, skipping the given keys
+function diffProperties(from = {}, to = {}, skipKeys = []) {
+  const changes = {};
+  const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+  keys.forEach(key => {
+    if (skipKeys.includes(key)) return;
+    const before = from?.[key];
+    const after = to?.[key];
+    if (!isEqual(before, after)) {
+      changes[key] = { from: before === undefined ? null : before, to: after === undefined ? null : after };
+    }
+  });
+  return changes;
+}
+
+function summarizeField(field, index) {
+  return { id: field.id, label: field.label || null, type: field.type || null, position: index };
+}
+
+class FormDiff {
+  /**
+   * Compare two form structures
+   * Fields are matched by id; form-level properties (title, description, styling, ...) are compared one by one
+   * @returns {Object} - { formChanges, added, removed, changed, moved, summary }
+   */
+  diff(fromStructure = {}, toStructure = {}) {
+    const fromFields = Array.isArray(fromStructure?.fields) ? fromStructure.fields : [];
+    const toFields = Array.isArray(toStructure?.fields) ? toStructure.fields : [];
+    const fromById = new Map(fromFields.map((field, index) => [field.id, { field, index }]));
+    const toById = new Map(toFields.map((field, index) => [field.id, { field, index }]));
+
+    const added = toFields
+      .map((field, index) => ({ field, index }))
+      .filter(({ field }) => !fromById.has(field.id))
+      .map(({ field, index }) => summarizeField(field, index));
+
+    const removed = fromFields
+      .map((field, index) => ({ field, index }))
+      .filter(({ field }) => !toById.has(field.id))
+      .map(({ field, index }) => summarizeField(field, index));
+
+    const changed = [];
+    const moved = [];
+    // Positions among the fields both versions share, so an insertion does not count as moving everything after it
+    const sharedFrom = fromFields.filter(field => toById.has(field.id)).map(field => field.id);
+    const sharedTo = toFields.filter(field => fromById.has(field.id)).map(field => field.id);
+
+    sharedTo.forEach((fieldId, sharedIndex) => {
+      const before = fromById.get(fieldId);
+      const after = toById.get(fieldId);
+
+      const changes = diffProperties(before.field, after.field, ['id']);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ id: fieldId, label: after.field.label || before.field.label || null, changes });
+      }
+      if (sharedFrom.indexOf(fieldId) !== sharedIndex) {
+        moved.push({ id: fieldId, label: after.field.label || null, from: before.index, to: after.index });
+      }
+    });
+
+    const formChanges = diffProperties(fromStructure, toStructure, ['fields']);
+
+    return {
+      formChanges,
+      added,
+      removed,
+      changed,
+      moved,
+      summary: {
+        formPropertiesChanged: Object.keys(formChanges).length,
+        fieldsAdded: added.length,
+        fieldsRemoved: removed.length,
+        fieldsChanged: changed.length,
+        fieldsMoved: moved.length,
+        identical: Object.keys(formChanges).length + added.length + removed.length + changed.length + moved.length === 0
+      }
+    };
+  }
+}
+
+FormDiff.stableStringify = stableStringify;
+
+module.exports = FormDiff;
@@ -0,0 +1,230 @@
+/**
+ * Form Logic for ChatterForms Railway Backend
+ * Evaluates the conditional rules of a form structure (structure.logic) against a set of answers.
+ *
+ * Rules:
+ *   { action: 'show', fields: ['b'], when }   - b is hidden unless a show rule for it matches
+ *   { action: 'hide', fields: ['c'], when }   - c is hidden while the rule matches
+ *   { action: 'skip', after: 'a', to: 'd', when } - fields between a and d are hidden while the rule matches
+ *                                                  (to: 'end' skips the rest of the form; after defaults to when.fieldId)
+ * Conditions:
+ *   { fieldId, operator, value } or { all: [conditions] } / { any: [conditions] }
+ */
+
+const ACTIONS = ['show', 'hide', 'skip'];
+const OPERATORS = [
+  'equals', 'not_equals', 'contains', 'not_contains', 'in', 'not_in',
+  'greater_than', 'less_than', 'is_empty', 'is_not_empty'
+];
+// Operators that compare against a value
+const VALUE_OPERATORS = OPERATORS.filter(operator => !['is_empty', 'is_not_empty'].includes(operator));
+const SKIP_TO_END = 'end';
+const MAX_CONDITION_DEPTH = 5;
+
+// Some clients wrap answers as { type, value, ... }; files, signatures, payments and bookings are objects themselves
+function unwrap(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && 'value' in value && 'type' in value) {
+    return value.value;
+  }
+  return value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === false ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function sameValue(answer, expected) {
+  return String(answer).trim().toLowerCase() === String(expected).trim().toLowerCase();
+}
+
+function compare(answer, operator, expected) {
+  const expectedList = Array.isArray(expected) ? expected : [expected];
+  switch (operator) {
+    case 'is_empty':
+      return isEmpty(answer);
+    case 'is_not_empty':
+      return !isEmpty(answer);
+    case 'equals':
+      return !isEmpty(answer) && (Array.isArray(answer)
+        ? answer.length === 1 && sameValue(answer[0], expected)
+        : sameValue(answer, expected));
+    case 'not_equals':
+      return !compare(answer, 'equals', expected);
+    case 'contains':
+      if (Array.isArray(answer)) return answer.some(item => sameValue(item, expected));
+      return typeof answer === 'string' && answer.toLowerCase().includes(String(expected).toLowerCase());
+    case 'not_contains':
+      return !compare(answer, 'contains', expected);
+    case 'in':
+      if (Array.isArray(answer)) return answer.some(item => expectedList.some(option => sameValue(item, option)));
+      return !isEmpty(answer) && expectedList.some(option => sameValue(answer, option));
+    case 'not_in':
+      return !compare(answer, 'in', expected);
+    case 'greater_than':
+    case 'less_than': {
+      const number = Number(answer);
+      if (isEmpty(answer) || !Number.isFinite(number)) return false;
+      return operator === 'greater_than' ? number > Number(expected) : number < Number(expected);
+    }
+    default:
+      return false;
+  }
+}
+
+class FormLogic {
+  /**
+   * Whether a condition holds for the given answers
+   * @param {Object} condition - { fieldId, operator, value } or { all: [...] } / { any: [...] }
+   * @param {Function} answerOf - (fieldId) => answer, empty for hidden fields
+   */
+  evaluate(condition, answerOf) {
+    if (!condition || typeof condition !== 'object') return false;
+    if (Array.isArray(condition.all)) return condition.all.every(item => this.evaluate(item, answerOf));
+    if (Array.isArray(condition.any)) return condition.any.some(item => this.evaluate(item, answerOf));
+    return compare(unwrap(answerOf(condition.fieldId)), condition.operator, condition.value);
+  }
+
+  /**
+   * Ids of the fields the rules hide for the given answers
+   * A hidden field's answer counts as empty for every other rule, so hiding a field also hides
+   * whatever depends on it; evaluation repeats until the hidden set stops changing
+   * @param {Object} structure - Form structure ({ fields, logic })
+   * @param {Object} data - Answers keyed by field id
+   * @returns {Set<string>}
+   */
+  hiddenFields(structure, data = {}) {
+    const fields = Array.isArray(structure?.fields) ? structure.fields : [];
+    const rules = Array.isArray(structure?.logic) ? structure.logic : [];
+    if (rules.length === 0) return new Set();
+
+    const order = fields.map(field => field.id);
+    const shownBy = new Map();
+    rules.filter(rule => rule?.action === 'show').forEach(rule => {
+      (rule.fields || []).forEach(fieldId => shownBy.set(fieldId, [...(shownBy.get(fieldId) || []), rule]));
+    });
+
+    let hidden = new Set();
+    // Each pass can only hide or reveal based on the previous one; cyclic rules settle on the last pass
+    for (let pass = 0; pass <= fields.length; pass++) {
+      const answerOf = (fieldId) => (hidden.has(fieldId) ? undefined : data?.[fieldId]);
+      const next = new Set();
+
+      shownBy.forEach((showRules, fieldId) => {
+        if (!showRules.some(rule => this.evaluate(rule.when, answerOf))) next.add(fieldId);
+      });
+      rules.forEach(rule => {
+        if (rule?.action === 'hide' && this.evaluate(rule.when, answerOf)) {
+          (rule.fields || []).forEach(fieldId => next.add(fieldId));
+        }
+        if (rule?.action === 'skip' && !hidden.has(rule.after || rule.when?.fieldId) && this.evaluate(rule.when, answerOf)) {
+          const start = order.indexOf(rule.after || rule.when?.fieldId);
+          const end = rule.to === SKIP_TO_END ? order.length : order.indexOf(rule.to);
+          if (start !== -1 && end > start) order.slice(start + 1, end).forEach(fieldId => next.add(fieldId));
+        }
+      });
+
+      const settled = next.size === hidden.size && [...next].every(fieldId => hidden.has(fieldId));
+      hidden = next;
+      if (settled) break;
+    }
+
+    return hidden;
+  }
+
+  /**
+   * Drop the answers to hidden fields
+   * @returns {Object} - { data, hiddenFields: [fieldId] }
+   */
+  apply(structure, data = {}) {
+    const hidden = this.hiddenFields(structure, data);
+    const visible = Object.fromEntries(Object.entries(data || {}).filter(([fieldId]) => !hidden.has(fieldId)));
+    return { data: visible, hiddenFields: [...hidden] };
+  }
+
+  /**
+   * Check the rules of a structure (used by FormSchema)
+   * @param {Array} logic - structure.logic
+   * @param {Array<string>} fieldIds - Field ids in form order
+   * @returns {Array} - [{ path, fieldId, message }]
+   */
+  validateRules(logic, fieldIds) {
+    const errors = [];
+    if (logic === undefined) return errors;
+    if (!Array.isArray(logic)) {
+      errors.push({ path: 'logic', fieldId: null, message: 'logic must be an array of rules' });
+      return errors;
+    }
+
+    const knownField = (fieldId) => typeof fieldId === 'string' && fieldIds.includes(fieldId);
+
+    const checkCondition = (condition, path, depth) => {
+      if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        errors.push({ path, fieldId: null, message: 'Condition must be an object' });
+        return;
+      }
+      const group = Array.isArray(condition.all) ? 'all' : Array.isArray(condition.any) ? 'any' : null;
+      if (group) {
+        if (depth >= MAX_CONDITION_DEPTH) {
+          errors.push({ path, fieldId: null, message: `Conditions may be nested at most ${MAX_CONDITION_DEPTH} levels deep` });
+          return;
+        }
+        if (condition[group].length === 0) errors.push({ path: `${path}.${group}`, fieldId: null, message: `"${group}" needs at least one condition` });
+        condition[group].forEach((item, index) => checkCondition(item, `${path}.${group}[${index}]`, depth + 1));
+        return;
+      }
+      if (!knownField(condition.fieldId)) {
+        errors.push({ path: `${path}.fieldId`, fieldId: condition.fieldId ?? null, message: `Condition refers to unknown field "${condition.fieldId}"` });
+      }
+      if (!OPERATORS.includes(condition.operator)) {
+        errors.push({ path: `${path}.operator`, fieldId: condition.fieldId ?? null, message: `Unknown operator "${condition.operator}" (expected one of: ${OPERATORS.join(', ')})` });
+      } else if (VALUE_OPERATORS.includes(condition.operator) && (condition.value === undefined || condition.value === null)) {
+        errors.push({ path: `${path}.value`, fieldId: condition.fieldId ?? null, message: `Operator "${condition.operator}" needs a value` });
+      }
+    };
+
+    logic.forEach((rule, index) => {
+      const path = `logic[${index}]`;
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push({ path, fieldId: null, message: 'Rule must be an object' });
+        return;
+      }
+      if (!ACTIONS.includes(rule.action)) {
+        errors.push({ path: `${path}.action`, fieldId: null, message: `Unknown rule action "${rule.action}" (expected one of: ${ACTIONS.join(', ')})` });
+        return;
+      }
+
+      checkCondition(rule.when, `${path}.when`, 0);
+
+      if (rule.action === 'skip') {
+        const after = rule.after || rule.when?.fieldId;
+        if (!knownField(after)) {
+          errors.push({ path: `${path}.after`, fieldId: after ?? null, message: `Skip rule starts at unknown field "${after}"` });
+        } else if (rule.to !== SKIP_TO_END && (!knownField(rule.to) || fieldIds.indexOf(rule.to) <= fieldIds.indexOf(after))) {
+          errors.push({ path: `${path}.to`, fieldId: rule.to ?? null, message: `Skip rule must jump to a field after "${after}" or to "${SKIP_TO_END}"` });
+        }
+        return;
+      }
+
+      if (!Array.isArray(rule.fields) || rule.fields.length === 0) {
+        errors.push({ path: `${path}.fields`, fieldId: null, message: `${rule.action} rules need a non-empty fields list` });
+        return;
+      }
+      rule.fields.forEach((fieldId, fieldIndex) => {
+        if (!knownField(fieldId)) {
+          errors.push({ path: `${path}.fields[${fieldIndex}]`, fieldId: fieldId ?? null, message: `Rule refers to unknown field "${fieldId}"` });
+        }
+      });
+    });
+
+    return errors;
+  }
+}
+
+FormLogic.ACTIONS = ACTIONS;
+FormLogic.OPERATORS = OPERATORS;
+FormLogic.unwrap = unwrap;
+FormLogic.isEmpty = isEmpty;
+
+module.exports = FormLogic;
@@ -0,0 +1,179 @@
+/**
+ * Form Schema for ChatterForms Railway Backend
+ * Validates form structures before they are stored: known field types, unique ids, choice
+ * options, number/rating limits and conditional logic rules; unfinished payment/calendly settings
+ * are reported as warnings.
+ * Problems are reported with a path into the structure (e.g. fields[3].options).
+ */
+
+const FormLogic = require('./form-logic');
+
+const FIELD_TYPES = [
+  'text', 'textarea', 'email', 'tel', 'url', 'number', 'date', 'time',
+  'select', 'radio', 'checkbox', 'checkbox-group',
+  'file', 'signature', 'rating', 'richtext', 'payment', 'calendly'
+];
+const CHOICE_TYPES = ['select', 'radio', 'checkbox-group'];
+const FIELD_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const CURRENCY_PATTERN = /^[a-z]{3}$/i;
+const MAX_FIELDS = 500;
+const MAX_RATING = 10;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Options may be plain strings or { label, value } objects
+function optionText(option) {
+  if (typeof option === 'string') return option.trim();
+  if (option && typeof option === 'object') return String(option.value ?? option.label ?? '').trim();
+  return '';
+}
+
+class FormSchema {
+  constructor() {
+    this.formLogic = new FormLogic();
+  }
+
+  /**
+   * Validate a form structure
+   * @param {Object} structure - Form structure ({ title, fields: [...] })
+   * @returns {Object} - { valid, errors: [{ path, fieldId, message }], warnings: [...] }
+   */
+  validate(structure) {
+    const errors = [];
+    const warnings = [];
+
+    if (!structure || typeof structure !== 'object' || Array.isArray(structure)) {
+      errors.push({ path: '', fieldId: null, message: 'Form structure must be an object' });
+      return { valid: false, errors, warnings };
+    }
+
+    if (!structure.title || typeof structure.title !== 'string' || !structure.title.trim()) {
+      warnings.push({ path: 'title', fieldId: null, message: 'Form has no title' });
+    }
+
+    if (structure.fields === undefined) {
+      warnings.push({ path: 'fields', fieldId: null, message: 'Form has no fields' });
+      return { valid: true, errors, warnings };
+    }
+    if (!Array.isArray(structure.fields)) {
+      errors.push({ path: 'fields', fieldId: null, message: 'fields must be an array' });
+      return { valid: false, errors, warnings };
+    }
+    if (structure.fields.length > MAX_FIELDS) {
+      errors.push({ path: 'fields', fieldId: null, message: `A form may have at most ${MAX_FIELDS} fields` });
+    }
+
+    const seenIds = new Map();
+    structure.fields.forEach((field, index) => {
+      const path = `fields[${index}]`;
+      if (!field || typeof field !== 'object' || Array.isArray(field)) {
+        errors.push({ path, fieldId: null, message: 'Field must be an object' });
+        return;
+      }
+
+      const fieldId = typeof field.id === 'string' ? field.id : null;
+      const report = (list, suffix, message) => list.push({ path: suffix ? `${path}.${suffix}` : path, fieldId, message });
+
+      // Ids key the submission data, so a duplicate silently merges two answers into one
+      if (!fieldId || !FIELD_ID_PATTERN.test(fieldId)) {
+        report(errors, 'id', 'Field id is required and may only contain letters, digits, "_" and "-"');
+      } else if (seenIds.has(fieldId)) {
+        report(errors, 'id', `Duplicate field id "${fieldId}" (also used by fields[${seenIds.get(fieldId)}])`);
+      } else {
+        seenIds.set(fieldId, index);
+      }
+
+      if (!FIELD_TYPES.includes(field.type)) {
+        report(errors, 'type', `Unknown field type "${field.type}" (expected one of: ${FIELD_TYPES.join(', ')})`);
+        return;
+      }
+
+      if (field.type !== 'richtext' && (typeof field.label !== 'string' || !field.label.trim())) {
+        report(warnings, 'label', 'Field has no label');
+      }
+      if (field.required !== undefined && typeof field.required !== 'boolean') {
+        report(errors, 'required', 'required must be true or false');
+      }
+
+      this.validateFieldType(field, report, errors, warnings);
+    });
+
+    const fieldIds = structure.fields.map(field => field?.id).filter(fieldId => typeof fieldId === 'string');
+    errors.push(...this.formLogic.validateRules(structure.logic, fieldIds));
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // Checks that depend on the field type
+  validateFieldType(field, report, errors, warnings) {
+    if (CHOICE_TYPES.includes(field.type)) {
+      if (!Array.isArray(field.options) || field.options.length === 0) {
+        report(errors, 'options', `${field.type} fields need a non-empty options list`);
+      } else {
+        const texts = field.options.map(optionText);
+        texts.forEach((text, optionIndex) => {
+          if (!text) report(errors, `options[${optionIndex}]`, 'Option must be a non-empty string');
+        });
+        const duplicates = [...new Set(texts.filter((text, i) => text && texts.indexOf(text) !== i))];
+        if (duplicates.length > 0) {
+          report(warnings, 'options', `Duplicate options: ${duplicates.join(', ')}`);
+        }
+      }
+    }
+
+    if (field.type === 'number') {
+      ['min', 'max', 'step'].forEach(key => {
+        if (field[key] !== undefined && field[key] !== null && !isFiniteNumber(field[key])) {
+          report(errors, key, `${key} must be a number`);
+        }
+      });
+      if (isFiniteNumber(field.min) && isFiniteNumber(field.max) && field.min > field.max) {
+        report(errors, 'min', `min (${field.min}) is greater than max (${field.max})`);
+      }
+      if (isFiniteNumber(field.step) && field.step <= 0) {
+        report(errors, 'step', 'step must be greater than 0');
+      }
+    }
+
+    if (field.type === 'rating' && field.max !== undefined && field.max !== null) {
+      if (!Number.isInteger(field.max) || field.max < 1 || field.max > MAX_RATING) {
+        report(errors, 'max', `Rating max must be an integer between 1 and ${MAX_RATING}`);
+      }
+    }
+
+    // Payment and calendly settings can be completed after the form is created (e.g. through
+    // PUT /api/stripe/payment-field), so missing or malformed settings are warnings, not errors
+    if (field.type === 'payment') {
+      const amount = typeof field.amount === 'string' && field.amount.trim() !== '' ? Number(field.amount) : field.amount;
+      if (!isFiniteNumber(amount) || amount <= 0) {
+        report(warnings, 'amount', 'Payment field has no amount greater than 0 yet');
+      }
+      if (field.currency !== undefined && (typeof field.currency !== 'string' || !CURRENCY_PATTERN.test(field.currency))) {
+        report(warnings, 'currency', 'currency should be a 3-letter ISO code such as "usd"');
+      }
+    }
+
+    if (field.type === 'calendly') {
+      let valid = false;
+      try {
+        valid = ['https:', 'http:'].includes(new URL(field.calendlyUrl).protocol);
+      } catch (error) {
+        valid = false;
+      }
+      if (!valid) {
+        report(warnings, 'calendlyUrl', 'Calendly field has no calendlyUrl (the scheduling page URL) yet');
+      }
+      if (field.duration !== undefined && (!Number.isInteger(field.duration) || field.duration <= 0)) {
+        report(warnings, 'duration', 'duration should be a positive number of minutes');
+      }
+    }
+  }
+}
+
+FormSchema.FIELD_TYPES = FIELD_TYPES;
+FormSchema.CHOICE_TYPES = CHOICE_TYPES;
+FormSchema.optionText = optionText;
+
+module.exports = FormSchema;
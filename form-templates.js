@@ -0,0 +1,248 @@
+/**
+ * Form Templates for ChatterForms Railway Backend
+ * Template library rules: who can see a template (private, team or public), category/search
+ * filtering, turning a form structure into a template and a template back into a new form.
+ * The built-in templates below are always available to everyone alongside the stored ones.
+ */
+
+const VISIBILITIES = ['private', 'team', 'public'];
+const CATEGORIES = ['healthcare', 'events', 'payments', 'registration', 'feedback', 'hr', 'other'];
+const MAX_NAME_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TAGS = 10;
+// Per-account payment and scheduling settings that must not travel with a template
+const ACCOUNT_FIELD_KEYS = ['stripeAccountId', 'publishableKey', 'paymentError', 'calendlyUrl', 'eventTypeUri'];
+// Uploaded images are served per form, so a template cannot keep links to its source form's images
+const FORM_IMAGE_PATH = '/api/files/form-image/';
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin_hipaa_intake',
+    name: 'HIPAA Patient Intake',
+    description: 'New patient intake with contact details, insurance, medical history and a signed consent.',
+    category: 'healthcare',
+    tags: ['hipaa', 'patient', 'intake', 'clinic'],
+    isHipaa: true,
+    structure: {
+      title: 'Patient Intake Form',
+      description: 'Please complete this form before your first visit. Your information is kept confidential.',
+      fields: [
+        { id: 'full_name', type: 'text', label: 'Full name', required: true },
+        { id: 'date_of_birth', type: 'date', label: 'Date of birth', required: true },
+        { id: 'email', type: 'email', label: 'Email', required: true },
+        { id: 'phone', type: 'tel', label: 'Phone number', required: true },
+        { id: 'insured', type: 'radio', label: 'Do you have health insurance?', required: true, options: ['Yes', 'No'] },
+        { id: 'insurance_provider', type: 'text', label: 'Insurance provider', required: true },
+        { id: 'insurance_card', type: 'file', label: 'Photo of your insurance card' },
+        { id: 'conditions', type: 'checkbox-group', label: 'Do you have any of the following conditions?', options: ['Diabetes', 'Heart disease', 'Asthma', 'High blood pressure', 'None of the above'] },
+        { id: 'medications', type: 'textarea', label: 'Current medications' },
+        { id: 'allergies', type: 'textarea', label: 'Allergies' },
+        { id: 'consent', type: 'signature', label: 'I consent to treatment and acknowledge the privacy notice', required: true }
+      ],
+      logic: [
+        { action: 'show', fields: ['insurance_provider', 'insurance_card'], when: { fieldId: 'insured', operator: 'equals', value: 'Yes' } }
+      ]
+    }
+  },
+  {
+    id: 'builtin_event_registration',
+    name: 'Event Registration',
+    description: 'Attendee registration with ticket type, guests, dietary needs and session choices.',
+    category: 'events',
+    tags: ['event', 'registration', 'rsvp', 'conference'],
+    isHipaa: false,
+    structure: {
+      title: 'Event Registration',
+      description: 'Reserve your spot. We will email your confirmation.',
+      fields: [
+        { id: 'full_name', type: 'text', label: 'Full name', required: true },
+        { id: 'email', type: 'email', label: 'Email', required: true },
+        { id: 'company', type: 'text', label: 'Company or organization' },
+        { id: 'ticket_type', type: 'select', label: 'Ticket type', required: true, options: ['General admission', 'VIP', 'Student'] },
+        { id: 'guests', type: 'number', label: 'Number of guests', min: 0, max: 5 },
+        { id: 'sessions', type: 'checkbox-group', label: 'Sessions you plan to attend', options: ['Morning keynote', 'Workshops', 'Networking reception'] },
+        { id: 'dietary', type: 'select', label: 'Dietary requirements', options: ['None', 'Vegetarian', 'Vegan', 'Gluten-free', 'Other'] },
+        { id: 'dietary_other', type: 'text', label: 'Please describe your dietary requirements' },
+        { id: 'agree_terms', type: 'checkbox', label: 'I agree to the event terms and photo policy', required: true }
+      ],
+      logic: [
+        { action: 'show', fields: ['dietary_other'], when: { fieldId: 'dietary', operator: 'equals', value: 'Other' } }
+      ]
+    }
+  },
+  {
+    id: 'builtin_payment',
+    name: 'Order & Payment',
+    description: 'Collect an order or deposit with customer details and a Stripe payment.',
+    category: 'payments',
+    tags: ['payment', 'order', 'deposit', 'stripe'],
+    isHipaa: false,
+    structure: {
+      title: 'Order Form',
+      description: 'Complete your details and pay securely below.',
+      fields: [
+        { id: 'full_name', type: 'text', label: 'Full name', required: true },
+        { id: 'email', type: 'email', label: 'Email', required: true },
+        { id: 'phone', type: 'tel', label: 'Phone number' },
+        { id: 'package', type: 'radio', label: 'Package', required: true, options: ['Standard', 'Premium'] },
+        { id: 'notes', type: 'textarea', label: 'Order notes' },
+        { id: 'payment', type: 'payment', label: 'Payment', required: true, amount: 50, currency: 'usd', description: 'Order deposit', productName: 'Deposit' }
+      ]
+    }
+  }
+];
+
+function cloneStructure(structure) {
+  return JSON.parse(JSON.stringify(structure || {}));
+}
+
+// An uploaded image as stored in a structure: its URL or an image object ({ id, url, ... })
+function isFormImage(value) {
+  const url = typeof value === 'string' ? value : value?.url;
+  return typeof url === 'string' && url.includes(FORM_IMAGE_PATH);
+}
+
+// Drop uploaded images from lists and image URL properties anywhere in a structure
+function withoutFormImages(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => !isFormImage(item)).map(withoutFormImages);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, entry]) => !(typeof entry === 'string' && entry.includes(FORM_IMAGE_PATH)))
+      .map(([key, entry]) => [key, withoutFormImages(entry)]));
+  }
+  return value;
+}
+
+class FormTemplates {
+  /**
+   * Check the template details of a save-as-template request
+   * @returns {Object} - { isValid: true, template: { name, description, category, tags, visibility } } or { isValid: false, error }
+   */
+  parse({ name, description = '', category = 'other', tags = [], visibility = 'private' } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return { isValid: false, error: `name is required (at most ${MAX_NAME_LENGTH} characters)` };
+    }
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+      return { isValid: false, error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    if (!CATEGORIES.includes(category)) {
+      return { isValid: false, error: `category must be one of: ${CATEGORIES.join(', ')}` };
+    }
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      return { isValid: false, error: `tags must be a list of at most ${MAX_TAGS} strings` };
+    }
+    if (!VISIBILITIES.includes(visibility)) {
+      return { isValid: false, error: `visibility must be one of: ${VISIBILITIES.join(', ')}` };
+    }
+
+    return {
+      isValid: true,
+      template: {
+        name: name.trim(),
+        description: description.trim(),
+        category,
+        tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()))],
+        visibility
+      }
+    };
+  }
+
+  /**
+   * Template copy of a form structure, without the form's id, uploaded images and per-account
+   * payment/scheduling settings (those are set up again on the new form)
+   */
+  fromStructure(structure) {
+    const { id, formId, ...rest } = withoutFormImages(cloneStructure(structure));
+    return {
+      ...rest,
+      fields: (rest.fields || []).map(field => {
+        const copy = { ...field };
+        ACCOUNT_FIELD_KEYS.forEach(key => delete copy[key]);
+        return copy;
+      })
+    };
+  }
+
+  /**
+   * Structure for a new form created from a template
+   */
+  toStructure(template, { title } = {}) {
+    const structure = cloneStructure(template.structure);
+    if (title) structure.title = title;
+    return structure;
+  }
+
+  /**
+   * Whether a user may see (and instantiate) a template
+   * Team templates are shared with the members of the team the owner belonged to when saving it
+   */
+  canView(template, { userId, teamId } = {}) {
+    if (template.builtIn || template.visibility === 'public') return true;
+    if (userId && template.ownerId === userId) return true;
+    return template.visibility === 'team' && !!teamId && template.teamId === teamId;
+  }
+
+  /**
+   * Whether a template matches the category and free-text search of a listing
+   */
+  matches(template, { category, search } = {}) {
+    if (category && template.category !== category) return false;
+    if (!search) return true;
+    const haystack = [template.name, template.description, template.category, ...(template.tags || [])].join(' ').toLowerCase();
+    return search.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+  }
+
+  /**
+   * Listing entry (everything except the structure); the owner id is only shown to the owner
+   */
+  summarize(template, { userId } = {}) {
+    const fields = Array.isArray(template.structure?.fields) ? template.structure.fields : [];
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description || '',
+      category: template.category,
+      tags: template.tags || [],
+      visibility: template.builtIn ? 'public' : template.visibility,
+      builtIn: !!template.builtIn,
+      isHipaa: !!template.isHipaa,
+      ...(userId && template.ownerId === userId ? { ownerId: userId } : {}),
+      fieldCount: fields.length,
+      fieldTypes: [...new Set(fields.map(field => field.type))],
+      useCount: template.useCount || 0,
+      createdAt: template.createdAt || null
+    };
+  }
+
+  /**
+   * Templates a user can see, filtered and grouped for a listing
+   * @param {Array} storedTemplates - Templates from Firestore
+   * @returns {Object} - { templates: [summary], categories: [{ id, count }] }
+   */
+  list(storedTemplates, { userId, teamId, category, search } = {}) {
+    const visible = [...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true })), ...storedTemplates]
+      .filter(template => this.canView(template, { userId, teamId }));
+
+    const categories = CATEGORIES
+      .map(id => ({ id, count: visible.filter(template => template.category === id && this.matches(template, { search })).length }))
+      .filter(entry => entry.count > 0);
+
+    return {
+      templates: visible.filter(template => this.matches(template, { category, search })).map(template => this.summarize(template, { userId })),
+      categories
+    };
+  }
+
+  getBuiltIn(templateId) {
+    const template = BUILT_IN_TEMPLATES.find(entry => entry.id === templateId);
+    return template ? { ...template, builtIn: true } : null;
+  }
+}
+
+FormTemplates.VISIBILITIES = VISIBILITIES;
+FormTemplates.CATEGORIES = CATEGORIES;
+FormTemplates.BUILT_IN_TEMPLATES = BUILT_IN_TEMPLATES;
+
+module.exports = FormTemplates;
@@ -8,8 +8,10 @@ const { Storage } = require('@google-cloud/storage');
 const { BigQuery } = require('@google-cloud/bigquery');
 const { KeyManagementServiceClient } = require('@google-cloud/kms');
 const PDFGenerator = require('./pdf-generator');
+const FormDiff = require('./form-diff');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 class GCPClient {
   constructor() {
@@ -146,8 +148,8 @@ class GCPClient {
       const isUpdate = existingDoc.exists;
       const existingData = existingDoc.data();
 
-      // Decide where to write: auto-save writes to draft_structure only
-      const isAutoSave = (metadata?.source === 'auto-save');
+      // Decide where to write: auto-save (and other draftOnly writes such as discarding a draft) writes to draft_structure only
+      const isAutoSave = (metadata?.source === 'auto-save') || metadata?.draftOnly === true;
       
       console.log(`🔍 storeFormStructure debug:`, {
         formId,
@@ -157,7 +159,8 @@ class GCPClient {
         formDataTitle: formData?.title
       });
 
-      const formDoc = {
+      const formRef = this.collection('forms').doc(formId);
+      const buildFormDoc = (version) => ({
         form_id: formId,
         user_id: finalUserId,
         // Keep published structure intact on auto-save; otherwise update it
@@ -175,20 +178,34 @@ class GCPClient {
         is_hipaa: metadata.isHipaa || existingData?.is_hipaa || false,
         is_published: metadata.isPublished ?? existingData?.is_published ?? false,
         isAnonymous: existingData?.isAnonymous || isAnonymous,
-        anonymousSessionId: existingData?.anonymousSessionId || anonymousSessionId
-      };
+        anonymousSessionId: existingData?.anonymousSessionId || anonymousSessionId,
+        // Latest version (what draft_structure holds) and the version structure holds; an auto-save of a
+        // form saved before versioning keeps pointing at the version recorded for its existing structure
+        current_version: version.number,
+        structure_version: isAutoSave
+          ? (existingData?.structure_version || version.legacyVersion || version.number)
+          : version.number,
+        version_hash: version.hash
+      });
 
-      console.log(`🔍 About to store formDoc:`, {
+      // Append-only history: every save that changes the structure becomes a new version,
+      // written in the same batch as the form so a failed save leaves no orphan version
+      const version = await this.recordFormVersion(formId, formData, existingData, {
+        userId: metadata.editedBy || finalUserId,
+        source: this.getVersionSource(metadata),
+        isAutoSave,
+        restoredFrom: metadata.restoredFrom,
+        force: metadata.forceVersion === true,
+        formWrite: { ref: formRef, build: buildFormDoc }
+      });
+      const formDoc = buildFormDoc(version);
+
+      console.log(`🔍 Stored formDoc:`, {
         structureTitle: formDoc.structure?.title,
         draftStructureTitle: formDoc.draft_structure?.title,
         isAutoSave
       });
 
-      await this
-        .collection('forms')
-        .doc(formId)
-        .set(formDoc);
-
       // Store payment field configurations if the form contains payment fields
       if (formData.fields && Array.isArray(formData.fields)) {
         const paymentFields = formData.fields.filter(field => field.type === 'payment');
@@ -280,7 +297,12 @@ class GCPClient {
         userId: finalUserId,
         isAnonymous,
         anonymousSessionId,
-        isUpdate
+        isUpdate,
+        version: formDoc.current_version,
+        structureVersion: formDoc.structure_version,
+        isPublished: formDoc.is_published,
+        // Auto-save only touches draft_structure; anything else may have changed the live form
+        publishedStructureChanged: formDoc.is_published && !isAutoSave
       };
     } catch (error) {
       console.error('❌ Error storing form structure:', error);
@@ -509,10 +531,21 @@ class GCPClient {
         console.log('⚠️ Failed to compute diagnostics for submission_data', e);
       }
 
+      // The form document is read up front so the submission records the version it was made against
+      const formRef = this.collection('forms').doc(formId);
+      let formSnapshot = null;
+      try {
+        formSnapshot = await formRef.get();
+      } catch (error) {
+        console.warn(`⚠️ Could not read form ${formId} before storing submission:`, error.message);
+      }
+      const formVersion = formSnapshot?.exists ? (formSnapshot.data().structure_version || null) : null;
+
       const isHipaa = metadata.isHipaa || false;
       const baseDoc = {
         submission_id: submissionId,
         form_id: formId,
+        form_version: formVersion,
         user_id: userId,
         file_associations: fileAssociations, // Dedicated field for file associations
         signature_fields: signatureFields, // Track which fields were signatures (stored in GCS)
@@ -542,10 +575,9 @@ class GCPClient {
 
       // Update the form document with submission count and last submission date
       try {
-        const formRef = this.collection('forms').doc(formId);
-        const formDoc = await formRef.get();
+        const formDoc = formSnapshot;
         
-        if (formDoc.exists) {
+        if (formDoc && formDoc.exists) {
           const formData = formDoc.data();
           const currentSubmissionCount = formData.submission_count || 0;
           const newSubmissionCount = currentSubmissionCount + 1;
@@ -600,7 +632,7 @@ class GCPClient {
       if (fileAssociations.length > 0) {
         console.log(`📎 File associations: ${fileAssociations.length} files linked to submission`);
       }
-      return { success: true, submissionId };
+      return { success: true, submissionId, formVersion };
     } catch (error) {
       console.error('❌ Error storing form submission:', error);
       throw error;
@@ -669,6 +701,36 @@ class GCPClient {
     }
   }
 
+  /**
+   * Generate a time-limited read URL for a Cloud Storage object
+   */
+  async getSignedReadUrl(bucketName, destination, expirationMinutes = 60) {
+    try {
+      const [signedUrl] = await this.storage.bucket(bucketName).file(destination).getSignedUrl({
+        action: 'read',
+        expires: Date.now() + (expirationMinutes * 60 * 1000)
+      });
+      return signedUrl;
+    } catch (error) {
+      console.error('❌ Error generating signed URL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a Cloud Storage object (missing objects are ignored)
+   */
+  async deleteFile(bucketName, destination) {
+    try {
+      await this.storage.bucket(bucketName).file(destination).delete({ ignoreNotFound: true });
+      console.log(`🗑️ File deleted: ${destination}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting file:', error);
+      throw error;
+    }
+  }
+
   // ============== BIGQUERY OPERATIONS ==============
 
   /**
@@ -1322,7 +1384,7 @@ class GCPClient {
       const encryptedData = await this.encryptData(formData, 'hipaa-data-key');
 
       // Store encrypted submission
-      await this.storeFormSubmission(
+      const stored = await this.storeFormSubmission(
         submissionId,
         formId,
         encryptedData.encryptedData,
@@ -1340,7 +1402,7 @@ class GCPClient {
       await this.updateFormAnalytics(formId, userId);
 
       console.log(`✅ HIPAA submission processed: ${submissionId}`);
-      return { success: true, submissionId };
+      return { success: true, submissionId, formVersion: stored.formVersion };
     } catch (error) {
       console.error('❌ Error processing HIPAA submission:', error);
       throw error;
@@ -2656,7 +2718,7 @@ class GCPClient {
   }
 
   /**
-   * Delete form and all associated data (submissions, analytics)
+   * Delete form and all associated data (submissions, analytics, version history, preview image)
    */
   async deleteForm(formId) {
     try {
@@ -2759,6 +2821,21 @@ class GCPClient {
 
       // Commit all deletions
       await batch.commit();
+
+      // 6. Delete the version history (a subcollection is not removed with its parent document)
+      try {
+        await this.firestore.recursiveDelete(this.formVersions(formId));
+        console.log(`🗑️ Deleted version history of form ${formId}`);
+      } catch (error) {
+        console.warn(`⚠️ Could not delete version history for form ${formId}:`, error.message);
+      }
+
+      // 7. Delete the social preview image and its record
+      try {
+        await this.deleteFormOgImage(formId);
+      } catch (error) {
+        console.warn(`⚠️ Could not delete preview image for form ${formId}:`, error.message);
+      }
       
       console.log(`✅ Form ${formId} and all associated data deleted successfully`);
       return { success: true };
@@ -2951,8 +3028,9 @@ class GCPClient {
 
   /**
    * Get payment fields for a form
+   * @param {Object} options - { rethrow } rethrows read failures instead of returning []
    */
-  async getPaymentFields(formId) {
+  async getPaymentFields(formId, { rethrow = false } = {}) {
     try {
       console.log(`💰 Getting payment fields for form: ${formId}`);
       
@@ -2982,6 +3060,7 @@ class GCPClient {
       return fields;
     } catch (error) {
       console.error('❌ Error getting payment fields:', error);
+      if (rethrow) throw error;
       return [];
     }
   }
@@ -3443,8 +3522,9 @@ class GCPClient {
 
   /**
    * Get calendar fields for a form
+   * @param {Object} options - { rethrow } rethrows read failures instead of returning []
    */
-  async getCalendarFields(formId) {
+  async getCalendarFields(formId, { rethrow = false } = {}) {
     try {
       console.log(`📅 Getting calendar fields for form: ${formId}`);
       
@@ -3458,6 +3538,7 @@ class GCPClient {
       return fields;
     } catch (error) {
       console.error('❌ Error getting calendar fields:', error);
+      if (rethrow) throw error;
       return [];
     }
   }
@@ -3792,6 +3873,541 @@ class GCPClient {
       throw error;
     }
   }
+
+  // ============== PDF RENDER METHODS ==============
+
+  /**
+   * Store the record of PDF page renders persisted to Cloud Storage
+   */
+  async storePdfRender(renderData) {
+    try {
+      await this.collection('pdf_renders').doc(renderData.id).set(renderData);
+      console.log(`✅ PDF render record stored: ${renderData.id}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error storing PDF render record:', error);
+      throw error;
+    }
+  }
+
+  async getPdfRender(renderId) {
+    try {
+      const renderDoc = await this.collection('pdf_renders').doc(renderId).get();
+      return renderDoc.exists ? renderDoc.data() : null;
+    } catch (error) {
+      console.error('❌ Error getting PDF render record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get persisted renders whose retention has run out (renders kept indefinitely have no expiresAt)
+   */
+  async getExpiredPdfRenders(limit = 100) {
+    try {
+      const snapshot = await this.collection('pdf_renders')
+        .where('expiresAt', '<=', new Date().toISOString())
+        .limit(limit)
+        .get();
+      return snapshot.docs.map(doc => doc.data());
+    } catch (error) {
+      console.error('❌ Error getting expired PDF renders:', error);
+      throw error;
+    }
+  }
+
+  async deletePdfRender(renderId) {
+    try {
+      await this.collection('pdf_renders').doc(renderId).delete();
+      console.log(`✅ PDF render record deleted: ${renderId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting PDF render record:', error);
+      throw error;
+    }
+  }
+
+  // ============== OG IMAGE METHODS ==============
+
+  /**
+   * Store the record of a form's social preview image (kept outside the form document, which
+   * storeFormStructure overwrites on every save)
+   */
+  async storeFormOgImage(record) {
+    try {
+      await this.collection('form_og_images').doc(record.formId).set(record);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error storing OG image record:', error);
+      throw error;
+    }
+  }
+
+  async getFormOgImage(formId) {
+    try {
+      const recordDoc = await this.collection('form_og_images').doc(formId).get();
+      return recordDoc.exists ? recordDoc.data() : null;
+    } catch (error) {
+      console.error('❌ Error getting OG image record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a form's social preview image from Cloud Storage along with its record
+   */
+  async deleteFormOgImage(formId) {
+    const record = await this.getFormOgImage(formId);
+    if (!record) return { success: true, deleted: false };
+
+    // ignoreNotFound: the record may outlive an image that was already removed
+    await this.storage.bucket(record.bucket).file(record.path).delete({ ignoreNotFound: true });
+    await this.collection('form_og_images').doc(formId).delete();
+    console.log(`🗑️ Deleted preview image of form ${formId}`);
+    return { success: true, deleted: true };
+  }
+
+  // ============== FORM VERSION METHODS ==============
+
+  /**
+   * Version source label for storeFormStructure metadata (auto-save, llm, restore or manual)
+   */
+  getVersionSource(metadata = {}) {
+    if (metadata.versionSource) return metadata.versionSource;
+    if (metadata.source === 'auto-save') return 'auto-save';
+    if (metadata.isLLMUpdate) return 'llm';
+    return 'manual';
+  }
+
+  hashFormStructure(structure) {
+    return crypto.createHash('sha256').update(FormDiff.stableStringify(structure || {})).digest('hex');
+  }
+
+  formVersions(formId) {
+    return this.collection('forms').doc(formId).collection('versions');
+  }
+
+  /**
+   * Append a version to forms/<formId>/versions unless the structure equals the latest version (or force is set)
+   * Forms saved before versioning get their existing structure recorded as version 1 first,
+   * so the first versioned save can still be rolled back
+   * With formWrite ({ ref, build(version) => doc }) the form document is written too: in the same batch
+   * as the new version, or on its own when no version is needed
+   * @returns {Promise<Object>} - { number, hash, created, legacyVersion }
+   */
+  async recordFormVersion(formId, structure, existingData, { userId, source, isAutoSave, restoredFrom, force = false, formWrite = null }) {
+    const hash = this.hashFormStructure(structure);
+    if (!force && existingData?.current_version && existingData.version_hash === hash) {
+      const version = { number: existingData.current_version, hash, created: false, legacyVersion: null };
+      if (formWrite) await formWrite.ref.set(formWrite.build(version));
+      return version;
+    }
+
+    let latest = existingData?.current_version || 0;
+    let legacyVersion = null;
+    if (!latest && existingData?.structure) {
+      // Describes the form as it already is, so it is safe to write ahead of the save
+      latest = legacyVersion = await this.appendFormVersion(formId, 1, {
+        structure: existingData.structure,
+        structure_hash: this.hashFormStructure(existingData.structure),
+        user_id: existingData.user_id || null,
+        source: 'legacy',
+        target: 'published',
+        restored_from: null
+      });
+    }
+
+    const number = await this.appendFormVersion(formId, latest + 1, {
+      structure,
+      structure_hash: hash,
+      user_id: userId || null,
+      source,
+      // Auto-save only replaces the draft; every other save also replaces the live structure
+      target: isAutoSave ? 'draft' : 'published',
+      restored_from: restoredFrom || null
+    }, formWrite && ((candidate) => ({ ref: formWrite.ref, data: formWrite.build({ number: candidate, hash, created: true, legacyVersion }) })));
+    console.log(`🗂️ Form ${formId} version ${number} recorded (${source})`);
+    return { number, hash, created: true, legacyVersion };
+  }
+
+  /**
+   * Create version <number> (or the next free number when a concurrent save took it); versions are never overwritten
+   * @param {Function} [companionWrite] - (number) => { ref, data } set in the same batch as the version
+   * @returns {Promise<number>} - Number the version was stored under
+   */
+  async appendFormVersion(formId, number, versionData, companionWrite = null) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const candidate = number + attempt;
+      const versionDoc = {
+        ...versionData,
+        form_id: formId,
+        version: candidate,
+        title: versionData.structure?.title || null,
+        field_count: Array.isArray(versionData.structure?.fields) ? versionData.structure.fields.length : 0,
+        created_at: new Date()
+      };
+      const versionRef = this.formVersions(formId).doc(`v${candidate}`);
+      try {
+        if (companionWrite) {
+          const { ref, data } = companionWrite(candidate);
+          const batch = this.firestore.batch();
+          batch.create(versionRef, versionDoc);
+          batch.set(ref, data);
+          await batch.commit();
+        } else {
+          await versionRef.create(versionDoc);
+        }
+        return candidate;
+      } catch (error) {
+        // 6 = ALREADY_EXISTS: another save claimed this number
+        if (error.code !== 6) throw error;
+      }
+    }
+    throw new Error(`Could not allocate a version number for form ${formId}`);
+  }
+
+  /**
+   * List versions newest first, without their structures
+   */
+  async listFormVersions(formId, limit = 50) {
+    try {
+      const snapshot = await this.formVersions(formId)
+        .orderBy('version', 'desc')
+        .limit(limit)
+        .get();
+      return snapshot.docs.map(doc => {
+        const { structure, ...summary } = doc.data();
+        return summary;
+      });
+    } catch (error) {
+      console.error('❌ Error listing form versions:', error);
+      throw error;
+    }
+  }
+
+  async getFormVersion(formId, version) {
+    try {
+      const versionDoc = await this.formVersions(formId).doc(`v${version}`).get();
+      return versionDoc.exists ? versionDoc.data() : null;
+    } catch (error) {
+      console.error('❌ Error getting form version:', error);
+      throw error;
+    }
+  }
+
+  // ============== FORM DUPLICATION METHODS ==============
+
+  /**
+   * Copy a form under a new id: the structure (as a fresh, unpublished form with its own history),
+   * form images (metadata and Cloud Storage objects), payment field configs and calendly field configs.
+   * Submissions, analytics and publication state are not copied.
+   * @param {string} sourceFormId
+   * @param {string} newFormId
+   * @param {Object} options - { userId, title }
+   * @returns {Promise<Object>} - { formId, structure, version, copied: { images, paymentFields, calendarFields }, warnings }
+   */
+  async duplicateForm(sourceFormId, newFormId, { userId, title } = {}) {
+    const sourceDoc = await this.collection('forms').doc(sourceFormId).get();
+    if (!sourceDoc.exists) {
+      throw new Error(`Form ${sourceFormId} not found`);
+    }
+    const source = sourceDoc.data();
+    const ownerId = userId || source.user_id;
+    const warnings = [];
+
+    // The editor works on the draft, so that is what a copy starts from
+    const images = await this.duplicateFormImages(sourceFormId, newFormId, ownerId, warnings);
+    let structureJson = JSON.stringify(source.draft_structure || source.structure || {});
+    images.forEach(({ fieldId, sourceImageId, imageId }) => {
+      structureJson = structureJson.split(`/api/files/form-image/${sourceFormId}/${fieldId}/${sourceImageId}`)
+        .join(`/api/files/form-image/${newFormId}/${fieldId}/${imageId}`);
+    });
+    const structure = JSON.parse(structureJson);
+    if (structure.id) structure.id = newFormId;
+    if (structure.formId) structure.formId = newFormId;
+    structure.title = title || `${structure.title || 'Untitled Form'} (Copy)`;
+
+    const { publishedAt, isPublished, ...sourceMetadata } = source.metadata || {};
+    const buildFormDoc = (version) => ({
+      form_id: newFormId,
+      user_id: ownerId,
+      structure,
+      draft_structure: structure,
+      metadata: {
+        ...sourceMetadata,
+        source: 'duplicate',
+        duplicatedFrom: sourceFormId,
+        created_at: new Date(),
+        updated_at: new Date()
+      },
+      is_hipaa: source.is_hipaa || false,
+      is_published: false,
+      isAnonymous: source.isAnonymous || false,
+      anonymousSessionId: source.anonymousSessionId || null,
+      submission_count: 0,
+      current_version: version.number,
+      structure_version: version.number,
+      version_hash: version.hash
+    });
+
+    let version;
+    try {
+      version = await this.recordFormVersion(newFormId, structure, undefined, {
+        userId: ownerId,
+        source: 'duplicate',
+        formWrite: { ref: this.collection('forms').doc(newFormId), build: buildFormDoc }
+      });
+    } catch (error) {
+      // No form points at the copied images, so they must not outlive the failed copy
+      await this.deleteDuplicatedImages(images);
+      throw error;
+    }
+
+    const copied = { images: images.length, paymentFields: 0, calendarFields: 0 };
+    // A failed read would otherwise look like a form without payment or calendly fields
+    const readFieldConfigs = async (type, read) => {
+      try {
+        return await read();
+      } catch (error) {
+        warnings.push({ type, error: error.message });
+        return [];
+      }
+    };
+
+    const paymentFields = await readFieldConfigs('payment_fields', () => this.getPaymentFields(sourceFormId, { rethrow: true }));
+    for (const field of paymentFields) {
+      try {
+        await this.storePaymentField(newFormId, field.field_id, {
+          amount: field.amount,
+          currency: field.currency,
+          description: field.description,
+          product_name: field.product_name,
+          stripe_account_id: field.stripe_account_id,
+          publishable_key: field.publishable_key,
+          isRequired: field.is_required,
+          metadata: field.metadata
+        });
+        copied.paymentFields++;
+      } catch (error) {
+        warnings.push({ type: 'payment_field', fieldId: field.field_id, error: error.message });
+      }
+    }
+
+    const calendarFields = await readFieldConfigs('calendar_fields', () => this.getCalendarFields(sourceFormId, { rethrow: true }));
+    for (const field of calendarFields) {
+      try {
+        await this.storeCalendarField(newFormId, field.field_id, {
+          calendlyUrl: field.calendly_url,
+          eventTypeUri: field.event_type_uri,
+          eventName: field.event_name,
+          duration: field.duration,
+          requirePaymentFirst: field.require_payment_first,
+          isRequired: field.is_required,
+          timezone: field.timezone,
+          metadata: field.metadata
+        });
+        copied.calendarFields++;
+      } catch (error) {
+        warnings.push({ type: 'calendar_field', fieldId: field.field_id, error: error.message });
+      }
+    }
+
+    console.log(`📑 Form ${sourceFormId} duplicated as ${newFormId} (${copied.images} images, ${copied.paymentFields} payment fields, ${copied.calendarFields} calendar fields)`);
+    return { formId: newFormId, structure, version: version.number, copied, warnings };
+  }
+
+  /**
+   * Copy the active form images of a form (Cloud Storage object and form_images metadata)
+   * Images that fail to copy are reported in warnings and left out
+   * @returns {Promise<Array>} - [{ fieldId, sourceImageId, imageId, bucketName, destination }]
+   */
+  async duplicateFormImages(sourceFormId, newFormId, userId, warnings = []) {
+    const snapshot = await this.collection('form_images').where('formId', '==', sourceFormId).get();
+    const copied = [];
+
+    for (const doc of snapshot.docs) {
+      const image = doc.data();
+      if (image.isActive === false || image.type !== 'form_image') continue;
+
+      let copiedObject = null;
+      try {
+        if (!image.gcpUrl || !image.gcpUrl.startsWith('gs://')) {
+          throw new Error('Image has no Cloud Storage location');
+        }
+        const bucketName = image.gcpUrl.split('/')[2];
+        const sourcePath = image.gcpUrl.split('/').slice(3).join('/');
+        const imageId = `img_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+        const destination = `form-images/${newFormId}/${image.fieldId}/${imageId}${path.extname(sourcePath)}`;
+
+        const bucket = this.storage.bucket(bucketName);
+        await bucket.file(sourcePath).copy(bucket.file(destination));
+        copiedObject = bucket.file(destination);
+
+        await this.storeFormImageMetadata({
+          ...image,
+          id: imageId,
+          formId: newFormId,
+          userId,
+          gcpUrl: `gs://${bucketName}/${destination}`,
+          publicUrl: `https://storage.googleapis.com/${bucketName}/${destination}`,
+          uploadedAt: new Date().toISOString()
+        });
+        copied.push({ fieldId: image.fieldId, sourceImageId: image.id, imageId, bucketName, destination });
+      } catch (error) {
+        if (copiedObject) {
+          await copiedObject.delete({ ignoreNotFound: true }).catch(() => {});
+        }
+        console.warn(`⚠️ Could not copy form image ${image.id} of form ${sourceFormId}: ${error.message}`);
+        warnings.push({ type: 'form_image', fieldId: image.fieldId, imageId: image.id, error: error.message });
+      }
+    }
+
+    return copied;
+  }
+
+  /**
+   * Remove images copied by duplicateFormImages (Cloud Storage object and metadata); failures are only logged
+   */
+  async deleteDuplicatedImages(images) {
+    for (const { imageId, bucketName, destination } of images) {
+      try {
+        await this.storage.bucket(bucketName).file(destination).delete({ ignoreNotFound: true });
+        await this.collection('form_images').doc(imageId).delete();
+      } catch (error) {
+        console.warn(`⚠️ Could not remove copied form image ${imageId}: ${error.message}`);
+      }
+    }
+  }
+
+  // ============== FORM TEMPLATE METHODS ==============
+
+  /**
+   * Store a template saved from a form (collection form_templates)
+   */
+  async storeFormTemplate(template) {
+    try {
+      await this.collection('form_templates').doc(template.id).set(template);
+      console.log(`📚 Form template stored: ${template.id} (${template.visibility})`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error storing form template:', error);
+      throw error;
+    }
+  }
+
+  async getFormTemplate(templateId) {
+    try {
+      const doc = await this.collection('form_templates').doc(templateId).get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.error('❌ Error getting form template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stored templates a user may see: public ones, their own and their team's
+   */
+  async listFormTemplates({ userId, teamId } = {}) {
+    try {
+      const templates = this.collection('form_templates');
+      const queries = [templates.where('visibility', '==', 'public').get()];
+      if (userId) queries.push(templates.where('ownerId', '==', userId).get());
+      if (teamId) queries.push(templates.where('visibility', '==', 'team').where('teamId', '==', teamId).get());
+
+      const byId = new Map();
+      (await Promise.all(queries)).forEach(snapshot => {
+        snapshot.docs.forEach(doc => byId.set(doc.id, doc.data()));
+      });
+      return [...byId.values()];
+    } catch (error) {
+      console.error('❌ Error listing form templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a form created from a stored template (built-in templates are not tracked)
+   */
+  async incrementTemplateUseCount(templateId) {
+    const { FieldValue } = require('@google-cloud/firestore');
+    await this.collection('form_templates').doc(templateId).update({
+      useCount: FieldValue.increment(1),
+      lastUsedAt: new Date().toISOString()
+    });
+  }
+
+  // ============== TEAM METHODS ==============
+
+  /**
+   * Store a new team (collection teams) and point its owner's user record at it
+   * A user belongs to at most one team; users.teamId and teams.memberIds are always written together
+   */
+  async createTeam(team) {
+    try {
+      const batch = this.firestore.batch();
+      batch.set(this.collection('teams').doc(team.id), team);
+      batch.update(this.collection('users').doc(team.ownerId), { teamId: team.id });
+      await batch.commit();
+      console.log(`👥 Team created: ${team.id} (owner ${team.ownerId})`);
+      return team;
+    } catch (error) {
+      console.error('❌ Error creating team:', error);
+      throw error;
+    }
+  }
+
+  async getTeam(teamId) {
+    try {
+      const doc = await this.collection('teams').doc(teamId).get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.error('❌ Error getting team:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a registered user to a team
+   */
+  async addTeamMember(teamId, userId) {
+    const { FieldValue } = require('@google-cloud/firestore');
+    try {
+      const batch = this.firestore.batch();
+      batch.update(this.collection('teams').doc(teamId), {
+        memberIds: FieldValue.arrayUnion(userId),
+        updatedAt: new Date().toISOString()
+      });
+      batch.update(this.collection('users').doc(userId), { teamId });
+      await batch.commit();
+      console.log(`👥 User ${userId} added to team ${teamId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`❌ Error adding user ${userId} to team ${teamId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from a team; they lose access to its team templates straight away
+   */
+  async removeTeamMember(teamId, userId) {
+    const { FieldValue } = require('@google-cloud/firestore');
+    try {
+      const batch = this.firestore.batch();
+      batch.update(this.collection('teams').doc(teamId), {
+        memberIds: FieldValue.arrayRemove(userId),
+        updatedAt: new Date().toISOString()
+      });
+      batch.update(this.collection('users').doc(userId), { teamId: FieldValue.delete() });
+      await batch.commit();
+      console.log(`👥 User ${userId} removed from team ${teamId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`❌ Error removing user ${userId} from team ${teamId}:`, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = GCPClient;
@@ -0,0 +1,179 @@
+/**
+ * Job Queue for ChatterForms Railway Backend
+ * In-memory queue that runs background work with a concurrency cap and keeps job status for polling
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   * @param {number} options.maxQueued - Maximum number of jobs waiting to start
+   * @param {number} options.retentionMs - How long finished jobs stay available for polling
+   */
+  constructor({ concurrency = 2, maxQueued = 50, retentionMs = 60 * 60 * 1000 } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.completions = new Map();
+    this.pending = [];
+    this.active = 0;
+  }
+
+  /**
+   * Queue a handler; it is called as handler(job, reportProgress) once a worker slot frees up
+   * @returns {Object} - The job record (state: queued)
+   */
+  enqueue(handler, data = {}) {
+    this.purgeExpired();
+
+    if (this.pending.length >= this.maxQueued) {
+      const error = new Error(`Job queue is full (${this.maxQueued} jobs waiting)`);
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    const job = {
+      id: uuidv4(),
+      state: 'queued',
+      data,
+      progress: {},
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    let resolveCompletion;
+    let rejectCompletion;
+    const completion = new Promise((resolve, reject) => {
+      resolveCompletion = resolve;
+      rejectCompletion = reject;
+    });
+    // Callers only await completion for synchronous requests; avoid unhandled rejections otherwise
+    completion.catch(() => {});
+
+    this.jobs.set(job.id, job);
+    this.completions.set(job.id, { promise: completion, resolve: resolveCompletion, reject: rejectCompletion });
+    this.pending.push({ job, handler });
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Record work that finished without running (e.g. a cache hit) so it can be polled like any other job
+   * @returns {Object} - The job record (state: completed)
+   */
+  recordCompleted(result, data = {}) {
+    this.purgeExpired();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      state: 'completed',
+      data,
+      progress: {},
+      result,
+      error: null,
+      createdAt: now,
+      startedAt: now,
+      completedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    this.completions.set(job.id, { promise: Promise.resolve(result), resolve: () => {}, reject: () => {} });
+    return job;
+  }
+
+  /**
+   * Wait for a job to finish; resolves with its result or rejects with its error
+   */
+  waitFor(jobId) {
+    const completion = this.completions.get(jobId);
+    if (!completion) {
+      return Promise.reject(new Error(`Job not found: ${jobId}`));
+    }
+    return completion.promise;
+  }
+
+  getJob(jobId) {
+    this.purgeExpired();
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Position of a queued job in the pending list (1-based), or null once it has started
+   */
+  getQueuePosition(jobId) {
+    const index = this.pending.findIndex(entry => entry.job.id === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Whether any queued or running job matches the predicate (called with each job record)
+   */
+  hasUnfinishedJob(predicate) {
+    for (const job of this.jobs.values()) {
+      if ((job.state === 'queued' || job.state === 'processing') && predicate(job)) return true;
+    }
+    return false;
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.pending.length,
+      tracked: this.jobs.size
+    };
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { job, handler } = this.pending.shift();
+      this.run(job, handler);
+    }
+  }
+
+  async run(job, handler) {
+    this.active++;
+    job.state = 'processing';
+    job.startedAt = new Date().toISOString();
+
+    const completion = this.completions.get(job.id);
+    const reportProgress = (progress) => {
+      job.progress = { ...job.progress, ...progress };
+    };
+
+    try {
+      job.result = await handler(job, reportProgress);
+      job.state = 'completed';
+      completion.resolve(job.result);
+    } catch (error) {
+      job.state = 'failed';
+      job.error = { message: error.message, code: error.code || null };
+      completion.reject(error);
+    } finally {
+      job.completedAt = new Date().toISOString();
+      this.active--;
+      this.drain();
+    }
+  }
+
+  // Finished jobs are dropped lazily once they are older than the retention window
+  purgeExpired() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [jobId, job] of this.jobs) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+        this.completions.delete(jobId);
+      }
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,190 @@
+/**
+ * OG Image Generator for ChatterForms Railway Backend
+ * Renders the Open Graph preview card (1200x630) of a published form from its title, description
+ * and logo, and keeps it in Cloud Storage so shared form links unfurl on Slack, LinkedIn, etc.
+ */
+
+const crypto = require('crypto');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 220;
+// A slow or broken logo must not hold up the card
+const RENDER_TIMEOUT_MS = 15000;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function truncate(text, maxLength) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > maxLength ? `${clean.slice(0, maxLength - 1).trim()}…` : clean;
+}
+
+class OgImageGenerator {
+  /**
+   * @param {Object} gcpClient - GCPClient instance
+   * @param {Object} options
+   * @param {Object} options.browserPool - BrowserPool used to render the card
+   * @param {Object} options.urlGuard - UrlGuard applied to the logo request (optional)
+   * @param {string} options.bucketName - Bucket the cards are stored in
+   */
+  constructor(gcpClient, { browserPool, urlGuard = null, bucketName = 'chatterforms-uploads-us-central1' } = {}) {
+    this.gcpClient = gcpClient;
+    this.browserPool = browserPool;
+    this.urlGuard = urlGuard;
+    this.bucketName = bucketName;
+    // Publishes of the same form in quick succession render one after another, not side by side
+    this.pending = new Map();
+  }
+
+  /**
+   * What the card shows, read from a published form structure
+   * @returns {Object} - { title, description, logoUrl }
+   */
+  describe(structure = {}) {
+    const logoUrl = structure.logo?.url || null;
+    return {
+      title: truncate(structure.title, MAX_TITLE_LENGTH) || 'Untitled Form',
+      description: truncate(structure.description, MAX_DESCRIPTION_LENGTH),
+      logoUrl: logoUrl && /^https?:\/\//i.test(logoUrl) ? logoUrl : null
+    };
+  }
+
+  /**
+   * Stable hash of the card content; the card is only re-rendered when it changes
+   */
+  contentHash(content) {
+    return crypto.createHash('sha1').update(JSON.stringify([content.title, content.description, content.logoUrl])).digest('hex');
+  }
+
+  /**
+   * Public URL of the card, versioned so social platforms pick up a re-render
+   */
+  imageUrl(baseUrl, formId, hash) {
+    return `${baseUrl}/api/forms/${encodeURIComponent(formId)}/og-image.png${hash ? `?v=${hash.slice(0, 12)}` : ''}`;
+  }
+
+  buildHtml({ title, description, logoUrl }) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      width: ${WIDTH}px;
+      height: ${HEIGHT}px;
+      font-family: 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #eef2ff 0%, #ffffff 60%);
+      color: #111827;
+    }
+    .card { display: flex; flex-direction: column; justify-content: center; height: 100%; padding: 72px 88px; }
+    .logo { max-height: 96px; max-width: 360px; object-fit: contain; margin-bottom: 40px; align-self: flex-start; }
+    .title { font-size: 64px; font-weight: 700; line-height: 1.1; overflow: hidden; display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; }
+    .description { margin-top: 24px; font-size: 30px; line-height: 1.35; color: #4b5563; overflow: hidden; display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; }
+    .footer { position: absolute; left: 88px; bottom: 48px; font-size: 24px; font-weight: 600; color: #6366f1; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    ${logoUrl ? `<img class="logo" src="${escapeHtml(logoUrl)}" alt="" onerror="this.remove()">` : ''}
+    <div class="title">${escapeHtml(title)}</div>
+    ${description ? `<div class="description">${escapeHtml(description)}</div>` : ''}
+  </div>
+  <div class="footer">ChatterForms</div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render the card to a PNG buffer
+   */
+  async render(content) {
+    return this.browserPool.withPage(async (page) => {
+      const guardState = this.urlGuard ? await this.urlGuard.protectPage(page) : null;
+      await page.setViewport({ width: WIDTH, height: HEIGHT, deviceScaleFactor: 1 });
+      try {
+        await page.setContent(this.buildHtml(content), { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+      } catch (error) {
+        // Logo still loading: render what is there
+        console.warn(`⚠️ OG image content did not settle: ${error.message}`);
+      }
+      // A logo served from an internal address (DNS rebinding) must not end up on a public card
+      if (guardState) this.urlGuard.assertNoPrivateResponses(guardState);
+      return page.screenshot({ type: 'png', clip: { x: 0, y: 0, width: WIDTH, height: HEIGHT } });
+    });
+  }
+
+  /**
+   * Render and store the card of a published form unless the stored one is current
+   * @param {string} formId
+   * @param {Object} structure - Published form structure
+   * @param {Object} options - { force } re-renders even when the content is unchanged
+   * @returns {Promise<Object>} - { regenerated, record }
+   */
+  async refresh(formId, structure, { force = false } = {}) {
+    const previous = this.pending.get(formId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.regenerate(formId, structure, force));
+    this.pending.set(formId, next);
+
+    try {
+      return await next;
+    } finally {
+      if (this.pending.get(formId) === next) this.pending.delete(formId);
+    }
+  }
+
+  async regenerate(formId, structure, force) {
+    const content = this.describe(structure);
+    const hash = this.contentHash(content);
+
+    const existing = await this.gcpClient.getFormOgImage(formId);
+    if (existing && existing.hash === hash && !force) {
+      return { regenerated: false, record: existing };
+    }
+
+    const image = await this.render(content);
+    const destination = `og-images/${formId}.png`;
+    await this.gcpClient.storage.bucket(this.bucketName).file(destination).save(image, {
+      metadata: {
+        contentType: 'image/png',
+        cacheControl: 'public, max-age=3600',
+        metadata: { formId, hash }
+      }
+    });
+
+    const record = {
+      formId,
+      bucket: this.bucketName,
+      path: destination,
+      hash,
+      width: WIDTH,
+      height: HEIGHT,
+      size: image.length,
+      generatedAt: new Date().toISOString()
+    };
+    await this.gcpClient.storeFormOgImage(record);
+
+    console.log(`🖼️ OG image generated for form ${formId} (${image.length} bytes)`);
+    return { regenerated: true, record };
+  }
+
+  /**
+   * Stream a stored card out of Cloud Storage
+   */
+  createReadStream(record) {
+    return this.gcpClient.storage.bucket(record.bucket).file(record.path).createReadStream();
+  }
+}
+
+OgImageGenerator.WIDTH = WIDTH;
+OgImageGenerator.HEIGHT = HEIGHT;
+
+module.exports = OgImageGenerator;
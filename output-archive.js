@@ -0,0 +1,83 @@
+/**
+ * Output Archive for ChatterForms Railway Backend
+ * Streams the files rendered for one upload (output/<uuid>/) as a ZIP without buffering it in memory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+
+// Already-compressed formats are stored as-is; deflating them again only costs CPU
+const STORED_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.pdf']);
+
+class OutputArchive {
+  /**
+   * @param {string} outputRoot - Directory holding one folder of renders per upload uuid
+   * @param {string} uploadsRoot - Directory holding the uploaded source PDFs (<uuid>.pdf)
+   */
+  constructor(outputRoot, uploadsRoot) {
+    this.outputRoot = outputRoot;
+    this.uploadsRoot = uploadsRoot;
+  }
+
+  /**
+   * List the archive entries for an upload, in page order
+   * @returns {Array|null} - [{ filePath, name }], or null when there is nothing to archive
+   */
+  listEntries(uuid, { includeSource = false } = {}) {
+    const outputDir = path.join(this.outputRoot, uuid);
+    if (!fs.existsSync(outputDir) || !fs.statSync(outputDir).isDirectory()) return null;
+
+    const entries = fs.readdirSync(outputDir)
+      .filter(filename => fs.statSync(path.join(outputDir, filename)).isFile())
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(filename => ({ filePath: path.join(outputDir, filename), name: filename }));
+
+    if (entries.length === 0) return null;
+
+    const sourcePath = path.join(this.uploadsRoot, `${uuid}.pdf`);
+    if (includeSource && fs.existsSync(sourcePath)) {
+      entries.push({ filePath: sourcePath, name: 'source.pdf' });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Pipe a ZIP of the entries into a writable stream (usually the HTTP response)
+   * Touches the output folder first so the hourly cleanup does not remove it mid-download
+   * @returns {Promise<number>} - Bytes written, once the archive has been finalized
+   */
+  stream(uuid, entries, destination) {
+    const now = new Date();
+    fs.utimesSync(path.join(this.outputRoot, uuid), now, now);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    return new Promise((resolve, reject) => {
+      archive.on('warning', (error) => {
+        console.warn(`⚠️ Archive warning for ${uuid}:`, error.message);
+      });
+      archive.on('error', reject);
+      destination.on('close', () => {
+        // Client went away before the archive was finished
+        if (!destination.writableFinished) {
+          archive.abort();
+          reject(new Error('Connection closed before the archive was complete'));
+        }
+      });
+      destination.on('finish', () => resolve(archive.pointer()));
+
+      archive.pipe(destination);
+      entries.forEach(entry => {
+        archive.file(entry.filePath, {
+          name: entry.name,
+          store: STORED_EXTENSIONS.has(path.extname(entry.name).toLowerCase())
+        });
+      });
+      archive.finalize();
+    });
+  }
+}
+
+module.exports = OutputArchive;
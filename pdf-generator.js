@@ -1,8 +1,10 @@
-const puppeteer = require('puppeteer');
+const browserPool = require('./browser-pool');
+const FormLogic = require('./form-logic');
 
 class PDFGenerator {
   constructor(gcpClient) {
     this.gcpClient = gcpClient;
+    this.formLogic = new FormLogic();
   }
 
   /**
@@ -16,66 +18,51 @@ class PDFGenerator {
    * @returns {Promise<Object>} - PDF generation result
    */
   async generateSignedPDF({ formData, formSchema, signatureData, bucketName, isHipaa = false, submissionId, submissionHash, ipAddress, userAgent }) {
-    let browser;
-    
     try {
       console.log('📄 Starting PDF generation with signature...');
       console.log(`📄 Signature data method: ${signatureData.method}`);
       console.log(`📄 Signature data completedAt: ${signatureData.completedAt}`);
       console.log(`📄 Signature image size: ${signatureData.imageBase64?.length || 0} characters`);
       
-      // Launch browser
-      browser = await puppeteer.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
-
-      const page = await browser.newPage();
-      
-      // Generate HTML content
-      const htmlContent = this.generateHTMLContent({
-        formData,
-        formSchema,
-        signatureData,
-        isHipaa,
-        submissionId,
-        submissionHash,
-        ipAddress,
-        userAgent
-      });
+      // Render in a pooled browser; the page's context is closed as soon as the PDF is printed
+      const pdfBuffer = await browserPool.withPage(async (page) => {
+        // Generate HTML content
+        const htmlContent = this.generateHTMLContent({
+          formData,
+          formSchema,
+          signatureData,
+          isHipaa,
+          submissionId,
+          submissionHash,
+          ipAddress,
+          userAgent
+        });
 
-      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+        await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
 
-      // Add a delay to ensure everything is rendered
-      await new Promise(resolve => setTimeout(resolve, 2000));
+        // Add a delay to ensure everything is rendered
+        await new Promise(resolve => setTimeout(resolve, 2000));
 
-      console.log('📄 HTML content set, generating PDF...');
+        console.log('📄 HTML content set, generating PDF...');
       
-      // Debug: Check if the image element exists
-      const imageExists = await page.evaluate(() => {
-        const img = document.querySelector('.signature-image');
-        return img ? { exists: true, src: img.src.substring(0, 50) + '...' } : { exists: false };
-      });
-      console.log('📄 Image element check:', imageExists);
+        // Debug: Check if the image element exists
+        const imageExists = await page.evaluate(() => {
+          const img = document.querySelector('.signature-image');
+          return img ? { exists: true, src: img.src.substring(0, 50) + '...' } : { exists: false };
+        });
+        console.log('📄 Image element check:', imageExists);
 
-      // Generate PDF
-      const pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20mm',
-          right: '20mm',
-          bottom: '20mm',
-          left: '20mm'
-        }
+        // Generate PDF
+        return page.pdf({
+          format: 'A4',
+          printBackground: true,
+          margin: {
+            top: '20mm',
+            right: '20mm',
+            bottom: '20mm',
+            left: '20mm'
+          }
+        });
       });
 
       // Generate unique filename
@@ -112,10 +99,6 @@ class PDFGenerator {
     } catch (error) {
       console.error('❌ PDF generation failed:', error);
       throw error;
-    } finally {
-      if (browser) {
-        await browser.close();
-      }
     }
   }
 
@@ -143,9 +126,12 @@ class PDFGenerator {
     const formTitle = formSchema?.structure?.title || formSchema?.title || 'Untitled Form';
     const consentText = 'By signing electronically, the signer agrees this e-signature has the same legal effect as a handwritten signature.';
 
+    // Fields hidden by the form's conditional logic never appear on the PDF
+    const hiddenFields = this.formLogic.hiddenFields(formSchema?.structure || formSchema, formData);
+
     // Filter out signature fields for display
     const displayData = Object.entries(formData).filter(([key, value]) => {
-      return !(value && typeof value === 'object' && 'imageBase64' in value);
+      return !hiddenFields.has(key) && !(value && typeof value === 'object' && 'imageBase64' in value);
     });
 
     return `
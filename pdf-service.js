@@ -0,0 +1,1050 @@
+/**
+ * PDF Service for ChatterForms Railway Backend
+ * Wraps the poppler toolchain used by the PDF endpoints
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PDFDocument,
+  PDFName,
+  degrees,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFSignature
+} = require('pdf-lib');
+const { inferTextFieldType, humanizeFieldName, uniqueFieldId } = require('./field-naming');
+
+// Output formats supported by pdftocairo, keyed by the name accepted on /upload
+const OUTPUT_FORMATS = {
+  png: { popplerOption: 'pngFile', extension: '.png', raster: true },
+  jpeg: { popplerOption: 'jpegFile', extension: '.jpg', raster: true },
+  tiff: { popplerOption: 'tiffFile', extension: '.tif', raster: true },
+  svg: { popplerOption: 'svgFile', extension: '.svg', raster: false }
+};
+
+const FORMAT_ALIASES = {
+  jpg: 'jpeg',
+  tif: 'tiff'
+};
+
+const DEFAULT_DPI = 150;
+const MIN_DPI = 36;
+const MAX_DPI = 600;
+const MAX_SCALE_PIXELS = 10000;
+const PROGRESS_BATCH_SIZE = 5;
+
+// Inspection thresholds for "this document will be slow to convert" warnings
+const LARGE_PAGE_COUNT = 100;
+const LARGE_PAGE_DIMENSION_PTS = 1500;
+
+// Multipart fields arrive as strings; returns undefined when absent and NaN when not an integer
+function parseInteger(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+class PDFService {
+  constructor(poppler) {
+    this.poppler = poppler;
+  }
+
+  /**
+   * Parse conversion options from an /upload request body
+   * @returns {{isValid: boolean, options?: Object, error?: string}}
+   */
+  parseConversionOptions(body = {}) {
+    const requestedFormat = String(body.format || 'png').toLowerCase();
+    const format = FORMAT_ALIASES[requestedFormat] || requestedFormat;
+
+    if (!OUTPUT_FORMATS[format]) {
+      return { isValid: false, error: `Unsupported format "${body.format}". Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` };
+    }
+
+    const dpi = parseInteger(body.dpi ?? body.resolution) ?? DEFAULT_DPI;
+    if (Number.isNaN(dpi) || dpi < MIN_DPI || dpi > MAX_DPI) {
+      return { isValid: false, error: `dpi must be an integer between ${MIN_DPI} and ${MAX_DPI}` };
+    }
+
+    let quality;
+    if (body.quality !== undefined && body.quality !== '') {
+      if (format !== 'jpeg') {
+        return { isValid: false, error: 'quality is only supported for jpeg output' };
+      }
+      quality = parseInteger(body.quality);
+      if (Number.isNaN(quality) || quality < 1 || quality > 100) {
+        return { isValid: false, error: 'quality must be an integer between 1 and 100' };
+      }
+    }
+
+    const pageRange = this.parsePageRange(body);
+    if (!pageRange.isValid) {
+      return pageRange;
+    }
+
+    const scaleWidth = parseInteger(body.scaleWidth);
+    const scaleHeight = parseInteger(body.scaleHeight);
+    for (const [name, value] of [['scaleWidth', scaleWidth], ['scaleHeight', scaleHeight]]) {
+      if (value !== undefined && (Number.isNaN(value) || value < 1 || value > MAX_SCALE_PIXELS)) {
+        return { isValid: false, error: `${name} must be an integer between 1 and ${MAX_SCALE_PIXELS}` };
+      }
+    }
+    if ((scaleWidth || scaleHeight) && !OUTPUT_FORMATS[format].raster) {
+      return { isValid: false, error: 'scaleWidth/scaleHeight are only supported for raster formats' };
+    }
+
+    return {
+      isValid: true,
+      options: {
+        format,
+        dpi,
+        quality,
+        firstPage: pageRange.firstPage,
+        lastPage: pageRange.lastPage,
+        scaleWidth,
+        scaleHeight
+      }
+    };
+  }
+
+  /**
+   * Parse a page range from either "pages=2-5" / "pages=3" or explicit firstPage/lastPage fields
+   * @returns {{isValid: boolean, firstPage?: number, lastPage?: number|null, error?: string}}
+   */
+  parsePageRange(body = {}) {
+    let firstPage = parseInteger(body.firstPage);
+    let lastPage = parseInteger(body.lastPage);
+    if (body.pages !== undefined && body.pages !== '') {
+      const match = String(body.pages).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) {
+        return { isValid: false, error: 'pages must look like "3" or "2-5"' };
+      }
+      firstPage = Number(match[1]);
+      lastPage = match[2] !== undefined ? Number(match[2]) : firstPage;
+    }
+
+    if (Number.isNaN(firstPage) || Number.isNaN(lastPage) || firstPage < 1 || lastPage < 1) {
+      return { isValid: false, error: 'firstPage and lastPage must be positive integers' };
+    }
+    if (firstPage && lastPage && lastPage < firstPage) {
+      return { isValid: false, error: 'lastPage must be greater than or equal to firstPage' };
+    }
+
+    return { isValid: true, firstPage: firstPage || 1, lastPage: lastPage || null };
+  }
+
+  /**
+   * Read optional PDF passwords from a request body (`password` is accepted for the user password)
+   * Only non-empty values are returned so they can be spread straight into poppler options
+   */
+  parsePasswords(body = {}) {
+    const passwords = {};
+    const ownerPassword = body.ownerPassword;
+    const userPassword = body.userPassword ?? body.password;
+    if (typeof ownerPassword === 'string' && ownerPassword !== '') passwords.ownerPassword = ownerPassword;
+    if (typeof userPassword === 'string' && userPassword !== '') passwords.userPassword = userPassword;
+    return passwords;
+  }
+
+  /**
+   * Tag a poppler failure with a stable error code and redact any passwords from its message and stack
+   * - PDF_PASSWORD_REQUIRED: encrypted and no password was supplied
+   * - PDF_WRONG_PASSWORD: encrypted and the supplied password was rejected
+   * - PDF_CORRUPT: the file could not be parsed as a PDF
+   * @returns {Error} - A new error; the original keeps the unredacted text
+   */
+  classifyPopplerError(error, passwords = {}) {
+    // node-poppler echoes the command line in some errors; never let a password reach logs or responses
+    const redact = (text) => Object.values(passwords)
+      .reduce((redacted, password) => redacted.split(password).join('***'), String(text || ''));
+
+    const message = redact(error.message);
+    const classified = new Error(message);
+    classified.stack = redact(error.stack) || classified.stack;
+
+    if (error.code) {
+      classified.code = error.code;
+    } else if (/incorrect password/i.test(message)) {
+      classified.code = Object.keys(passwords).length > 0 ? 'PDF_WRONG_PASSWORD' : 'PDF_PASSWORD_REQUIRED';
+    } else if (/syntax error|couldn't (find|read)|may not be a pdf|xref|trailer|error opening a pdf file|internal error/i.test(message)) {
+      classified.code = 'PDF_CORRUPT';
+    }
+
+    return classified;
+  }
+
+  /**
+   * Translate parsed conversion options into node-poppler pdfToCairo options
+   */
+  buildPopplerOptions(options) {
+    const popplerOptions = {
+      [OUTPUT_FORMATS[options.format].popplerOption]: true,
+      firstPageToConvert: options.firstPage,
+      lastPageToConvert: options.lastPage || 0,
+      resolutionXYAxis: options.dpi
+    };
+
+    if (OUTPUT_FORMATS[options.format].raster) {
+      popplerOptions.singleFile = false;
+    }
+
+    if (options.quality !== undefined) {
+      popplerOptions.jpegOptions = `quality=${options.quality}`;
+    }
+
+    // A single scale dimension keeps the page aspect ratio (-1 lets poppler derive the other side)
+    if (options.scaleWidth || options.scaleHeight) {
+      popplerOptions.scalePageToXAxis = options.scaleWidth || -1;
+      popplerOptions.scalePageToYAxis = options.scaleHeight || -1;
+    }
+
+    return popplerOptions;
+  }
+
+  /**
+   * Get the page count of a PDF via pdfinfo
+   */
+  async getPageCount(pdfPath, passwords = {}) {
+    try {
+      const info = await this.poppler.pdfInfo(pdfPath, { printAsJson: true, ...passwords });
+      return parseInt(info.pages, 10) || 0;
+    } catch (error) {
+      throw this.classifyPopplerError(error, passwords);
+    }
+  }
+
+  /**
+   * Render PDF pages into outputDir using pdftocairo
+   * When onProgress is given, raster pages are rendered in batches so progress can be reported
+   * @param {Function} [extras.onProgress] - Called with { pagesDone, totalPages } after each batch
+   * @param {Object} [extras.passwords] - { ownerPassword, userPassword } for encrypted PDFs
+   * @returns {Promise<Array>} - One entry per rendered page: { page, filename, format, width, height, size }
+   */
+  async convertPdf(pdfPath, outputDir, options, { onProgress, passwords = {} } = {}) {
+    const outputBase = path.join(outputDir, 'page');
+    const popplerOptions = this.buildPopplerOptions(options);
+    const { extension } = OUTPUT_FORMATS[options.format];
+
+    const documentPages = await this.getPageCount(pdfPath, passwords);
+    if (options.firstPage > documentPages) {
+      const error = new Error(`firstPage ${options.firstPage} is beyond the last page (${documentPages})`);
+      error.code = 'PAGE_OUT_OF_RANGE';
+      throw error;
+    }
+    const lastPage = Math.min(options.lastPage || documentPages, documentPages);
+    const totalPages = lastPage - options.firstPage + 1;
+
+    // SVG is written to a single named file per call, so it is always rendered one page at a time
+    const batchSize = options.format === 'svg' ? 1 : (onProgress ? PROGRESS_BATCH_SIZE : totalPages);
+    if (onProgress) onProgress({ pagesDone: 0, totalPages });
+
+    for (let batchStart = options.firstPage; batchStart <= lastPage; batchStart += batchSize) {
+      const batchEnd = Math.min(batchStart + batchSize - 1, lastPage);
+      const outputFile = options.format === 'svg' ? `${outputBase}-${batchStart}${extension}` : outputBase;
+
+      try {
+        await this.poppler.pdfToCairo(pdfPath, outputFile, {
+          ...popplerOptions,
+          ...passwords,
+          firstPageToConvert: batchStart,
+          lastPageToConvert: batchEnd
+        });
+      } catch (error) {
+        throw this.classifyPopplerError(error, passwords);
+      }
+
+      if (onProgress) onProgress({ pagesDone: batchEnd - options.firstPage + 1, totalPages });
+    }
+
+    const pagePattern = new RegExp(`^page-(\\d+)\\${extension}$`);
+
+    return fs.readdirSync(outputDir)
+      .filter(f => pagePattern.test(f))
+      .map(file => {
+        const filePath = path.join(outputDir, file);
+        const dimensions = this.getImageDimensions(filePath, options.format);
+        return {
+          page: parseInt(file.match(pagePattern)[1], 10),
+          filename: file,
+          format: options.format,
+          width: dimensions?.width ?? null,
+          height: dimensions?.height ?? null,
+          size: fs.statSync(filePath).size
+        };
+      })
+      .sort((a, b) => a.page - b.page);
+  }
+
+  /**
+   * Extract per-page text layout (blocks, lines, words) with coordinates and font info
+   * Layout comes from `pdftotext -bbox-layout`; fonts come from `pdftohtml -xml` and are
+   * matched onto lines by overlapping position. All coordinates are PDF points from the top-left.
+   * @returns {Promise<Array>} - One entry per page: { page, width, height, text, blocks }
+   */
+  async extractText(pdfPath, pageRange = {}, passwords = {}) {
+    const rangeOptions = {
+      firstPageToConvert: pageRange.firstPage || 1,
+      ...(pageRange.lastPage ? { lastPageToConvert: pageRange.lastPage } : {}),
+      ...passwords
+    };
+
+    let layoutXhtml;
+    let fontXml;
+    try {
+      layoutXhtml = await this.poppler.pdfToText(pdfPath, undefined, {
+        ...rangeOptions,
+        boundingBoxXhtmlLayout: true
+      });
+
+      fontXml = await this.poppler.pdfToHtml(pdfPath, undefined, {
+        ...rangeOptions,
+        xmlOutput: true,
+        stdout: true,
+        ignoreImages: true,
+        noFrames: true,
+        zoom: 1
+      });
+    } catch (error) {
+      throw this.classifyPopplerError(error, passwords);
+    }
+
+    const pages = parseTextLayout(layoutXhtml, rangeOptions.firstPageToConvert);
+    const textRunsByPage = parseTextRuns(fontXml);
+
+    pages.forEach(page => {
+      const textRuns = textRunsByPage[page.page] || [];
+      page.blocks.forEach(block => {
+        block.lines.forEach(line => {
+          line.font = findOverlappingFont(line.bbox, textRuns);
+        });
+      });
+    });
+
+    return pages;
+  }
+
+  /**
+   * Inspect a PDF without rendering it (pdfinfo, pdffonts, pdfimages -list, pdftotext)
+   * Used by the frontend to warn about scanned, huge or malformed documents before conversion
+   * @returns {Promise<Object>} - Document info, per-page sizes, fonts, encryption and warnings
+   */
+  async inspectPdf(pdfPath, passwords = {}) {
+    let infoText;
+    let pageInfoText;
+    let fontsText;
+    let imagesText;
+    let text;
+
+    try {
+      infoText = await this.poppler.pdfInfo(pdfPath, { printIsoDates: true, ...passwords });
+      const pageCount = parseInt(parsePdfInfoFields(infoText).Pages, 10) || 0;
+
+      pageInfoText = pageCount > 0
+        ? await this.poppler.pdfInfo(pdfPath, { firstPageToConvert: 1, lastPageToConvert: pageCount, ...passwords })
+        : '';
+      fontsText = await this.poppler.pdfFonts(pdfPath, passwords);
+      imagesText = await this.poppler.pdfImages(pdfPath, undefined, { list: true, ...passwords });
+      // -layout output is not trimmed, so the form feeds between leading blank pages survive
+      text = await this.poppler.pdfToText(pdfPath, undefined, { maintainLayout: true, ...passwords });
+    } catch (error) {
+      throw this.classifyPopplerError(error, passwords);
+    }
+
+    const fields = parsePdfInfoFields(infoText);
+    const pageCount = parseInt(fields.Pages, 10) || 0;
+    const pageSizes = parsePdfInfoPages(pageInfoText);
+    const imageCounts = parsePdfImagesList(imagesText);
+    // pdftotext separates pages with form feeds
+    const pageTexts = String(text || '').split('\f');
+
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      const size = pageSizes[page] || {};
+      const hasText = (pageTexts[page - 1] || '').trim().length > 0;
+      const imageCount = imageCounts[page] || 0;
+      pages.push({
+        page,
+        width: size.width ?? null,
+        height: size.height ?? null,
+        paperSize: size.paperSize ?? null,
+        rotation: size.rotation ?? 0,
+        hasText,
+        imageCount,
+        imageOnly: !hasText && imageCount > 0
+      });
+    }
+
+    const encryption = parseEncryption(fields.Encrypted);
+    const fonts = parsePdfFonts(fontsText);
+    const isScanned = pages.length > 0 && pages.every(page => page.imageOnly);
+    const suspects = fields.Suspects === 'yes';
+
+    const warnings = [];
+    if (isScanned) {
+      warnings.push({ code: 'SCANNED', message: 'Every page is an image with no selectable text; the document appears to be scanned' });
+    } else if (pages.some(page => page.imageOnly)) {
+      warnings.push({ code: 'PARTIALLY_SCANNED', message: `${pages.filter(page => page.imageOnly).length} page(s) are images with no selectable text` });
+    }
+    if (pageCount > LARGE_PAGE_COUNT) {
+      warnings.push({ code: 'LARGE_DOCUMENT', message: `Document has ${pageCount} pages; conversion may be slow` });
+    }
+    if (pages.some(page => Math.max(page.width || 0, page.height || 0) > LARGE_PAGE_DIMENSION_PTS)) {
+      warnings.push({ code: 'OVERSIZED_PAGES', message: `Some pages are larger than ${LARGE_PAGE_DIMENSION_PTS}pt; renders will be very large` });
+    }
+    if (suspects) {
+      warnings.push({ code: 'MALFORMED', message: 'pdfinfo reported structural problems; conversion may fail or be incomplete' });
+    }
+    if (encryption.encrypted) {
+      warnings.push({ code: 'ENCRYPTED', message: 'Document is encrypted; some operations may be restricted' });
+    }
+
+    return {
+      pageCount,
+      pdfVersion: fields['PDF version'] || null,
+      fileSize: fields['File size'] ? parseInt(fields['File size'], 10) : null,
+      optimized: fields.Optimized === 'yes',
+      tagged: fields.Tagged === 'yes',
+      form: fields.Form || 'none',
+      javascript: fields.JavaScript === 'yes',
+      suspects,
+      metadata: {
+        title: fields.Title || null,
+        subject: fields.Subject || null,
+        keywords: fields.Keywords || null,
+        author: fields.Author || null,
+        creator: fields.Creator || null,
+        producer: fields.Producer || null,
+        creationDate: fields.CreationDate || null,
+        modDate: fields.ModDate || null
+      },
+      encryption,
+      pages,
+      fonts,
+      isScanned,
+      warnings
+    };
+  }
+
+  /**
+   * Resolve a parsed page range against the document, rejecting pages past the end
+   * @returns {Promise<{firstPage: number, lastPage: number, pageCount: number}>}
+   */
+  async resolvePageRange(pdfPath, pageRange = {}, passwords = {}) {
+    const pageCount = await this.getPageCount(pdfPath, passwords);
+    const firstPage = pageRange.firstPage || 1;
+    if (firstPage > pageCount) {
+      const error = new Error(`firstPage ${firstPage} is beyond the last page (${pageCount})`);
+      error.code = 'PAGE_OUT_OF_RANGE';
+      throw error;
+    }
+    return { firstPage, lastPage: Math.min(pageRange.lastPage || pageCount, pageCount), pageCount };
+  }
+
+  /**
+   * Merge PDFs in the given order into one file (pdfunite)
+   */
+  async mergePdfs(pdfPaths, outputPath) {
+    try {
+      await this.poppler.pdfUnite(pdfPaths, outputPath);
+    } catch (error) {
+      throw this.classifyPopplerError(error);
+    }
+    return outputPath;
+  }
+
+  /**
+   * Split a PDF into one file per page (pdfseparate), written as page-<n>.pdf in outputDir
+   * @returns {Promise<Array>} - [{ page, filename }] in page order
+   */
+  async splitPdf(pdfPath, outputDir, pageRange = {}) {
+    const { firstPage, lastPage } = await this.resolvePageRange(pdfPath, pageRange);
+
+    try {
+      await this.poppler.pdfSeparate(pdfPath, path.join(outputDir, 'page-%d.pdf'), {
+        firstPageToExtract: firstPage,
+        lastPageToExtract: lastPage
+      });
+    } catch (error) {
+      throw this.classifyPopplerError(error);
+    }
+
+    const pages = [];
+    for (let page = firstPage; page <= lastPage; page++) {
+      pages.push({ page, filename: `page-${page}.pdf` });
+    }
+    return pages;
+  }
+
+  /**
+   * Extract a page range into a single PDF (pdfseparate into a scratch folder, then pdfunite)
+   * @returns {Promise<{firstPage: number, lastPage: number}>}
+   */
+  async extractPages(pdfPath, outputPath, pageRange = {}) {
+    const scratchDir = `${outputPath}.parts`;
+    fs.mkdirSync(scratchDir, { recursive: true });
+
+    try {
+      const pages = await this.splitPdf(pdfPath, scratchDir, pageRange);
+      const pagePaths = pages.map(page => path.join(scratchDir, page.filename));
+
+      if (pagePaths.length === 1) {
+        fs.copyFileSync(pagePaths[0], outputPath);
+      } else {
+        await this.mergePdfs(pagePaths, outputPath);
+      }
+
+      return { firstPage: pages[0].page, lastPage: pages[pages.length - 1].page };
+    } finally {
+      fs.rmSync(scratchDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Load a PDF with pdf-lib, tagging failures with the codes classifyPopplerError uses
+   * pdf-lib cannot decrypt, so encrypted files are PDF_PASSWORD_REQUIRED whether or not a password was sent
+   */
+  async loadPdfDocument(pdfPath) {
+    const bytes = fs.readFileSync(pdfPath);
+    try {
+      return await PDFDocument.load(bytes, { updateMetadata: false });
+    } catch (error) {
+      // pdf-lib's error subclasses compile to plain Errors, so EncryptedPDFError is recognised by its message
+      if (/document to `PDFDocument\.load` is encrypted/.test(error.message)) {
+        const encrypted = new Error('PDF is encrypted; remove its password and upload it again');
+        encrypted.code = 'PDF_PASSWORD_REQUIRED';
+        throw encrypted;
+      }
+      error.code = 'PDF_CORRUPT';
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate pages clockwise by a multiple of 90 degrees, relative to their current rotation
+   * Poppler has no rotate tool, so this edits the page /Rotate entries with pdf-lib
+   * @returns {Promise<Array>} - [{ page, rotation }] for the pages that were rotated
+   */
+  async rotatePages(pdfPath, outputPath, angle, pageRange = {}) {
+    const pdfDoc = await this.loadPdfDocument(pdfPath);
+
+    const pages = pdfDoc.getPages();
+    const firstPage = pageRange.firstPage || 1;
+    if (firstPage > pages.length) {
+      const error = new Error(`firstPage ${firstPage} is beyond the last page (${pages.length})`);
+      error.code = 'PAGE_OUT_OF_RANGE';
+      throw error;
+    }
+    const lastPage = Math.min(pageRange.lastPage || pages.length, pages.length);
+
+    const rotated = [];
+    for (let page = firstPage; page <= lastPage; page++) {
+      const pdfPage = pages[page - 1];
+      const rotation = (((pdfPage.getRotation().angle + angle) % 360) + 360) % 360;
+      pdfPage.setRotation(degrees(rotation));
+      rotated.push({ page, rotation });
+    }
+
+    fs.writeFileSync(outputPath, await pdfDoc.save());
+    return rotated;
+  }
+
+  /**
+   * Extract embedded raster images (pdfimages) into outputDir as embedded-<n>.png / .jpg
+   * JPEG streams are written as-is; everything else is re-encoded as PNG. Soft masks and
+   * stencil masks are dropped, so only the visible images are returned
+   * @returns {Promise<Array>} - [{ page, index, filename, format, width, height, color, xPpi, yPpi, objectId, size }]
+   */
+  async extractImages(pdfPath, outputDir, pageRange = {}, passwords = {}) {
+    const { firstPage, lastPage } = await this.resolvePageRange(pdfPath, pageRange, passwords);
+    const rangeOptions = { firstPageToConvert: firstPage, lastPageToConvert: lastPage, ...passwords };
+
+    let listText;
+    try {
+      listText = await this.poppler.pdfImages(pdfPath, undefined, { list: true, ...rangeOptions });
+      await this.poppler.pdfImages(pdfPath, path.join(outputDir, 'embedded'), {
+        pngFile: true,
+        jpegFile: true,
+        ...rangeOptions
+      });
+    } catch (error) {
+      throw this.classifyPopplerError(error, passwords);
+    }
+
+    // pdfimages numbers its output files in the same order as its -list rows
+    const written = {};
+    fs.readdirSync(outputDir).forEach(filename => {
+      const match = filename.match(/^embedded-(\d+)\.(png|jpg)$/);
+      if (match) written[parseInt(match[1], 10)] = filename;
+    });
+
+    const images = [];
+    parsePdfImagesEntries(listText).forEach(entry => {
+      const filename = written[entry.index];
+      if (!filename) return;
+
+      const filePath = path.join(outputDir, filename);
+      if (entry.type !== 'image') {
+        fs.unlinkSync(filePath);
+        return;
+      }
+
+      images.push({
+        page: entry.page,
+        index: entry.index,
+        filename,
+        format: filename.endsWith('.jpg') ? 'jpeg' : 'png',
+        width: entry.width,
+        height: entry.height,
+        color: entry.color,
+        xPpi: entry.xPpi,
+        yPpi: entry.yPpi,
+        objectId: entry.objectId,
+        size: fs.statSync(filePath).size
+      });
+    });
+
+    return images;
+  }
+
+  /**
+   * Build a draft ChatterForms form structure from a PDF's AcroForm fields
+   * Fields are ordered by page and then top-to-bottom, left-to-right on the page.
+   * Push buttons and unknown widget types are reported in `skipped` rather than mapped.
+   * @returns {Promise<Object>} - { isAcroForm, title, fields, skipped }
+   */
+  async extractFormStructure(pdfPath, { title } = {}) {
+    const pdfDoc = await this.loadPdfDocument(pdfPath);
+    const pdfFields = pdfDoc.getForm().getFields();
+
+    // Widgets do not always carry a /P back-reference, so index each page's annotation refs instead
+    const pageIndexByWidgetRef = new Map();
+    pdfDoc.getPages().forEach((page, index) => {
+      const annotations = page.node.Annots();
+      (annotations ? annotations.asArray() : []).forEach(ref => pageIndexByWidgetRef.set(ref.toString(), index));
+    });
+    const usedIds = new Set();
+    const mapped = [];
+    const skipped = [];
+
+    for (const pdfField of pdfFields) {
+      const name = pdfField.getName();
+      const field = mapAcroFormField(pdfField);
+
+      if (!field) {
+        skipped.push({ name, type: pdfField.constructor.name });
+        continue;
+      }
+
+      const alternateName = pdfField.acroField.dict.lookup(PDFName.of('TU'));
+      const label = (alternateName && alternateName.decodeText ? alternateName.decodeText() : '').trim() || humanizeFieldName(name);
+
+      mapped.push({
+        position: getFieldPosition(pdfDoc, pdfField, pageIndexByWidgetRef),
+        field: {
+          id: uniqueFieldId(name, usedIds),
+          type: field.type,
+          label,
+          required: pdfField.isRequired(),
+          ...(field.options ? { options: field.options } : {})
+        }
+      });
+    }
+
+    mapped.sort((a, b) => (a.position.page - b.position.page) || (b.position.y - a.position.y) || (a.position.x - b.position.x));
+
+    return {
+      isAcroForm: pdfFields.length > 0,
+      title: title || pdfDoc.getTitle() || 'Imported PDF Form',
+      fields: mapped.map(entry => entry.field),
+      skipped
+    };
+  }
+
+  /**
+   * Read pixel dimensions from an image header without decoding it
+   * SVG dimensions are reported in points as written by pdftocairo
+   */
+  getImageDimensions(filePath, format) {
+    try {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        // The TIFF directory usually follows the image data, so it is read at its own offset
+        if (format === 'tiff') return readTiffDimensions(fd);
+
+        const buffer = readBytes(fd, 0, 64 * 1024);
+        switch (format) {
+          case 'png':
+            return readPngDimensions(buffer);
+          case 'jpeg':
+            return readJpegDimensions(buffer);
+          case 'svg':
+            return readSvgDimensions(buffer);
+          default:
+            return null;
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not read image dimensions for ${filePath}:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Parse "Key:   value" lines from pdfinfo, keyed by pdfinfo's own labels (e.g. "PDF version")
+function parsePdfInfoFields(text) {
+  const fields = {};
+  String(text || '').split('\n').forEach(line => {
+    const match = line.match(/^([A-Za-z][A-Za-z ]*?):\s*(.*)$/);
+    if (match && !/^Page\s/.test(line)) {
+      fields[match[1]] = match[2].trim();
+    }
+  });
+  return fields;
+}
+
+// Parse "Page    1 size: 612 x 792 pts (letter)" and "Page    1 rot:  90" lines from pdfinfo -f/-l
+function parsePdfInfoPages(text) {
+  const pages = {};
+  String(text || '').split('\n').forEach(line => {
+    const size = line.match(/^Page\s+(\d+)\s+size:\s+([\d.]+)\s+x\s+([\d.]+)\s+pts(?:\s+\(([^)]+)\))?/);
+    if (size) {
+      const page = parseInt(size[1], 10);
+      pages[page] = {
+        ...pages[page],
+        width: parseFloat(size[2]),
+        height: parseFloat(size[3]),
+        paperSize: size[4] || null
+      };
+      return;
+    }
+    const rotation = line.match(/^Page\s+(\d+)\s+rot:\s+(\d+)/);
+    if (rotation) {
+      const page = parseInt(rotation[1], 10);
+      pages[page] = { ...pages[page], rotation: parseInt(rotation[2], 10) };
+    }
+  });
+  return pages;
+}
+
+// Parse "yes (print:yes copy:no change:no addNotes:no algorithm:AES-256)" from pdfinfo's Encrypted line
+function parseEncryption(value = 'no') {
+  const encrypted = String(value).startsWith('yes');
+  const flags = {};
+  for (const [, name, flag] of String(value).matchAll(/(\w+):(\S+?)(?=[\s)])/g)) {
+    flags[name] = flag;
+  }
+  return {
+    encrypted,
+    algorithm: flags.algorithm || null,
+    permissions: {
+      print: flags.print ? flags.print === 'yes' : true,
+      copy: flags.copy ? flags.copy === 'yes' : true,
+      change: flags.change ? flags.change === 'yes' : true,
+      addNotes: flags.addNotes ? flags.addNotes === 'yes' : true
+    }
+  };
+}
+
+// pdffonts prints a fixed-width table; column widths come from the dashed separator row
+function parsePdfFonts(text) {
+  const lines = String(text || '').split('\n');
+  const separatorIndex = lines.findIndex(line => /^-+(\s+-+)+\s*$/.test(line));
+  if (separatorIndex === -1) return [];
+
+  const columns = [];
+  for (const match of lines[separatorIndex].matchAll(/-+/g)) {
+    columns.push([match.index, match.index + match[0].length]);
+  }
+  const cell = (line, index) => line.slice(columns[index][0], index + 1 < columns.length ? columns[index + 1][0] : undefined).trim();
+
+  return lines.slice(separatorIndex + 1)
+    .filter(line => line.trim() !== '')
+    .map(line => ({
+      name: cell(line, 0),
+      type: cell(line, 1),
+      encoding: cell(line, 2),
+      embedded: cell(line, 3) === 'yes',
+      subset: cell(line, 4) === 'yes',
+      unicode: cell(line, 5) === 'yes'
+    }));
+}
+
+// Parse `pdfimages -list` rows:
+// page num type width height color comp bpc enc interp object ID x-ppi y-ppi size ratio
+function parsePdfImagesEntries(text) {
+  const entries = [];
+  String(text || '').split('\n').forEach(line => {
+    const match = line.match(/^\s*(\d+)\s+(\d+)\s+(image|mask|smask|stencil)\s+(\d+)\s+(\d+)\s+(\S+)\s+\d+\s+\d+\s+\S+\s+\S+\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)/);
+    if (!match) return;
+    entries.push({
+      page: parseInt(match[1], 10),
+      index: parseInt(match[2], 10),
+      type: match[3],
+      width: parseInt(match[4], 10),
+      height: parseInt(match[5], 10),
+      color: match[6],
+      objectId: `${match[7]} ${match[8]} R`,
+      xPpi: parseInt(match[9], 10),
+      yPpi: parseInt(match[10], 10)
+    });
+  });
+  return entries;
+}
+
+// Count images per page from `pdfimages -list`
+function parsePdfImagesList(text) {
+  const counts = {};
+  parsePdfImagesEntries(text).forEach(entry => {
+    if (entry.type === 'image') {
+      counts[entry.page] = (counts[entry.page] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+// Map a pdf-lib AcroForm field to a ChatterForms field type (and options for choice fields)
+function mapAcroFormField(pdfField) {
+  if (pdfField instanceof PDFTextField) {
+    if (pdfField.isMultiline()) return { type: 'textarea' };
+    return { type: inferTextFieldType(pdfField.getName()) };
+  }
+  if (pdfField instanceof PDFCheckBox) return { type: 'checkbox' };
+  if (pdfField instanceof PDFRadioGroup) return { type: 'radio', options: pdfField.getOptions() };
+  if (pdfField instanceof PDFDropdown) return { type: 'select', options: pdfField.getOptions() };
+  if (pdfField instanceof PDFOptionList) {
+    return { type: pdfField.isMultiselect() ? 'checkbox-group' : 'select', options: pdfField.getOptions() };
+  }
+  if (pdfField instanceof PDFSignature) return { type: 'signature' };
+  return null;
+}
+
+// Position of a field's first widget: page index plus lower-left corner in PDF points
+function getFieldPosition(pdfDoc, pdfField, pageIndexByWidgetRef) {
+  const [widget] = pdfField.acroField.getWidgets();
+  if (!widget) return { page: Number.MAX_SAFE_INTEGER, x: 0, y: 0 };
+
+  const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+  const rectangle = widget.getRectangle();
+  return {
+    page: (widgetRef && pageIndexByWidgetRef.get(widgetRef.toString())) ?? Number.MAX_SAFE_INTEGER,
+    x: rectangle.x,
+    y: rectangle.y
+  };
+}
+
+// Decode the XML entities poppler emits in text content and attribute values
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function parseXmlAttributes(source) {
+  const attributes = {};
+  for (const [, name, value] of source.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXmlEntities(value);
+  }
+  return attributes;
+}
+
+function readBoundingBox(attributes) {
+  return {
+    xMin: parseFloat(attributes.xMin),
+    yMin: parseFloat(attributes.yMin),
+    xMax: parseFloat(attributes.xMax),
+    yMax: parseFloat(attributes.yMax)
+  };
+}
+
+// Parse `pdftotext -bbox-layout` XHTML into pages of blocks > lines > words
+function parseTextLayout(xhtml, firstPage = 1) {
+  const pages = [];
+  let page = null;
+  let block = null;
+  let line = null;
+  let word = null;
+
+  for (const match of xhtml.matchAll(/<(\/?)(page|block|line|word)\b([^>]*)>|([^<]+)/g)) {
+    const [, closing, tag, attributeSource, text] = match;
+
+    if (text !== undefined) {
+      if (word) word.text += decodeXmlEntities(text);
+      continue;
+    }
+
+    if (closing) {
+      if (tag === 'word' && word && line) {
+        line.words.push(word);
+        word = null;
+      } else if (tag === 'line' && line && block) {
+        line.text = line.words.map(w => w.text).join(' ');
+        block.lines.push(line);
+        line = null;
+      } else if (tag === 'block' && block && page) {
+        page.blocks.push(block);
+        block = null;
+      } else if (tag === 'page' && page) {
+        page.text = page.blocks.map(b => b.lines.map(l => l.text).join('\n')).join('\n\n');
+        pages.push(page);
+        page = null;
+      }
+      continue;
+    }
+
+    const attributes = parseXmlAttributes(attributeSource);
+    if (tag === 'page') {
+      page = {
+        page: firstPage + pages.length,
+        width: parseFloat(attributes.width),
+        height: parseFloat(attributes.height),
+        text: '',
+        blocks: []
+      };
+    } else if (tag === 'block') {
+      block = { bbox: readBoundingBox(attributes), lines: [] };
+    } else if (tag === 'line') {
+      line = { bbox: readBoundingBox(attributes), text: '', font: null, words: [] };
+    } else if (tag === 'word') {
+      word = { text: '', bbox: readBoundingBox(attributes) };
+    }
+  }
+
+  return pages;
+}
+
+// Parse `pdftohtml -xml` output into positioned text runs with resolved font specs, keyed by page
+function parseTextRuns(xml) {
+  const fontSpecs = {};
+  for (const [, attributeSource] of xml.matchAll(/<fontspec\b([^>]*)\/>/g)) {
+    const attributes = parseXmlAttributes(attributeSource);
+    fontSpecs[attributes.id] = {
+      family: attributes.family || null,
+      size: attributes.size ? parseFloat(attributes.size) : null,
+      color: attributes.color || null
+    };
+  }
+
+  const runsByPage = {};
+  for (const [, pageAttributes, pageBody] of xml.matchAll(/<page\b([^>]*)>([\s\S]*?)<\/page>/g)) {
+    const pageNumber = parseInt(parseXmlAttributes(pageAttributes).number, 10);
+    runsByPage[pageNumber] = [];
+
+    for (const [, textAttributes, content] of pageBody.matchAll(/<text\b([^>]*)>([\s\S]*?)<\/text>/g)) {
+      const attributes = parseXmlAttributes(textAttributes);
+      const left = parseFloat(attributes.left);
+      const top = parseFloat(attributes.top);
+      runsByPage[pageNumber].push({
+        bbox: {
+          xMin: left,
+          yMin: top,
+          xMax: left + parseFloat(attributes.width),
+          yMax: top + parseFloat(attributes.height)
+        },
+        font: {
+          ...(fontSpecs[attributes.font] || { family: null, size: null, color: null }),
+          bold: /<b>/.test(content),
+          italic: /<i>/.test(content)
+        }
+      });
+    }
+  }
+
+  return runsByPage;
+}
+
+function findOverlappingFont(bbox, textRuns) {
+  let bestFont = null;
+  let bestArea = 0;
+
+  for (const run of textRuns) {
+    const width = Math.min(bbox.xMax, run.bbox.xMax) - Math.max(bbox.xMin, run.bbox.xMin);
+    const height = Math.min(bbox.yMax, run.bbox.yMax) - Math.max(bbox.yMin, run.bbox.yMin);
+    if (width > 0 && height > 0 && width * height > bestArea) {
+      bestArea = width * height;
+      bestFont = run.font;
+    }
+  }
+
+  return bestFont;
+}
+
+function readPngDimensions(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function readJpegDimensions(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    const segmentLength = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but do not
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + segmentLength;
+  }
+  return null;
+}
+
+// Up to `length` bytes of an open file starting at `position` (fewer at the end of the file)
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function readTiffDimensions(fd) {
+  const header = readBytes(fd, 0, 8);
+  if (header.length < 8) return null;
+  const byteOrder = header.toString('ascii', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+  const littleEndian = byteOrder === 'II';
+  const readUInt16 = (buffer, offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readUInt32 = (buffer, offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const ifdOffset = readUInt32(header, 4);
+  const count = readBytes(fd, ifdOffset, 2);
+  if (count.length < 2) return null;
+
+  const entries = readBytes(fd, ifdOffset + 2, readUInt16(count, 0) * 12);
+  const dimensions = {};
+  for (let entry = 0; entry + 12 <= entries.length; entry += 12) {
+    const tag = readUInt16(entries, entry);
+    const type = readUInt16(entries, entry + 2);
+    const value = type === 3 ? readUInt16(entries, entry + 8) : readUInt32(entries, entry + 8);
+    if (tag === 256) dimensions.width = value;
+    if (tag === 257) dimensions.height = value;
+  }
+
+  return dimensions.width && dimensions.height ? dimensions : null;
+}
+
+function readSvgDimensions(buffer) {
+  const svgTag = buffer.toString('utf8').match(/<svg[^>]*>/);
+  if (!svgTag) return null;
+  const width = svgTag[0].match(/\swidth="([\d.]+)/);
+  const height = svgTag[0].match(/\sheight="([\d.]+)/);
+  if (!width || !height) return null;
+  return { width: parseFloat(width[1]), height: parseFloat(height[1]) };
+}
+
+PDFService.OUTPUT_FORMATS = OUTPUT_FORMATS;
+
+module.exports = PDFService;
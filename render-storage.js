@@ -0,0 +1,172 @@
+/**
+ * Render Storage for ChatterForms Railway Backend
+ * Copies /upload page renders to Cloud Storage so they outlive the local output/ cleanup and redeploys
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+// V4 signed URLs cannot be valid for longer than 7 days
+const MAX_SIGNED_URL_MINUTES = 7 * 24 * 60;
+const MAX_RETENTION_DAYS = 3650;
+// User and form ids become path segments of the object names
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+class RenderStorage {
+  /**
+   * @param {Object} gcpClient - GCPClient instance
+   * @param {Object} options
+   * @param {string} options.bucketName - Bucket the renders are copied into
+   * @param {number} options.defaultRetentionDays - Retention when the request does not set one (0 = keep indefinitely)
+   * @param {number} options.signedUrlMinutes - Lifetime of the signed URLs returned to clients
+   */
+  constructor(gcpClient, {
+    bucketName = 'chatterforms-uploads-us-central1',
+    defaultRetentionDays = 90,
+    signedUrlMinutes = MAX_SIGNED_URL_MINUTES
+  } = {}) {
+    this.gcpClient = gcpClient;
+    this.bucketName = bucketName;
+    this.defaultRetentionDays = defaultRetentionDays;
+    this.signedUrlMinutes = Math.min(signedUrlMinutes, MAX_SIGNED_URL_MINUTES);
+  }
+
+  /**
+   * Read persist/userId/formId/retentionDays from a request body (multipart values arrive as strings)
+   * @returns {Object} - { isValid, options } where options is null when persistence was not requested, or { isValid: false, error }
+   */
+  parseOptions(body = {}) {
+    const persist = body.persist === true || body.persist === 'true';
+    if (!persist) return { isValid: true, options: null };
+
+    const { userId, formId } = body;
+    if (!userId || !SAFE_ID_PATTERN.test(userId)) {
+      return { isValid: false, error: 'userId is required to persist renders and may only contain letters, digits, "_" and "-"' };
+    }
+    if (formId !== undefined && formId !== '' && !SAFE_ID_PATTERN.test(formId)) {
+      return { isValid: false, error: 'formId may only contain letters, digits, "_" and "-"' };
+    }
+
+    let retentionDays = this.defaultRetentionDays;
+    if (body.retentionDays !== undefined && body.retentionDays !== '') {
+      retentionDays = Number(body.retentionDays);
+      if (!Number.isInteger(retentionDays) || retentionDays < 0 || retentionDays > MAX_RETENTION_DAYS) {
+        return { isValid: false, error: `retentionDays must be an integer between 0 (keep indefinitely) and ${MAX_RETENTION_DAYS}` };
+      }
+    }
+
+    return { isValid: true, options: { userId, formId: formId || null, retentionDays } };
+  }
+
+  /**
+   * Upload rendered pages under pdf-renders/<userId>/<formId>/<renderId>/ and record them in Firestore
+   * @param {string} uuid - Upload uuid the renders belong to
+   * @param {string} outputDir - Local folder holding the renders
+   * @param {Array} images - Rendered pages as returned by PDFService.convertPdf
+   * @returns {Promise<Object>} - Stored render with fresh signed URLs (see withSignedUrls)
+   */
+  async persist(uuid, outputDir, images, { userId, formId = null, retentionDays = this.defaultRetentionDays }) {
+    const renderId = `render_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+    const prefix = `pdf-renders/${userId}/${formId || 'unassigned'}/${renderId}`;
+    const createdAt = new Date();
+
+    const files = [];
+    for (const image of images) {
+      const gcsPath = `${prefix}/${image.filename}`;
+      await this.gcpClient.uploadFile(path.join(outputDir, image.filename), gcsPath, this.bucketName);
+      files.push({
+        page: image.page,
+        filename: image.filename,
+        format: image.format,
+        width: image.width,
+        height: image.height,
+        size: image.size,
+        gcsPath
+      });
+    }
+
+    const renderData = {
+      id: renderId,
+      uuid,
+      userId,
+      formId,
+      bucketName: this.bucketName,
+      prefix,
+      files,
+      retentionDays,
+      createdAt: createdAt.toISOString(),
+      expiresAt: retentionDays > 0
+        ? new Date(createdAt.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+        : null
+    };
+    await this.gcpClient.storePdfRender(renderData);
+
+    console.log(`☁️ Persisted ${files.length} render(s) for ${uuid} to gs://${this.bucketName}/${prefix}`);
+    return this.withSignedUrls(renderData);
+  }
+
+  /**
+   * Look up a persisted render owned by userId and issue fresh signed URLs
+   * Signed URLs expire long before most retention windows, so clients call this to refresh them
+   */
+  async get(renderId, userId) {
+    const renderData = await this.gcpClient.getPdfRender(renderId);
+    if (!renderData || renderData.userId !== userId) return null;
+    if (renderData.expiresAt && new Date(renderData.expiresAt).getTime() <= Date.now()) return null;
+    return this.withSignedUrls(renderData);
+  }
+
+  async withSignedUrls(renderData) {
+    const expiresAtMs = renderData.expiresAt ? new Date(renderData.expiresAt).getTime() : Infinity;
+    // Never hand out a URL that outlives the render itself
+    const urlMinutes = Math.max(1, Math.min(this.signedUrlMinutes, Math.floor((expiresAtMs - Date.now()) / 60000)));
+
+    const images = [];
+    for (const file of renderData.files) {
+      images.push({
+        page: file.page,
+        filename: file.filename,
+        gcsUrl: `gs://${renderData.bucketName}/${file.gcsPath}`,
+        signedUrl: await this.gcpClient.getSignedReadUrl(renderData.bucketName, file.gcsPath, urlMinutes)
+      });
+    }
+
+    return {
+      renderId: renderData.id,
+      uuid: renderData.uuid,
+      userId: renderData.userId,
+      formId: renderData.formId,
+      prefix: renderData.prefix,
+      retentionDays: renderData.retentionDays,
+      createdAt: renderData.createdAt,
+      expiresAt: renderData.expiresAt,
+      signedUrlExpiresAt: new Date(Date.now() + urlMinutes * 60 * 1000).toISOString(),
+      images
+    };
+  }
+
+  /**
+   * Delete renders whose retention has run out, objects first so a failure leaves the record to retry
+   * @returns {Promise<number>} - Number of renders deleted
+   */
+  async purgeExpired() {
+    const expired = await this.gcpClient.getExpiredPdfRenders();
+    let purged = 0;
+
+    for (const renderData of expired) {
+      try {
+        for (const file of renderData.files) {
+          await this.gcpClient.deleteFile(renderData.bucketName, file.gcsPath);
+        }
+        await this.gcpClient.deletePdfRender(renderData.id);
+        purged++;
+      } catch (error) {
+        console.error(`⚠️ Could not purge PDF render ${renderData.id}:`, error.message);
+      }
+    }
+
+    return purged;
+  }
+}
+
+module.exports = RenderStorage;
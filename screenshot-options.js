@@ -0,0 +1,259 @@
+/**
+ * Screenshot Options for ChatterForms Railway Backend
+ * Validates the capture options accepted by POST /screenshot and applies them to a Puppeteer page:
+ * device presets, color scheme, output format, element capture, wait-for-selector and hidden overlays
+ */
+
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const DEVICE_PRESETS = {
+  desktop: {
+    viewport: { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: DESKTOP_USER_AGENT
+  },
+  iphone: {
+    viewport: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  ipad: {
+    viewport: { width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  }
+};
+
+// Consent banners of the common consent-management platforms (used by hideCookieBanners)
+const COOKIE_BANNER_SELECTORS = [
+  '#onetrust-consent-sdk',
+  '#CybotCookiebotDialog',
+  '#usercentrics-root',
+  '#didomi-host',
+  '#truste-consent-track',
+  '.qc-cmp2-container',
+  '.osano-cm-window',
+  '#hs-eu-cookie-confirmation',
+  '#cookie-law-info-bar',
+  '#cookie-notice',
+  '.cc-window',
+  '.cookie-banner',
+  '.cookie-consent',
+  '[aria-label="cookieconsent"]'
+];
+
+const FORMATS = ['png', 'jpeg', 'webp'];
+const COLOR_SCHEMES = ['light', 'dark'];
+const DEFAULT_WAIT_TIME = 4000;
+const MAX_WAIT_TIME = 30000;
+const DEFAULT_WAIT_TIMEOUT = 15000;
+const MAX_SELECTOR_LENGTH = 500;
+const MAX_HIDE_SELECTORS = 50;
+const VIEWPORT_LIMITS = { width: [320, 3840], height: [240, 4320] };
+
+function captureError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isSelector(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.length <= MAX_SELECTOR_LENGTH;
+}
+
+class ScreenshotOptions {
+  /**
+   * Validate the raw `options` object of a /screenshot request
+   * Unknown keys are ignored (the route reads its import options separately)
+   * @returns {Object} - { isValid: true, options } or { isValid: false, error }
+   */
+  parse(raw = {}) {
+    const device = raw.device ? String(raw.device).toLowerCase() : 'desktop';
+    const preset = DEVICE_PRESETS[device];
+    if (!preset) {
+      return { isValid: false, error: `device must be one of: ${Object.keys(DEVICE_PRESETS).join(', ')}` };
+    }
+
+    const viewport = { ...preset.viewport };
+    for (const dimension of ['width', 'height']) {
+      const value = raw.viewport?.[dimension];
+      if (value === undefined || value === null || value === '') continue;
+      const [min, max] = VIEWPORT_LIMITS[dimension];
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return { isValid: false, error: `viewport.${dimension} must be an integer between ${min} and ${max}` };
+      }
+      viewport[dimension] = number;
+    }
+
+    const colorScheme = raw.colorScheme ? String(raw.colorScheme).toLowerCase() : null;
+    if (colorScheme && !COLOR_SCHEMES.includes(colorScheme)) {
+      return { isValid: false, error: `colorScheme must be one of: ${COLOR_SCHEMES.join(', ')}` };
+    }
+
+    let format = raw.format ? String(raw.format).toLowerCase() : 'png';
+    if (format === 'jpg') format = 'jpeg';
+    if (!FORMATS.includes(format)) {
+      return { isValid: false, error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+
+    let quality = null;
+    if (raw.quality !== undefined && raw.quality !== null && raw.quality !== '') {
+      if (format === 'png') {
+        return { isValid: false, error: 'quality applies to jpeg and webp output only' };
+      }
+      quality = Number(raw.quality);
+      if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+        return { isValid: false, error: 'quality must be an integer between 1 and 100' };
+      }
+    } else if (format !== 'png') {
+      quality = 80;
+    }
+
+    for (const key of ['selector', 'waitForSelector']) {
+      if (raw[key] !== undefined && raw[key] !== null && !isSelector(raw[key])) {
+        return { isValid: false, error: `${key} must be a CSS selector of at most ${MAX_SELECTOR_LENGTH} characters` };
+      }
+    }
+
+    let waitTime = DEFAULT_WAIT_TIME;
+    if (raw.waitTime !== undefined && raw.waitTime !== null && raw.waitTime !== '') {
+      waitTime = Number(raw.waitTime);
+      if (!Number.isInteger(waitTime) || waitTime < 0 || waitTime > MAX_WAIT_TIME) {
+        return { isValid: false, error: `waitTime must be an integer between 0 and ${MAX_WAIT_TIME}` };
+      }
+    }
+
+    let waitTimeout = DEFAULT_WAIT_TIMEOUT;
+    if (raw.waitTimeout !== undefined && raw.waitTimeout !== null && raw.waitTimeout !== '') {
+      waitTimeout = Number(raw.waitTimeout);
+      if (!Number.isInteger(waitTimeout) || waitTimeout < 1 || waitTimeout > MAX_WAIT_TIME) {
+        return { isValid: false, error: `waitTimeout must be an integer between 1 and ${MAX_WAIT_TIME}` };
+      }
+    }
+
+    const hideSelectors = raw.hideSelectors === undefined || raw.hideSelectors === null ? [] : raw.hideSelectors;
+    if (!Array.isArray(hideSelectors) || hideSelectors.length > MAX_HIDE_SELECTORS || !hideSelectors.every(isSelector)) {
+      return { isValid: false, error: `hideSelectors must be an array of at most ${MAX_HIDE_SELECTORS} CSS selectors` };
+    }
+    const hideCookieBanners = raw.hideCookieBanners === true || raw.hideCookieBanners === 'true';
+
+    return {
+      isValid: true,
+      options: {
+        device,
+        viewport,
+        userAgent: preset.userAgent,
+        colorScheme,
+        format,
+        quality,
+        selector: raw.selector || null,
+        fullPage: raw.fullPage !== false && raw.fullPage !== 'false',
+        // An explicit waitForSelector replaces the fixed sleep unless waitTime is also given
+        waitForSelector: raw.waitForSelector || null,
+        waitTime: raw.waitForSelector && (raw.waitTime === undefined || raw.waitTime === null || raw.waitTime === '') ? 0 : waitTime,
+        waitTimeout,
+        hideSelectors: [...new Set([...(hideCookieBanners ? COOKIE_BANNER_SELECTORS : []), ...hideSelectors])],
+        hideCookieBanners
+      }
+    };
+  }
+
+  /**
+   * Part of the cache key contributed by the options: empty when the defaults are used (so
+   * existing URL-hash cache entries stay valid), otherwise every option that changes the image
+   */
+  cacheSignature(options) {
+    const defaults = this.parse({}).options;
+    return ['device', 'viewport', 'colorScheme', 'format', 'quality', 'selector', 'fullPage', 'waitForSelector', 'hideSelectors']
+      .filter(key => JSON.stringify(options[key]) !== JSON.stringify(defaults[key]))
+      .map(key => `${key}=${JSON.stringify(options[key])}`)
+      .join('&');
+  }
+
+  /**
+   * File name of the capture in the screenshot folder
+   */
+  filename(options) {
+    return `screenshot.${options.format === 'jpeg' ? 'jpg' : options.format}`;
+  }
+
+  /**
+   * Apply device emulation and color scheme (before navigation)
+   */
+  async emulate(page, options) {
+    await page.setViewport(options.viewport);
+    await page.setUserAgent(options.userAgent);
+    if (options.colorScheme) {
+      await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: options.colorScheme }]);
+    }
+  }
+
+  /**
+   * Wait for dynamic content: the waitForSelector element when given, then the fixed waitTime
+   */
+  async waitForContent(page, options) {
+    if (options.waitForSelector) {
+      console.log(`⏳ Waiting up to ${options.waitTimeout}ms for selector: ${options.waitForSelector}`);
+      try {
+        await page.waitForSelector(options.waitForSelector, { visible: true, timeout: options.waitTimeout });
+      } catch (error) {
+        throw captureError(`waitForSelector "${options.waitForSelector}" did not appear within ${options.waitTimeout}ms`, 'WAIT_FOR_SELECTOR_TIMEOUT');
+      }
+    }
+
+    if (options.waitTime > 0) {
+      console.log(`⏳ Waiting ${options.waitTime}ms for dynamic content...`);
+      await new Promise(resolve => setTimeout(resolve, options.waitTime));
+    }
+  }
+
+  /**
+   * Hide overlays (cookie banners, chat widgets) right before the capture
+   * @returns {Promise<number>} - Number of elements hidden
+   */
+  async hideElements(page, options) {
+    if (options.hideSelectors.length === 0) return 0;
+
+    return page.evaluate((selectors) => {
+      let hidden = 0;
+      selectors.forEach(selector => {
+        try {
+          document.querySelectorAll(selector).forEach(element => {
+            element.style.setProperty('display', 'none', 'important');
+            hidden++;
+          });
+        } catch (error) {
+          // Invalid selector: skip it rather than failing the capture
+        }
+      });
+      return hidden;
+    }, options.hideSelectors);
+  }
+
+  /**
+   * Write the screenshot: the first element matching options.selector, or the page
+   */
+  async capture(page, options, outputPath) {
+    const screenshotOptions = { path: outputPath, type: options.format };
+    if (options.quality !== null) screenshotOptions.quality = options.quality;
+
+    if (!options.selector) {
+      await page.screenshot({ ...screenshotOptions, fullPage: options.fullPage });
+      return;
+    }
+
+    let element;
+    try {
+      element = await page.$(options.selector);
+    } catch (error) {
+      throw captureError(`selector "${options.selector}" is not a valid CSS selector`, 'SELECTOR_NOT_FOUND');
+    }
+    if (!element || !(await element.boundingBox())) {
+      throw captureError(`selector "${options.selector}" matched no visible element`, 'SELECTOR_NOT_FOUND');
+    }
+    await element.screenshot(screenshotOptions);
+  }
+}
+
+ScreenshotOptions.DEVICE_PRESETS = DEVICE_PRESETS;
+ScreenshotOptions.COOKIE_BANNER_SELECTORS = COOKIE_BANNER_SELECTORS;
+
+module.exports = ScreenshotOptions;
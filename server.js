@@ -3,14 +3,61 @@ const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
 const { Poppler } = require('node-poppler');
-const puppeteer = require('puppeteer');
+const browserPool = require('./browser-pool');
 const Stripe = require('stripe');
 const session = require('express-session');
 
+const PDFService = require('./pdf-service');
+const JobQueue = require('./job-queue');
+const ConversionCache = require('./conversion-cache');
+const OutputArchive = require('./output-archive');
+const RenderStorage = require('./render-storage');
+const CleanupScheduler = require('./cleanup-scheduler');
+const WebFormImporter = require('./web-form-importer');
+const UrlGuard = require('./url-guard');
+const ScreenshotOptions = require('./screenshot-options');
+const CaptureAuth = require('./capture-auth');
+const OgImageGenerator = require('./og-image-generator');
+const FormDiff = require('./form-diff');
+const FormSchema = require('./form-schema');
+const SubmissionValidator = require('./submission-validator');
+const FormTemplates = require('./form-templates');
+
+// Non-negative integer from the environment, falling back when unset or malformed
+const readEnvInteger = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+};
+
+// Retention for local working files; the cleanup scheduler and the render/screenshot caches share it
+const PDF_RETENTION_MS = readEnvInteger('PDF_RETENTION_MINUTES', 60) * 60 * 1000;
+const SCREENSHOT_RETENTION_MS = readEnvInteger('SCREENSHOT_RETENTION_MINUTES', 30) * 60 * 1000;
+
 const app = express();
 const poppler = new Poppler();
+const pdfService = new PDFService(poppler);
+const webFormImporter = new WebFormImporter();
+const screenshotOptions = new ScreenshotOptions();
+const captureAuth = new CaptureAuth();
+const formDiff = new FormDiff();
+const formStructureSchema = new FormSchema();
+const submissionValidator = new SubmissionValidator();
+const formTemplates = new FormTemplates();
+// Outbound URL policy for /screenshot; SCREENSHOT_ALLOWED_PORTS is a comma-separated list
+const urlGuard = new UrlGuard({
+  allowedPorts: (process.env.SCREENSHOT_ALLOWED_PORTS || '80,443')
+    .split(',')
+    .map(port => parseInt(port, 10))
+    .filter(Number.isInteger)
+});
+const pdfJobQueue = new JobQueue({
+  concurrency: parseInt(process.env.PDF_CONVERSION_CONCURRENCY, 10) || 2,
+  maxQueued: parseInt(process.env.PDF_CONVERSION_MAX_QUEUED, 10) || 50
+});
+const conversionCache = new ConversionCache(path.join(__dirname, 'output'), PDF_RETENTION_MS);
+const outputArchive = new OutputArchive(path.join(__dirname, 'output'), path.join(__dirname, 'uploads'));
 const PORT = process.env.PORT || 3000; // Keep 3000 to match existing Dockerfile
 // Updated: Refresh button UI enhancements and form validation improvements
 
@@ -30,6 +77,22 @@ app.set('trust proxy', 1);
 const GCPClient = require('./gcp-client');
 const gcpClient = new GCPClient();
 
+// Long-lived copies of /upload renders in Cloud Storage (opt-in per request with persist=true)
+// PDF_RENDER_RETENTION_DAYS=0 keeps persisted renders indefinitely
+const renderStorage = new RenderStorage(gcpClient, {
+  defaultRetentionDays: readEnvInteger('PDF_RENDER_RETENTION_DAYS', 90),
+  signedUrlMinutes: readEnvInteger('PDF_RENDER_SIGNED_URL_MINUTES', 0) || undefined
+});
+
+// Social preview cards of published forms (logo requests go through the same URL policy)
+const ogImageGenerator = new OgImageGenerator(gcpClient, { browserPool, urlGuard });
+
+// Re-render a published form's preview card in the background; never fails the save
+function refreshFormOgImage(formId, structure) {
+  ogImageGenerator.refresh(formId, structure)
+    .catch(error => console.error(`⚠️ OG image generation failed for form ${formId} (non-blocking):`, error.message));
+}
+
 // Initialize Email Service
 const emailService = require('./email-service');
 
@@ -50,6 +113,63 @@ console.log(`🌐 Base URL: ${BASE_URL}`);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir);
 });
 
+// Re-index PDF renders that survived a restart so the conversion cache can reuse them
+console.log(`🎯 Conversion cache loaded ${conversionCache.load()} existing render(s)`);
+
+// Upload UUIDs and screenshot hashes of requests still being handled; cleanup skips entries named after them
+const inFlightEntries = new Map();
+
+// Mark an entry name prefix as in use until the returned release function is called
+function markInFlight(prefix) {
+  inFlightEntries.set(prefix, (inFlightEntries.get(prefix) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const count = inFlightEntries.get(prefix) - 1;
+    if (count > 0) inFlightEntries.set(prefix, count);
+    else inFlightEntries.delete(prefix);
+  };
+}
+
+function isEntryInFlight(entryName) {
+  for (const prefix of inFlightEntries.keys()) {
+    if (entryName.startsWith(prefix)) return true;
+  }
+  return false;
+}
+
+// Give a PDF request its UUID before multer stores the upload and keep its files until the response is done
+function trackPdfRequest(req, res, next) {
+  req.uuid = req.uuid || uuidv4();
+  res.on('close', markInFlight(req.uuid));
+  next();
+}
+
+// Expire working files by retention, then evict least recently used entries beyond DISK_QUOTA_MB
+// Files of requests in progress and of queued/running PDF jobs are never removed
+const cleanupScheduler = new CleanupScheduler({
+  targets: [
+    { name: 'uploads', dir: path.join(__dirname, 'uploads'), retentionMs: PDF_RETENTION_MS },
+    { name: 'output', dir: path.join(__dirname, 'output'), retentionMs: PDF_RETENTION_MS },
+    { name: 'conversion-cache', dir: path.join(__dirname, 'conversion-cache'), retentionMs: PDF_RETENTION_MS },
+    { name: 'screenshots', dir: path.join(__dirname, 'screenshots'), retentionMs: SCREENSHOT_RETENTION_MS }
+  ],
+  maxBytes: readEnvInteger('DISK_QUOTA_MB', 1024) * 1024 * 1024,
+  intervalMs: readEnvInteger('CLEANUP_INTERVAL_MINUTES', 15) * 60 * 1000,
+  isInUse: (targetName, entryName) => isEntryInFlight(entryName) || (targetName !== 'screenshots' &&
+    pdfJobQueue.hasUnfinishedJob(job => entryName.startsWith(job.data.uuid))),
+  afterRun: async () => {
+    // Persisted renders in Cloud Storage past their retention; a GCP outage must not fail local cleanup
+    try {
+      return { purgedRenders: await renderStorage.purgeExpired() };
+    } catch (purgeErr) {
+      console.error('⚠️ Purging expired persisted renders failed:', purgeErr.message);
+      return { purgedRenders: 0, purgeError: purgeErr.message };
+    }
+  }
+});
+
 // Stripe webhook endpoint needs raw body - must be before JSON parsing
 app.post('/api/billing/webhook', express.raw({type: 'application/json'}), async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -868,6 +988,22 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// Multi-file PDF uploads (merge) share one UUID and get a 1-based index in upload order
+const batchStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, 'uploads/'),
+  filename: (req, file, cb) => {
+    const uuid = req.uuid || uuidv4();
+    req.uuid = uuid;
+    req.uploadIndex = (req.uploadIndex || 0) + 1;
+    cb(null, `${uuid}-${req.uploadIndex}.pdf`);
+  }
+});
+const batchUpload = multer({
+  storage: batchStorage,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit per file
+});
+const MAX_MERGE_FILES = 20;
+
 // Static folders
 app.use('/output', express.static(path.join(__dirname, 'output')));
 app.use('/screenshots', express.static(path.join(__dirname, 'screenshots')));
@@ -903,18 +1039,16 @@ function generateUrlHash(url) {
   return crypto.createHash('md5').update(url).digest('hex');
 }
 
-// Check if cached screenshot exists and is still valid (30 minutes)
-function getCachedScreenshot(urlHash) {
+// Check if cached screenshot exists and is still valid (SCREENSHOT_RETENTION_MINUTES)
+function getCachedScreenshot(urlHash, filename = 'screenshot.png') {
   const screenshotDir = path.join(__dirname, 'screenshots', urlHash);
-  const screenshotPath = path.join(screenshotDir, 'screenshot.png');
+  const screenshotPath = path.join(screenshotDir, filename);
   
   if (fs.existsSync(screenshotPath)) {
     const stats = fs.statSync(screenshotPath);
-    const thirtyMinutesAgo = Date.now() - (30 * 60 * 1000);
-    
-    if (stats.mtime.getTime() > thirtyMinutesAgo) {
+    if (stats.mtime.getTime() > Date.now() - SCREENSHOT_RETENTION_MS) {
       return {
-        url: `${BASE_URL}/screenshots/${urlHash}/screenshot.png`,
+        url: `${BASE_URL}/screenshots/${urlHash}/${filename}`,
         size: stats.size,
         cached: true
       };
@@ -940,130 +1074,130 @@ function validateUrl(url) {
   }
 }
 
+// Throw when the guard recorded a blocked main-frame navigation (redirect to an internal address)
+// or any response served from an internal address (DNS rebinding)
+function assertNavigationAllowed(guardState) {
+  if (guardState.blockedNavigation) {
+    const error = new Error(`Navigation to ${guardState.blockedNavigation.url} was blocked: ${guardState.blockedNavigation.reason}`);
+    error.code = 'URL_BLOCKED';
+    throw error;
+  }
+  urlGuard.assertNoPrivateResponses(guardState);
+}
+
 // Capture screenshot with Puppeteer
-async function captureFormScreenshot(url, urlHash, options = {}) {
+// options: capture settings from ScreenshotOptions.parse plus extractFields/formIndex for import mode
+// auth: credentials from CaptureAuth.parse (null for public pages); never log it
+async function captureFormScreenshot(url, urlHash, options = screenshotOptions.parse({}).options, auth = null) {
   const screenshotDir = path.join(__dirname, 'screenshots', urlHash);
-  const screenshotPath = path.join(screenshotDir, 'screenshot.png');
+  const filename = screenshotOptions.filename(options);
+  const screenshotPath = path.join(screenshotDir, filename);
   
   // Create directory
   if (!fs.existsSync(screenshotDir)) {
     fs.mkdirSync(screenshotDir, { recursive: true });
   }
 
-  let browser;
   const startTime = Date.now();
 
   try {
-    // Detect environment and set browser options
-    const isRailway = !!process.env.RAILWAY_PUBLIC_DOMAIN;
-    const browserOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--single-process',
-        '--disable-gpu',
-        '--disable-extensions',
-        '--disable-default-apps',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding',
-        '--memory-pressure-off',
-        '--max_old_space_size=1024',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor'
-      ]
-    };
-
-    // Use system Chrome on Railway (via Dockerfile)
-    if (isRailway && process.env.PUPPETEER_EXECUTABLE_PATH) {
-      browserOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-      console.log(`🐳 Using system Chrome: ${process.env.PUPPETEER_EXECUTABLE_PATH}`);
-    } else {
-      console.log('💻 Using bundled Chromium');
-    }
+    return await browserPool.withPage(async (page) => {
+      // Every navigation, redirect hop and sub-resource is re-checked against the URL policy
+      // Auth headers ride along on target-origin requests only
+      const guardState = await urlGuard.protectPage(page, { requestHeaders: captureAuth.requestHeaders(auth) });
 
-    // Launch browser with environment-specific settings
-    browser = await puppeteer.launch(browserOptions);
-
-    const page = await browser.newPage();
-    
-    // Set viewport and user agent
-    await page.setViewport({ 
-      width: options.viewport?.width || 1280, 
-      height: options.viewport?.height || 800 
-    });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+      // Device emulation (viewport, user agent) and color scheme
+      await screenshotOptions.emulate(page, options);
     
-    // Set extra headers
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9'
-    });
+      // Set extra headers
+      await page.setExtraHTTPHeaders({
+        'Accept-Language': 'en-US,en;q=0.9'
+      });
+
+      // Session cookies for pages behind a login (the browser context is discarded after the task)
+      await captureAuth.apply(page, auth);
 
-    console.log(`📄 Navigating to URL: ${url}`);
+      console.log(`📄 Navigating to URL: ${url}`);
     
-    // Navigate with timeout
-    await page.goto(url, { 
-      waitUntil: 'networkidle0',
-      timeout: 45000
-    });
+      // Navigate with timeout
+      try {
+        await page.goto(url, { 
+          waitUntil: 'networkidle0',
+          timeout: 45000
+        });
+      } catch (navigationError) {
+        assertNavigationAllowed(guardState);
+        throw navigationError;
+      }
 
-    // Wait for dynamic content
-    const waitTime = options.waitTime || 4000;
-    console.log(`⏳ Waiting ${waitTime}ms for dynamic content...`);
-    await new Promise(resolve => setTimeout(resolve, waitTime));
+      // Wait for dynamic content (waitForSelector and/or a fixed sleep)
+      await screenshotOptions.waitForContent(page, options);
+
+      // A client-side redirect can replace the page after goto resolves
+      assertNavigationAllowed(guardState);
+
+      // Scroll to load content and find forms
+      await page.evaluate(() => {
+        return new Promise((resolve) => {
+          let totalHeight = 0;
+          const distance = 100;
+          const timer = setInterval(() => {
+            const scrollHeight = document.body.scrollHeight;
+            window.scrollBy(0, distance);
+            totalHeight += distance;
+
+            if (totalHeight >= scrollHeight) {
+              clearInterval(timer);
+              // Scroll back to top
+              window.scrollTo(0, 0);
+              setTimeout(resolve, 1000);
+            }
+          }, 100);
+        });
+      });
 
-    // Scroll to load content and find forms
-    await page.evaluate(() => {
-      return new Promise((resolve) => {
-        let totalHeight = 0;
-        const distance = 100;
-        const timer = setInterval(() => {
-          const scrollHeight = document.body.scrollHeight;
-          window.scrollBy(0, distance);
-          totalHeight += distance;
+      // Get page metadata
+      const pageTitle = await page.title();
+      const finalUrl = page.url();
 
-          if (totalHeight >= scrollHeight) {
-            clearInterval(timer);
-            // Scroll back to top
-            window.scrollTo(0, 0);
-            setTimeout(resolve, 1000);
-          }
-        }, 100);
-      });
-    });
+      // Import mode: read the form controls while the page is loaded
+      const formStructure = options.extractFields
+        ? await webFormImporter.extract(page, {
+          formIndex: options.formIndex !== undefined ? Number(options.formIndex) : undefined
+        })
+        : null;
 
-    // Get page metadata
-    const pageTitle = await page.title();
-    const finalUrl = page.url();
+      const hiddenElements = await screenshotOptions.hideElements(page, options);
 
-    console.log('📸 Taking screenshot...');
+      console.log(`📸 Taking ${options.format} screenshot${options.selector ? ` of ${options.selector}` : ''} (${options.device})...`);
     
-    // Take screenshot
-    await page.screenshot({ 
-      path: screenshotPath,
-      fullPage: options.fullPage !== false,
-      type: 'png'
-    });
+      // Take screenshot
+      await screenshotOptions.capture(page, options, screenshotPath);
 
-    const loadTime = Date.now() - startTime;
-    const stats = fs.statSync(screenshotPath);
+      // Late sub-resources may have come from a rebound host; the failure path removes the file
+      assertNavigationAllowed(guardState);
 
-    console.log(`✅ Screenshot captured: ${urlHash} (${loadTime}ms)`);
+      const loadTime = Date.now() - startTime;
+      const stats = fs.statSync(screenshotPath);
 
-    return {
-      url: `${BASE_URL}/screenshots/${urlHash}/screenshot.png`,
-      size: stats.size,
-      pageTitle,
-      finalUrl,
-      loadTime,
-      viewport: { width: options.viewport?.width || 1280, height: options.viewport?.height || 800 },
-      cached: false
-    };
+      console.log(`✅ Screenshot captured: ${urlHash} (${loadTime}ms)`);
+
+      return {
+        url: `${BASE_URL}/screenshots/${urlHash}/${filename}`,
+        size: stats.size,
+        pageTitle,
+        finalUrl,
+        loadTime,
+        viewport: { width: options.viewport.width, height: options.viewport.height },
+        device: options.device,
+        colorScheme: options.colorScheme,
+        format: options.format,
+        selector: options.selector,
+        hiddenElements,
+        formStructure,
+        cached: false
+      };
+    });
 
   } catch (error) {
     console.error('Screenshot capture error:', error);
@@ -1078,65 +1212,77 @@ async function captureFormScreenshot(url, urlHash, options = {}) {
     }
     
     throw error;
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
   }
 }
 
 // ============== EXISTING PDF ENDPOINTS ==============
 
-app.post('/upload', upload.single('pdf'), async (req, res) => {
-  const uuid = req.uuid || uuidv4();
+// Client-facing responses for PDF errors tagged by PDFService
+const PDF_ERROR_RESPONSES = {
+  PAGE_OUT_OF_RANGE: { status: 400, error: 'Invalid conversion options' },
+  PDF_PASSWORD_REQUIRED: { status: 422, error: 'PDF is password protected' },
+  PDF_WRONG_PASSWORD: { status: 422, error: 'Incorrect PDF password' },
+  PDF_CORRUPT: { status: 422, error: 'PDF file is corrupt or unreadable' },
+  RENDER_STORAGE_FAILED: { status: 502, error: 'Could not save renders to Cloud Storage' },
+  QUEUE_FULL: { status: 503, error: 'PDF processing queue is full' }
+};
+
+function sendPdfError(res, err, fallbackError) {
+  const known = PDF_ERROR_RESPONSES[err.code];
+  res.status(known ? known.status : 500).json({
+    success: false,
+    error: known ? known.error : fallbackError,
+    code: known ? err.code : undefined,
+    details: err.message
+  });
+}
+
+// Run PDF work for a request through pdfJobQueue so it counts against the same concurrency cap as /upload
+// and waits its turn; data.uuid keeps its upload and output safe from cleanup meanwhile
+function runQueuedPdfWork(uuid, operation, work) {
+  const job = pdfJobQueue.enqueue(() => work(), { uuid, operation });
+  return pdfJobQueue.waitFor(job.id);
+}
+
+// Render an uploaded PDF into output/<uuid>/; removes the upload and partial output on failure
+async function convertUploadedPdf(uuid, { conversionOptions, passwords, cacheKey }, reportProgress) {
   const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
   const outputDir = path.join(__dirname, 'output', uuid);
-  const outputBase = path.join(outputDir, 'page');
 
   try {
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    const options = {
-      pngFile: true,
-      firstPageToConvert: 1,
-      lastPageToConvert: 0,
-      singleFile: false,
-      resolutionXYAxis: 150
-    };
-
-    await poppler.pdfToCairo(pdfPath, outputBase, options);
-
-    const outputFiles = fs.readdirSync(outputDir)
-      .filter(f => f.endsWith('.png'))
-      .sort((a, b) => {
-        const numA = parseInt(a.match(/page-(\d+)\.png/)?.[1] || '0');
-        const numB = parseInt(b.match(/page-(\d+)\.png/)?.[1] || '0');
-        return numA - numB;
-      });
+    const pages = await pdfService.convertPdf(pdfPath, outputDir, conversionOptions, {
+      onProgress: reportProgress,
+      passwords
+    });
 
-    const imageUrls = outputFiles.map((file, index) => ({
-      page: index + 1,
-      filename: file,
-      url: `${BASE_URL}/output/${uuid}/${file}`,
-      size: fs.statSync(path.join(outputDir, file)).size
-    }));
+    console.log(`✅ PDF converted. UUID: ${uuid}, Pages: ${pages.length}, Format: ${conversionOptions.format}, DPI: ${conversionOptions.dpi}`);
 
-    console.log(`✅ PDF converted. UUID: ${uuid}, Pages: ${outputFiles.length}`);
+    const result = {
+      uuid,
+      totalPages: pages.length,
+      images: pages.map(page => ({
+        ...page,
+        url: `${BASE_URL}/output/${uuid}/${page.filename}`
+      })),
+      options: conversionOptions
+    };
 
-    res.json({
-      success: true,
-      uuid: uuid,
-      totalPages: outputFiles.length,
-      images: imageUrls,
-      baseUrl: BASE_URL,
-      message: `Successfully converted ${outputFiles.length} page(s)`
-    });
+    if (cacheKey) {
+      try {
+        conversionCache.store(cacheKey, uuid, result);
+      } catch (cacheErr) {
+        console.warn('⚠️ Could not record PDF conversion in cache:', cacheErr.message);
+      }
+    }
 
+    return result;
   } catch (err) {
     console.error("❌ PDF conversion failed:", err);
-    
+
     try {
       if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
       if (fs.existsSync(outputDir)) fs.rmSync(outputDir, { recursive: true, force: true });
@@ -1144,1754 +1290,3130 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
       console.error("⚠️ PDF cleanup failed:", cleanupErr);
     }
 
-    res.status(500).json({
-      success: false,
-      error: 'PDF conversion failed',
-      details: err.message
-    });
+    throw err;
   }
-});
+}
 
-// ============== NEW SCREENSHOT ENDPOINT ==============
+// Copy finished renders to Cloud Storage and add the signed URLs to the conversion result
+async function persistUploadedRenders(result, storageOptions) {
+  try {
+    const stored = await renderStorage.persist(
+      result.uuid,
+      path.join(__dirname, 'output', result.uuid),
+      result.images,
+      storageOptions
+    );
+    const { images, ...storage } = stored;
+    return {
+      ...result,
+      images: result.images.map((image, index) => ({ ...image, ...images[index] })),
+      storage
+    };
+  } catch (err) {
+    console.error(`❌ Persisting renders for ${result.uuid} failed:`, err);
+    err.code = 'RENDER_STORAGE_FAILED';
+    throw err;
+  }
+}
 
-app.post('/screenshot', async (req, res) => {
-  const { url, options = {} } = req.body;
-  
-  if (!url) {
+app.post('/upload', trackPdfRequest, upload.single('pdf'), async (req, res) => {
+  const uuid = req.uuid || uuidv4();
+  const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
+  const asyncMode = req.body.async === 'true' || req.query.async === 'true';
+
+  // Output format, resolution, page range and scaling are optional multipart fields
+  const conversion = pdfService.parseConversionOptions(req.body);
+  if (!conversion.isValid) {
+    if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
     return res.status(400).json({
       success: false,
-      error: 'URL is required',
-      details: 'Please provide a valid URL to capture'
+      error: 'Invalid conversion options',
+      details: conversion.error
     });
   }
-
-  // Validate URL
-  const validation = validateUrl(url);
-  if (!validation.isValid) {
+  const conversionOptions = conversion.options;
+  // Passwords stay out of conversionOptions so they are never echoed back or logged
+  const passwords = pdfService.parsePasswords(req.body);
+
+  // persist=true (with userId, optional formId/retentionDays) also copies the renders to Cloud Storage
+  const persistence = renderStorage.parseOptions(req.body);
+  if (!persistence.isValid) {
+    if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
     return res.status(400).json({
       success: false,
-      error: 'Invalid URL',
-      details: validation.error
+      error: 'Invalid storage options',
+      details: persistence.error
     });
   }
+  const storageOptions = persistence.options;
 
-  const normalizedUrl = validation.normalizedUrl;
-  const urlHash = generateUrlHash(normalizedUrl);
-
+  // Identical bytes + options (+ password) reuse the renders from an earlier upload
+  let cacheKey = null;
   try {
-    // Check for cached screenshot
-    const cached = getCachedScreenshot(urlHash);
-    if (cached) {
-      console.log(`🎯 Cache hit for URL hash: ${urlHash}`);
-      return res.json({
-        success: true,
-        urlHash: urlHash,
-        screenshot: cached,
-        metadata: {
-          finalUrl: normalizedUrl,
-          cached: true,
-          cacheAge: '< 30 minutes'
-        },
-        message: 'Screenshot retrieved from cache'
-      });
+    cacheKey = conversionCache.computeKey(pdfPath, conversionOptions, passwords);
+  } catch (err) {
+    console.warn('⚠️ Could not compute PDF cache key:', err.message);
+  }
+
+  const cached = cacheKey ? conversionCache.lookup(cacheKey) : null;
+  if (cached) {
+    if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    console.log(`🎯 Cache hit for PDF conversion: ${cached.uuid}`);
+
+    let result = cached.result;
+    if (storageOptions) {
+      try {
+        result = await persistUploadedRenders({ ...result, uuid: cached.uuid }, storageOptions);
+      } catch (err) {
+        return sendPdfError(res, err, 'PDF conversion failed');
+      }
     }
 
-    console.log(`📸 Capturing new screenshot for: ${normalizedUrl}`);
-    
-    // Capture new screenshot
-    const screenshot = await captureFormScreenshot(normalizedUrl, urlHash, options);
-    
-    res.json({
+    const response = {
       success: true,
-      urlHash: urlHash,
-      screenshot: {
-        url: screenshot.url,
-        size: screenshot.size,
-        cached: false
-      },
-      metadata: {
-        finalUrl: screenshot.finalUrl,
-        pageTitle: screenshot.pageTitle,
-        loadTime: screenshot.loadTime,
-        viewport: screenshot.viewport
-      },
-      message: 'Screenshot captured successfully'
-    });
+      uuid: cached.uuid,
+      state: 'completed',
+      totalPages: result.totalPages,
+      images: result.images,
+      archiveUrl: `${BASE_URL}/output/${cached.uuid}/archive.zip`,
+      storage: result.storage,
+      options: result.options,
+      baseUrl: BASE_URL,
+      cached: true,
+      cachedAt: cached.createdAt,
+      message: 'PDF conversion retrieved from cache'
+    };
 
-  } catch (error) {
-    console.error('❌ Screenshot failed:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: 'Screenshot capture failed',
-      details: error.message,
-      suggestions: [
-        'Check if the URL is accessible and not behind authentication',
-        'Verify the URL contains an actual form',
-        'Try again in a few moments',
-        'Consider uploading a manual screenshot instead'
-      ]
-    });
-  }
-});
+    // Async callers get the usual job contract: a job that is already completed
+    if (asyncMode) {
+      const job = pdfJobQueue.recordCompleted(result, { uuid: cached.uuid, cached: true });
+      return res.status(202).json({
+        ...response,
+        jobId: job.id,
+        statusUrl: `${BASE_URL}/upload/jobs/${job.id}`
+      });
+    }
 
-// ============== CLEANUP ENDPOINTS ==============
+    return res.json(response);
+  }
 
-// Manual cleanup for specific UUID (PDF)
-app.delete('/cleanup/:uuid', (req, res) => {
-  const { uuid } = req.params;
-  
+  // Every conversion goes through the queue so concurrent poppler processes stay capped
+  let job;
   try {
-    const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
-    const outputDir = path.join(__dirname, 'output', uuid);
-    
-    let cleaned = [];
-
-    if (fs.existsSync(pdfPath)) {
-      fs.unlinkSync(pdfPath);
-      cleaned.push('PDF file');
+    job = pdfJobQueue.enqueue(
+      async (queuedJob, reportProgress) => {
+        const result = await convertUploadedPdf(uuid, { conversionOptions, passwords, cacheKey }, reportProgress);
+        return storageOptions ? persistUploadedRenders(result, storageOptions) : result;
+      },
+      { uuid }
+    );
+  } catch (err) {
+    if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    if (err.code === 'QUEUE_FULL') {
+      return res.status(503).json({
+        success: false,
+        error: 'PDF conversion queue is full',
+        details: 'Too many conversions are waiting. Please try again shortly.'
+      });
     }
+    return res.status(500).json({
+      success: false,
+      error: 'PDF conversion failed',
+      details: err.message
+    });
+  }
 
-    if (fs.existsSync(outputDir)) {
-      fs.rmSync(outputDir, { recursive: true, force: true });
-      cleaned.push('Output directory');
-    }
+  if (asyncMode) {
+    console.log(`📥 PDF conversion queued. UUID: ${uuid}, Job: ${job.id}`);
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      uuid: uuid,
+      state: job.state,
+      statusUrl: `${BASE_URL}/upload/jobs/${job.id}`,
+      message: 'PDF conversion queued'
+    });
+  }
 
-    console.log(`🗑️ Cleaned up PDF UUID: ${uuid}`);
+  try {
+    const result = await pdfJobQueue.waitFor(job.id);
 
     res.json({
       success: true,
       uuid: uuid,
-      cleaned: cleaned,
-      message: cleaned.length > 0 ? 'Files cleaned successfully' : 'No files found to clean'
+      totalPages: result.totalPages,
+      images: result.images,
+      archiveUrl: `${BASE_URL}/output/${uuid}/archive.zip`,
+      storage: result.storage,
+      options: result.options,
+      baseUrl: BASE_URL,
+      cached: false,
+      message: `Successfully converted ${result.totalPages} page(s)`
     });
 
   } catch (err) {
-    console.error(`❌ PDF cleanup failed for UUID ${uuid}:`, err);
-    res.status(500).json({
+    sendPdfError(res, err, 'PDF conversion failed');
+  }
+});
+
+// Poll an asynchronous PDF conversion job
+app.get('/upload/jobs/:jobId', (req, res) => {
+  const job = pdfJobQueue.getJob(req.params.jobId);
+
+  // Other PDF routes queue their work too, but only /upload conversions can be polled
+  if (!job || job.data.operation) {
+    return res.status(404).json({
       success: false,
-      error: 'Cleanup failed',
-      details: err.message
+      error: 'Job not found',
+      details: 'The job id is unknown or its results have expired'
     });
   }
+
+  const response = {
+    success: true,
+    jobId: job.id,
+    uuid: job.data.uuid,
+    state: job.state,
+    pagesDone: job.progress.pagesDone || 0,
+    totalPages: job.progress.totalPages ?? null,
+    queuePosition: pdfJobQueue.getQueuePosition(job.id),
+    cached: !!job.data.cached,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+
+  if (job.state === 'completed') {
+    response.images = job.result.images;
+    response.archiveUrl = `${BASE_URL}/output/${job.data.uuid}/archive.zip`;
+    response.storage = job.result.storage;
+    response.options = job.result.options;
+  } else if (job.state === 'failed') {
+    const known = PDF_ERROR_RESPONSES[job.error.code];
+    response.error = known ? known.error : 'PDF conversion failed';
+    response.code = known ? job.error.code : undefined;
+    response.details = job.error.message;
+  }
+
+  res.json(response);
 });
 
-// Manual cleanup for specific URL hash (Screenshot)
-app.delete('/cleanup/screenshot/:urlHash', (req, res) => {
-  const { urlHash } = req.params;
-  
-  try {
-    const screenshotDir = path.join(__dirname, 'screenshots', urlHash);
-    
-    let cleaned = [];
+// Fresh signed URLs for renders persisted with persist=true (the URLs expire long before the renders)
+app.get('/pdf/renders/:renderId', async (req, res) => {
+  const { userId } = req.query;
 
-    if (fs.existsSync(screenshotDir)) {
-      fs.rmSync(screenshotDir, { recursive: true, force: true });
-      cleaned.push('Screenshot directory');
-    }
+  if (!userId) {
+    return res.status(400).json({
+      success: false,
+      error: 'userId is required'
+    });
+  }
 
-    console.log(`🗑️ Cleaned up screenshot hash: ${urlHash}`);
+  try {
+    const render = await renderStorage.get(req.params.renderId, userId);
+    if (!render) {
+      return res.status(404).json({
+        success: false,
+        error: 'Render not found',
+        details: 'The render id is unknown, belongs to another user or its retention has expired'
+      });
+    }
 
     res.json({
       success: true,
-      urlHash: urlHash,
-      cleaned: cleaned,
-      message: cleaned.length > 0 ? 'Screenshot cleaned successfully' : 'No screenshot found to clean'
+      render
     });
 
   } catch (err) {
-    console.error(`❌ Screenshot cleanup failed for hash ${urlHash}:`, err);
+    console.error('❌ Failed to load persisted render:', err);
     res.status(500).json({
       success: false,
-      error: 'Screenshot cleanup failed',
+      error: 'Failed to load persisted render',
       details: err.message
     });
   }
 });
 
-// Scheduled cleanup (files older than specified time)
-app.get('/cleanup', (req, res) => {
-  try {
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    const thirtyMinutesAgo = Date.now() - (30 * 60 * 1000);
-    let cleanedCount = 0;
-
-    // Clean PDF uploads folder (1 hour)
-    if (fs.existsSync('./uploads')) {
-      fs.readdirSync('./uploads').forEach(file => {
-        const filePath = path.join('./uploads', file);
-        const stats = fs.statSync(filePath);
-        if (stats.mtime.getTime() < oneHourAgo) {
-          fs.unlinkSync(filePath);
-          cleanedCount++;
-        }
-      });
-    }
+// Extract text layout (blocks, lines, words with coordinates and fonts) from an uploaded PDF
+app.post('/extract-text', trackPdfRequest, upload.single('pdf'), async (req, res) => {
+  const uuid = req.uuid || uuidv4();
+  const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
 
-    // Clean PDF output folders (1 hour)
-    if (fs.existsSync('./output')) {
-      fs.readdirSync('./output').forEach(folder => {
-        const folderPath = path.join('./output', folder);
-        if (fs.statSync(folderPath).isDirectory()) {
-          const stats = fs.statSync(folderPath);
-          if (stats.mtime.getTime() < oneHourAgo) {
-            fs.rmSync(folderPath, { recursive: true, force: true });
-            cleanedCount++;
-          }
-        }
-      });
-    }
+  const pageRange = pdfService.parsePageRange(req.body);
+  if (!pageRange.isValid) {
+    if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid page range',
+      details: pageRange.error
+    });
+  }
 
-    // Clean screenshot folders (30 minutes)
-    if (fs.existsSync('./screenshots')) {
-      fs.readdirSync('./screenshots').forEach(folder => {
-        const folderPath = path.join('./screenshots', folder);
-        if (fs.statSync(folderPath).isDirectory()) {
-          const stats = fs.statSync(folderPath);
-          if (stats.mtime.getTime() < thirtyMinutesAgo) {
-            fs.rmSync(folderPath, { recursive: true, force: true });
-            cleanedCount++;
-          }
-        }
-      });
-    }
+  try {
+    const passwords = pdfService.parsePasswords(req.body);
+    const pages = await runQueuedPdfWork(uuid, 'extract-text', () => pdfService.extractText(pdfPath, pageRange, passwords));
 
-    console.log(`🗑️ Scheduled cleanup completed. Cleaned ${cleanedCount} items.`);
+    console.log(`✅ PDF text extracted. UUID: ${uuid}, Pages: ${pages.length}`);
 
     res.json({
       success: true,
-      cleanedCount: cleanedCount,
-      message: `Cleaned ${cleanedCount} old files/folders`,
-      cleanupPolicy: {
-        pdfFiles: '1 hour',
-        screenshots: '30 minutes'
-      }
+      uuid: uuid,
+      totalPages: pages.length,
+      pages: pages,
+      units: 'pt',
+      message: `Successfully extracted text from ${pages.length} page(s)`
     });
 
   } catch (err) {
-    console.error("❌ Scheduled cleanup failed:", err);
-    res.status(500).json({
-      success: false,
-      error: 'Scheduled cleanup failed',
-      details: err.message
-    });
-  }
-});
+    console.error("❌ PDF text extraction failed:", err);
 
-// ============== DEBUG ENDPOINT ==============
+    try {
+      if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    } catch (cleanupErr) {
+      console.error("⚠️ PDF cleanup failed:", cleanupErr);
+    }
 
-// Debug environment variables (remove in production)
-app.get('/debug-env', (req, res) => {
-  res.json({
-    timestamp: new Date().toISOString(),
-    environment: {
-      NODE_ENV: process.env.NODE_ENV,
-      GOOGLE_CLOUD_PROJECT: process.env.GOOGLE_CLOUD_PROJECT,
-      GOOGLE_APPLICATION_CREDENTIALS_JSON: process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON ? 'SET' : 'NOT_SET',
-      ENABLE_GCP_TEST: process.env.ENABLE_GCP_TEST,
-      RAILWAY_PUBLIC_DOMAIN: process.env.RAILWAY_PUBLIC_DOMAIN,
-    },
-    hasCredentials: !!process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON,
-    credentialsLength: process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON ? process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON.length : 0
-  });
+    sendPdfError(res, err, 'PDF text extraction failed');
+  }
 });
 
-// ============== FORM STORAGE ENDPOINT ==============
+// Inspect a PDF (page sizes, fonts, encryption, metadata, scanned pages) without converting it
+app.post('/pdf/info', trackPdfRequest, upload.single('pdf'), async (req, res) => {
+  const uuid = req.uuid || uuidv4();
+  const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
 
-// Store form structure in GCP
-app.post('/store-form', async (req, res) => {
   try {
-    const { formData, userId, metadata } = req.body;
-
-    if (!formData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Form data is required'
-      });
-    }
+    const passwords = pdfService.parsePasswords(req.body);
+    const info = await runQueuedPdfWork(uuid, 'info', () => pdfService.inspectPdf(pdfPath, passwords));
 
-    console.log('📝 Storing form structure in GCP...');
-    console.log('🔍 Received metadata:', JSON.stringify(metadata, null, 2));
-    
-    // Initialize GCP client
-    const GCPClient = require('./gcp-client');
-    const gcpClient = new GCPClient();
+    console.log(`✅ PDF inspected. UUID: ${uuid}, Pages: ${info.pageCount}, Warnings: ${info.warnings.length}`);
 
-    // Use the form ID from the form data, or generate a new one
-    const formId = formData.id || formData.formId || `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    res.json({
+      success: true,
+      uuid: uuid,
+      info: info,
+      message: `Inspected ${info.pageCount} page(s)`
+    });
 
-    // Store form structure
-    console.log(`📝 Attempting to store form in Firestore: ${formId}`);
-    console.log(`📝 Form data:`, JSON.stringify(formData, null, 2));
-    
-    const result = await gcpClient.storeFormStructure(
-      formId,
-      formData,
-      userId || 'anonymous',
-      {
-        ...metadata,
-        source: 'railway-backend',
-        isHipaa: metadata?.isHipaa || false,
-        isPublished: metadata?.isPublished || false,
-        userAgent: req.get('User-Agent'),
-        ipAddress: req.ip || req.connection.remoteAddress
-      }
-    );
+  } catch (err) {
+    console.error("❌ PDF inspection failed:", err);
+    sendPdfError(res, err, 'PDF inspection failed');
+  } finally {
+    try {
+      if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    } catch (cleanupErr) {
+      console.error("⚠️ PDF cleanup failed:", cleanupErr);
+    }
+  }
+});
 
-    console.log(`✅ Form structure stored: ${formId}`);
-    console.log(`✅ Storage result:`, JSON.stringify(result, null, 2));
+// Stream every file rendered for an upload as one ZIP (?includeSource=true adds the uploaded PDF)
+app.get('/output/:uuid/archive.zip', async (req, res) => {
+  const { uuid } = req.params;
+  const includeSource = req.query.includeSource === 'true';
 
-    const responseData = {
-      success: true,
-      formId,
-      userId: userId || 'anonymous',
-      isAnonymous: !userId || userId === 'anonymous',
-      isUpdate: metadata?.isEdit || false,
-      isLLMUpdate: metadata?.isLLMUpdate || false,
-      message: 'Form structure stored successfully',
-      timestamp: new Date().toISOString()
-    };
-    
-    console.log('🔍 Sending response:', JSON.stringify(responseData, null, 2));
-    res.json(responseData);
+  if (!uuidValidate(uuid)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid UUID',
+      details: 'Use the uuid returned by /upload'
+    });
+  }
 
-  } catch (error) {
-    console.error('❌ Form storage error:', error);
-    res.status(500).json({
+  const entries = outputArchive.listEntries(uuid, { includeSource });
+  if (!entries) {
+    return res.status(404).json({
       success: false,
-      error: 'Form storage failed',
-      details: error.message,
-      timestamp: new Date().toISOString()
+      error: 'No rendered files found',
+      details: 'The files may have been removed by cleanup; convert the PDF again'
     });
   }
-});
 
-// ============== FORM SUBMISSION ENDPOINT ==============
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${uuid}.zip"`);
 
-// Submit form data with GCP integration
-app.post('/submit-form', async (req, res) => {
   try {
-    const { formId, formData, userId, isHipaa, metadata } = req.body;
+    const bytes = await outputArchive.stream(uuid, entries, res);
+    console.log(`📦 Archive streamed. UUID: ${uuid}, Files: ${entries.length}, Bytes: ${bytes}`);
+  } catch (err) {
+    console.error(`❌ Archive stream failed for UUID ${uuid}:`, err.message);
+    // Headers are already sent, so the only signal left is a truncated response
+    res.destroy();
+  }
+});
 
-    if (!formId || !formData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Form ID and form data are required'
-      });
-    }
+// ============== PDF PAGE MANIPULATION ENDPOINTS ==============
 
-    console.log(`📤 Processing form submission: ${formId}`);
-    console.log(`🛡️ HIPAA flag received: ${isHipaa} (type: ${typeof isHipaa})`);
-    
-    // Initialize GCP client
-    const GCPClient = require('./gcp-client');
-    const gcpClient = new GCPClient();
+// Describe result PDFs written to output/<uuid>/
+function describePdfOutputs(uuid, files) {
+  const outputDir = path.join(__dirname, 'output', uuid);
+  return files.map(file => ({
+    ...file,
+    url: `${BASE_URL}/output/${uuid}/${file.filename}`,
+    size: fs.statSync(path.join(outputDir, file.filename)).size
+  }));
+}
 
-    // Generate submission ID
-    const submissionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Run a page operation on an uploaded PDF; removes the upload afterwards and partial output on failure
+async function runPdfPageOperation(req, res, operationName, operation) {
+  const uuid = req.uuid || uuidv4();
+  const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
+  const outputDir = path.join(__dirname, 'output', uuid);
 
-    // Get client metadata
-    const clientMetadata = {
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent'),
-      timestamp: new Date().toISOString(),
-      ...metadata
-    };
+  const pageRange = pdfService.parsePageRange(req.body);
+  if (!pageRange.isValid) {
+    if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid page range',
+      details: pageRange.error
+    });
+  }
 
-    let result;
+  try {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const { files, ...summary } = await runQueuedPdfWork(uuid, operationName, () => operation({ pdfPath, outputDir, pageRange }));
 
-    console.log(`🛡️ HIPAA check: isHipaa=${isHipaa}, will use HIPAA pipeline: ${!!isHipaa}`);
+    console.log(`✅ PDF ${operationName} complete. UUID: ${uuid}, Files: ${files.length}`);
 
-    if (isHipaa) {
-      // Process as HIPAA-compliant submission
-      console.log(`🛡️ Routing to HIPAA submission pipeline`);
-      result = await gcpClient.processHipaaSubmission(
-        submissionId,
-        formId,
-        formData,
-        userId || 'anonymous',
-        clientMetadata
-      );
-    } else {
-      // Process as regular submission
-      console.log(`📝 Routing to regular submission pipeline`);
-      result = await gcpClient.storeFormSubmission(
-        submissionId,
-        formId,
-        formData,
-        userId || 'anonymous',
-        clientMetadata
-      );
+    res.json({
+      success: true,
+      uuid,
+      ...summary,
+      files: describePdfOutputs(uuid, files)
+    });
 
-      // Store signature images in GCS (skip PDF generation for now)
-      await gcpClient.storeSignatureImages(submissionId, formId, formData, false);
+  } catch (err) {
+    console.error(`❌ PDF ${operationName} failed:`, err);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    sendPdfError(res, err, `PDF ${operationName} failed`);
+  } finally {
+    try {
+      if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    } catch (cleanupErr) {
+      console.error("⚠️ PDF cleanup failed:", cleanupErr);
+    }
+  }
+}
 
-      // Update form analytics
-      try {
-        const analyticsResult = await gcpClient.updateFormAnalytics(formId, userId || 'anonymous');
-        if (analyticsResult.success) {
-          console.log(`✅ Analytics updated for form: ${formId}`);
-        } else {
-          console.warn(`⚠️ Analytics update failed for form ${formId}:`, analyticsResult.error);
-        }
-      } catch (analyticsError) {
-        console.warn(`⚠️ Analytics update failed for form ${formId}:`, analyticsError.message);
-        // Don't fail the form submission if analytics fails
-      }
+// Merge several uploaded PDFs (field "pdfs", in upload order) into output/<uuid>/merged.pdf
+app.post('/pdf/merge', trackPdfRequest, batchUpload.array('pdfs', MAX_MERGE_FILES), async (req, res) => {
+  const uuid = req.uuid || uuidv4();
+  const inputPaths = (req.files || []).map(file => file.path);
+  const outputDir = path.join(__dirname, 'output', uuid);
+
+  try {
+    if (inputPaths.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least two PDFs are required',
+        details: `Upload 2-${MAX_MERGE_FILES} files in the "pdfs" field, in the order they should appear`
+      });
     }
 
-    console.log(`✅ Form submission processed: ${submissionId}`);
+    fs.mkdirSync(outputDir, { recursive: true });
+    await runQueuedPdfWork(uuid, 'merge', () => pdfService.mergePdfs(inputPaths, path.join(outputDir, 'merged.pdf')));
+
+    console.log(`✅ PDF merge complete. UUID: ${uuid}, Inputs: ${inputPaths.length}`);
 
     res.json({
       success: true,
-      submissionId,
-      formId,
-      message: 'Form submitted successfully',
-      isHipaa,
-      timestamp: new Date().toISOString()
+      uuid,
+      inputCount: inputPaths.length,
+      files: describePdfOutputs(uuid, [{ filename: 'merged.pdf' }]),
+      message: `Merged ${inputPaths.length} PDFs`
     });
 
-  } catch (error) {
-    console.error('❌ Form submission error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Form submission failed',
-      details: error.message,
-      timestamp: new Date().toISOString()
+  } catch (err) {
+    console.error("❌ PDF merge failed:", err);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    sendPdfError(res, err, 'PDF merge failed');
+  } finally {
+    inputPaths.forEach(inputPath => {
+      try {
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+      } catch (cleanupErr) {
+        console.error("⚠️ PDF cleanup failed:", cleanupErr);
+      }
     });
   }
 });
 
-// ============== FORM RETRIEVAL ENDPOINT ==============
+// Split an uploaded PDF (optionally a page range of it) into one PDF per page
+app.post('/pdf/split', trackPdfRequest, upload.single('pdf'), (req, res) => {
+  return runPdfPageOperation(req, res, 'split', async ({ pdfPath, outputDir, pageRange }) => {
+    const pages = await pdfService.splitPdf(pdfPath, outputDir, pageRange);
+    return { files: pages, message: `Split into ${pages.length} page(s)` };
+  });
+});
 
-// Get form structure from GCP
-app.get('/form/:formId', async (req, res) => {
-  try {
-    const { formId } = req.params;
+// Extract a page range ("pages": "2-5" or firstPage/lastPage) into a single PDF
+app.post('/pdf/extract', trackPdfRequest, upload.single('pdf'), (req, res) => {
+  return runPdfPageOperation(req, res, 'extract', async ({ pdfPath, outputDir, pageRange }) => {
+    const filename = 'extracted.pdf';
+    const { firstPage, lastPage } = await pdfService.extractPages(pdfPath, path.join(outputDir, filename), pageRange);
+    return { files: [{ filename, firstPage, lastPage }], message: `Extracted pages ${firstPage}-${lastPage}` };
+  });
+});
 
-    console.log(`📋 Fetching form: ${formId}`);
-    
-    // Initialize GCP client
-    const GCPClient = require('./gcp-client');
-    const gcpClient = new GCPClient();
+// Rotate pages clockwise by "angle" (90, 180, 270 or negative equivalents); all pages unless a range is given
+app.post('/pdf/rotate', trackPdfRequest, upload.single('pdf'), (req, res) => {
+  const angle = Number(req.body.angle);
+  if (!Number.isInteger(angle) || angle % 90 !== 0 || angle === 0 || Math.abs(angle) > 270) {
+    const pdfPath = path.join(__dirname, 'uploads', `${req.uuid}.pdf`);
+    if (req.uuid && fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid rotation angle',
+      details: 'angle must be one of 90, 180, 270, -90, -180, -270'
+    });
+  }
 
-    // Get form data from Firestore with fresh read to avoid cache issues after updates
-    console.log(`📋 Attempting to retrieve form from Firestore: ${formId}`);
-    
-    // Add small delay to allow Firestore to propagate changes
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    const formData = await gcpClient.getFormStructure(formId, true);
+  return runPdfPageOperation(req, res, 'rotate', async ({ pdfPath, outputDir, pageRange }) => {
+    const filename = 'rotated.pdf';
+    const rotatedPages = await pdfService.rotatePages(pdfPath, path.join(outputDir, filename), angle, pageRange);
+    return { files: [{ filename }], rotatedPages, message: `Rotated ${rotatedPages.length} page(s) by ${angle}°` };
+  });
+});
 
-    console.log(`📋 Form retrieval result:`, formData ? 'Found' : 'Not found');
-    if (formData) {
-      console.log(`📋 Form data keys:`, Object.keys(formData));
-    }
+// Extract embedded raster images (logos, photos, scans) into output/<uuid>/ next to any page renders
+app.post('/pdf/images', trackPdfRequest, upload.single('pdf'), (req, res) => {
+  return runPdfPageOperation(req, res, 'image extraction', async ({ pdfPath, outputDir, pageRange }) => {
+    const images = await pdfService.extractImages(pdfPath, outputDir, pageRange, pdfService.parsePasswords(req.body));
+    return { files: images, totalImages: images.length, message: `Extracted ${images.length} image(s)` };
+  });
+});
 
-    if (!formData) {
-      return res.status(404).json({
-        success: false,
-        error: 'Form not found',
-        timestamp: new Date().toISOString()
-      });
+// Draft form document for fields imported from a PDF or a web page
+function buildImportedFormData(title, fields) {
+  const formId = `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return {
+    id: formId,
+    formId,
+    title,
+    fields
+  };
+}
+
+// Store an imported form as an unpublished draft owned by userId
+function storeImportedFormDraft(formData, userId, req, { source, importedFrom }) {
+  return gcpClient.storeFormStructure(
+    formData.id,
+    formData,
+    userId || 'anonymous',
+    {
+      source,
+      isPublished: false,
+      isHipaa: false,
+      importedFrom,
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip || req.connection.remoteAddress
     }
+  );
+}
 
-    // Enrich payment fields with stored configuration (amount, currency, publishable key)
-    const paymentWarnings = [];
-    if (formData?.structure?.fields && Array.isArray(formData.structure.fields)) {
-      const paymentFields = await gcpClient.getPaymentFields(formId);
-      if (paymentFields.length > 0) {
-        const paymentFieldMap = paymentFields.reduce((acc, field) => {
-          acc[field.field_id] = field;
-          return acc;
-        }, {});
+// Convert a fillable (AcroForm) PDF into a draft ChatterForms form structure
+app.post('/import-pdf-form', trackPdfRequest, upload.single('pdf'), async (req, res) => {
+  const uuid = req.uuid || uuidv4();
+  const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
+  const { userId, title } = req.body;
+  const persist = req.body.persist === true || req.body.persist === 'true';
 
-        formData.structure.fields = formData.structure.fields.map((field) => {
-          if (field.type !== 'payment') {
-            return field;
-          }
+  try {
+    const formStructure = await runQueuedPdfWork(uuid, 'import-pdf-form', () => pdfService.extractFormStructure(pdfPath, { title }));
 
-          const storedConfig = paymentFieldMap[field.id];
-          let paymentError;
-          if (!storedConfig) {
-            paymentError = 'Payment configuration missing. Please reconnect this Stripe account.';
-          } else if (!storedConfig.publishable_key) {
-            paymentError = 'Stripe account must be reconnected to refresh publishable keys.';
-          }
+    if (!formStructure.isAcroForm) {
+      return res.status(422).json({
+        success: false,
+        error: 'No fillable form fields found',
+        details: 'This PDF has no AcroForm fields. Use /extract-text to work from its text layout instead.'
+      });
+    }
 
-          if (paymentError) {
-            const warning = {
-              fieldId: field.id,
-              reason: !storedConfig ? 'missing_payment_configuration' : 'missing_publishable_key'
-            };
-            paymentWarnings.push(warning);
-            console.warn(`⚠️ Payment field warning for form ${formId}:`, warning);
-          }
+    const formData = buildImportedFormData(formStructure.title, formStructure.fields);
+    const formId = formData.id;
 
-          return {
-            ...field,
-            amount: storedConfig && typeof storedConfig.amount === 'number'
-              ? storedConfig.amount / 100
-              : field.amount,
-            currency: field.currency || storedConfig?.currency || 'usd',
-            description: field.description ?? storedConfig?.description ?? '',
-            productName: field.productName ?? storedConfig?.product_name ?? '',
-            stripeAccountId: storedConfig?.stripe_account_id,
-            publishableKey: storedConfig?.publishable_key || null,
-            paymentError
-          };
-        });
-      }
+    let storeResult = null;
+    if (persist) {
+      storeResult = await storeImportedFormDraft(formData, userId, req, {
+        source: 'pdf-import',
+        importedFrom: req.file?.originalname || `${uuid}.pdf`
+      });
     }
 
-    // Prevent any intermediary/proxy/browser caching
-    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0');
-    res.set('Pragma', 'no-cache');
-    res.set('Expires', '0');
-    res.set('Surrogate-Control', 'no-store');
+    console.log(`✅ PDF form imported. UUID: ${uuid}, Fields: ${formStructure.fields.length}, Skipped: ${formStructure.skipped.length}, Persisted: ${persist}`);
 
     res.json({
       success: true,
-      form: formData,
-      paymentWarnings,
-      timestamp: new Date().toISOString()
+      uuid,
+      formId,
+      persisted: persist,
+      userId: storeResult?.userId || userId || 'anonymous',
+      formData,
+      skippedFields: formStructure.skipped,
+      message: `Imported ${formStructure.fields.length} field(s) from PDF`
     });
 
-  } catch (error) {
-    console.error('❌ Form fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch form',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
+  } catch (err) {
+    console.error("❌ PDF form import failed:", err);
+    sendPdfError(res, err, 'PDF form import failed');
+  } finally {
+    try {
+      if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    } catch (cleanupErr) {
+      console.error("⚠️ PDF cleanup failed:", cleanupErr);
+    }
   }
 });
 
-// ============== ANALYTICS ENDPOINT ==============
+// ============== NEW SCREENSHOT ENDPOINT ==============
 
-// Get form analytics from GCP
-app.get('/analytics/:formId', async (req, res) => {
-  try {
-    const { formId } = req.params;
+// Client-facing responses for screenshot errors tagged by UrlGuard and ScreenshotOptions
+const SCREENSHOT_ERROR_RESPONSES = {
+  URL_BLOCKED: { status: 400, error: 'URL not allowed' },
+  SELECTOR_NOT_FOUND: { status: 422, error: 'Selector not found on page' },
+  WAIT_FOR_SELECTOR_TIMEOUT: { status: 422, error: 'Timed out waiting for selector' }
+};
 
-    console.log(`📊 Fetching analytics for form: ${formId}`);
-    
-    // Initialize GCP client
-    const GCPClient = require('./gcp-client');
-    const gcpClient = new GCPClient();
+app.post('/screenshot', async (req, res) => {
+  // auth (cookies, headers, basic credentials) must never be logged or end up in the cache key
+  const { url, options = {}, userId, auth: rawAuth } = req.body;
+  const persist = req.body.persist === true || req.body.persist === 'true';
+  
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL is required',
+      details: 'Please provide a valid URL to capture'
+    });
+  }
 
-    // Get analytics data from BigQuery
-    const analytics = await gcpClient.getFormAnalytics(formId);
+  // Validate URL
+  const validation = validateUrl(url);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid URL',
+      details: validation.error
+    });
+  }
 
-    if (!analytics) {
-      return res.status(404).json({
-        success: false,
-        error: 'Analytics not found for this form',
-        timestamp: new Date().toISOString()
-      });
-    }
+  // Credentials in the URL itself are moved out of it before it is logged or hashed
+  let parsedAuth;
+  try {
+    parsedAuth = captureAuth.parse(rawAuth, validation.normalizedUrl);
+  } catch (error) {
+    parsedAuth = { isValid: false, error: 'Invalid URL format' };
+  }
+  if (!parsedAuth.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid auth options',
+      details: parsedAuth.error
+    });
+  }
+  const { auth } = parsedAuth;
+  const normalizedUrl = parsedAuth.url;
 
-    res.json({
-      success: true,
-      analytics,
-      timestamp: new Date().toISOString()
+  // Refuse internal targets (private/loopback/link-local addresses, metadata hosts, odd ports)
+  const guard = await urlGuard.check(normalizedUrl);
+  if (!guard.isValid) {
+    console.warn(`🛡️ Screenshot URL rejected: ${normalizedUrl} (${guard.error})`);
+    return res.status(400).json({
+      success: false,
+      error: 'URL not allowed',
+      code: guard.code,
+      details: guard.error
     });
+  }
 
-  } catch (error) {
-    console.error('❌ Analytics fetch error:', error);
-    res.status(500).json({
+  const parsedOptions = screenshotOptions.parse(options);
+  if (!parsedOptions.isValid) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to fetch analytics',
-      details: error.message,
-      timestamp: new Date().toISOString()
+      error: 'Invalid screenshot options',
+      details: parsedOptions.error
     });
   }
-});
+  const captureOptions = parsedOptions.options;
 
-// ============== USER ANALYTICS ENDPOINT ==============
+  // Captures with non-default options are cached separately from the plain URL capture
+  const optionsSignature = screenshotOptions.cacheSignature(captureOptions);
+  const cacheKey = optionsSignature ? `${normalizedUrl}#${optionsSignature}` : normalizedUrl;
+  // Authenticated captures show one user's view of the page: they get a one-off hash (never
+  // derived from the credentials) so they neither serve nor overwrite the shared cache entry
+  const urlHash = generateUrlHash(auth ? `${cacheKey}#authenticated:${uuidv4()}` : cacheKey);
+  res.on('close', markInFlight(urlHash));
 
-// Get all analytics for a specific user
-app.get('/analytics/user/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
+    // Check for cached screenshot (import mode always needs the live page)
+    const cached = options.extractFields || auth ? null : getCachedScreenshot(urlHash, screenshotOptions.filename(captureOptions));
+    if (cached) {
+      console.log(`🎯 Cache hit for URL hash: ${urlHash}`);
+      return res.json({
+        success: true,
+        urlHash: urlHash,
+        screenshot: cached,
+        metadata: {
+          finalUrl: normalizedUrl,
+          cached: true,
+          cacheAge: `< ${SCREENSHOT_RETENTION_MS / 60000} minutes`
+        },
+        message: 'Screenshot retrieved from cache'
+      });
+    }
 
-    console.log(`📊 Fetching analytics for user: ${userId}`);
+    const authSummary = captureAuth.describe(auth);
+    console.log(`📸 Capturing new screenshot for: ${normalizedUrl}${authSummary ? ` (authenticated: ${authSummary.cookies} cookie(s), ${authSummary.headers.length} header(s)${authSummary.basicAuth ? ', basic auth' : ''})` : ''}`);
     
-    const analytics = await gcpClient.getUserAnalytics(userId);
+    // Capture new screenshot
+    // options.extractFields=true also imports the page's form as a ChatterForms field list
+    // (persist=true with userId stores it as a draft form, like /import-pdf-form)
+    const screenshot = await captureFormScreenshot(normalizedUrl, urlHash, {
+      ...captureOptions,
+      extractFields: options.extractFields,
+      formIndex: options.formIndex
+    }, auth);
+
+    // Authenticated captures show a logged-in view of the page: they are returned inline and
+    // removed right away instead of staying under the public /screenshots folder
+    let screenshotBody = { url: screenshot.url, size: screenshot.size, cached: false };
+    if (auth) {
+      const screenshotDir = path.join(__dirname, 'screenshots', urlHash);
+      const image = fs.readFileSync(path.join(screenshotDir, screenshotOptions.filename(captureOptions)));
+      fs.rmSync(screenshotDir, { recursive: true, force: true });
+      screenshotBody = {
+        url: null,
+        dataUrl: `data:image/${screenshot.format};base64,${image.toString('base64')}`,
+        size: screenshot.size,
+        cached: false
+      };
+    }
+
+    let formImport;
+    if (screenshot.formStructure) {
+      const { fields, skipped, forms, formIndex } = screenshot.formStructure;
+      formImport = { fields: fields.length, skippedFields: skipped, forms, formIndex };
+
+      if (fields.length > 0) {
+        const formData = buildImportedFormData(options.title || screenshot.formStructure.title, fields);
+        const storeResult = persist
+          ? await storeImportedFormDraft(formData, userId, req, { source: 'url-import', importedFrom: screenshot.finalUrl })
+          : null;
+        Object.assign(formImport, {
+          formId: formData.id,
+          persisted: persist,
+          userId: storeResult?.userId || userId || 'anonymous',
+          formData
+        });
+      }
+
+      console.log(`✅ Web form imported from ${screenshot.finalUrl}: ${fields.length} field(s), ${skipped.length} skipped, persisted: ${persist && fields.length > 0}`);
+    }
 
     res.json({
       success: true,
-      userId,
-      analytics,
-      count: analytics.length,
-      timestamp: new Date().toISOString()
+      urlHash: urlHash,
+      screenshot: screenshotBody,
+      metadata: {
+        finalUrl: screenshot.finalUrl,
+        pageTitle: screenshot.pageTitle,
+        loadTime: screenshot.loadTime,
+        viewport: screenshot.viewport,
+        device: screenshot.device,
+        colorScheme: screenshot.colorScheme,
+        format: screenshot.format,
+        selector: screenshot.selector,
+        hiddenElements: screenshot.hiddenElements,
+        authenticated: !!auth
+      },
+      formImport,
+      message: formImport
+        ? `Screenshot captured and ${formImport.fields} field(s) imported`
+        : 'Screenshot captured successfully'
     });
 
   } catch (error) {
-    console.error('❌ User analytics fetch error:', error);
+    console.error('❌ Screenshot failed:', error);
+    if (auth) {
+      fs.rmSync(path.join(__dirname, 'screenshots', urlHash), { recursive: true, force: true });
+    }
+
+    // Blocked redirects and selectors missing from the page are the caller's problem, not ours
+    const known = SCREENSHOT_ERROR_RESPONSES[error.code];
+    if (known) {
+      return res.status(known.status).json({
+        success: false,
+        error: known.error,
+        code: error.code,
+        details: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch user analytics',
+      error: 'Screenshot capture failed',
       details: error.message,
-      timestamp: new Date().toISOString()
+      suggestions: [
+        'Check if the URL is accessible; pages behind a login need session cookies, headers or basic credentials in auth',
+        'Verify the URL contains an actual form',
+        'Try again in a few moments',
+        'Consider uploading a manual screenshot instead'
+      ]
     });
   }
 });
 
-// ============== ALL ANALYTICS ENDPOINT ==============
+// ============== CLEANUP ENDPOINTS ==============
 
-// Get all analytics data (admin endpoint)
-app.get('/analytics', async (req, res) => {
+// Manual cleanup for specific UUID (PDF)
+app.delete('/cleanup/:uuid', (req, res) => {
+  const { uuid } = req.params;
+  
   try {
-    const limit = parseInt(req.query.limit) || 100;
-
-    console.log(`📊 Fetching all analytics (limit: ${limit})`);
+    const pdfPath = path.join(__dirname, 'uploads', `${uuid}.pdf`);
+    const outputDir = path.join(__dirname, 'output', uuid);
     
-    const analytics = await gcpClient.getAllAnalytics(limit);
+    let cleaned = [];
+
+    if (fs.existsSync(pdfPath)) {
+      fs.unlinkSync(pdfPath);
+      cleaned.push('PDF file');
+    }
+
+    if (fs.existsSync(outputDir)) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+      cleaned.push('Output directory');
+    }
+
+    console.log(`🗑️ Cleaned up PDF UUID: ${uuid}`);
 
     res.json({
       success: true,
-      analytics,
-      count: analytics.length,
-      limit,
-      timestamp: new Date().toISOString()
+      uuid: uuid,
+      cleaned: cleaned,
+      message: cleaned.length > 0 ? 'Files cleaned successfully' : 'No files found to clean'
     });
 
-  } catch (error) {
-    console.error('❌ All analytics fetch error:', error);
+  } catch (err) {
+    console.error(`❌ PDF cleanup failed for UUID ${uuid}:`, err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch all analytics',
-      details: error.message,
-      timestamp: new Date().toISOString()
+      error: 'Cleanup failed',
+      details: err.message
     });
   }
 });
 
-// ============== GCP INTEGRATION TEST ==============
-
-// Test GCP integration (only in development/testing)
-app.get('/test-gcp', async (req, res) => {
+// Manual cleanup for specific URL hash (Screenshot)
+app.delete('/cleanup/screenshot/:urlHash', (req, res) => {
+  const { urlHash } = req.params;
+  
   try {
-    // Only allow in development or with specific environment variable
-    if (process.env.NODE_ENV === 'production' && !process.env.ENABLE_GCP_TEST) {
-      return res.status(403).json({
-        success: false,
-        error: 'GCP test endpoint disabled in production'
-      });
-    }
-
-    console.log('🧪 Testing GCP integration...');
+    const screenshotDir = path.join(__dirname, 'screenshots', urlHash);
     
-    // Initialize GCP client
-    const GCPClient = require('./gcp-client');
-    const gcpClient = new GCPClient();
-
-    // Test basic operations
-    const testResults = {
-      firestore: false,
-      storage: false,
-      kms: false,
-      bigquery: false
-    };
-
-    // Test Firestore
-    try {
-      const testFormId = `test-form-${Date.now()}`;
-      const testFormData = { fields: [{ id: 'test', label: 'Test', type: 'text' }] };
-      const result = await gcpClient.storeFormStructure(testFormId, testFormData, 'test-user', { isHipaa: false });
-      testResults.firestore = result.success;
-      console.log('✅ Firestore test passed');
-    } catch (error) {
-      console.error('❌ Firestore test failed:', error.message);
-    }
-
-    // Test KMS
-    try {
-      const testData = { test: 'data' };
-      const encryptResult = await gcpClient.encryptData(testData, 'form-data-key');
-      const decryptResult = await gcpClient.decryptData(encryptResult.encryptedData, 'form-data-key');
-      testResults.kms = encryptResult.success && decryptResult.success;
-      console.log('✅ KMS test passed');
-    } catch (error) {
-      console.error('❌ KMS test failed:', error.message);
-    }
-
-    // Test Cloud Storage
-    try {
-      const testFilePath = path.join(__dirname, 'test-gcp-file.txt');
-      fs.writeFileSync(testFilePath, 'GCP integration test file');
-      const result = await gcpClient.uploadFile(testFilePath, `test-uploads/test-${Date.now()}.txt`);
-      testResults.storage = result.success;
-      fs.unlinkSync(testFilePath); // Clean up
-      console.log('✅ Cloud Storage test passed');
-    } catch (error) {
-      console.error('❌ Cloud Storage test failed:', error.message);
-    }
+    let cleaned = [];
 
-    // Test BigQuery (skip if Jest environment)
-    if (!process.env.JEST_WORKER_ID) {
-      try {
-        const testSubmissionData = {
-          submission_id: `test-sub-${Date.now()}`,
-          form_id: 'test-form',
-          user_id: 'test-user',
-          submission_data: { test: 'data' },
-          timestamp: new Date(),
-          ip_address: '127.0.0.1',
-          user_agent: 'GCP Test',
-          is_hipaa: false,
-          encrypted: false,
-        };
-        const result = await gcpClient.insertSubmissionAnalytics(testSubmissionData);
-        testResults.bigquery = result.success;
-        console.log('✅ BigQuery test passed');
-      } catch (error) {
-        console.error('❌ BigQuery test failed:', error.message);
-      }
-    } else {
-      testResults.bigquery = 'skipped (Jest environment)';
+    if (fs.existsSync(screenshotDir)) {
+      fs.rmSync(screenshotDir, { recursive: true, force: true });
+      cleaned.push('Screenshot directory');
     }
 
-    const allPassed = Object.values(testResults).every(result => result === true || result === 'skipped (Jest environment)');
+    console.log(`🗑️ Cleaned up screenshot hash: ${urlHash}`);
 
     res.json({
-      success: allPassed,
-      timestamp: new Date().toISOString(),
-      gcpProject: 'chatterforms',
-      testResults,
-      environment: {
-        nodeEnv: process.env.NODE_ENV,
-        isRailway: !!process.env.RAILWAY_PUBLIC_DOMAIN,
-        railwayDomain: process.env.RAILWAY_PUBLIC_DOMAIN || null
-      }
+      success: true,
+      urlHash: urlHash,
+      cleaned: cleaned,
+      message: cleaned.length > 0 ? 'Screenshot cleaned successfully' : 'No screenshot found to clean'
     });
 
-  } catch (error) {
-    console.error('❌ GCP integration test failed:', error);
+  } catch (err) {
+    console.error(`❌ Screenshot cleanup failed for hash ${urlHash}:`, err);
     res.status(500).json({
       success: false,
-      error: 'GCP integration test failed',
-      details: error.message,
-      timestamp: new Date().toISOString()
+      error: 'Screenshot cleanup failed',
+      details: err.message
     });
   }
 });
 
-// ============== SUBMISSION RETRIEVAL ENDPOINTS ==============
-
-// Get submission with file associations
-app.get('/submission/:submissionId', async (req, res) => {
+// Run a cleanup pass now (the in-process scheduler also runs it every CLEANUP_INTERVAL_MINUTES)
+app.get('/cleanup', async (req, res) => {
   try {
-    const { submissionId } = req.params;
-
-    console.log(`📋 Fetching submission: ${submissionId}`);
-    
-    const submission = await gcpClient.getSubmissionWithFiles(submissionId);
-
-    if (!submission) {
-      return res.status(404).json({
-        success: false,
-        error: 'Submission not found',
-        timestamp: new Date().toISOString()
-      });
-    }
+    const stats = await cleanupScheduler.run();
+    const cleanedCount = stats.expiredCount + stats.evictedCount;
+    const purgedRenders = stats.extra ? stats.extra.purgedRenders : 0;
 
     res.json({
       success: true,
-      submission,
-      timestamp: new Date().toISOString()
+      cleanedCount: cleanedCount,
+      expiredCount: stats.expiredCount,
+      evictedCount: stats.evictedCount,
+      freedBytes: stats.freedBytes,
+      purgedRenders: purgedRenders,
+      message: `Cleaned ${cleanedCount} old files/folders`,
+      cleanupPolicy: {
+        pdfFiles: `${PDF_RETENTION_MS / 60000} minutes`,
+        screenshots: `${SCREENSHOT_RETENTION_MS / 60000} minutes`,
+        diskQuotaBytes: cleanupScheduler.maxBytes || null,
+        persistedRenders: renderStorage.defaultRetentionDays > 0
+          ? `${renderStorage.defaultRetentionDays} days (default, overridable per upload)`
+          : 'kept indefinitely unless set per upload'
+      }
     });
 
-  } catch (error) {
-    console.error('❌ Submission retrieval error:', error);
+  } catch (err) {
+    console.error("❌ Scheduled cleanup failed:", err);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve submission',
-      details: error.message,
-      timestamp: new Date().toISOString()
+      error: 'Scheduled cleanup failed',
+      details: err.message
     });
   }
 });
 
-// Get all submissions for a form with file associations
-app.get('/form/:formId/submissions', async (req, res) => {
+// ============== DEBUG ENDPOINT ==============
+
+// Debug environment variables (remove in production)
+app.get('/debug-env', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    environment: {
+      NODE_ENV: process.env.NODE_ENV,
+      GOOGLE_CLOUD_PROJECT: process.env.GOOGLE_CLOUD_PROJECT,
+      GOOGLE_APPLICATION_CREDENTIALS_JSON: process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON ? 'SET' : 'NOT_SET',
+      ENABLE_GCP_TEST: process.env.ENABLE_GCP_TEST,
+      RAILWAY_PUBLIC_DOMAIN: process.env.RAILWAY_PUBLIC_DOMAIN,
+    },
+    hasCredentials: !!process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON,
+    credentialsLength: process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON ? process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON.length : 0
+  });
+});
+
+// ============== FORM STORAGE ENDPOINT ==============
+
+// Validate a form structure before storing it; sends a 422 with field-level error paths and
+// returns null when it has errors, otherwise returns the validation (warnings included)
+function validateFormStructureOrReject(res, structure, formId) {
+  const validation = formStructureSchema.validate(structure);
+  if (!validation.valid) {
+    console.warn(`⚠️ Rejected invalid form structure for ${formId}: ${validation.errors.map(error => `${error.path}: ${error.message}`).join('; ')}`);
+    res.status(422).json({
+      success: false,
+      error: 'Invalid form structure',
+      formId,
+      errors: validation.errors,
+      warnings: validation.warnings
+    });
+    return null;
+  }
+  return validation;
+}
+
+// Store form structure in GCP
+app.post('/store-form', async (req, res) => {
   try {
-    const { formId } = req.params;
+    const { formData, userId, metadata } = req.body;
 
-    console.log(`📋 Fetching submissions for form: ${formId}`);
+    if (!formData) {
+      return res.status(400).json({
+        success: false,
+        error: 'Form data is required'
+      });
+    }
+
+    console.log('📝 Storing form structure in GCP...');
+    console.log('🔍 Received metadata:', JSON.stringify(metadata, null, 2));
     
-    const submissions = await gcpClient.getFormSubmissionsWithFiles(formId);
+    // Initialize GCP client
+    const GCPClient = require('./gcp-client');
+    const gcpClient = new GCPClient();
 
-    res.json({
+    // Use the form ID from the form data, or generate a new one
+    const formId = formData.id || formData.formId || `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const validation = validateFormStructureOrReject(res, formData, formId);
+    if (!validation) return;
+
+    // Store form structure
+    console.log(`📝 Attempting to store form in Firestore: ${formId}`);
+    console.log(`📝 Form data:`, JSON.stringify(formData, null, 2));
+    
+    const result = await gcpClient.storeFormStructure(
+      formId,
+      formData,
+      userId || 'anonymous',
+      {
+        ...metadata,
+        source: 'railway-backend',
+        isHipaa: metadata?.isHipaa || false,
+        isPublished: metadata?.isPublished || false,
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip || req.connection.remoteAddress
+      }
+    );
+
+    console.log(`✅ Form structure stored: ${formId}`);
+    console.log(`✅ Storage result:`, JSON.stringify(result, null, 2));
+
+    if (result.publishedStructureChanged) {
+      refreshFormOgImage(formId, formData);
+    }
+
+    const responseData = {
       success: true,
       formId,
-      submissions,
-      count: submissions.length,
+      userId: userId || 'anonymous',
+      isAnonymous: !userId || userId === 'anonymous',
+      isUpdate: metadata?.isEdit || false,
+      isLLMUpdate: metadata?.isLLMUpdate || false,
+      warnings: validation.warnings,
+      ogImageUrl: result.isPublished ? ogImageGenerator.imageUrl(BASE_URL, formId, ogImageGenerator.contentHash(ogImageGenerator.describe(formData))) : null,
+      message: 'Form structure stored successfully',
       timestamp: new Date().toISOString()
-    });
+    };
+    
+    console.log('🔍 Sending response:', JSON.stringify(responseData, null, 2));
+    res.json(responseData);
 
   } catch (error) {
-    console.error('❌ Form submissions retrieval error:', error);
+    console.error('❌ Form storage error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve form submissions',
+      error: 'Form storage failed',
       details: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// ============== FILE UPLOAD ENDPOINT ==============
+// ============== FORM SUBMISSION ENDPOINT ==============
 
-app.post('/upload-file', upload.single('file'), async (req, res) => {
+// Submit form data with GCP integration
+app.post('/submit-form', async (req, res) => {
   try {
-    const { formId, fieldId } = req.body
-    const file = req.file
-    
-    if (!file || !formId || !fieldId) {
+    const { formId, formData, userId, isHipaa, metadata } = req.body;
+
+    if (!formId || !formData) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: file, formId, or fieldId'
-      })
+        error: 'Form ID and form data are required'
+      });
     }
 
-    console.log(`📁 File upload request: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB) for form: ${formId}, field: ${fieldId}`)
-
-    // Generate unique filename with form and field context
-    const timestamp = Date.now()
-    const fileExtension = path.extname(file.originalname)
+    console.log(`📤 Processing form submission: ${formId}`);
+    console.log(`🛡️ HIPAA flag received: ${isHipaa} (type: ${typeof isHipaa})`);
+    
+    // Initialize GCP client
+    const GCPClient = require('./gcp-client');
+    const gcpClient = new GCPClient();
+
+    // Check the answers against the published structure before anything is stored
+    const form = await gcpClient.getFormStructure(formId);
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found',
+        formId
+      });
+    }
+    const validation = submissionValidator.validate(form.structure, formData);
+    if (!validation.valid) {
+      console.warn(`⚠️ Rejected submission to form ${formId}: ${validation.errors.map(error => `${error.fieldId}: ${error.message}`).join('; ')}`);
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid submission',
+        formId,
+        errors: validation.errors
+      });
+    }
+    if (validation.hiddenFields.length > 0) {
+      console.log(`🙈 Dropping answers to ${validation.hiddenFields.length} field(s) hidden by form logic: ${formId}`);
+    }
+    const answers = validation.data;
+
+    // Generate submission ID
+    const submissionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // Get client metadata
+    const clientMetadata = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      timestamp: new Date().toISOString(),
+      ...metadata
+    };
+
+    let result;
+
+    console.log(`🛡️ HIPAA check: isHipaa=${isHipaa}, will use HIPAA pipeline: ${!!isHipaa}`);
+
+    if (isHipaa) {
+      // Process as HIPAA-compliant submission
+      console.log(`🛡️ Routing to HIPAA submission pipeline`);
+      result = await gcpClient.processHipaaSubmission(
+        submissionId,
+        formId,
+        answers,
+        userId || 'anonymous',
+        clientMetadata
+      );
+    } else {
+      // Process as regular submission
+      console.log(`📝 Routing to regular submission pipeline`);
+      result = await gcpClient.storeFormSubmission(
+        submissionId,
+        formId,
+        answers,
+        userId || 'anonymous',
+        clientMetadata
+      );
+
+      // Store signature images in GCS (skip PDF generation for now)
+      await gcpClient.storeSignatureImages(submissionId, formId, answers, false);
+
+      // Update form analytics
+      try {
+        const analyticsResult = await gcpClient.updateFormAnalytics(formId, userId || 'anonymous');
+        if (analyticsResult.success) {
+          console.log(`✅ Analytics updated for form: ${formId}`);
+        } else {
+          console.warn(`⚠️ Analytics update failed for form ${formId}:`, analyticsResult.error);
+        }
+      } catch (analyticsError) {
+        console.warn(`⚠️ Analytics update failed for form ${formId}:`, analyticsError.message);
+        // Don't fail the form submission if analytics fails
+      }
+    }
+
+    console.log(`✅ Form submission processed: ${submissionId}`);
+
+    res.json({
+      success: true,
+      submissionId,
+      formId,
+      formVersion: result.formVersion ?? null,
+      message: 'Form submitted successfully',
+      isHipaa,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Form submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Form submission failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== FORM RETRIEVAL ENDPOINT ==============
+
+// Get form structure from GCP
+app.get('/form/:formId', async (req, res) => {
+  try {
+    const { formId } = req.params;
+
+    console.log(`📋 Fetching form: ${formId}`);
+    
+    // Initialize GCP client
+    const GCPClient = require('./gcp-client');
+    const gcpClient = new GCPClient();
+
+    // Get form data from Firestore with fresh read to avoid cache issues after updates
+    console.log(`📋 Attempting to retrieve form from Firestore: ${formId}`);
+    
+    // Add small delay to allow Firestore to propagate changes
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const formData = await gcpClient.getFormStructure(formId, true);
+
+    console.log(`📋 Form retrieval result:`, formData ? 'Found' : 'Not found');
+    if (formData) {
+      console.log(`📋 Form data keys:`, Object.keys(formData));
+    }
+
+    if (!formData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Enrich payment fields with stored configuration (amount, currency, publishable key)
+    const paymentWarnings = [];
+    if (formData?.structure?.fields && Array.isArray(formData.structure.fields)) {
+      const paymentFields = await gcpClient.getPaymentFields(formId);
+      if (paymentFields.length > 0) {
+        const paymentFieldMap = paymentFields.reduce((acc, field) => {
+          acc[field.field_id] = field;
+          return acc;
+        }, {});
+
+        formData.structure.fields = formData.structure.fields.map((field) => {
+          if (field.type !== 'payment') {
+            return field;
+          }
+
+          const storedConfig = paymentFieldMap[field.id];
+          let paymentError;
+          if (!storedConfig) {
+            paymentError = 'Payment configuration missing. Please reconnect this Stripe account.';
+          } else if (!storedConfig.publishable_key) {
+            paymentError = 'Stripe account must be reconnected to refresh publishable keys.';
+          }
+
+          if (paymentError) {
+            const warning = {
+              fieldId: field.id,
+              reason: !storedConfig ? 'missing_payment_configuration' : 'missing_publishable_key'
+            };
+            paymentWarnings.push(warning);
+            console.warn(`⚠️ Payment field warning for form ${formId}:`, warning);
+          }
+
+          return {
+            ...field,
+            amount: storedConfig && typeof storedConfig.amount === 'number'
+              ? storedConfig.amount / 100
+              : field.amount,
+            currency: field.currency || storedConfig?.currency || 'usd',
+            description: field.description ?? storedConfig?.description ?? '',
+            productName: field.productName ?? storedConfig?.product_name ?? '',
+            stripeAccountId: storedConfig?.stripe_account_id,
+            publishableKey: storedConfig?.publishable_key || null,
+            paymentError
+          };
+        });
+      }
+    }
+
+    // Prevent any intermediary/proxy/browser caching
+    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0');
+    res.set('Pragma', 'no-cache');
+    res.set('Expires', '0');
+    res.set('Surrogate-Control', 'no-store');
+
+    res.json({
+      success: true,
+      form: formData,
+      paymentWarnings,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Form fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch form',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== ANALYTICS ENDPOINT ==============
+
+// Get form analytics from GCP
+app.get('/analytics/:formId', async (req, res) => {
+  try {
+    const { formId } = req.params;
+
+    console.log(`📊 Fetching analytics for form: ${formId}`);
+    
+    // Initialize GCP client
+    const GCPClient = require('./gcp-client');
+    const gcpClient = new GCPClient();
+
+    // Get analytics data from BigQuery
+    const analytics = await gcpClient.getFormAnalytics(formId);
+
+    if (!analytics) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analytics not found for this form',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      analytics,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Analytics fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analytics',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== USER ANALYTICS ENDPOINT ==============
+
+// Get all analytics for a specific user
+app.get('/analytics/user/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    console.log(`📊 Fetching analytics for user: ${userId}`);
+    
+    const analytics = await gcpClient.getUserAnalytics(userId);
+
+    res.json({
+      success: true,
+      userId,
+      analytics,
+      count: analytics.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ User analytics fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user analytics',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== ALL ANALYTICS ENDPOINT ==============
+
+// Get all analytics data (admin endpoint)
+app.get('/analytics', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+
+    console.log(`📊 Fetching all analytics (limit: ${limit})`);
+    
+    const analytics = await gcpClient.getAllAnalytics(limit);
+
+    res.json({
+      success: true,
+      analytics,
+      count: analytics.length,
+      limit,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ All analytics fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch all analytics',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== GCP INTEGRATION TEST ==============
+
+// Test GCP integration (only in development/testing)
+app.get('/test-gcp', async (req, res) => {
+  try {
+    // Only allow in development or with specific environment variable
+    if (process.env.NODE_ENV === 'production' && !process.env.ENABLE_GCP_TEST) {
+      return res.status(403).json({
+        success: false,
+        error: 'GCP test endpoint disabled in production'
+      });
+    }
+
+    console.log('🧪 Testing GCP integration...');
+    
+    // Initialize GCP client
+    const GCPClient = require('./gcp-client');
+    const gcpClient = new GCPClient();
+
+    // Test basic operations
+    const testResults = {
+      firestore: false,
+      storage: false,
+      kms: false,
+      bigquery: false
+    };
+
+    // Test Firestore
+    try {
+      const testFormId = `test-form-${Date.now()}`;
+      const testFormData = { fields: [{ id: 'test', label: 'Test', type: 'text' }] };
+      const result = await gcpClient.storeFormStructure(testFormId, testFormData, 'test-user', { isHipaa: false });
+      testResults.firestore = result.success;
+      console.log('✅ Firestore test passed');
+    } catch (error) {
+      console.error('❌ Firestore test failed:', error.message);
+    }
+
+    // Test KMS
+    try {
+      const testData = { test: 'data' };
+      const encryptResult = await gcpClient.encryptData(testData, 'form-data-key');
+      const decryptResult = await gcpClient.decryptData(encryptResult.encryptedData, 'form-data-key');
+      testResults.kms = encryptResult.success && decryptResult.success;
+      console.log('✅ KMS test passed');
+    } catch (error) {
+      console.error('❌ KMS test failed:', error.message);
+    }
+
+    // Test Cloud Storage
+    try {
+      const testFilePath = path.join(__dirname, 'test-gcp-file.txt');
+      fs.writeFileSync(testFilePath, 'GCP integration test file');
+      const result = await gcpClient.uploadFile(testFilePath, `test-uploads/test-${Date.now()}.txt`);
+      testResults.storage = result.success;
+      fs.unlinkSync(testFilePath); // Clean up
+      console.log('✅ Cloud Storage test passed');
+    } catch (error) {
+      console.error('❌ Cloud Storage test failed:', error.message);
+    }
+
+    // Test BigQuery (skip if Jest environment)
+    if (!process.env.JEST_WORKER_ID) {
+      try {
+        const testSubmissionData = {
+          submission_id: `test-sub-${Date.now()}`,
+          form_id: 'test-form',
+          user_id: 'test-user',
+          submission_data: { test: 'data' },
+          timestamp: new Date(),
+          ip_address: '127.0.0.1',
+          user_agent: 'GCP Test',
+          is_hipaa: false,
+          encrypted: false,
+        };
+        const result = await gcpClient.insertSubmissionAnalytics(testSubmissionData);
+        testResults.bigquery = result.success;
+        console.log('✅ BigQuery test passed');
+      } catch (error) {
+        console.error('❌ BigQuery test failed:', error.message);
+      }
+    } else {
+      testResults.bigquery = 'skipped (Jest environment)';
+    }
+
+    const allPassed = Object.values(testResults).every(result => result === true || result === 'skipped (Jest environment)');
+
+    res.json({
+      success: allPassed,
+      timestamp: new Date().toISOString(),
+      gcpProject: 'chatterforms',
+      testResults,
+      environment: {
+        nodeEnv: process.env.NODE_ENV,
+        isRailway: !!process.env.RAILWAY_PUBLIC_DOMAIN,
+        railwayDomain: process.env.RAILWAY_PUBLIC_DOMAIN || null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ GCP integration test failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GCP integration test failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== SUBMISSION RETRIEVAL ENDPOINTS ==============
+
+// Get submission with file associations
+app.get('/submission/:submissionId', async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+
+    console.log(`📋 Fetching submission: ${submissionId}`);
+    
+    const submission = await gcpClient.getSubmissionWithFiles(submissionId);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Submission not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      submission,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Submission retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve submission',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get all submissions for a form with file associations
+app.get('/form/:formId/submissions', async (req, res) => {
+  try {
+    const { formId } = req.params;
+
+    console.log(`📋 Fetching submissions for form: ${formId}`);
+    
+    const submissions = await gcpClient.getFormSubmissionsWithFiles(formId);
+
+    res.json({
+      success: true,
+      formId,
+      submissions,
+      count: submissions.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Form submissions retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve form submissions',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== FILE UPLOAD ENDPOINT ==============
+
+app.post('/upload-file', upload.single('file'), async (req, res) => {
+  try {
+    const { formId, fieldId } = req.body
+    const file = req.file
+    
+    if (!file || !formId || !fieldId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: file, formId, or fieldId'
+      })
+    }
+
+    console.log(`📁 File upload request: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB) for form: ${formId}, field: ${fieldId}`)
+
+    // Generate unique filename with form and field context
+    const timestamp = Date.now()
+    const fileExtension = path.extname(file.originalname)
     const fileName = `${formId}/${fieldId}/${timestamp}${fileExtension}`
     
-    // Upload to GCP Cloud Storage
-    const uploadResult = await gcpClient.uploadFile(
-      file.path, 
-      `form-uploads/${fileName}`,
-      'chatterforms-uploads-us-central1'
-    )
+    // Upload to GCP Cloud Storage
+    const uploadResult = await gcpClient.uploadFile(
+      file.path, 
+      `form-uploads/${fileName}`,
+      'chatterforms-uploads-us-central1'
+    )
+
+    // Clean up local file
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path)
+      console.log(`🧹 Cleaned up local file: ${file.path}`)
+    }
+
+    console.log(`✅ File uploaded successfully: ${fileName}`)
+    console.log(`🔗 GCP URL: ${uploadResult.publicUrl}`)
+    
+    // Generate backend file serving URL instead of direct GCP URL
+    const backendFileUrl = `${process.env.RAILWAY_PUBLIC_DOMAIN || 'https://my-poppler-api-dev.up.railway.app'}/api/files/${formId}/${fieldId}/${timestamp}${fileExtension}`
+
+    res.json({
+      success: true,
+      fileUrl: backendFileUrl,
+      fileName: file.originalname,
+      fileSize: file.size,
+      fileType: file.mimetype,
+      storedFileName: `${timestamp}${fileExtension}` // Store the actual unique filename
+    })
+
+  } catch (error) {
+    console.error('❌ File upload error:', error)
+    
+    // Clean up local file if it exists
+    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path)
+      console.log(`🧹 Cleaned up local file after error: ${req.file.path}`)
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'File upload failed',
+      details: error.message
+    })
+  }
+})
+
+// ============== LOGO ENDPOINTS ==============
+
+// Upload logo endpoint
+app.post('/upload-logo', upload.single('file'), async (req, res) => {
+  try {
+    const { userId, displayName } = req.body
+    const file = req.file
+    
+    if (!file || !userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: file or userId'
+      })
+    }
+
+    console.log(`🖼️ Logo upload request: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB) for user: ${userId}`)
+
+    // Check logo limit (4 logos maximum per user)
+    const existingLogos = await gcpClient.getUserLogos(userId)
+    if (existingLogos.length >= 4) {
+      return res.status(400).json({
+        success: false,
+        error: 'Maximum of 4 logos allowed per user. Please delete an existing logo before uploading a new one.'
+      })
+    }
+
+    // Generate unique filename with user context
+    const timestamp = Date.now()
+    const fileExtension = path.extname(file.originalname)
+    const logoId = `logo_${timestamp}_${crypto.randomBytes(8).toString('hex')}`
+    const fileName = `${userId}/logos/${logoId}${fileExtension}`
+    
+    // Upload to GCP Cloud Storage
+    const uploadResult = await gcpClient.uploadFile(
+      file.path, 
+      `user-logos/${fileName}`,
+      'chatterforms-uploads-us-central1'
+    )
+
+    // Clean up local file
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path)
+      console.log(`🧹 Cleaned up local file: ${file.path}`)
+    }
+
+    // Store logo metadata in Firestore
+    const logoData = {
+      id: logoId,
+      userId: userId,
+      fileName: file.originalname,
+      displayName: displayName || file.originalname,
+      fileSize: file.size,
+      fileType: file.mimetype,
+      gcpUrl: uploadResult.url,
+      publicUrl: uploadResult.publicUrl,
+      uploadedAt: new Date().toISOString(),
+      isActive: true
+    }
+
+    await gcpClient.storeLogoMetadata(logoData)
+
+    console.log(`✅ Logo uploaded successfully: ${logoId}`)
+    console.log(`🔗 GCP URL: ${uploadResult.publicUrl}`)
+    
+    // Use backend proxy URL to avoid CORS issues (same as getUserLogos)
+    const rawBase = process.env.RAILWAY_PUBLIC_DOMAIN || 'https://my-poppler-api-dev.up.railway.app';
+    const baseUrl = rawBase.startsWith('http') ? rawBase : `https://${rawBase}`;
+    const backendUrl = `${baseUrl}/api/files/logo/${userId}/${logoId}`;
+
+    res.json({
+      success: true,
+      logo: {
+        id: logoId,
+        url: backendUrl,
+        displayName: displayName || file.originalname,
+        position: 'center',
+        height: 150,
+        uploadedAt: logoData.uploadedAt
+      }
+    })
+
+  } catch (error) {
+    console.error('❌ Logo upload error:', error)
+    
+    // Clean up local file if it exists
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path)
+      console.log(`🧹 Cleaned up local file after error: ${req.file.path}`)
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Logo upload failed',
+      details: error.message
+    })
+  }
+})
+
+// Get user logos endpoint
+app.get('/user-logos/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params
+    
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID is required'
+      })
+    }
+
+    console.log(`🖼️ Getting logos for user: ${userId}`)
+
+    const logos = await gcpClient.getUserLogos(userId)
+    
+    res.json({
+      success: true,
+      logos: logos
+    })
+
+  } catch (error) {
+    console.error('❌ Get user logos error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user logos',
+      details: error.message
+    })
+  }
+})
+
+// Delete logo endpoint
+app.delete('/delete-logo/:logoId', async (req, res) => {
+  try {
+    const { logoId } = req.params
+    const { userId } = req.body
+    
+    if (!logoId || !userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Logo ID and User ID are required'
+      })
+    }
+
+    console.log(`🗑️ Deleting logo: ${logoId} for user: ${userId}`)
+
+    // Delete logo from GCP and Firestore
+    const result = await gcpClient.deleteLogo(logoId, userId)
+    
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error || 'Logo not found or deletion failed'
+      })
+    }
+
+    console.log(`✅ Logo deleted successfully: ${logoId}`)
+    
+    res.json({
+      success: true,
+      message: 'Logo deleted successfully'
+    })
+
+  } catch (error) {
+    console.error('❌ Delete logo error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete logo',
+      details: error.message
+    })
+  }
+})
+
+// ============== TEMPORARY ADMIN ENDPOINTS ==============
+
+// Temporary endpoint to delete all logos for a user (for testing)
+app.delete('/admin/delete-all-logos/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params
+    
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID is required'
+      })
+    }
+
+    console.log(`🗑️ Admin: Deleting all logos for user: ${userId}`)
+
+    // Get all logos for the user
+    const logosSnapshot = await gcpClient
+      .collection('user_logos')
+      .where('userId', '==', userId)
+      .get()
+    
+    let deletedCount = 0
+    const deletePromises = []
+    
+    logosSnapshot.forEach(doc => {
+      const logoData = doc.data()
+      deletePromises.push(
+        gcpClient.deleteLogo(doc.id, userId).then(result => {
+          if (result.success) {
+            deletedCount++
+            console.log(`✅ Deleted logo: ${doc.id}`)
+          }
+        })
+      )
+    })
+    
+    await Promise.all(deletePromises)
+    
+    console.log(`✅ Admin: Deleted ${deletedCount} logos for user: ${userId}`)
+    
+    res.json({
+      success: true,
+      message: `Deleted ${deletedCount} logos for user ${userId}`,
+      deletedCount
+    })
+
+  } catch (error) {
+    console.error('❌ Admin delete all logos error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete logos',
+      details: error.message
+    })
+  }
+})
+
+// ============== FORM IMAGE ENDPOINTS ==============
+
+// Upload form image endpoint
+app.post('/upload-form-image', upload.single('file'), async (req, res) => {
+  try {
+    const { formId, fieldId, userId, sequence } = req.body
+    const file = req.file
+    
+    if (!file || !formId || !fieldId || !userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: file, formId, fieldId, or userId'
+      })
+    }
+
+    // Validate file type
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp']
+    if (!allowedTypes.includes(file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file type. Only JPG, PNG, GIF, and WebP images are allowed.'
+      })
+    }
+
+    console.log(`🖼️ Form image upload request: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB) for form: ${formId}, field: ${fieldId}, user: ${userId}, sequence: ${sequence}`)
+
+    // Check image limit (10 images maximum per field)
+    const existingImages = await gcpClient.getFormImages(formId, fieldId)
+    if (existingImages.length >= 10) {
+      return res.status(400).json({
+        success: false,
+        error: 'Maximum of 10 images allowed per field. Please delete an existing image before uploading a new one.'
+      })
+    }
+
+    // Use provided sequence or fallback to next available sequence
+    const nextSequence = sequence !== undefined ? parseInt(sequence) : existingImages.length
+    console.log(`🔄 Sequence handling: provided=${sequence}, parsed=${nextSequence}, existingCount=${existingImages.length}`)
+
+    // Generate unique filename with form and field context
+    const timestamp = Date.now()
+    const fileExtension = path.extname(file.originalname)
+    const imageId = `img_${timestamp}_${crypto.randomBytes(8).toString('hex')}`
+    const fileName = `${formId}/${fieldId}/${imageId}${fileExtension}`
+    
+    // Upload to GCP Cloud Storage
+    const uploadResult = await gcpClient.uploadFile(
+      file.path, 
+      `form-images/${fileName}`,
+      'chatterforms-uploads-us-central1'
+    )
+
+    // Clean up local file
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path)
+      console.log(`🧹 Cleaned up local file: ${file.path}`)
+    }
+
+    // Store image metadata in Firestore
+    const imageData = {
+      id: imageId,
+      formId: formId,
+      fieldId: fieldId,
+      userId: userId,
+      fileName: file.originalname,
+      fileSize: file.size,
+      fileType: file.mimetype,
+      gcpUrl: uploadResult.url,
+      publicUrl: uploadResult.publicUrl,
+      uploadedAt: new Date().toISOString(),
+      sequence: nextSequence,
+      isActive: true,
+      type: 'form_image' // Tag to distinguish from logos
+    }
+
+    await gcpClient.storeFormImageMetadata(imageData)
+
+    console.log(`✅ Form image uploaded successfully: ${imageId}`)
+    console.log(`🔗 GCP URL: ${uploadResult.publicUrl}`)
+    
+    // Use backend proxy URL to avoid CORS issues
+    const rawBase = process.env.RAILWAY_PUBLIC_DOMAIN || 'https://my-poppler-api-dev.up.railway.app';
+    const baseUrl = rawBase.startsWith('http') ? rawBase : `https://${rawBase}`;
+    const backendUrl = `${baseUrl}/api/files/form-image/${formId}/${fieldId}/${imageId}`;
+
+    res.json({
+      success: true,
+      image: {
+        id: imageId,
+        url: backendUrl,
+        fileName: file.originalname,
+        fileSize: file.size,
+        fileType: file.mimetype,
+        position: 'center',
+        height: 200,
+        sequence: nextSequence,
+        uploadedAt: imageData.uploadedAt
+      }
+    })
+
+  } catch (error) {
+    console.error('❌ Form image upload error:', error)
+    
+    // Clean up local file if it exists
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path)
+      console.log(`🧹 Cleaned up local file after error: ${req.file.path}`)
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Form image upload failed',
+      details: error.message
+    })
+  }
+})
+
+// Get form images endpoint
+app.get('/form-images/:formId/:fieldId', async (req, res) => {
+  try {
+    const { formId, fieldId } = req.params
+    
+    if (!formId || !fieldId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Form ID and Field ID are required'
+      })
+    }
+
+    console.log(`🖼️ Getting form images for form: ${formId}, field: ${fieldId}`)
+
+    const images = await gcpClient.getFormImages(formId, fieldId)
+
+    res.json({
+      success: true,
+      images: images
+    })
+
+  } catch (error) {
+    console.error('❌ Error getting form images:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get form images',
+      details: error.message
+    })
+  }
+})
+
+// Delete form image endpoint
+app.delete('/form-image/:imageId', async (req, res) => {
+  try {
+    const { imageId } = req.params
+    const { userId } = req.body
+    
+    if (!imageId || !userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image ID and User ID are required'
+      })
+    }
+
+    console.log(`🗑️ Deleting form image: ${imageId} for user: ${userId}`)
+
+    const result = await gcpClient.deleteFormImage(imageId, userId)
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Form image deleted successfully'
+      })
+    } else {
+      res.status(404).json({
+        success: false,
+        error: result.error || 'Form image not found'
+      })
+    }
+
+  } catch (error) {
+    console.error('❌ Error deleting form image:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete form image',
+      details: error.message
+    })
+  }
+})
+
+// Update image sequence endpoint
+app.put('/form-images/:formId/:fieldId/sequence', async (req, res) => {
+  try {
+    const { formId, fieldId } = req.params
+    const { images } = req.body
+    
+    if (!formId || !fieldId || !images || !Array.isArray(images)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Form ID, Field ID, and images array are required'
+      })
+    }
+
+    console.log(`🔄 Updating image sequence for form: ${formId}, field: ${fieldId}`)
+    console.log('🔄 Images to update:', images.map(img => ({ id: img.id, fileName: img.fileName, sequence: img.sequence })))
+
+    // Validate that all image IDs exist in Firestore before updating
+    console.log('🔍 Validating image IDs exist in database...')
+    const validationPromises = images.map(async (image) => {
+      try {
+        const doc = await gcpClient.collection('form_images').doc(image.id).get()
+        if (!doc.exists) {
+          throw new Error(`Image ${image.id} not found in database`)
+        }
+        console.log(`✅ Image ${image.id} validated`)
+        return true
+      } catch (error) {
+        console.error(`❌ Validation failed for image ${image.id}:`, error.message)
+        throw error
+      }
+    })
+    
+    await Promise.all(validationPromises)
+    console.log('✅ All image IDs validated successfully')
+
+    // Update sequence for each image using the provided sequence number
+    const updatePromises = images.map((image) => 
+      gcpClient.updateImageSequence(image.id, image.sequence)
+    )
+
+    await Promise.all(updatePromises)
+
+    res.json({
+      success: true,
+      message: 'Image sequence updated successfully'
+    })
+
+  } catch (error) {
+    console.error('❌ Error updating image sequence:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update image sequence',
+      details: error.message
+    })
+  }
+})
+
+// ============== FILE SERVING ENDPOINTS ==============
+
+// Serve logo files through backend to avoid CORS issues
+app.get('/api/files/logo/:userId/:logoId', async (req, res) => {
+  try {
+    const { userId, logoId } = req.params
+    
+    if (!userId || !logoId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID and Logo ID are required'
+      })
+    }
 
-    // Clean up local file
-    if (fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path)
-      console.log(`🧹 Cleaned up local file: ${file.path}`)
+    console.log(`🖼️ Serving logo file: ${logoId} for user: ${userId}`)
+
+    // Get logo metadata from Firestore
+    const logoRef = gcpClient.collection('user_logos').doc(logoId)
+    const logoDoc = await logoRef.get()
+    
+    if (!logoDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Logo not found'
+      })
+    }
+    
+    const logoData = logoDoc.data()
+    
+    // Verify the logo belongs to the user
+    if (logoData.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: Logo does not belong to user'
+      })
+    }
+    
+    // Get the file from GCP Storage
+    const gcpUrl = logoData.gcpUrl
+    if (gcpUrl && gcpUrl.startsWith('gs://')) {
+      const bucketName = gcpUrl.split('/')[2]
+      const fileName = gcpUrl.split('/').slice(3).join('/')
+      
+      const bucket = gcpClient.storage.bucket(bucketName)
+      const file = bucket.file(fileName)
+      
+      // Check if file exists
+      const [exists] = await file.exists()
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          error: 'Logo file not found in storage'
+        })
+      }
+      
+      // Set appropriate headers
+      res.set({
+        'Content-Type': logoData.fileType || 'image/png',
+        'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
+        'Access-Control-Allow-Origin': '*', // Allow CORS
+        'Access-Control-Allow-Methods': 'GET',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      })
+      
+      // Stream the file
+      file.createReadStream().pipe(res)
+      
+      console.log(`✅ Logo file served: ${fileName}`)
+    } else {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid logo file path'
+      })
     }
 
-    console.log(`✅ File uploaded successfully: ${fileName}`)
-    console.log(`🔗 GCP URL: ${uploadResult.publicUrl}`)
+  } catch (error) {
+    console.error('❌ Error serving logo file:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve logo file',
+      details: error.message
+    })
+  }
+})
+
+// Serve form image files through backend to avoid CORS issues
+app.get('/api/files/form-image/:formId/:fieldId/:imageId', async (req, res) => {
+  try {
+    const { formId, fieldId, imageId } = req.params
+    
+    if (!formId || !fieldId || !imageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Form ID, Field ID, and Image ID are required'
+      })
+    }
+
+    console.log(`🖼️ Serving form image file: ${imageId} for form: ${formId}, field: ${fieldId}`)
+
+    // Get image metadata from Firestore
+    const imageRef = gcpClient.collection('form_images').doc(imageId)
+    const imageDoc = await imageRef.get()
+    
+    if (!imageDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form image not found'
+      })
+    }
+    
+    const imageData = imageDoc.data()
+    
+    // Verify the image belongs to the form and field
+    if (imageData.formId !== formId || imageData.fieldId !== fieldId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: Image does not belong to this form/field'
+      })
+    }
+    
+    // Get the file from GCP Storage
+    const gcpUrl = imageData.gcpUrl
+    if (gcpUrl && gcpUrl.startsWith('gs://')) {
+      const bucketName = gcpUrl.split('/')[2]
+      const fileName = gcpUrl.split('/').slice(3).join('/')
+      
+      const bucket = gcpClient.storage.bucket(bucketName)
+      const file = bucket.file(fileName)
+      
+      // Check if file exists
+      const [exists] = await file.exists()
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          error: 'Form image file not found in storage'
+        })
+      }
+      
+      // Set appropriate headers
+      res.set({
+        'Content-Type': imageData.fileType || 'image/png',
+        'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
+        'Access-Control-Allow-Origin': '*', // Allow CORS
+        'Access-Control-Allow-Methods': 'GET',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      })
+      
+      // Stream the file
+      file.createReadStream().pipe(res)
+      
+      console.log(`✅ Form image file served: ${fileName}`)
+    } else {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid form image file path'
+      })
+    }
+
+  } catch (error) {
+    console.error('❌ Error serving form image file:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve form image file',
+      details: error.message
+    })
+  }
+})
+
+// ============== DEBUG ENDPOINTS ==============
+
+// Debug endpoint to check payment fields for a form
+app.get('/api/debug/payment-fields/:formId', async (req, res) => {
+  try {
+    const { formId } = req.params;
+    console.log(`🔍 DEBUG: Getting payment fields for form: ${formId}`);
+    
+    const paymentFields = await gcpClient.getPaymentFields(formId);
+    
+    res.json({
+      success: true,
+      formId,
+      count: paymentFields.length,
+      fields: paymentFields.map(field => ({
+        id: field.id,
+        field_id: field.field_id,
+        form_id: field.form_id,
+        stripe_account_id: field.stripe_account_id,
+        amount: field.amount,
+        currency: field.currency,
+        product_name: field.product_name,
+        description: field.description,
+        created_at: field.created_at,
+        updated_at: field.updated_at
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Debug endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get payment fields'
+    });
+  }
+});
+
+// Cleanup endpoint to remove duplicate payment fields
+app.post('/api/debug/cleanup-payment-fields/:formId/:fieldId', async (req, res) => {
+  try {
+    const { formId, fieldId } = req.params;
+    console.log(`🧹 CLEANUP: Cleaning up duplicate payment fields for form: ${formId}, field: ${fieldId}`);
+    
+    const fieldsQuery = await gcpClient
+      .collection('payment_fields')
+      .where('form_id', '==', formId)
+      .where('field_id', '==', fieldId)
+      .get();
+
+    if (fieldsQuery.empty) {
+      return res.json({
+        success: true,
+        message: 'No payment fields found to clean up',
+        deleted: 0
+      });
+    }
+
+    if (fieldsQuery.docs.length === 1) {
+      return res.json({
+        success: true,
+        message: 'Only one payment field found, no cleanup needed',
+        deleted: 0
+      });
+    }
+
+    // Sort by created_at to keep the most recent
+    const sortedDocs = fieldsQuery.docs.sort((a, b) => {
+      const aTime = a.data().created_at?._seconds || 0;
+      const bTime = b.data().created_at?._seconds || 0;
+      return bTime - aTime; // Most recent first
+    });
+    
+    // Keep the most recent, delete the rest
+    const keepDoc = sortedDocs[0];
+    const deleteDocs = sortedDocs.slice(1);
+    
+    console.log(`🧹 Keeping document: ${keepDoc.id}`);
+    console.log(`🧹 Deleting ${deleteDocs.length} duplicate documents`);
+    
+    // Delete duplicates
+    const batch = gcpClient.firestore.batch();
+    deleteDocs.forEach(doc => {
+      batch.delete(doc.ref);
+    });
+    await batch.commit();
+    
+    console.log(`✅ Cleaned up ${deleteDocs.length} duplicate payment fields`);
     
-    // Generate backend file serving URL instead of direct GCP URL
-    const backendFileUrl = `${process.env.RAILWAY_PUBLIC_DOMAIN || 'https://my-poppler-api-dev.up.railway.app'}/api/files/${formId}/${fieldId}/${timestamp}${fileExtension}`
-
     res.json({
       success: true,
-      fileUrl: backendFileUrl,
-      fileName: file.originalname,
-      fileSize: file.size,
-      fileType: file.mimetype,
-      storedFileName: `${timestamp}${fileExtension}` // Store the actual unique filename
-    })
-
+      message: `Cleaned up ${deleteDocs.length} duplicate payment fields`,
+      deleted: deleteDocs.length,
+      kept: keepDoc.id
+    });
   } catch (error) {
-    console.error('❌ File upload error:', error)
-    
-    // Clean up local file if it exists
-    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path)
-      console.log(`🧹 Cleaned up local file after error: ${req.file.path}`)
-    }
-    
+    console.error('❌ Cleanup endpoint error:', error);
     res.status(500).json({
       success: false,
-      error: 'File upload failed',
-      details: error.message
-    })
+      error: 'Failed to cleanup payment fields'
+    });
   }
-})
+});
 
-// ============== LOGO ENDPOINTS ==============
+// ============== FILE SERVING ENDPOINT ==============
 
-// Upload logo endpoint
-app.post('/upload-logo', upload.single('file'), async (req, res) => {
+// Serve uploaded files securely
+app.get('/api/files/:formId/:fieldId/:filename', async (req, res) => {
   try {
-    const { userId, displayName } = req.body
-    const file = req.file
+    const { formId, fieldId, filename } = req.params
     
-    if (!file || !userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: file or userId'
-      })
-    }
-
-    console.log(`🖼️ Logo upload request: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB) for user: ${userId}`)
-
-    // Check logo limit (4 logos maximum per user)
-    const existingLogos = await gcpClient.getUserLogos(userId)
-    if (existingLogos.length >= 4) {
-      return res.status(400).json({
+    console.log(`📁 File request: ${filename} for form: ${formId}, field: ${fieldId}`)
+    
+    // Construct the file path in GCP Storage
+    const filePath = `form-uploads/${formId}/${fieldId}/${filename}`
+    
+    // Get file from GCP Cloud Storage
+    const bucket = gcpClient.storage.bucket('chatterforms-uploads-us-central1')
+    const file = bucket.file(filePath)
+    
+    // Check if file exists
+    const [exists] = await file.exists()
+    if (!exists) {
+      return res.status(404).json({
         success: false,
-        error: 'Maximum of 4 logos allowed per user. Please delete an existing logo before uploading a new one.'
+        error: 'File not found'
       })
     }
-
-    // Generate unique filename with user context
-    const timestamp = Date.now()
-    const fileExtension = path.extname(file.originalname)
-    const logoId = `logo_${timestamp}_${crypto.randomBytes(8).toString('hex')}`
-    const fileName = `${userId}/logos/${logoId}${fileExtension}`
     
-    // Upload to GCP Cloud Storage
-    const uploadResult = await gcpClient.uploadFile(
-      file.path, 
-      `user-logos/${fileName}`,
-      'chatterforms-uploads-us-central1'
-    )
-
-    // Clean up local file
-    if (fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path)
-      console.log(`🧹 Cleaned up local file: ${file.path}`)
-    }
-
-    // Store logo metadata in Firestore
-    const logoData = {
-      id: logoId,
-      userId: userId,
-      fileName: file.originalname,
-      displayName: displayName || file.originalname,
-      fileSize: file.size,
-      fileType: file.mimetype,
-      gcpUrl: uploadResult.url,
-      publicUrl: uploadResult.publicUrl,
-      uploadedAt: new Date().toISOString(),
-      isActive: true
-    }
-
-    await gcpClient.storeLogoMetadata(logoData)
-
-    console.log(`✅ Logo uploaded successfully: ${logoId}`)
-    console.log(`🔗 GCP URL: ${uploadResult.publicUrl}`)
+    // Get file metadata
+    const [metadata] = await file.getMetadata()
     
-    // Use backend proxy URL to avoid CORS issues (same as getUserLogos)
-    const rawBase = process.env.RAILWAY_PUBLIC_DOMAIN || 'https://my-poppler-api-dev.up.railway.app';
-    const baseUrl = rawBase.startsWith('http') ? rawBase : `https://${rawBase}`;
-    const backendUrl = `${baseUrl}/api/files/logo/${userId}/${logoId}`;
-
-    res.json({
-      success: true,
-      logo: {
-        id: logoId,
-        url: backendUrl,
-        displayName: displayName || file.originalname,
-        position: 'center',
-        height: 150,
-        uploadedAt: logoData.uploadedAt
-      }
+    // Set appropriate headers
+    res.set({
+      'Content-Type': metadata.contentType || 'application/octet-stream',
+      'Content-Length': metadata.size,
+      'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
+      'Content-Disposition': `inline; filename="${metadata.name}"`
     })
-
-  } catch (error) {
-    console.error('❌ Logo upload error:', error)
     
-    // Clean up local file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path)
-      console.log(`🧹 Cleaned up local file after error: ${req.file.path}`)
-    }
+    // Stream the file to the response
+    const stream = file.createReadStream()
+    stream.pipe(res)
+    
+    stream.on('error', (error) => {
+      console.error('❌ Error streaming file:', error)
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to stream file'
+        })
+      }
+    })
     
+  } catch (error) {
+    console.error('❌ Error serving file:', error)
     res.status(500).json({
       success: false,
-      error: 'Logo upload failed',
-      details: error.message
+      error: 'Failed to serve file'
     })
   }
-})
+});
 
-// Get user logos endpoint
-app.get('/user-logos/:userId', async (req, res) => {
+// ============== USER FORMS ENDPOINT ==============
+
+app.get('/api/forms/user/:userId', async (req, res) => {
   try {
-    const { userId } = req.params
+    const { userId } = req.params;
     
     if (!userId) {
       return res.status(400).json({
         success: false,
         error: 'User ID is required'
-      })
+      });
     }
 
-    console.log(`🖼️ Getting logos for user: ${userId}`)
-
-    const logos = await gcpClient.getUserLogos(userId)
+    console.log(`📋 Fetching forms for user: ${userId}`);
     
+    const forms = await gcpClient.getFormsByUserId(userId);
+
     res.json({
       success: true,
-      logos: logos
-    })
+      userId,
+      forms,
+      count: forms.length,
+      timestamp: new Date().toISOString()
+    });
 
   } catch (error) {
-    console.error('❌ Get user logos error:', error)
+    console.error('❌ User forms retrieval error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch user logos',
-      details: error.message
-    })
+      error: 'Failed to retrieve user forms',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
-})
+});
 
-// Delete logo endpoint
-app.delete('/delete-logo/:logoId', async (req, res) => {
+// ============== SINGLE FORM ENDPOINT ==============
+
+app.get('/api/forms/:formId', async (req, res) => {
   try {
-    const { logoId } = req.params
-    const { userId } = req.body
+    const { formId } = req.params;
     
-    if (!logoId || !userId) {
+    if (!formId) {
       return res.status(400).json({
         success: false,
-        error: 'Logo ID and User ID are required'
-      })
+        error: 'Form ID is required'
+      });
     }
 
-    console.log(`🗑️ Deleting logo: ${logoId} for user: ${userId}`)
+    console.log(`📋 Fetching form: ${formId}`);
+    
+    // Get the form data from GCP with fresh read to avoid cache issues after updates
+    const form = await gcpClient.getFormStructure(formId, true);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found',
+        formId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Prevent any intermediary/proxy/browser caching
+    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0');
+    res.set('Pragma', 'no-cache');
+    res.set('Expires', '0');
+    res.set('Surrogate-Control', 'no-store');
+
+    res.json({
+      success: true,
+      form,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Form retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve form',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============== SOCIAL PREVIEW IMAGE ENDPOINT ==============
+
+// Open Graph card (1200x630 PNG) of a published form, for og:image / twitter:image tags
+// Serves the stored card only; cards are rendered when a form is published, never per request
+app.get('/api/forms/:formId/og-image.png', async (req, res) => {
+  const { formId } = req.params;
+
+  try {
+    const form = await gcpClient.getFormStructure(formId);
+    if (!form || !form.is_published) {
+      return res.status(404).json({
+        success: false,
+        error: 'Published form not found',
+        formId
+      });
+    }
 
-    // Delete logo from GCP and Firestore
-    const result = await gcpClient.deleteLogo(logoId, userId)
-    
-    if (!result.success) {
+    const record = await gcpClient.getFormOgImage(formId);
+    if (!record) {
       return res.status(404).json({
         success: false,
-        error: result.error || 'Logo not found or deletion failed'
-      })
+        error: 'Preview image not generated yet',
+        details: 'Preview images are rendered when the form is published',
+        formId
+      });
     }
 
-    console.log(`✅ Logo deleted successfully: ${logoId}`)
-    
-    res.json({
-      success: true,
-      message: 'Logo deleted successfully'
-    })
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    const stream = ogImageGenerator.createReadStream(record);
+    stream.on('error', (error) => {
+      console.error(`❌ OG image stream failed for form ${formId}:`, error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: 'Failed to load preview image', details: error.message });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
 
   } catch (error) {
-    console.error('❌ Delete logo error:', error)
+    console.error(`❌ OG image request failed for form ${formId}:`, error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete logo',
+      error: 'Failed to load preview image',
       details: error.message
-    })
+    });
   }
-})
+});
 
-// ============== TEMPORARY ADMIN ENDPOINTS ==============
+// ============== FORM VERSION HISTORY ENDPOINTS ==============
+
+const MAX_VERSION_LIST = 200;
+
+// Version numbers arrive as path/query strings ("3"); "current" and "published" name the form's own pointers
+function resolveVersionNumber(value, form) {
+  if (value === 'current' || value === undefined) return form.current_version || null;
+  if (value === 'published') return form.structure_version || null;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Load a form for a state-changing request; sends 404/403 and returns null unless body.userId owns it
+async function getOwnedForm(req, res) {
+  const { formId } = req.params;
+  const form = await gcpClient.getFormStructure(formId, true);
+  if (!form) {
+    res.status(404).json({ success: false, error: 'Form not found', formId });
+    return null;
+  }
+  if (!req.body.userId || req.body.userId !== form.user_id) {
+    res.status(403).json({ success: false, error: 'Unauthorized: Form does not belong to user' });
+    return null;
+  }
+  return form;
+}
+
+// List versions newest first (summaries without structures)
+app.get('/api/forms/:formId/versions', async (req, res) => {
+  const { formId } = req.params;
 
-// Temporary endpoint to delete all logos for a user (for testing)
-app.delete('/admin/delete-all-logos/:userId', async (req, res) => {
   try {
-    const { userId } = req.params
-    
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      })
+    const form = await gcpClient.getFormStructure(formId);
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found', formId });
     }
 
-    console.log(`🗑️ Admin: Deleting all logos for user: ${userId}`)
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_VERSION_LIST);
+    const versions = await gcpClient.listFormVersions(formId, limit);
 
-    // Get all logos for the user
-    const logosSnapshot = await gcpClient
-      .collection('user_logos')
-      .where('userId', '==', userId)
-      .get()
-    
-    let deletedCount = 0
-    const deletePromises = []
-    
-    logosSnapshot.forEach(doc => {
-      const logoData = doc.data()
-      deletePromises.push(
-        gcpClient.deleteLogo(doc.id, userId).then(result => {
-          if (result.success) {
-            deletedCount++
-            console.log(`✅ Deleted logo: ${doc.id}`)
-          }
-        })
-      )
-    })
-    
-    await Promise.all(deletePromises)
-    
-    console.log(`✅ Admin: Deleted ${deletedCount} logos for user: ${userId}`)
-    
     res.json({
       success: true,
-      message: `Deleted ${deletedCount} logos for user ${userId}`,
-      deletedCount
-    })
-
+      formId,
+      currentVersion: form.current_version || null,
+      publishedVersion: form.structure_version || null,
+      versions
+    });
   } catch (error) {
-    console.error('❌ Admin delete all logos error:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete logos',
-      details: error.message
-    })
+    console.error(`❌ Failed to list versions for form ${formId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to list form versions', details: error.message });
   }
-})
+});
 
-// ============== FORM IMAGE ENDPOINTS ==============
+// Field-level diff between two versions (?from=3&to=5; to defaults to the current version)
+app.get('/api/forms/:formId/versions/diff', async (req, res) => {
+  const { formId } = req.params;
 
-// Upload form image endpoint
-app.post('/upload-form-image', upload.single('file'), async (req, res) => {
   try {
-    const { formId, fieldId, userId, sequence } = req.body
-    const file = req.file
-    
-    if (!file || !formId || !fieldId || !userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: file, formId, fieldId, or userId'
-      })
+    const form = await gcpClient.getFormStructure(formId);
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found', formId });
     }
 
-    // Validate file type
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp']
-    if (!allowedTypes.includes(file.mimetype)) {
+    const from = resolveVersionNumber(req.query.from, form);
+    const to = resolveVersionNumber(req.query.to, form);
+    if (!req.query.from || !from || !to) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid file type. Only JPG, PNG, GIF, and WebP images are allowed.'
-      })
+        error: 'Invalid versions',
+        details: 'from is required; from and to must be version numbers, "current" or "published"'
+      });
     }
 
-    console.log(`🖼️ Form image upload request: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB) for form: ${formId}, field: ${fieldId}, user: ${userId}, sequence: ${sequence}`)
-
-    // Check image limit (10 images maximum per field)
-    const existingImages = await gcpClient.getFormImages(formId, fieldId)
-    if (existingImages.length >= 10) {
-      return res.status(400).json({
+    const [fromVersion, toVersion] = await Promise.all([
+      gcpClient.getFormVersion(formId, from),
+      gcpClient.getFormVersion(formId, to)
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
         success: false,
-        error: 'Maximum of 10 images allowed per field. Please delete an existing image before uploading a new one.'
-      })
+        error: 'Version not found',
+        details: `Version ${!fromVersion ? from : to} does not exist for form ${formId}`
+      });
     }
 
-    // Use provided sequence or fallback to next available sequence
-    const nextSequence = sequence !== undefined ? parseInt(sequence) : existingImages.length
-    console.log(`🔄 Sequence handling: provided=${sequence}, parsed=${nextSequence}, existingCount=${existingImages.length}`)
-
-    // Generate unique filename with form and field context
-    const timestamp = Date.now()
-    const fileExtension = path.extname(file.originalname)
-    const imageId = `img_${timestamp}_${crypto.randomBytes(8).toString('hex')}`
-    const fileName = `${formId}/${fieldId}/${imageId}${fileExtension}`
-    
-    // Upload to GCP Cloud Storage
-    const uploadResult = await gcpClient.uploadFile(
-      file.path, 
-      `form-images/${fileName}`,
-      'chatterforms-uploads-us-central1'
-    )
+    res.json({
+      success: true,
+      formId,
+      from,
+      to,
+      diff: formDiff.diff(fromVersion.structure, toVersion.structure)
+    });
+  } catch (error) {
+    console.error(`❌ Failed to diff versions for form ${formId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to diff form versions', details: error.message });
+  }
+});
 
-    // Clean up local file
-    if (fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path)
-      console.log(`🧹 Cleaned up local file: ${file.path}`)
-    }
+// One version including its structure
+app.get('/api/forms/:formId/versions/:version', async (req, res) => {
+  const { formId } = req.params;
 
-    // Store image metadata in Firestore
-    const imageData = {
-      id: imageId,
-      formId: formId,
-      fieldId: fieldId,
-      userId: userId,
-      fileName: file.originalname,
-      fileSize: file.size,
-      fileType: file.mimetype,
-      gcpUrl: uploadResult.url,
-      publicUrl: uploadResult.publicUrl,
-      uploadedAt: new Date().toISOString(),
-      sequence: nextSequence,
-      isActive: true,
-      type: 'form_image' // Tag to distinguish from logos
+  try {
+    const form = await gcpClient.getFormStructure(formId);
+    const number = form ? resolveVersionNumber(req.params.version, form) : null;
+    const version = number ? await gcpClient.getFormVersion(formId, number) : null;
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found', formId, version: req.params.version });
     }
 
-    await gcpClient.storeFormImageMetadata(imageData)
-
-    console.log(`✅ Form image uploaded successfully: ${imageId}`)
-    console.log(`🔗 GCP URL: ${uploadResult.publicUrl}`)
-    
-    // Use backend proxy URL to avoid CORS issues
-    const rawBase = process.env.RAILWAY_PUBLIC_DOMAIN || 'https://my-poppler-api-dev.up.railway.app';
-    const baseUrl = rawBase.startsWith('http') ? rawBase : `https://${rawBase}`;
-    const backendUrl = `${baseUrl}/api/files/form-image/${formId}/${fieldId}/${imageId}`;
-
-    res.json({
-      success: true,
-      image: {
-        id: imageId,
-        url: backendUrl,
-        fileName: file.originalname,
-        fileSize: file.size,
-        fileType: file.mimetype,
-        position: 'center',
-        height: 200,
-        sequence: nextSequence,
-        uploadedAt: imageData.uploadedAt
-      }
-    })
-
+    res.json({ success: true, formId, version });
   } catch (error) {
-    console.error('❌ Form image upload error:', error)
-    
-    // Clean up local file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path)
-      console.log(`🧹 Cleaned up local file after error: ${req.file.path}`)
-    }
-    
-    res.status(500).json({
-      success: false,
-      error: 'Form image upload failed',
-      details: error.message
-    })
+    console.error(`❌ Failed to get version ${req.params.version} of form ${formId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to get form version', details: error.message });
   }
-})
+});
+
+// Roll the form back to an earlier version; recorded as a new version (source "restore")
+// Published status is kept, so restoring a published form changes the live form
+app.post('/api/forms/:formId/versions/:version/restore', async (req, res) => {
+  const { formId } = req.params;
+  const { userId } = req.body;
 
-// Get form images endpoint
-app.get('/form-images/:formId/:fieldId', async (req, res) => {
   try {
-    const { formId, fieldId } = req.params
-    
-    if (!formId || !fieldId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Form ID and Field ID are required'
-      })
-    }
+    const form = await getOwnedForm(req, res);
+    if (!form) return;
+
+    const number = resolveVersionNumber(req.params.version, form);
+    const version = number ? await gcpClient.getFormVersion(formId, number) : null;
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found', formId, version: req.params.version });
+    }
+
+    const result = await gcpClient.storeFormStructure(formId, version.structure, form.user_id, {
+      source: 'version-restore',
+      versionSource: 'restore',
+      restoredFrom: number,
+      editedBy: userId,
+      isPublished: form.is_published,
+      isHipaa: form.is_hipaa
+    });
 
-    console.log(`🖼️ Getting form images for form: ${formId}, field: ${fieldId}`)
+    if (result.publishedStructureChanged) {
+      refreshFormOgImage(formId, version.structure);
+    }
 
-    const images = await gcpClient.getFormImages(formId, fieldId)
+    console.log(`⏪ Form ${formId} restored to version ${number} (now version ${result.version})`);
 
     res.json({
       success: true,
-      images: images
-    })
-
+      formId,
+      restoredFrom: number,
+      version: result.version,
+      isPublished: result.isPublished,
+      structure: version.structure
+    });
   } catch (error) {
-    console.error('❌ Error getting form images:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get form images',
-      details: error.message
-    })
+    console.error(`❌ Failed to restore form ${formId} to version ${req.params.version}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to restore form version', details: error.message });
   }
-})
-
-// Delete form image endpoint
-app.delete('/form-image/:imageId', async (req, res) => {
-  try {
-    const { imageId } = req.params
-    const { userId } = req.body
-    
-    if (!imageId || !userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Image ID and User ID are required'
-      })
-    }
+});
 
-    console.log(`🗑️ Deleting form image: ${imageId} for user: ${userId}`)
+// ============== FORM PUBLISHING WORKFLOW ENDPOINTS ==============
 
-    const result = await gcpClient.deleteFormImage(imageId, userId)
+// Draft the editor is working on (auto-save keeps writing it) next to what is live
+app.get('/api/forms/:formId/draft', async (req, res) => {
+  const { formId } = req.params;
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: 'Form image deleted successfully'
-      })
-    } else {
-      res.status(404).json({
-        success: false,
-        error: result.error || 'Form image not found'
-      })
+  try {
+    const form = await gcpClient.getFormStructure(formId, true);
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found', formId });
     }
 
+    const draft = form.draft_structure || form.structure;
+    const diff = formDiff.diff(form.structure || {}, draft || {});
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      formId,
+      draft,
+      isPublished: !!form.is_published,
+      // Unpublished forms have nothing live yet, so everything is a pending change
+      hasUnpublishedChanges: !form.is_published || !diff.summary.identical,
+      changes: diff,
+      draftVersion: form.current_version || null,
+      publishedVersion: form.structure_version || null
+    });
   } catch (error) {
-    console.error('❌ Error deleting form image:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete form image',
-      details: error.message
-    })
+    console.error(`❌ Failed to load draft of form ${formId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to load draft', details: error.message });
   }
-})
+});
+
+// Promote the draft to the live form. Records a "publish" version, refreshes the preview image and
+// emails the owner when the form goes live for the first time (or when notify is true)
+app.post('/api/forms/:formId/publish', async (req, res) => {
+  const { formId } = req.params;
+  const { userId, publicUrl, notify } = req.body;
 
-// Update image sequence endpoint
-app.put('/form-images/:formId/:fieldId/sequence', async (req, res) => {
   try {
-    const { formId, fieldId } = req.params
-    const { images } = req.body
-    
-    if (!formId || !fieldId || !images || !Array.isArray(images)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Form ID, Field ID, and images array are required'
-      })
-    }
+    const form = await getOwnedForm(req, res);
+    if (!form) return;
+
+    const draft = form.draft_structure || form.structure;
+    if (!draft) {
+      return res.status(409).json({ success: false, error: 'Form has no content to publish', formId });
+    }
+    // Auto-save accepts invalid drafts; they must not go live
+    if (!validateFormStructureOrReject(res, draft, formId)) return;
+    const wasPublished = !!form.is_published;
+    const publishedAt = new Date().toISOString();
+
+    const result = await gcpClient.storeFormStructure(formId, draft, form.user_id, {
+      source: 'publish',
+      versionSource: 'publish',
+      forceVersion: true,
+      editedBy: userId,
+      isPublished: true,
+      isHipaa: form.is_hipaa,
+      publishedAt
+    });
 
-    console.log(`🔄 Updating image sequence for form: ${formId}, field: ${fieldId}`)
-    console.log('🔄 Images to update:', images.map(img => ({ id: img.id, fileName: img.fileName, sequence: img.sequence })))
+    refreshFormOgImage(formId, draft);
 
-    // Validate that all image IDs exist in Firestore before updating
-    console.log('🔍 Validating image IDs exist in database...')
-    const validationPromises = images.map(async (image) => {
+    let email = { sent: false, skipped: true, reason: 'Form was already published' };
+    if (!wasPublished || notify === true) {
+      const frontendUrl = process.env.FRONTEND_URL || 'https://www.chatterforms.com';
       try {
-        const doc = await gcpClient.collection('form_images').doc(image.id).get()
-        if (!doc.exists) {
-          throw new Error(`Image ${image.id} not found in database`)
-        }
-        console.log(`✅ Image ${image.id} validated`)
-        return true
-      } catch (error) {
-        console.error(`❌ Validation failed for image ${image.id}:`, error.message)
-        throw error
+        const owner = form.isAnonymous ? null : await gcpClient.getUserById(form.user_id);
+        const emailResult = await emailService.sendFormPublishedEmail(
+          owner?.email,
+          draft.title || 'Untitled Form',
+          publicUrl || `${frontendUrl}/forms/${formId}`
+        );
+        email = emailResult.success
+          ? { sent: !emailResult.skipped, skipped: !!emailResult.skipped, reason: emailResult.reason }
+          : { sent: false, skipped: false, error: emailResult.error };
+      } catch (emailError) {
+        // The form is live either way; report the email problem instead of failing the publish
+        console.error(`⚠️ Form published email failed for ${formId} (non-blocking):`, emailError.message);
+        email = { sent: false, skipped: false, error: emailError.message };
       }
-    })
-    
-    await Promise.all(validationPromises)
-    console.log('✅ All image IDs validated successfully')
-
-    // Update sequence for each image using the provided sequence number
-    const updatePromises = images.map((image) => 
-      gcpClient.updateImageSequence(image.id, image.sequence)
-    )
+    }
 
-    await Promise.all(updatePromises)
+    console.log(`🚀 Form ${formId} published as version ${result.version} by ${userId}`);
 
     res.json({
       success: true,
-      message: 'Image sequence updated successfully'
-    })
+      formId,
+      isPublished: true,
+      version: result.version,
+      publishedAt,
+      ogImageUrl: ogImageGenerator.imageUrl(BASE_URL, formId, ogImageGenerator.contentHash(ogImageGenerator.describe(draft))),
+      email
+    });
+  } catch (error) {
+    console.error(`❌ Failed to publish form ${formId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to publish form', details: error.message });
+  }
+});
+
+// Throw the draft away: draft_structure goes back to the live structure (recorded as a version)
+app.post('/api/forms/:formId/discard-draft', async (req, res) => {
+  const { formId } = req.params;
+  const { userId } = req.body;
+
+  try {
+    const form = await getOwnedForm(req, res);
+    if (!form) return;
+
+    if (!form.structure || !form.draft_structure || formDiff.diff(form.structure, form.draft_structure).summary.identical) {
+      return res.json({ success: true, formId, discarded: false, message: 'No unpublished changes to discard' });
+    }
+
+    const result = await gcpClient.storeFormStructure(formId, form.structure, form.user_id, {
+      source: 'discard-draft',
+      versionSource: 'discard-draft',
+      draftOnly: true,
+      editedBy: userId,
+      isPublished: form.is_published,
+      isHipaa: form.is_hipaa
+    });
+
+    console.log(`🗑️ Draft of form ${formId} discarded by ${userId} (version ${result.version})`);
 
+    res.json({
+      success: true,
+      formId,
+      discarded: true,
+      version: result.version,
+      draft: form.structure
+    });
   } catch (error) {
-    console.error('❌ Error updating image sequence:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update image sequence',
-      details: error.message
-    })
+    console.error(`❌ Failed to discard draft of form ${formId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to discard draft', details: error.message });
   }
-})
+});
 
-// ============== FILE SERVING ENDPOINTS ==============
+// Copy a form with its images, payment and calendly configuration under a new id (unpublished, no submissions)
+app.post('/api/forms/:formId/duplicate', async (req, res) => {
+  const { formId } = req.params;
+  const { userId, title } = req.body;
 
-// Serve logo files through backend to avoid CORS issues
-app.get('/api/files/logo/:userId/:logoId', async (req, res) => {
   try {
-    const { userId, logoId } = req.params
-    
-    if (!userId || !logoId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID and Logo ID are required'
-      })
+    const form = await getOwnedForm(req, res);
+    if (!form) return;
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({ success: false, error: 'title must be a non-empty string' });
     }
 
-    console.log(`🖼️ Serving logo file: ${logoId} for user: ${userId}`)
+    const newFormId = `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const result = await gcpClient.duplicateForm(formId, newFormId, { userId, title: title?.trim() });
 
-    // Get logo metadata from Firestore
-    const logoRef = gcpClient.collection('user_logos').doc(logoId)
-    const logoDoc = await logoRef.get()
-    
-    if (!logoDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Logo not found'
-      })
+    if (result.warnings.length > 0) {
+      console.warn(`⚠️ Form ${formId} duplicated with ${result.warnings.length} asset(s) not copied:`, result.warnings);
     }
-    
-    const logoData = logoDoc.data()
-    
-    // Verify the logo belongs to the user
-    if (logoData.userId !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized: Logo does not belong to user'
-      })
+
+    res.status(201).json({
+      success: true,
+      formId: result.formId,
+      sourceFormId: formId,
+      title: result.structure.title,
+      version: result.version,
+      copied: result.copied,
+      warnings: result.warnings
+    });
+  } catch (error) {
+    console.error(`❌ Failed to duplicate form ${formId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to duplicate form', details: error.message });
+  }
+});
+
+// ============== FORM TEMPLATE ENDPOINTS ==============
+
+// Registered user record (null for anonymous and unknown users)
+async function getRegisteredUser(userId) {
+  if (!userId || userId === 'anonymous') return null;
+  return gcpClient.getUserById(userId);
+}
+
+// Team of a registered user (null for anonymous users and users without a team)
+async function getUserTeamId(userId) {
+  const user = await getRegisteredUser(userId);
+  return user?.teamId || null;
+}
+
+// Built-in template or a stored one the user may see; null otherwise
+async function getVisibleTemplate(templateId, userId) {
+  const template = formTemplates.getBuiltIn(templateId) || await gcpClient.getFormTemplate(templateId);
+  if (!template) return null;
+  const teamId = template.visibility === 'team' ? await getUserTeamId(userId) : null;
+  return formTemplates.canView(template, { userId, teamId }) ? template : null;
+}
+
+// Save the current draft of a form as a reusable template (private, team or public)
+app.post('/api/forms/:formId/save-as-template', async (req, res) => {
+  const { formId } = req.params;
+  const { userId } = req.body;
+
+  try {
+    const form = await getOwnedForm(req, res);
+    if (!form) return;
+
+    const parsed = formTemplates.parse(req.body);
+    if (!parsed.isValid) {
+      return res.status(400).json({ success: false, error: 'Invalid template', details: parsed.error });
     }
-    
-    // Get the file from GCP Storage
-    const gcpUrl = logoData.gcpUrl
-    if (gcpUrl && gcpUrl.startsWith('gs://')) {
-      const bucketName = gcpUrl.split('/')[2]
-      const fileName = gcpUrl.split('/').slice(3).join('/')
-      
-      const bucket = gcpClient.storage.bucket(bucketName)
-      const file = bucket.file(fileName)
-      
-      // Check if file exists
-      const [exists] = await file.exists()
-      if (!exists) {
-        return res.status(404).json({
-          success: false,
-          error: 'Logo file not found in storage'
-        })
-      }
-      
-      // Set appropriate headers
-      res.set({
-        'Content-Type': logoData.fileType || 'image/png',
-        'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
-        'Access-Control-Allow-Origin': '*', // Allow CORS
-        'Access-Control-Allow-Methods': 'GET',
-        'Access-Control-Allow-Headers': 'Content-Type'
-      })
-      
-      // Stream the file
-      file.createReadStream().pipe(res)
-      
-      console.log(`✅ Logo file served: ${fileName}`)
-    } else {
-      return res.status(404).json({
-        success: false,
-        error: 'Invalid logo file path'
-      })
+
+    const teamId = await getUserTeamId(userId);
+    if (parsed.template.visibility === 'team' && !teamId) {
+      return res.status(400).json({ success: false, error: 'Invalid template', details: 'Team templates need an account that belongs to a team' });
     }
 
+    const structure = formTemplates.fromStructure(form.draft_structure || form.structure);
+    if (!validateFormStructureOrReject(res, structure, formId)) return;
+
+    const template = {
+      id: `tpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ...parsed.template,
+      ownerId: userId,
+      teamId,
+      sourceFormId: formId,
+      isHipaa: !!form.is_hipaa,
+      structure,
+      useCount: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await gcpClient.storeFormTemplate(template);
+
+    res.status(201).json({ success: true, template: formTemplates.summarize(template, { userId }) });
   } catch (error) {
-    console.error('❌ Error serving logo file:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to serve logo file',
-      details: error.message
-    })
+    console.error(`❌ Failed to save form ${formId} as a template:`, error);
+    res.status(500).json({ success: false, error: 'Failed to save template', details: error.message });
   }
-})
+});
+
+// List the templates a user can see (built-in, public, own and team), filtered by category and search
+app.get('/api/templates', async (req, res) => {
+  const { userId, category, search } = req.query;
 
-// Serve form image files through backend to avoid CORS issues
-app.get('/api/files/form-image/:formId/:fieldId/:imageId', async (req, res) => {
   try {
-    const { formId, fieldId, imageId } = req.params
-    
-    if (!formId || !fieldId || !imageId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Form ID, Field ID, and Image ID are required'
-      })
+    if (category && !FormTemplates.CATEGORIES.includes(category)) {
+      return res.status(400).json({ success: false, error: `category must be one of: ${FormTemplates.CATEGORIES.join(', ')}` });
     }
 
-    console.log(`🖼️ Serving form image file: ${imageId} for form: ${formId}, field: ${fieldId}`)
+    const teamId = await getUserTeamId(userId);
+    const stored = await gcpClient.listFormTemplates({ userId, teamId });
+    const { templates, categories } = formTemplates.list(stored, { userId, teamId, category, search });
 
-    // Get image metadata from Firestore
-    const imageRef = gcpClient.collection('form_images').doc(imageId)
-    const imageDoc = await imageRef.get()
-    
-    if (!imageDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Form image not found'
-      })
-    }
-    
-    const imageData = imageDoc.data()
-    
-    // Verify the image belongs to the form and field
-    if (imageData.formId !== formId || imageData.fieldId !== fieldId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized: Image does not belong to this form/field'
-      })
-    }
-    
-    // Get the file from GCP Storage
-    const gcpUrl = imageData.gcpUrl
-    if (gcpUrl && gcpUrl.startsWith('gs://')) {
-      const bucketName = gcpUrl.split('/')[2]
-      const fileName = gcpUrl.split('/').slice(3).join('/')
-      
-      const bucket = gcpClient.storage.bucket(bucketName)
-      const file = bucket.file(fileName)
-      
-      // Check if file exists
-      const [exists] = await file.exists()
-      if (!exists) {
-        return res.status(404).json({
-          success: false,
-          error: 'Form image file not found in storage'
-        })
-      }
-      
-      // Set appropriate headers
-      res.set({
-        'Content-Type': imageData.fileType || 'image/png',
-        'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
-        'Access-Control-Allow-Origin': '*', // Allow CORS
-        'Access-Control-Allow-Methods': 'GET',
-        'Access-Control-Allow-Headers': 'Content-Type'
-      })
-      
-      // Stream the file
-      file.createReadStream().pipe(res)
-      
-      console.log(`✅ Form image file served: ${fileName}`)
-    } else {
-      return res.status(404).json({
-        success: false,
-        error: 'Invalid form image file path'
-      })
+    res.json({ success: true, templates, categories, total: templates.length });
+  } catch (error) {
+    console.error('❌ Failed to list form templates:', error);
+    res.status(500).json({ success: false, error: 'Failed to list templates', details: error.message });
+  }
+});
+
+// Template details including its structure (for previews)
+app.get('/api/templates/:templateId', async (req, res) => {
+  const { templateId } = req.params;
+
+  try {
+    const template = await getVisibleTemplate(templateId, req.query.userId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found', templateId });
     }
 
+    res.json({ success: true, template: { ...formTemplates.summarize(template, { userId: req.query.userId }), structure: template.structure } });
   } catch (error) {
-    console.error('❌ Error serving form image file:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to serve form image file',
-      details: error.message
-    })
+    console.error(`❌ Failed to load template ${templateId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to load template', details: error.message });
   }
-})
+});
 
-// ============== DEBUG ENDPOINTS ==============
+// Create a new (unpublished) form from a template; counts as the onboarding "create-form" task
+app.post('/api/templates/:templateId/instantiate', async (req, res) => {
+  const { templateId } = req.params;
+  const { userId, title } = req.body;
 
-// Debug endpoint to check payment fields for a form
-app.get('/api/debug/payment-fields/:formId', async (req, res) => {
   try {
-    const { formId } = req.params;
-    console.log(`🔍 DEBUG: Getting payment fields for form: ${formId}`);
-    
-    const paymentFields = await gcpClient.getPaymentFields(formId);
-    
-    res.json({
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({ success: false, error: 'title must be a non-empty string' });
+    }
+
+    const template = await getVisibleTemplate(templateId, userId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found', templateId });
+    }
+
+    const formId = `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const structure = formTemplates.toStructure(template, { title: title?.trim() });
+    if (!validateFormStructureOrReject(res, structure, formId)) return;
+
+    const result = await gcpClient.storeFormStructure(formId, structure, userId || 'anonymous', {
+      source: 'template',
+      versionSource: 'template',
+      templateId,
+      isHipaa: !!template.isHipaa,
+      isPublished: false,
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    if (!template.builtIn) {
+      gcpClient.incrementTemplateUseCount(templateId).catch(error => {
+        console.warn(`⚠️ Could not count use of template ${templateId}: ${error.message}`);
+      });
+    }
+
+    let onboarding = null;
+    if (userId && userId !== 'anonymous' && await gcpClient.getUserById(userId)) {
+      try {
+        onboarding = await gcpClient.updateOnboardingProgress(userId, 'create-form', 'Create a form from a template', 1, '🎉 First form created!');
+      } catch (error) {
+        // Don't fail form creation if onboarding fails
+        console.warn(`⚠️ Onboarding update failed for user ${userId}: ${error.message}`);
+      }
+    }
+
+    console.log(`📚 Form ${formId} created from template ${templateId}`);
+
+    res.status(201).json({
       success: true,
       formId,
-      count: paymentFields.length,
-      fields: paymentFields.map(field => ({
-        id: field.id,
-        field_id: field.field_id,
-        form_id: field.form_id,
-        stripe_account_id: field.stripe_account_id,
-        amount: field.amount,
-        currency: field.currency,
-        product_name: field.product_name,
-        description: field.description,
-        created_at: field.created_at,
-        updated_at: field.updated_at
-      }))
+      templateId,
+      userId: result.userId,
+      isAnonymous: result.isAnonymous,
+      version: result.version,
+      structure,
+      onboarding
     });
   } catch (error) {
-    console.error('❌ Debug endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get payment fields'
-    });
+    console.error(`❌ Failed to create a form from template ${templateId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to create form from template', details: error.message });
   }
 });
 
-// Cleanup endpoint to remove duplicate payment fields
-app.post('/api/debug/cleanup-payment-fields/:formId/:fieldId', async (req, res) => {
-  try {
-    const { formId, fieldId } = req.params;
-    console.log(`🧹 CLEANUP: Cleaning up duplicate payment fields for form: ${formId}, field: ${fieldId}`);
-    
-    const fieldsQuery = await gcpClient
-      .collection('payment_fields')
-      .where('form_id', '==', formId)
-      .where('field_id', '==', fieldId)
-      .get();
+// ============== TEAM ENDPOINTS ==============
 
-    if (fieldsQuery.empty) {
-      return res.json({
-        success: true,
-        message: 'No payment fields found to clean up',
-        deleted: 0
-      });
+const MAX_TEAM_NAME_LENGTH = 80;
+
+// Team the user belongs to; null when it does not exist or the user is not a member
+async function getMemberTeam(teamId, userId) {
+  const team = await gcpClient.getTeam(teamId);
+  return team && userId && team.memberIds.includes(userId) ? team : null;
+}
+
+// Create a team owned by a registered user; its members share "team" templates
+app.post('/api/teams', async (req, res) => {
+  const { userId, name } = req.body;
+
+  try {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_TEAM_NAME_LENGTH) {
+      return res.status(400).json({ success: false, error: `name must be a non-empty string of at most ${MAX_TEAM_NAME_LENGTH} characters` });
     }
 
-    if (fieldsQuery.docs.length === 1) {
-      return res.json({
-        success: true,
-        message: 'Only one payment field found, no cleanup needed',
-        deleted: 0
-      });
+    const user = await getRegisteredUser(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (user.teamId) {
+      return res.status(409).json({ success: false, error: 'User already belongs to a team', teamId: user.teamId });
     }
 
-    // Sort by created_at to keep the most recent
-    const sortedDocs = fieldsQuery.docs.sort((a, b) => {
-      const aTime = a.data().created_at?._seconds || 0;
-      const bTime = b.data().created_at?._seconds || 0;
-      return bTime - aTime; // Most recent first
-    });
-    
-    // Keep the most recent, delete the rest
-    const keepDoc = sortedDocs[0];
-    const deleteDocs = sortedDocs.slice(1);
-    
-    console.log(`🧹 Keeping document: ${keepDoc.id}`);
-    console.log(`🧹 Deleting ${deleteDocs.length} duplicate documents`);
-    
-    // Delete duplicates
-    const batch = gcpClient.firestore.batch();
-    deleteDocs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-    await batch.commit();
-    
-    console.log(`✅ Cleaned up ${deleteDocs.length} duplicate payment fields`);
-    
-    res.json({
-      success: true,
-      message: `Cleaned up ${deleteDocs.length} duplicate payment fields`,
-      deleted: deleteDocs.length,
-      kept: keepDoc.id
+    const team = await gcpClient.createTeam({
+      id: `team_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: name.trim(),
+      ownerId: userId,
+      memberIds: [userId],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
     });
+
+    res.status(201).json({ success: true, team });
   } catch (error) {
-    console.error('❌ Cleanup endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to cleanup payment fields'
-    });
+    console.error('❌ Failed to create team:', error);
+    res.status(500).json({ success: false, error: 'Failed to create team', details: error.message });
   }
 });
 
-// ============== FILE SERVING ENDPOINT ==============
+// Team details for one of its members
+app.get('/api/teams/:teamId', async (req, res) => {
+  const { teamId } = req.params;
 
-// Serve uploaded files securely
-app.get('/api/files/:formId/:fieldId/:filename', async (req, res) => {
   try {
-    const { formId, fieldId, filename } = req.params
-    
-    console.log(`📁 File request: ${filename} for form: ${formId}, field: ${fieldId}`)
-    
-    // Construct the file path in GCP Storage
-    const filePath = `form-uploads/${formId}/${fieldId}/${filename}`
-    
-    // Get file from GCP Cloud Storage
-    const bucket = gcpClient.storage.bucket('chatterforms-uploads-us-central1')
-    const file = bucket.file(filePath)
-    
-    // Check if file exists
-    const [exists] = await file.exists()
-    if (!exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'File not found'
-      })
+    const team = await getMemberTeam(teamId, req.query.userId);
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found', teamId });
     }
-    
-    // Get file metadata
-    const [metadata] = await file.getMetadata()
-    
-    // Set appropriate headers
-    res.set({
-      'Content-Type': metadata.contentType || 'application/octet-stream',
-      'Content-Length': metadata.size,
-      'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-      'Content-Disposition': `inline; filename="${metadata.name}"`
-    })
-    
-    // Stream the file to the response
-    const stream = file.createReadStream()
-    stream.pipe(res)
-    
-    stream.on('error', (error) => {
-      console.error('❌ Error streaming file:', error)
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to stream file'
-        })
-      }
-    })
-    
+
+    res.json({ success: true, team });
   } catch (error) {
-    console.error('❌ Error serving file:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Failed to serve file'
-    })
+    console.error(`❌ Failed to load team ${teamId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to load team', details: error.message });
   }
 });
 
-// ============== USER FORMS ENDPOINT ==============
+// Add a registered user (by email) to a team; only the owner can add members
+app.post('/api/teams/:teamId/members', async (req, res) => {
+  const { teamId } = req.params;
+  const { userId, email } = req.body;
 
-app.get('/api/forms/user/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ success: false, error: 'email is required' });
     }
 
-    console.log(`📋 Fetching forms for user: ${userId}`);
-    
-    const forms = await gcpClient.getFormsByUserId(userId);
+    const team = await getMemberTeam(teamId, userId);
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found', teamId });
+    }
+    if (team.ownerId !== userId) {
+      return res.status(403).json({ success: false, error: 'Only the team owner can add members' });
+    }
 
-    res.json({
-      success: true,
-      userId,
-      forms,
-      count: forms.length,
-      timestamp: new Date().toISOString()
-    });
+    const member = await gcpClient.getUserByEmail(email);
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'No registered user with that email' });
+    }
+    if (member.teamId) {
+      return res.status(409).json({ success: false, error: 'User already belongs to a team' });
+    }
 
+    await gcpClient.addTeamMember(teamId, member.id);
+
+    res.status(201).json({ success: true, teamId, memberId: member.id });
   } catch (error) {
-    console.error('❌ User forms retrieval error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve user forms',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
+    console.error(`❌ Failed to add a member to team ${teamId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to add team member', details: error.message });
   }
 });
 
-// ============== SINGLE FORM ENDPOINT ==============
+// Remove a member: the owner can remove anyone else, members can leave on their own
+app.delete('/api/teams/:teamId/members/:memberId', async (req, res) => {
+  const { teamId, memberId } = req.params;
+  const { userId } = req.body;
 
-app.get('/api/forms/:formId', async (req, res) => {
   try {
-    const { formId } = req.params;
-    
-    if (!formId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Form ID is required'
-      });
+    const team = await getMemberTeam(teamId, userId);
+    if (!team || !team.memberIds.includes(memberId)) {
+      return res.status(404).json({ success: false, error: 'Team member not found', teamId, memberId });
     }
-
-    console.log(`📋 Fetching form: ${formId}`);
-    
-    // Get the form data from GCP with fresh read to avoid cache issues after updates
-    const form = await gcpClient.getFormStructure(formId, true);
-
-    if (!form) {
-      return res.status(404).json({
-        success: false,
-        error: 'Form not found',
-        formId,
-        timestamp: new Date().toISOString()
-      });
+    if (userId !== team.ownerId && userId !== memberId) {
+      return res.status(403).json({ success: false, error: 'Only the team owner can remove other members' });
+    }
+    if (memberId === team.ownerId) {
+      return res.status(400).json({ success: false, error: 'The team owner cannot leave the team' });
     }
 
-    // Prevent any intermediary/proxy/browser caching
-    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0');
-    res.set('Pragma', 'no-cache');
-    res.set('Expires', '0');
-    res.set('Surrogate-Control', 'no-store');
-
-    res.json({
-      success: true,
-      form,
-      timestamp: new Date().toISOString()
-    });
+    await gcpClient.removeTeamMember(teamId, memberId);
 
+    res.json({ success: true, teamId, memberId });
   } catch (error) {
-    console.error('❌ Form retrieval error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve form',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
+    console.error(`❌ Failed to remove ${memberId} from team ${teamId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to remove team member', details: error.message });
   }
 });
 
@@ -3373,6 +4895,19 @@ app.post('/api/auto-save-form', async (req, res) => {
       });
     }
 
+    if (typeof formSchema !== 'object' || Array.isArray(formSchema)) {
+      return res.status(400).json({
+        error: 'Form schema must be an object'
+      });
+    }
+
+    // Auto-save keeps work in progress even when it is invalid: problems are reported, not rejected
+    // (publishing validates again and refuses invalid drafts)
+    const validation = formStructureSchema.validate(formSchema);
+    if (!validation.valid) {
+      console.warn(`⚠️ Auto-saved draft of ${formId} has ${validation.errors.length} schema error(s)`);
+    }
+
     // Get the current form to preserve its published status
     const currentForm = await gcpClient.getFormById(formId);
     const currentPublishedStatus = currentForm?.is_published || false;
@@ -3399,6 +4934,7 @@ app.post('/api/auto-save-form', async (req, res) => {
       return res.json({ 
         success: true, 
         formId,
+        validation: { valid: validation.valid, errors: validation.errors, warnings: validation.warnings },
         message: 'Form auto-saved successfully' 
       });
     } else {
@@ -3427,6 +4963,9 @@ app.get('/health', (req, res) => {
       gcp: 'enabled',
       fileUpload: 'enabled'
     },
+    pdfQueue: pdfJobQueue.getStats(),
+    cleanup: cleanupScheduler.getStats(),
+    browserPool: browserPool.getStats(),
     environment: {
       isRailway: !!process.env.RAILWAY_PUBLIC_DOMAIN,
       railwayDomain: process.env.RAILWAY_PUBLIC_DOMAIN || null,
@@ -4854,6 +6393,9 @@ app.post('/store-anonymous-form', async (req, res) => {
     // Use the form ID from the form data, or generate a new one
     const formId = formData.id || formData.formId || `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    const validation = validateFormStructureOrReject(res, formData, formId);
+    if (!validation) return;
+
     // Store form structure
     console.log(`📝 Attempting to store anonymous form in Firestore: ${formId}`);
     console.log(`📝 Form data:`, JSON.stringify(formData, null, 2));
@@ -4875,6 +6417,10 @@ app.post('/store-anonymous-form', async (req, res) => {
     console.log(`✅ Anonymous form structure stored: ${formId}`);
     console.log(`✅ Storage result:`, JSON.stringify(result, null, 2));
 
+    if (result.publishedStructureChanged) {
+      refreshFormOgImage(formId, formData);
+    }
+
     // Return the FULL response from GCP client for migration purposes
     res.json({
       success: true,
@@ -5303,51 +6849,74 @@ app.post('/api/user/update-onboarding-flags', async (req, res) => {
 
 // ============== SERVER STARTUP ==============
 
-app.listen(PORT, () => {
-  console.log(`🚀 ChatterForms API running at ${BASE_URL}`);
-  console.log(`📁 PDF Upload: POST ${BASE_URL}/upload`);
-  console.log(`📸 Screenshot: POST ${BASE_URL}/screenshot`);
-  console.log(`📎 File Upload: POST ${BASE_URL}/upload-file`);
-  console.log(`📋 Form Submissions: GET ${BASE_URL}/form/:formId/submissions`);
-  console.log(`📄 Single Submission: GET ${BASE_URL}/submission/:submissionId`);
-  console.log(`📊 Form Analytics: GET ${BASE_URL}/analytics/:formId`);
-  console.log(`👤 User Analytics: GET ${BASE_URL}/analytics/user/:userId`);
-  console.log(`📈 All Analytics: GET ${BASE_URL}/analytics?limit=100`);
-  console.log(`🗑️ Cleanup: GET ${BASE_URL}/cleanup`);
-  console.log(`🔄 Form Migration: POST ${BASE_URL}/api/forms/migrate-anonymous`);
-  console.log(`🧹 Session Cleanup: GET ${BASE_URL}/api/cleanup/expired-sessions`);
-  console.log(`🔐 Auth Signup: POST ${BASE_URL}/auth/signup`);
-  console.log(`🔑 Auth Login: POST ${BASE_URL}/auth/login`);
-  console.log(`✅ Email Verify: POST ${BASE_URL}/auth/verify-email`);
-  console.log(`🔄 Password Reset: POST ${BASE_URL}/auth/request-reset`);
-  console.log(`🔒 Reset Password: POST ${BASE_URL}/auth/reset-password`);
-  console.log(`📦 Form Migration: POST ${BASE_URL}/auth/migrate-forms`);
-  console.log(`👤 Session Check: GET ${BASE_URL}/auth/session`);
-  console.log(`💳 Stripe Webhooks: POST ${BASE_URL}/api/billing/webhook`);
-  console.log(`📧 Form Published Email: POST ${BASE_URL}/api/emails/send-form-published`);
-  console.log(`📧 Form Submission Email: POST ${BASE_URL}/api/emails/send-form-submission`);
-  console.log(`📧 Form Deleted Email: POST ${BASE_URL}/api/emails/send-form-deleted`);
-  console.log(`🎯 Onboarding Initialize: POST ${BASE_URL}/api/onboarding/initialize`);
-  console.log(`📊 Onboarding Progress: GET ${BASE_URL}/api/onboarding/progress/:userId`);
-  console.log(`✅ Complete Task: POST ${BASE_URL}/api/onboarding/complete-task`);
-  console.log(`📚 Help Article: GET ${BASE_URL}/api/onboarding/help/:taskId`);
-  console.log(`📈 Onboarding Analytics: GET ${BASE_URL}/api/onboarding/analytics/:userId`);
-  console.log(`🏥 Health: GET ${BASE_URL}/health`);
+// Only listen when run directly; tests require the module to check that it boots
+if (require.main === module) {
+  app.listen(PORT, () => {
+    cleanupScheduler.start();
+    console.log(`🚀 ChatterForms API running at ${BASE_URL}`);
+    console.log(`📁 PDF Upload: POST ${BASE_URL}/upload`);
+    console.log(`⏳ PDF Job Status: GET ${BASE_URL}/upload/jobs/:jobId`);
+    console.log(`🔤 PDF Text Extraction: POST ${BASE_URL}/extract-text`);
+    console.log(`🔎 PDF Inspection: POST ${BASE_URL}/pdf/info`);
+    console.log(`✂️ PDF Pages: POST ${BASE_URL}/pdf/merge | /pdf/split | /pdf/extract | /pdf/rotate`);
+    console.log(`🖼️ PDF Images: POST ${BASE_URL}/pdf/images`);
+    console.log(`📦 PDF Archive: GET ${BASE_URL}/output/:uuid/archive.zip`);
+    console.log(`☁️ Persisted Renders: GET ${BASE_URL}/pdf/renders/:renderId?userId=`);
+    console.log(`📑 PDF Form Import: POST ${BASE_URL}/import-pdf-form`);
+    console.log(`📸 Screenshot: POST ${BASE_URL}/screenshot`);
+    console.log(`📎 File Upload: POST ${BASE_URL}/upload-file`);
+    console.log(`📋 Form Submissions: GET ${BASE_URL}/form/:formId/submissions`);
+    console.log(`🪧 Form Preview Image: GET ${BASE_URL}/api/forms/:formId/og-image.png`);
+    console.log(`🚀 Form Publishing: GET ${BASE_URL}/api/forms/:formId/draft | POST /api/forms/:formId/publish | POST /api/forms/:formId/discard-draft`);
+    console.log(`📑 Form Duplication: POST ${BASE_URL}/api/forms/:formId/duplicate`);
+    console.log(`📚 Form Templates: GET ${BASE_URL}/api/templates | GET /api/templates/:templateId | POST /api/templates/:templateId/instantiate | POST /api/forms/:formId/save-as-template`);
+    console.log(`👥 Teams: POST ${BASE_URL}/api/teams | GET /api/teams/:teamId | POST /api/teams/:teamId/members | DELETE /api/teams/:teamId/members/:memberId`);
+    console.log(`🗂️ Form Versions: GET ${BASE_URL}/api/forms/:formId/versions | /versions/diff?from=&to= | POST /versions/:version/restore`);
+    console.log(`📄 Single Submission: GET ${BASE_URL}/submission/:submissionId`);
+    console.log(`📊 Form Analytics: GET ${BASE_URL}/analytics/:formId`);
+    console.log(`👤 User Analytics: GET ${BASE_URL}/analytics/user/:userId`);
+    console.log(`📈 All Analytics: GET ${BASE_URL}/analytics?limit=100`);
+    console.log(`🗑️ Cleanup: GET ${BASE_URL}/cleanup (scheduled every ${cleanupScheduler.intervalMs / 60000} min)`);
+    console.log(`🔄 Form Migration: POST ${BASE_URL}/api/forms/migrate-anonymous`);
+    console.log(`🧹 Session Cleanup: GET ${BASE_URL}/api/cleanup/expired-sessions`);
+    console.log(`🔐 Auth Signup: POST ${BASE_URL}/auth/signup`);
+    console.log(`🔑 Auth Login: POST ${BASE_URL}/auth/login`);
+    console.log(`✅ Email Verify: POST ${BASE_URL}/auth/verify-email`);
+    console.log(`🔄 Password Reset: POST ${BASE_URL}/auth/request-reset`);
+    console.log(`🔒 Reset Password: POST ${BASE_URL}/auth/reset-password`);
+    console.log(`📦 Form Migration: POST ${BASE_URL}/auth/migrate-forms`);
+    console.log(`👤 Session Check: GET ${BASE_URL}/auth/session`);
+    console.log(`💳 Stripe Webhooks: POST ${BASE_URL}/api/billing/webhook`);
+    console.log(`📧 Form Published Email: POST ${BASE_URL}/api/emails/send-form-published`);
+    console.log(`📧 Form Submission Email: POST ${BASE_URL}/api/emails/send-form-submission`);
+    console.log(`📧 Form Deleted Email: POST ${BASE_URL}/api/emails/send-form-deleted`);
+    console.log(`🎯 Onboarding Initialize: POST ${BASE_URL}/api/onboarding/initialize`);
+    console.log(`📊 Onboarding Progress: GET ${BASE_URL}/api/onboarding/progress/:userId`);
+    console.log(`✅ Complete Task: POST ${BASE_URL}/api/onboarding/complete-task`);
+    console.log(`📚 Help Article: GET ${BASE_URL}/api/onboarding/help/:taskId`);
+    console.log(`📈 Onboarding Analytics: GET ${BASE_URL}/api/onboarding/analytics/:userId`);
+    console.log(`🏥 Health: GET ${BASE_URL}/health`);
   
-  if (process.env.RAILWAY_PUBLIC_DOMAIN) {
-    console.log(`🚄 Running on Railway: ${process.env.RAILWAY_PUBLIC_DOMAIN}`);
-  } else {
-    console.log(`💻 Running locally on port ${PORT}`);
-  }
-});
+    if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+      console.log(`🚄 Running on Railway: ${process.env.RAILWAY_PUBLIC_DOMAIN}`);
+    } else {
+      console.log(`💻 Running locally on port ${PORT}`);
+    }
+  });
+}
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+// Pooled browsers are separate processes and would otherwise outlive the server
+process.on('SIGTERM', async () => {
   console.log('🛑 Received SIGTERM, shutting down gracefully...');
+  await browserPool.close();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('🛑 Received SIGINT, shutting down gracefully...');
+  await browserPool.close();
   process.exit(0);
-});
\ No newline at end of file
+});
+
+module.exports = app;
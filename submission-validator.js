@@ -0,0 +1,159 @@
+/**
+ * Submission Validator for ChatterForms Railway Backend
+ * Checks submitted answers against the stored (published) form structure: required fields,
+ * formats, allowed choice options, length limits, file presence and unknown fields.
+ * Fields hidden by the form's conditional logic are not enforced and their answers are dropped.
+ */
+
+const FormSchema = require('./form-schema');
+const FormLogic = require('./form-logic');
+
+const { unwrap, isEmpty } = FormLogic;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DEFAULT_MAX_LENGTH = { text: 1000, email: 320, tel: 40, url: 2048, textarea: 10000 };
+const DEFAULT_MAX_RATING = 5;
+// Field types that only display content and never carry an answer
+const DISPLAY_TYPES = ['richtext'];
+
+function isValidDate(text) {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCFullYear() === Number(match[1]) && date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+}
+
+// Accepted answers for a choice field: option values and their labels
+function allowedOptions(field) {
+  const allowed = new Set();
+  (field.options || []).forEach(option => {
+    allowed.add(FormSchema.optionText(option));
+    if (option && typeof option === 'object' && option.label) allowed.add(String(option.label).trim());
+  });
+  return allowed;
+}
+
+class SubmissionValidator {
+  constructor() {
+    this.formLogic = new FormLogic();
+  }
+
+  /**
+   * Validate submitted answers
+   * @param {Object} structure - Published form structure ({ fields: [...] })
+   * @param {Object} data - Submitted answers keyed by field id
+   * @returns {Object} - { valid, errors: [{ fieldId, message }], data (answers to visible fields), hiddenFields }
+   */
+  validate(structure, data) {
+    const errors = [];
+    const fields = Array.isArray(structure?.fields) ? structure.fields : [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { valid: false, errors: [{ fieldId: null, message: 'Submission data must be an object keyed by field id' }], data: {}, hiddenFields: [] };
+    }
+
+    const { data: visibleData, hiddenFields } = this.formLogic.apply(structure, data);
+    const hidden = new Set(hiddenFields);
+
+    const fieldsById = new Map(fields.map(field => [field.id, field]));
+    Object.keys(data).forEach(fieldId => {
+      const field = fieldsById.get(fieldId);
+      if (!field) {
+        errors.push({ fieldId, message: 'Unknown field' });
+      } else if (DISPLAY_TYPES.includes(field.type) && !isEmpty(unwrap(data[fieldId]))) {
+        errors.push({ fieldId, message: 'Field does not accept answers' });
+      }
+    });
+
+    fields.forEach(field => {
+      if (DISPLAY_TYPES.includes(field.type) || hidden.has(field.id)) return;
+      const value = unwrap(data[field.id]);
+
+      if (isEmpty(value)) {
+        if (field.required) errors.push({ fieldId: field.id, message: `${field.label || field.id} is required` });
+        return;
+      }
+
+      const message = this.validateValue(field, value);
+      if (message) errors.push({ fieldId: field.id, message });
+    });
+
+    return { valid: errors.length === 0, errors, data: visibleData, hiddenFields };
+  }
+
+  /**
+   * Problem with a non-empty answer, or null when it is acceptable
+   */
+  validateValue(field, value) {
+    switch (field.type) {
+      case 'text':
+      case 'textarea':
+      case 'email':
+      case 'tel':
+      case 'url': {
+        if (typeof value !== 'string') return 'Must be text';
+        const maxLength = field.maxLength || DEFAULT_MAX_LENGTH[field.type];
+        if (value.length > maxLength) return `Must be at most ${maxLength} characters`;
+        if (field.minLength && value.trim().length < field.minLength) return `Must be at least ${field.minLength} characters`;
+        if (field.type === 'email' && !EMAIL_PATTERN.test(value.trim())) return 'Must be a valid email address';
+        if (field.type === 'tel') {
+          const digits = value.replace(/\D/g, '');
+          if (!PHONE_PATTERN.test(value.trim()) || digits.length < 7 || digits.length > 15) return 'Must be a valid phone number';
+        }
+        if (field.type === 'url') {
+          try {
+            if (!['http:', 'https:'].includes(new URL(value.trim()).protocol)) return 'Must be an http(s) URL';
+          } catch (error) {
+            return 'Must be a valid URL';
+          }
+        }
+        return null;
+      }
+      case 'number': {
+        const number = Number(value);
+        if (typeof value === 'boolean' || value === '' || !Number.isFinite(number)) return 'Must be a valid number';
+        if (typeof field.min === 'number' && number < field.min) return `Must be at least ${field.min}`;
+        if (typeof field.max === 'number' && number > field.max) return `Must be at most ${field.max}`;
+        return null;
+      }
+      case 'rating': {
+        const rating = Number(value);
+        const maxRating = field.max || DEFAULT_MAX_RATING;
+        if (!Number.isInteger(rating) || rating < 0 || rating > maxRating) return `Must be a whole number between 0 and ${maxRating}`;
+        return null;
+      }
+      case 'date':
+        return typeof value === 'string' && isValidDate(value) ? null : 'Must be a valid date (YYYY-MM-DD)';
+      case 'time':
+        return typeof value === 'string' && TIME_PATTERN.test(value) ? null : 'Must be a valid time (HH:MM)';
+      case 'select':
+      case 'radio': {
+        if (typeof value !== 'string') return 'Must be one of the options';
+        return field.allowOther || allowedOptions(field).has(value.trim()) ? null : 'Must be one of the options';
+      }
+      case 'checkbox-group': {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return 'Must be a list of options';
+        if (field.allowOther) return null;
+        const allowed = allowedOptions(field);
+        const invalid = value.filter(item => !allowed.has(item.trim()));
+        return invalid.length > 0 ? `Not an option: ${invalid.join(', ')}` : null;
+      }
+      case 'checkbox':
+        return [true, 'true', 'on', 'yes'].includes(value) ? null : 'Must be checked or left empty';
+      case 'file':
+        return value && typeof value === 'object' && (value.gcpUrl || value.fileName) ? null : 'Must be an uploaded file';
+      case 'signature':
+        return value && typeof value === 'object' && value.imageBase64 ? null : 'Must be a signature';
+      case 'payment':
+      case 'calendly':
+        return value && typeof value === 'object' ? null : `Must be a ${field.type} result`;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = SubmissionValidator;
@@ -0,0 +1,129 @@
+/**
+ * Browser Pool Tests
+ * Tests for sharing warm headless browsers between screenshot and PDF tasks
+ */
+
+const EventEmitter = require('events');
+const { BrowserPool } = require('../browser-pool');
+
+// Stand-in for a puppeteer Browser: contexts hand out pages, close() disconnects
+const createFakeBrowser = () => {
+  const browser = new EventEmitter();
+  browser.contexts = [];
+  browser.createBrowserContext = jest.fn(async () => {
+    const context = { newPage: jest.fn(async () => ({ context })), close: jest.fn(async () => {}) };
+    browser.contexts.push(context);
+    return context;
+  });
+  browser.close = jest.fn(async () => browser.emit('disconnected'));
+  return browser;
+};
+
+// Task whose completion is controlled by the test
+const createDeferredTask = () => {
+  let resolve;
+  const done = new Promise(res => { resolve = res; });
+  return { task: jest.fn(() => done), resolve };
+};
+
+describe('BrowserPool', () => {
+  let browsers;
+  let launch;
+
+  beforeEach(() => {
+    browsers = [];
+    launch = jest.fn(async () => {
+      const browser = createFakeBrowser();
+      browsers.push(browser);
+      return browser;
+    });
+  });
+
+  test('reuses a warm browser and closes each task context', async () => {
+    const pool = new BrowserPool({ size: 2, launch });
+
+    await pool.withPage(async () => 'first');
+    const result = await pool.withPage(async (page, context) => {
+      expect(page.context).toBe(context);
+      return 'second';
+    });
+
+    expect(result).toBe('second');
+    expect(launch).toHaveBeenCalledTimes(1);
+    expect(browsers[0].contexts).toHaveLength(2);
+    browsers[0].contexts.forEach(context => expect(context.close).toHaveBeenCalled());
+    await pool.close();
+  });
+
+  test('closes the context when a task fails', async () => {
+    const pool = new BrowserPool({ launch });
+
+    await expect(pool.withPage(async () => { throw new Error('navigation timeout'); })).rejects.toThrow('navigation timeout');
+
+    expect(browsers[0].contexts[0].close).toHaveBeenCalled();
+    expect(pool.getStats().activeTasks).toBe(0);
+    await pool.close();
+  });
+
+  test('queues tasks when saturated and rejects beyond maxQueued', async () => {
+    const pool = new BrowserPool({ size: 1, contextsPerBrowser: 1, maxQueued: 1, launch });
+    const first = createDeferredTask();
+    const second = createDeferredTask();
+
+    const firstRun = pool.withPage(first.task);
+    await new Promise(resolve => setImmediate(resolve));
+    const secondRun = pool.withPage(second.task);
+
+    await expect(pool.withPage(async () => {})).rejects.toMatchObject({ code: 'BROWSER_POOL_SATURATED' });
+    expect(pool.getStats()).toMatchObject({ browsers: 1, activeTasks: 1, queued: 1 });
+    expect(second.task).not.toHaveBeenCalled();
+
+    first.resolve('a');
+    await firstRun;
+    await new Promise(resolve => setImmediate(resolve));
+    expect(second.task).toHaveBeenCalled();
+
+    second.resolve('b');
+    await expect(secondRun).resolves.toBe('b');
+    expect(launch).toHaveBeenCalledTimes(1);
+    await pool.close();
+  });
+
+  test('fails queued tasks after the acquire timeout', async () => {
+    const pool = new BrowserPool({ size: 1, contextsPerBrowser: 1, acquireTimeoutMs: 20, launch });
+    const first = createDeferredTask();
+    const firstRun = pool.withPage(first.task);
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(pool.withPage(async () => {})).rejects.toMatchObject({ code: 'BROWSER_POOL_TIMEOUT' });
+
+    first.resolve();
+    await firstRun;
+    await pool.close();
+  });
+
+  test('recycles a browser after maxUsesPerBrowser tasks', async () => {
+    const pool = new BrowserPool({ size: 1, maxUsesPerBrowser: 2, launch });
+
+    await pool.withPage(async () => {});
+    await pool.withPage(async () => {});
+    expect(browsers[0].close).toHaveBeenCalled();
+
+    await pool.withPage(async () => {});
+    expect(launch).toHaveBeenCalledTimes(2);
+    expect(pool.getStats()).toMatchObject({ browsers: 1, launched: 2, recycled: 1, crashed: 0 });
+    await pool.close();
+  });
+
+  test('replaces a browser that crashed', async () => {
+    const pool = new BrowserPool({ size: 1, launch });
+    await pool.withPage(async () => {});
+
+    browsers[0].emit('disconnected');
+    await pool.withPage(async () => {});
+
+    expect(launch).toHaveBeenCalledTimes(2);
+    expect(pool.getStats()).toMatchObject({ browsers: 1, crashed: 1 });
+    await pool.close();
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Cleanup Scheduler Tests
+ * Tests for retention-based expiry and LRU eviction under a disk quota
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CleanupScheduler = require('../cleanup-scheduler');
+
+describe('CleanupScheduler', () => {
+  let tempDir;
+  let targets;
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  // Create a file or a folder holding one file, last used `age` minutes ago
+  const writeEntry = (target, name, bytes, age, { folder = false } = {}) => {
+    const entryPath = path.join(tempDir, target, name);
+    if (folder) {
+      fs.mkdirSync(entryPath);
+      fs.writeFileSync(path.join(entryPath, 'page-1.png'), Buffer.alloc(bytes));
+    } else {
+      fs.writeFileSync(entryPath, Buffer.alloc(bytes));
+    }
+    fs.utimesSync(entryPath, minutesAgo(age), minutesAgo(age));
+  };
+
+  const exists = (target, name) => fs.existsSync(path.join(tempDir, target, name));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-scheduler-'));
+    targets = ['uploads', 'output', 'screenshots'].map(name => {
+      fs.mkdirSync(path.join(tempDir, name));
+      return { name, dir: path.join(tempDir, name), retentionMs: (name === 'screenshots' ? 30 : 60) * 60 * 1000 };
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('removes entries older than their target retention', async () => {
+    writeEntry('uploads', 'old.pdf', 10, 90);
+    writeEntry('uploads', 'new.pdf', 10, 5);
+    writeEntry('output', 'old', 20, 61, { folder: true });
+    writeEntry('screenshots', 'hash', 30, 45, { folder: true });
+
+    const stats = await new CleanupScheduler({ targets }).run();
+
+    expect(exists('uploads', 'old.pdf')).toBe(false);
+    expect(exists('uploads', 'new.pdf')).toBe(true);
+    expect(exists('output', 'old')).toBe(false);
+    expect(exists('screenshots', 'hash')).toBe(false);
+    expect(stats).toMatchObject({ expiredCount: 3, evictedCount: 0, freedBytes: 60, totalBytes: 10 });
+  });
+
+  test('evicts least recently used entries across targets until within the quota', async () => {
+    writeEntry('uploads', 'a.pdf', 100, 20);
+    writeEntry('output', 'b', 100, 10, { folder: true });
+    writeEntry('screenshots', 'c', 100, 15, { folder: true });
+    writeEntry('output', 'd', 100, 1, { folder: true });
+
+    const stats = await new CleanupScheduler({ targets, maxBytes: 250 }).run();
+
+    expect(exists('uploads', 'a.pdf')).toBe(false);
+    expect(exists('screenshots', 'c')).toBe(false);
+    expect(exists('output', 'b')).toBe(true);
+    expect(exists('output', 'd')).toBe(true);
+    expect(stats.evictedCount).toBe(2);
+    expect(stats.totalBytes).toBe(200);
+    expect(stats.targets.output).toEqual({ entries: 2, bytes: 200, expired: 0, evicted: 0 });
+  });
+
+  test('never removes entries that are in use', async () => {
+    writeEntry('uploads', 'busy.pdf', 100, 90);
+    writeEntry('uploads', 'idle.pdf', 100, 30);
+
+    const scheduler = new CleanupScheduler({
+      targets,
+      maxBytes: 50,
+      isInUse: (targetName, entryName) => entryName === 'busy.pdf'
+    });
+    await scheduler.run();
+
+    expect(exists('uploads', 'busy.pdf')).toBe(true);
+    expect(exists('uploads', 'idle.pdf')).toBe(false);
+  });
+
+  test('records the last run with the afterRun result and shares concurrent runs', async () => {
+    const afterRun = jest.fn().mockResolvedValue({ purgedRenders: 2 });
+    const scheduler = new CleanupScheduler({ targets, intervalMs: 60000, afterRun });
+
+    const [first, second] = await Promise.all([scheduler.run(), scheduler.run()]);
+
+    expect(first).toBe(second);
+    expect(afterRun).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStats()).toMatchObject({
+      intervalMs: 60000,
+      running: false,
+      retention: { uploads: 3600000, output: 3600000, screenshots: 1800000 },
+      lastRun: { extra: { purgedRenders: 2 }, error: null }
+    });
+  });
+});
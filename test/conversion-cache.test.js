@@ -0,0 +1,118 @@
+/**
+ * Conversion Cache Tests
+ * Tests for content-addressed reuse of /upload renders
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConversionCache = require('../conversion-cache');
+
+describe('ConversionCache', () => {
+  let tempDir;
+  let outputRoot;
+  let pdfPath;
+  let cache;
+
+  const options = { format: 'png', dpi: 150, firstPage: 1, lastPage: null };
+
+  // Simulate a finished conversion for the given uuid
+  const writeRenders = (uuid, filenames = ['page-1.png', 'page-2.png']) => {
+    fs.mkdirSync(path.join(outputRoot, uuid), { recursive: true });
+    filenames.forEach(filename => fs.writeFileSync(path.join(outputRoot, uuid, filename), 'png'));
+    return {
+      uuid,
+      totalPages: filenames.length,
+      images: filenames.map((filename, index) => ({ page: index + 1, filename })),
+      options
+    };
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversion-cache-'));
+    outputRoot = path.join(tempDir, 'output');
+    fs.mkdirSync(outputRoot);
+    pdfPath = path.join(tempDir, 'input.pdf');
+    fs.writeFileSync(pdfPath, '%PDF-1.7 test document');
+    cache = new ConversionCache(outputRoot);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('computeKey depends on bytes, options and passwords', () => {
+    const key = cache.computeKey(pdfPath, options);
+
+    expect(cache.computeKey(pdfPath, options)).toBe(key);
+    expect(cache.computeKey(pdfPath, { ...options, dpi: 72 })).not.toBe(key);
+    expect(cache.computeKey(pdfPath, options, { userPassword: 'secret' })).not.toBe(key);
+
+    fs.writeFileSync(pdfPath, '%PDF-1.7 another document');
+    expect(cache.computeKey(pdfPath, options)).not.toBe(key);
+  });
+
+  test('returns stored results while the renders are still on disk', () => {
+    const key = cache.computeKey(pdfPath, options);
+    const result = writeRenders('uuid-1');
+    cache.store(key, 'uuid-1', result);
+
+    expect(cache.lookup(key)).toMatchObject({ uuid: 'uuid-1', result });
+
+    fs.unlinkSync(path.join(outputRoot, 'uuid-1', 'page-2.png'));
+    expect(cache.lookup(key)).toBeNull();
+  });
+
+  test('treats renders older than the retention window as expired', () => {
+    const key = cache.computeKey(pdfPath, options);
+    cache.store(key, 'uuid-1', writeRenders('uuid-1'));
+
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(outputRoot, 'uuid-1'), twoHoursAgo, twoHoursAgo);
+
+    expect(cache.lookup(key)).toBeNull();
+  });
+
+  test('a hit refreshes the folder mtime so cleanup keeps it', () => {
+    const key = cache.computeKey(pdfPath, options);
+    cache.store(key, 'uuid-1', writeRenders('uuid-1'));
+
+    const fiftyMinutesAgo = new Date(Date.now() - 50 * 60 * 1000);
+    fs.utimesSync(path.join(outputRoot, 'uuid-1'), fiftyMinutesAgo, fiftyMinutesAgo);
+
+    expect(cache.lookup(key)).not.toBeNull();
+    expect(fs.statSync(path.join(outputRoot, 'uuid-1')).mtime.getTime()).toBeGreaterThan(Date.now() - 60 * 1000);
+  });
+
+  test('load rebuilds the index from manifests on disk', () => {
+    const key = cache.computeKey(pdfPath, options);
+    cache.store(key, 'uuid-1', writeRenders('uuid-1'));
+    fs.mkdirSync(path.join(outputRoot, 'legacy-upload'));
+
+    const restarted = new ConversionCache(outputRoot);
+
+    expect(restarted.load()).toBe(1);
+    expect(restarted.lookup(key)).toMatchObject({ uuid: 'uuid-1' });
+  });
+
+  test('keeps manifests out of the publicly served output folder', () => {
+    const key = cache.computeKey(pdfPath, options);
+    cache.store(key, 'uuid-1', writeRenders('uuid-1'));
+
+    expect(fs.readdirSync(path.join(outputRoot, 'uuid-1'))).toEqual(['page-1.png', 'page-2.png']);
+    expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'conversion-cache', 'uuid-1.json'), 'utf8')).cacheKey).toBe(key);
+  });
+
+  test('load drops manifests whose renders were cleaned up', () => {
+    const key = cache.computeKey(pdfPath, options);
+    cache.store(key, 'uuid-1', writeRenders('uuid-1'));
+    cache.store('other', 'uuid-gone', writeRenders('uuid-gone'));
+    fs.rmSync(path.join(outputRoot, 'uuid-gone'), { recursive: true });
+
+    const restarted = new ConversionCache(outputRoot);
+
+    expect(restarted.load()).toBe(1);
+    expect(fs.existsSync(path.join(tempDir, 'conversion-cache', 'uuid-gone.json'))).toBe(false);
+    expect(restarted.lookup(key)).toMatchObject({ uuid: 'uuid-1' });
+  });
+});
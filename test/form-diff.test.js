@@ -0,0 +1,76 @@
+/**
+ * Form Diff Tests
+ * Tests for the field-level comparison of form versions
+ */
+
+const FormDiff = require('../form-diff');
+
+describe('FormDiff', () => {
+  let formDiff;
+
+  const before = {
+    title: 'Contact',
+    description: 'Reach us',
+    fields: [
+      { id: 'name', type: 'text', label: 'Name', required: true },
+      { id: 'email', type: 'email', label: 'Email', required: false },
+      { id: 'phone', type: 'tel', label: 'Phone', required: false },
+      { id: 'topic', type: 'select', label: 'Topic', options: ['Sales', 'Support'] }
+    ]
+  };
+
+  beforeEach(() => {
+    formDiff = new FormDiff();
+  });
+
+  test('reports identical structures regardless of key order', () => {
+    const reordered = JSON.parse(JSON.stringify(before));
+    reordered.fields[0] = { required: true, label: 'Name', type: 'text', id: 'name' };
+
+    const result = formDiff.diff(before, reordered);
+
+    expect(result.summary.identical).toBe(true);
+  });
+
+  test('reports added, removed, changed and moved fields', () => {
+    const after = {
+      title: 'Contact us',
+      fields: [
+        { id: 'email', type: 'email', label: 'Email address', required: true },
+        { id: 'name', type: 'text', label: 'Name', required: true },
+        { id: 'company', type: 'text', label: 'Company' },
+        { id: 'topic', type: 'select', label: 'Topic', options: ['Sales', 'Support', 'Billing'] }
+      ]
+    };
+
+    const result = formDiff.diff(before, after);
+
+    expect(result.formChanges).toEqual({
+      title: { from: 'Contact', to: 'Contact us' },
+      description: { from: 'Reach us', to: null }
+    });
+    expect(result.added).toEqual([{ id: 'company', label: 'Company', type: 'text', position: 2 }]);
+    expect(result.removed).toEqual([{ id: 'phone', label: 'Phone', type: 'tel', position: 2 }]);
+    expect(result.changed).toEqual([
+      { id: 'email', label: 'Email address', changes: { label: { from: 'Email', to: 'Email address' }, required: { from: false, to: true } } },
+      { id: 'topic', label: 'Topic', changes: { options: { from: ['Sales', 'Support'], to: ['Sales', 'Support', 'Billing'] } } }
+    ]);
+    // Only the swapped pair moved; topic keeps its place among the shared fields
+    expect(result.moved.map(move => move.id)).toEqual(['email', 'name']);
+    expect(result.summary).toEqual({
+      formPropertiesChanged: 2,
+      fieldsAdded: 1,
+      fieldsRemoved: 1,
+      fieldsChanged: 2,
+      fieldsMoved: 2,
+      identical: false
+    });
+  });
+
+  test('handles structures without fields', () => {
+    const result = formDiff.diff({ title: 'Empty' }, { title: 'Empty', fields: [{ id: 'a', type: 'text', label: 'A' }] });
+
+    expect(result.added).toHaveLength(1);
+    expect(result.summary.identical).toBe(false);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Form Duplication Tests
+ * Tests for copying a form with its images, payment and calendly configuration (GCPClient.duplicateForm)
+ */
+
+const GCPClient = require('../gcp-client');
+
+describe('GCPClient form duplication', () => {
+  let client;
+  let forms;
+  let copies;
+  let storedImages;
+  let storedPayments;
+  let storedCalendars;
+  let deletedObjects;
+  let deletedImages;
+
+  const sourceForm = {
+    form_id: 'form_master',
+    user_id: 'user_1',
+    structure: { title: 'Intake', fields: [{ id: 'name', type: 'text' }] },
+    draft_structure: {
+      id: 'form_master',
+      title: 'Intake',
+      fields: [
+        { id: 'name', type: 'text' },
+        { id: 'banner', type: 'richtext', image: 'https://api.test/api/files/form-image/form_master/banner/img_old' }
+      ]
+    },
+    metadata: { source: 'railway-backend', isPublished: true, publishedAt: '2026-01-01T00:00:00.000Z' },
+    is_hipaa: true,
+    is_published: true,
+    submission_count: 57,
+    last_submission_date: new Date('2026-02-01')
+  };
+
+  beforeEach(() => {
+    // Skip the constructor: it needs GCP credentials
+    client = Object.create(GCPClient.prototype);
+    forms = new Map([['form_master', sourceForm]]);
+    copies = [];
+    storedImages = [];
+    storedPayments = [];
+    storedCalendars = [];
+    deletedObjects = [];
+    deletedImages = [];
+
+    const images = [
+      { id: 'img_old', formId: 'form_master', fieldId: 'banner', type: 'form_image', isActive: true, userId: 'user_1', gcpUrl: 'gs://uploads/form-images/form_master/banner/img_old.png' },
+      { id: 'img_deleted', formId: 'form_master', fieldId: 'banner', type: 'form_image', isActive: false, gcpUrl: 'gs://uploads/form-images/form_master/banner/img_deleted.png' }
+    ];
+
+    client.collection = (name) => {
+      if (name === 'forms') {
+        return {
+          doc: (id) => ({
+            get: async () => ({ exists: forms.has(id), data: () => forms.get(id) }),
+            set: async (data) => { forms.set(id, data); }
+          })
+        };
+      }
+      if (name === 'form_images') {
+        return {
+          doc: (id) => ({ delete: async () => { deletedImages.push(id); } }),
+          where: (key, op, value) => ({
+            get: async () => ({ docs: images.filter(image => image[key] === value).map(image => ({ data: () => image })) })
+          })
+        };
+      }
+      throw new Error(`Unexpected collection ${name}`);
+    };
+    client.storage = {
+      bucket: (bucketName) => ({
+        file: (filePath) => ({
+          copy: async (target) => { copies.push({ bucketName, from: filePath, to: target.path }); },
+          delete: async () => { deletedObjects.push(filePath); },
+          path: filePath
+        })
+      })
+    };
+    client.recordFormVersion = jest.fn(async (formId, structure, existingData, { formWrite }) => {
+      const version = { number: 1, hash: 'hash_1', created: true, legacyVersion: null };
+      await formWrite.ref.set(formWrite.build(version));
+      return version;
+    });
+    client.storeFormImageMetadata = jest.fn(async (image) => { storedImages.push(image); });
+    client.getPaymentFields = jest.fn(async () => [
+      { field_id: 'deposit', amount: 2500, currency: 'usd', stripe_account_id: 'acct_1', publishable_key: 'pk_1', is_required: true }
+    ]);
+    client.storePaymentField = jest.fn(async (formId, fieldId, config) => { storedPayments.push({ formId, fieldId, config }); });
+    client.getCalendarFields = jest.fn(async () => [
+      { field_id: 'slot', calendly_url: 'https://calendly.com/clinic', event_name: 'Intake', duration: 30, timezone: 'UTC', is_required: false }
+    ]);
+    client.storeCalendarField = jest.fn(async (formId, fieldId, config) => { storedCalendars.push({ formId, fieldId, config }); });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('copies the draft as a new unpublished form with reset submission counts', async () => {
+    const result = await client.duplicateForm('form_master', 'form_copy', { userId: 'user_1' });
+
+    const copy = forms.get('form_copy');
+    expect(copy).toMatchObject({
+      form_id: 'form_copy',
+      user_id: 'user_1',
+      is_hipaa: true,
+      is_published: false,
+      submission_count: 0,
+      current_version: 1,
+      structure_version: 1
+    });
+    expect(copy.last_submission_date).toBeUndefined();
+    expect(copy.metadata).toMatchObject({ source: 'duplicate', duplicatedFrom: 'form_master' });
+    expect(copy.metadata).not.toHaveProperty('publishedAt');
+    expect(copy.structure).toEqual(copy.draft_structure);
+    expect(copy.structure).toMatchObject({ id: 'form_copy', title: 'Intake (Copy)' });
+    expect(client.recordFormVersion).toHaveBeenCalledWith('form_copy', copy.structure, undefined, expect.objectContaining({ userId: 'user_1', source: 'duplicate' }));
+    expect(result).toMatchObject({ formId: 'form_copy', version: 1, copied: { images: 1, paymentFields: 1, calendarFields: 1 }, warnings: [] });
+  });
+
+  test('clones active form images and points the structure at the copies', async () => {
+    await client.duplicateForm('form_master', 'form_copy', { userId: 'user_1', title: 'Acme intake' });
+
+    expect(copies).toHaveLength(1);
+    expect(copies[0].from).toBe('form-images/form_master/banner/img_old.png');
+    expect(copies[0].to).toMatch(/^form-images\/form_copy\/banner\/img_\w+\.png$/);
+    expect(storedImages[0]).toMatchObject({ formId: 'form_copy', fieldId: 'banner', gcpUrl: `gs://uploads/${copies[0].to}` });
+
+    const structure = forms.get('form_copy').structure;
+    expect(structure.title).toBe('Acme intake');
+    expect(structure.fields[1].image).toBe(`https://api.test/api/files/form-image/form_copy/banner/${storedImages[0].id}`);
+  });
+
+  test('re-keys payment and calendly configuration to the new form', async () => {
+    await client.duplicateForm('form_master', 'form_copy', { userId: 'user_1' });
+
+    expect(storedPayments).toEqual([{
+      formId: 'form_copy',
+      fieldId: 'deposit',
+      config: expect.objectContaining({ amount: 2500, currency: 'usd', stripe_account_id: 'acct_1', publishable_key: 'pk_1', isRequired: true })
+    }]);
+    expect(storedCalendars).toEqual([{
+      formId: 'form_copy',
+      fieldId: 'slot',
+      config: expect.objectContaining({ calendlyUrl: 'https://calendly.com/clinic', eventName: 'Intake', duration: 30, isRequired: false })
+    }]);
+  });
+
+  test('reports assets that could not be copied instead of failing the copy', async () => {
+    client.storePaymentField.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    const result = await client.duplicateForm('form_master', 'form_copy', { userId: 'user_1' });
+
+    expect(forms.has('form_copy')).toBe(true);
+    expect(result.copied.paymentFields).toBe(0);
+    expect(result.warnings).toEqual([{ type: 'payment_field', fieldId: 'deposit', error: 'Firestore unavailable' }]);
+  });
+
+  test('reports payment and calendly configuration that could not be read', async () => {
+    client.getPaymentFields.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    const result = await client.duplicateForm('form_master', 'form_copy', { userId: 'user_1' });
+
+    expect(client.getPaymentFields).toHaveBeenCalledWith('form_master', { rethrow: true });
+    expect(result.copied).toMatchObject({ paymentFields: 0, calendarFields: 1 });
+    expect(result.warnings).toEqual([{ type: 'payment_fields', error: 'Firestore unavailable' }]);
+  });
+
+  test('removes the copied images when the new form cannot be written', async () => {
+    client.recordFormVersion.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    await expect(client.duplicateForm('form_master', 'form_copy', { userId: 'user_1' })).rejects.toThrow('Firestore unavailable');
+
+    expect(forms.has('form_copy')).toBe(false);
+    expect(deletedObjects).toEqual([copies[0].to]);
+    expect(deletedImages).toEqual([storedImages[0].id]);
+    expect(client.getPaymentFields).not.toHaveBeenCalled();
+  });
+
+  test('removes a copied image object whose metadata could not be stored', async () => {
+    client.storeFormImageMetadata.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    const result = await client.duplicateForm('form_master', 'form_copy', { userId: 'user_1' });
+
+    expect(deletedObjects).toEqual([copies[0].to]);
+    expect(result.copied.images).toBe(0);
+    expect(result.warnings).toEqual([{ type: 'form_image', fieldId: 'banner', imageId: 'img_old', error: 'Firestore unavailable' }]);
+  });
+
+  test('fails for an unknown form', async () => {
+    await expect(client.duplicateForm('form_missing', 'form_copy', {})).rejects.toThrow('Form form_missing not found');
+  });
+});
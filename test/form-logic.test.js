@@ -0,0 +1,76 @@
+/**
+ * Form Logic Tests
+ * Tests for evaluating show/hide and skip rules against submitted answers
+ */
+
+const FormLogic = require('../form-logic');
+const PDFGenerator = require('../pdf-generator');
+
+const structure = {
+  title: 'Event registration',
+  fields: [
+    { id: 'attending', type: 'radio', label: 'Attending?', options: ['Yes', 'No'] },
+    { id: 'guests', type: 'number', label: 'Guests' },
+    { id: 'guestNames', type: 'textarea', label: 'Guest names' },
+    { id: 'diet', type: 'checkbox-group', label: 'Dietary needs', options: ['Vegan', 'Other'] },
+    { id: 'dietOther', type: 'text', label: 'Other dietary needs' },
+    { id: 'feedback', type: 'textarea', label: 'Feedback' }
+  ],
+  logic: [
+    { action: 'skip', after: 'attending', to: 'feedback', when: { fieldId: 'attending', operator: 'equals', value: 'No' } },
+    { action: 'show', fields: ['guestNames'], when: { fieldId: 'guests', operator: 'greater_than', value: 0 } },
+    { action: 'show', fields: ['dietOther'], when: { fieldId: 'diet', operator: 'contains', value: 'Other' } }
+  ]
+};
+
+describe('FormLogic', () => {
+  let logic;
+
+  beforeEach(() => {
+    logic = new FormLogic();
+  });
+
+  test('evaluates operators and nested all/any conditions', () => {
+    const answers = { a: 'Yes', n: { type: 'number', value: '3' }, list: ['Vegan', 'Other'], empty: '' };
+    const answerOf = (fieldId) => answers[fieldId];
+
+    expect(logic.evaluate({ fieldId: 'a', operator: 'equals', value: 'yes' }, answerOf)).toBe(true);
+    expect(logic.evaluate({ fieldId: 'a', operator: 'in', value: ['No', 'Maybe'] }, answerOf)).toBe(false);
+    expect(logic.evaluate({ fieldId: 'n', operator: 'less_than', value: 5 }, answerOf)).toBe(true);
+    expect(logic.evaluate({ fieldId: 'list', operator: 'not_contains', value: 'Nuts' }, answerOf)).toBe(true);
+    expect(logic.evaluate({ fieldId: 'empty', operator: 'is_empty' }, answerOf)).toBe(true);
+    expect(logic.evaluate({
+      all: [
+        { fieldId: 'a', operator: 'is_not_empty' },
+        { any: [{ fieldId: 'n', operator: 'greater_than', value: 10 }, { fieldId: 'list', operator: 'contains', value: 'vegan' }] }
+      ]
+    }, answerOf)).toBe(true);
+  });
+
+  test('hides fields until their show rule matches', () => {
+    expect([...logic.hiddenFields(structure, { attending: 'Yes', guests: 0 })]).toEqual(['guestNames', 'dietOther']);
+    expect([...logic.hiddenFields(structure, { attending: 'Yes', guests: 2, diet: ['Other'] })]).toEqual([]);
+  });
+
+  test('skip rules hide the fields they jump over, along with anything depending on them', () => {
+    const result = logic.apply(structure, { attending: 'No', guests: 2, guestNames: 'Bob, Eve', diet: ['Other'], feedback: 'Next time' });
+
+    expect(result.hiddenFields.sort()).toEqual(['diet', 'dietOther', 'guestNames', 'guests']);
+    expect(result.data).toEqual({ attending: 'No', feedback: 'Next time' });
+  });
+
+  test('structures without logic hide nothing', () => {
+    expect(logic.apply({ fields: structure.fields }, { guests: 1 })).toEqual({ data: { guests: 1 }, hiddenFields: [] });
+  });
+
+  test('hidden fields are left off the signed PDF', () => {
+    const html = new PDFGenerator(null).generateHTMLContent({
+      formData: { attending: 'No', guests: 4, feedback: 'Next time', sig: { imageBase64: 'AAAA' } },
+      formSchema: { structure },
+      signatureData: { imageBase64: 'AAAA', method: 'draw' }
+    });
+
+    expect(html).toContain('Feedback');
+    expect(html).not.toContain('Guests');
+  });
+});
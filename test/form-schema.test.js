@@ -0,0 +1,135 @@
+/**
+ * Form Schema Tests
+ * Tests for validating form structures before they are stored
+ */
+
+const FormSchema = require('../form-schema');
+
+describe('FormSchema', () => {
+  let schema;
+
+  beforeEach(() => {
+    schema = new FormSchema();
+  });
+
+  test('accepts a well-formed structure', () => {
+    const result = schema.validate({
+      title: 'Clinic intake',
+      fields: [
+        { id: 'name', type: 'text', label: 'Name', required: true },
+        { id: 'visit', type: 'select', label: 'Visit type', options: ['New', { label: 'Follow-up', value: 'followup' }] },
+        { id: 'age', type: 'number', label: 'Age', min: 0, max: 120 },
+        { id: 'score', type: 'rating', label: 'Score', max: 5 },
+        { id: 'deposit', type: 'payment', label: 'Deposit', amount: 25, currency: 'usd' },
+        { id: 'slot', type: 'calendly', label: 'Book a slot', calendlyUrl: 'https://calendly.com/clinic/intake', duration: 30 },
+        { id: 'intro', type: 'richtext' }
+      ]
+    });
+
+    expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('reports duplicate and malformed ids with their paths', () => {
+    const result = schema.validate({
+      title: 'Survey',
+      fields: [
+        { id: 'q1', type: 'text', label: 'First' },
+        { id: 'q1', type: 'text', label: 'Second' },
+        { id: 'has space', type: 'text', label: 'Third' },
+        { type: 'text', label: 'Fourth' }
+      ]
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { path: 'fields[1].id', fieldId: 'q1', message: 'Duplicate field id "q1" (also used by fields[0])' },
+      { path: 'fields[2].id', fieldId: 'has space', message: 'Field id is required and may only contain letters, digits, "_" and "-"' },
+      { path: 'fields[3].id', fieldId: null, message: 'Field id is required and may only contain letters, digits, "_" and "-"' }
+    ]);
+  });
+
+  test('reports type-specific problems', () => {
+    const result = schema.validate({
+      title: 'Broken',
+      fields: [
+        { id: 'a', type: 'dropdown', label: 'A' },
+        { id: 'b', type: 'radio', label: 'B', options: [] },
+        { id: 'c', type: 'checkbox-group', label: 'C', options: ['X', ''] },
+        { id: 'd', type: 'number', label: 'D', min: 10, max: 1 },
+        { id: 'e', type: 'rating', label: 'E', max: 50 },
+        { id: 'f', type: 'payment', label: 'F', currency: 'dollars' },
+        { id: 'g', type: 'calendly', label: 'G' },
+        { id: 'h', type: 'text', label: 'H', required: 'yes' }
+      ]
+    });
+
+    expect(result.errors.map(error => error.path)).toEqual([
+      'fields[0].type',
+      'fields[1].options',
+      'fields[2].options[1]',
+      'fields[3].min',
+      'fields[4].max',
+      'fields[7].required'
+    ]);
+  });
+
+  test('accepts payment and calendly fields whose settings are not finished, with warnings', () => {
+    const result = schema.validate({
+      title: 'Later',
+      fields: [
+        { id: 'pay', type: 'payment', label: 'Pay' },
+        { id: 'pay2', type: 'payment', label: 'Pay 2', amount: '25' },
+        { id: 'fee', type: 'payment', label: 'Fee', amount: 'abc', currency: 'dollars' },
+        { id: 'slot', type: 'calendly', label: 'Slot', calendlyUrl: '' }
+      ]
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map(warning => warning.path)).toEqual([
+      'fields[0].amount',
+      'fields[2].amount',
+      'fields[2].currency',
+      'fields[3].calendlyUrl'
+    ]);
+  });
+
+  test('warns about missing titles, labels and duplicate options without rejecting', () => {
+    const result = schema.validate({
+      fields: [{ id: 'a', type: 'radio', options: ['Yes', 'Yes', 'No'] }]
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map(warning => warning.path)).toEqual(['title', 'fields[0].label', 'fields[0].options']);
+  });
+
+  test('rejects structures that are not objects or whose fields are not a list', () => {
+    expect(schema.validate(null).valid).toBe(false);
+    expect(schema.validate({ title: 'x', fields: {} }).errors).toEqual([{ path: 'fields', fieldId: null, message: 'fields must be an array' }]);
+  });
+
+  test('checks conditional logic rules against the fields', () => {
+    const result = schema.validate({
+      title: 'Logic',
+      fields: [
+        { id: 'a', type: 'radio', label: 'A', options: ['Yes', 'No'] },
+        { id: 'b', type: 'text', label: 'B' },
+        { id: 'c', type: 'text', label: 'C' }
+      ],
+      logic: [
+        { action: 'show', fields: ['b'], when: { fieldId: 'a', operator: 'equals', value: 'Yes' } },
+        { action: 'skip', after: 'a', to: 'c', when: { any: [{ fieldId: 'a', operator: 'is_empty' }] } },
+        { action: 'hide', fields: ['z'], when: { fieldId: 'a', operator: 'matches', value: 'x' } },
+        { action: 'skip', after: 'c', to: 'a', when: { fieldId: 'a', operator: 'equals' } },
+        { action: 'jump' }
+      ]
+    });
+
+    expect(result.errors.map(error => error.path)).toEqual([
+      'logic[2].when.operator',
+      'logic[2].fields[0]',
+      'logic[3].when.value',
+      'logic[3].to',
+      'logic[4].action'
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Form Template Tests
+ * Tests for template visibility, listing/search and converting between forms and templates
+ */
+
+const FormTemplates = require('../form-templates');
+const FormSchema = require('../form-schema');
+
+const storedTemplates = [
+  { id: 'tpl_private', name: 'Dental intake', category: 'healthcare', tags: ['dental'], visibility: 'private', ownerId: 'user_1', structure: { fields: [{ id: 'a', type: 'text' }] } },
+  { id: 'tpl_other', name: 'Agency onboarding', category: 'registration', tags: ['client'], visibility: 'private', ownerId: 'user_2', structure: { fields: [] } },
+  { id: 'tpl_team', name: 'Agency offboarding', category: 'registration', tags: ['client'], visibility: 'team', ownerId: 'user_2', teamId: 'team_acme', structure: { fields: [] } },
+  { id: 'tpl_public', name: 'Customer feedback', category: 'feedback', tags: ['nps'], visibility: 'public', ownerId: 'user_3', useCount: 12, structure: { fields: [] } }
+];
+
+describe('FormTemplates', () => {
+  let templates;
+
+  beforeEach(() => {
+    templates = new FormTemplates();
+  });
+
+  test('built-in templates are valid form structures', () => {
+    const schema = new FormSchema();
+    const ids = FormTemplates.BUILT_IN_TEMPLATES.map(template => template.id);
+
+    expect(ids).toEqual(['builtin_hipaa_intake', 'builtin_event_registration', 'builtin_payment']);
+    FormTemplates.BUILT_IN_TEMPLATES.forEach(template => {
+      expect(schema.validate(template.structure)).toMatchObject({ valid: true, errors: [] });
+      expect(FormTemplates.CATEGORIES).toContain(template.category);
+    });
+  });
+
+  test('parses template details and rejects invalid ones', () => {
+    expect(templates.parse({ name: ' Intake ', tags: ['HIPAA', 'hipaa'], category: 'healthcare', visibility: 'team' })).toEqual({
+      isValid: true,
+      template: { name: 'Intake', description: '', category: 'healthcare', tags: ['hipaa'], visibility: 'team' }
+    });
+    expect(templates.parse({}).isValid).toBe(false);
+    expect(templates.parse({ name: 'x', visibility: 'everyone' }).error).toMatch('visibility must be one of');
+    expect(templates.parse({ name: 'x', category: 'misc' }).error).toMatch('category must be one of');
+  });
+
+  test('strips the form id and payment account settings when saving a template', () => {
+    const template = templates.fromStructure({
+      id: 'form_1',
+      title: 'Orders',
+      fields: [{ id: 'pay', type: 'payment', amount: 10, stripeAccountId: 'acct_1', publishableKey: 'pk_1', paymentError: 'x' }]
+    });
+
+    expect(template).toEqual({ title: 'Orders', fields: [{ id: 'pay', type: 'payment', amount: 10 }] });
+    expect(templates.toStructure({ structure: template }, { title: 'Acme orders' }).title).toBe('Acme orders');
+  });
+
+  test('strips scheduling settings and uploaded image links when saving a template', () => {
+    const imageUrl = 'https://api.example.com/api/files/form-image/form_1/banner/img_1';
+    const template = templates.fromStructure({
+      title: 'Booking',
+      fields: [
+        { id: 'call', type: 'calendly', label: 'Book a call', calendlyUrl: 'https://calendly.com/owner', eventTypeUri: 'https://api.calendly.com/event_types/1', duration: 30 },
+        { id: 'banner', type: 'image', label: 'Banner', imageUrl, images: [{ id: 'img_1', url: imageUrl, height: 200 }, 'https://cdn.example.com/logo.png'] }
+      ]
+    });
+
+    expect(template.fields).toEqual([
+      { id: 'call', type: 'calendly', label: 'Book a call', duration: 30 },
+      { id: 'banner', type: 'image', label: 'Banner', images: ['https://cdn.example.com/logo.png'] }
+    ]);
+  });
+
+  test('shows private templates to their owner and team templates to the team', () => {
+    const [privateTemplate, otherTemplate, teamTemplate, publicTemplate] = storedTemplates;
+
+    expect(templates.canView(privateTemplate, { userId: 'user_1' })).toBe(true);
+    expect(templates.canView(privateTemplate, { userId: 'user_2', teamId: 'team_acme' })).toBe(false);
+    expect(templates.canView(otherTemplate, { userId: 'user_1', teamId: 'team_acme' })).toBe(false);
+    expect(templates.canView(teamTemplate, { userId: 'user_9', teamId: 'team_acme' })).toBe(true);
+    expect(templates.canView(teamTemplate, { userId: 'user_9', teamId: 'team_other' })).toBe(false);
+    expect(templates.canView(teamTemplate, { userId: 'user_9' })).toBe(false);
+    expect(templates.canView(publicTemplate, {})).toBe(true);
+  });
+
+  test('shows the owner id only to the owner', () => {
+    const publicTemplate = storedTemplates[3];
+
+    expect(templates.summarize(publicTemplate, { userId: 'user_3' }).ownerId).toBe('user_3');
+    expect(templates.summarize(publicTemplate, { userId: 'user_1' })).not.toHaveProperty('ownerId');
+    expect(templates.summarize(publicTemplate)).not.toHaveProperty('ownerId');
+  });
+
+  test('lists visible templates with categories and search', () => {
+    const all = templates.list(storedTemplates, { userId: 'user_1' });
+    expect(all.templates.map(template => template.id)).toEqual([
+      'builtin_hipaa_intake', 'builtin_event_registration', 'builtin_payment', 'tpl_private', 'tpl_public'
+    ]);
+    expect(all.categories).toEqual([
+      { id: 'healthcare', count: 2 },
+      { id: 'events', count: 1 },
+      { id: 'payments', count: 1 },
+      { id: 'feedback', count: 1 }
+    ]);
+
+    const search = templates.list(storedTemplates, { userId: 'user_2', search: 'client onboarding' });
+    expect(search.templates.map(template => template.id)).toEqual(['tpl_other']);
+
+    const team = templates.list(storedTemplates, { userId: 'user_1', teamId: 'team_acme', search: 'client' });
+    expect(team.templates.map(template => template.id)).toEqual(['tpl_team']);
+
+    const healthcare = templates.list(storedTemplates, { userId: 'user_1', category: 'healthcare', search: 'hipaa' });
+    expect(healthcare.templates).toEqual([expect.objectContaining({ id: 'builtin_hipaa_intake', builtIn: true, visibility: 'public', isHipaa: true })]);
+    expect(healthcare.templates[0]).not.toHaveProperty('structure');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Form Version Tests
+ * Tests for recording the append-only version history kept by GCPClient.storeFormStructure
+ */
+
+const GCPClient = require('../gcp-client');
+
+// In-memory stand-in for forms/<formId>/versions; create() fails like Firestore when the doc exists
+const createVersionStore = () => {
+  const docs = new Map();
+  const versions = {
+    doc: (id) => ({
+      id,
+      create: jest.fn(async (data) => {
+        if (docs.has(id)) throw Object.assign(new Error('Document already exists'), { code: 6 });
+        docs.set(id, data);
+      })
+    })
+  };
+  return { docs, versions };
+};
+
+describe('GCPClient form versions', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    // Skip the constructor: it needs GCP credentials
+    client = Object.create(GCPClient.prototype);
+    store = createVersionStore();
+    client.formVersions = () => store.versions;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('labels the version source from the save metadata', () => {
+    expect(client.getVersionSource({ source: 'auto-save' })).toBe('auto-save');
+    expect(client.getVersionSource({ source: 'railway-backend', isLLMUpdate: true })).toBe('llm');
+    expect(client.getVersionSource({ source: 'railway-backend' })).toBe('manual');
+    expect(client.getVersionSource({ versionSource: 'restore' })).toBe('restore');
+  });
+
+  test('records the first version of a new form', async () => {
+    const structure = { title: 'Survey', fields: [{ id: 'q1' }] };
+
+    const version = await client.recordFormVersion('form_1', structure, undefined, { userId: 'user_1', source: 'manual', isAutoSave: false });
+
+    expect(version).toEqual({ number: 1, hash: client.hashFormStructure(structure), created: true, legacyVersion: null });
+    expect(store.docs.get('v1')).toMatchObject({
+      form_id: 'form_1',
+      version: 1,
+      structure,
+      user_id: 'user_1',
+      source: 'manual',
+      target: 'published',
+      title: 'Survey',
+      field_count: 1
+    });
+  });
+
+  test('does not record a version when the structure is unchanged', async () => {
+    const structure = { title: 'Survey', fields: [] };
+    const existing = { structure, current_version: 4, version_hash: client.hashFormStructure(structure) };
+
+    const version = await client.recordFormVersion('form_1', { fields: [], title: 'Survey' }, existing, { source: 'auto-save', isAutoSave: true });
+
+    expect(version).toMatchObject({ number: 4, created: false });
+    expect(store.docs.size).toBe(0);
+  });
+
+  test('keeps the structure of forms saved before versioning as version 1', async () => {
+    const existing = { structure: { title: 'Old' }, user_id: 'user_1' };
+
+    const version = await client.recordFormVersion('form_1', { title: 'New' }, existing, { userId: 'user_1', source: 'llm', isAutoSave: true });
+
+    expect(version.number).toBe(2);
+    expect(store.docs.get('v1')).toMatchObject({ source: 'legacy', structure: { title: 'Old' } });
+    expect(store.docs.get('v2')).toMatchObject({ source: 'llm', target: 'draft', structure: { title: 'New' } });
+  });
+
+  test('takes the next free number when a concurrent save claimed one', async () => {
+    store.docs.set('v3', { version: 3 });
+    const existing = { structure: { title: 'A' }, current_version: 2, version_hash: 'old' };
+
+    const version = await client.recordFormVersion('form_1', { title: 'B' }, existing, { source: 'manual', isAutoSave: false, restoredFrom: 1 });
+
+    expect(version.number).toBe(4);
+    expect(store.docs.get('v3')).toEqual({ version: 3 });
+    expect(store.docs.get('v4')).toMatchObject({ restored_from: 1 });
+  });
+
+  test('records publish events even when the draft was already versioned', async () => {
+    const structure = { title: 'Survey' };
+    const existing = { structure, current_version: 2, version_hash: client.hashFormStructure(structure) };
+
+    const version = await client.recordFormVersion('form_1', structure, existing, { userId: 'user_1', source: 'publish', isAutoSave: false, force: true });
+
+    expect(version).toMatchObject({ number: 3, created: true });
+    expect(store.docs.get('v3')).toMatchObject({ source: 'publish', target: 'published' });
+  });
+
+  describe('with the form write', () => {
+    let forms;
+    let commitError;
+
+    beforeEach(() => {
+      forms = new Map();
+      commitError = null;
+      // Batch applies its writes only when commit succeeds, like Firestore
+      client.firestore = {
+        batch: () => {
+          const creates = [];
+          const sets = [];
+          return {
+            create: (ref, data) => creates.push({ ref, data }),
+            set: (ref, data) => sets.push({ ref, data }),
+            commit: async () => {
+              if (commitError) throw commitError;
+              if (creates.some(({ ref }) => store.docs.has(ref.id))) {
+                throw Object.assign(new Error('Document already exists'), { code: 6 });
+              }
+              creates.forEach(({ ref, data }) => store.docs.set(ref.id, data));
+              sets.forEach(({ ref, data }) => forms.set(ref.id, data));
+            }
+          };
+        }
+      };
+    });
+
+    const formWrite = () => ({ ref: { id: 'form_1', set: async (data) => forms.set('form_1', data) }, build: (version) => ({ current_version: version.number }) });
+
+    test('writes the version and the form together', async () => {
+      const version = await client.recordFormVersion('form_1', { title: 'A' }, undefined, { source: 'manual', isAutoSave: false, formWrite: formWrite() });
+
+      expect(version.number).toBe(1);
+      expect(store.docs.has('v1')).toBe(true);
+      expect(forms.get('form_1')).toEqual({ current_version: 1 });
+    });
+
+    test('leaves no version behind when the form write fails', async () => {
+      commitError = new Error('Firestore unavailable');
+
+      await expect(client.recordFormVersion('form_1', { title: 'A' }, undefined, { source: 'manual', isAutoSave: false, formWrite: formWrite() }))
+        .rejects.toThrow('Firestore unavailable');
+      expect(store.docs.size).toBe(0);
+      expect(forms.size).toBe(0);
+    });
+
+    test('writes only the form when the structure is unchanged', async () => {
+      const structure = { title: 'A' };
+      const existing = { structure, current_version: 3, version_hash: client.hashFormStructure(structure) };
+
+      await client.recordFormVersion('form_1', structure, existing, { source: 'auto-save', isAutoSave: true, formWrite: formWrite() });
+
+      expect(store.docs.size).toBe(0);
+      expect(forms.get('form_1')).toEqual({ current_version: 3 });
+    });
+
+    test('reports the legacy version so an auto-save keeps the live structure on it', async () => {
+      const existing = { structure: { title: 'Old' }, user_id: 'user_1' };
+
+      const version = await client.recordFormVersion('form_1', { title: 'Draft' }, existing, { source: 'auto-save', isAutoSave: true, formWrite: formWrite() });
+
+      expect(version).toMatchObject({ number: 2, legacyVersion: 1 });
+      expect(store.docs.get('v1')).toMatchObject({ source: 'legacy' });
+    });
+  });
+});
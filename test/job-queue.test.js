@@ -0,0 +1,112 @@
+/**
+ * Job Queue Tests
+ * Tests for the bounded in-memory queue behind asynchronous PDF conversions
+ */
+
+const JobQueue = require('../job-queue');
+
+// Handler whose completion is controlled by the test
+const createDeferredHandler = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { handler: jest.fn(() => promise), resolve, reject };
+};
+
+describe('JobQueue', () => {
+  test('runs at most `concurrency` jobs at once and starts the next when one finishes', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const first = createDeferredHandler();
+    const second = createDeferredHandler();
+
+    const firstJob = queue.enqueue(first.handler);
+    const secondJob = queue.enqueue(second.handler);
+
+    expect(firstJob.state).toBe('processing');
+    expect(secondJob.state).toBe('queued');
+    expect(queue.getQueuePosition(secondJob.id)).toBe(1);
+    expect(second.handler).not.toHaveBeenCalled();
+
+    first.resolve({ pages: 3 });
+    await expect(queue.waitFor(firstJob.id)).resolves.toEqual({ pages: 3 });
+
+    expect(firstJob.state).toBe('completed');
+    expect(firstJob.result).toEqual({ pages: 3 });
+    expect(secondJob.state).toBe('processing');
+    expect(second.handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('records progress reported by the handler', async () => {
+    const queue = new JobQueue();
+    const job = queue.enqueue(async (runningJob, reportProgress) => {
+      reportProgress({ pagesDone: 0, totalPages: 4 });
+      reportProgress({ pagesDone: 4 });
+      return 'done';
+    });
+
+    await queue.waitFor(job.id);
+
+    expect(queue.getJob(job.id).progress).toEqual({ pagesDone: 4, totalPages: 4 });
+  });
+
+  test('marks failed jobs with the error and rejects waiters', async () => {
+    const queue = new JobQueue();
+    const error = new Error('Syntax Error: Couldn\'t read xref table');
+    error.code = 'PDF_CORRUPT';
+
+    const job = queue.enqueue(() => Promise.reject(error));
+
+    await expect(queue.waitFor(job.id)).rejects.toBe(error);
+    expect(job.state).toBe('failed');
+    expect(job.error).toEqual({ message: error.message, code: 'PDF_CORRUPT' });
+  });
+
+  test('rejects new jobs once the pending list is full', () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueued: 1 });
+    queue.enqueue(createDeferredHandler().handler);
+    queue.enqueue(createDeferredHandler().handler);
+
+    expect(() => queue.enqueue(createDeferredHandler().handler)).toThrow(expect.objectContaining({ code: 'QUEUE_FULL' }));
+    expect(queue.getStats()).toEqual({ concurrency: 1, active: 1, queued: 1, tracked: 2 });
+  });
+
+  test('reports whether a queued or running job matches a predicate', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const first = createDeferredHandler();
+    const firstJob = queue.enqueue(first.handler, { uuid: 'uuid-1' });
+    queue.enqueue(createDeferredHandler().handler, { uuid: 'uuid-2' });
+
+    expect(queue.hasUnfinishedJob(job => job.data.uuid === 'uuid-1')).toBe(true);
+    expect(queue.hasUnfinishedJob(job => job.data.uuid === 'uuid-2')).toBe(true);
+
+    first.resolve();
+    await queue.waitFor(firstJob.id);
+
+    expect(queue.hasUnfinishedJob(job => job.data.uuid === 'uuid-1')).toBe(false);
+    expect(queue.hasUnfinishedJob(job => job.data.uuid === 'uuid-2')).toBe(true);
+  });
+
+  test('drops finished jobs after the retention window', async () => {
+    const queue = new JobQueue({ retentionMs: 1000 });
+    const job = queue.enqueue(async () => 'done');
+    await queue.waitFor(job.id);
+
+    job.completedAt = new Date(Date.now() - 5000).toISOString();
+
+    expect(queue.getJob(job.id)).toBeNull();
+    await expect(queue.waitFor(job.id)).rejects.toThrow('Job not found');
+  });
+
+  test('records already finished work as a completed job that can be polled and awaited', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+
+    const job = queue.recordCompleted({ totalPages: 2 }, { uuid: 'cached-uuid', cached: true });
+
+    expect(queue.getJob(job.id)).toMatchObject({ state: 'completed', data: { uuid: 'cached-uuid', cached: true }, result: { totalPages: 2 } });
+    await expect(queue.waitFor(job.id)).resolves.toEqual({ totalPages: 2 });
+    expect(queue.getStats()).toMatchObject({ active: 0, queued: 0, tracked: 1 });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * OG Image Generator Tests
+ * Tests for rendering, storing and deleting the social preview cards of published forms
+ */
+
+const OgImageGenerator = require('../og-image-generator');
+
+// In-memory stand-in for the GCPClient storage bucket and OG image records
+const createFakeGcpClient = () => {
+  const objects = new Map();
+  const records = new Map();
+  return {
+    objects,
+    records,
+    storage: {
+      bucket: (bucketName) => ({
+        file: (destination) => ({
+          save: jest.fn(async (data, options) => objects.set(`${bucketName}/${destination}`, { data, options }))
+        })
+      })
+    },
+    getFormOgImage: jest.fn(async (formId) => records.get(formId) || null),
+    storeFormOgImage: jest.fn(async (record) => records.set(record.formId, record))
+  };
+};
+
+describe('OgImageGenerator', () => {
+  let gcpClient;
+  let page;
+  let browserPool;
+  let generator;
+
+  beforeEach(() => {
+    gcpClient = createFakeGcpClient();
+    page = {
+      setViewport: jest.fn(async () => {}),
+      setContent: jest.fn(async () => {}),
+      screenshot: jest.fn(async () => Buffer.from('png-bytes'))
+    };
+    browserPool = { withPage: jest.fn(async (task) => task(page)) };
+    generator = new OgImageGenerator(gcpClient, { browserPool, bucketName: 'test-bucket' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('describes the card from the published structure', () => {
+    expect(generator.describe({ title: '  Event   signup ', description: 'Tell us you are coming', logo: { url: 'https://cdn.example.com/logo.png' } }))
+      .toEqual({ title: 'Event signup', description: 'Tell us you are coming', logoUrl: 'https://cdn.example.com/logo.png' });
+    expect(generator.describe({ logo: { url: 'javascript:alert(1)' } }))
+      .toEqual({ title: 'Untitled Form', description: '', logoUrl: null });
+    expect(generator.describe({ title: 'x'.repeat(200) }).title).toHaveLength(120);
+  });
+
+  test('escapes form content in the card markup', () => {
+    const html = generator.buildHtml({ title: '<script>alert(1)</script>', description: 'Tom & "Jerry"', logoUrl: 'https://example.com/a.png?x="y"' });
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('Tom &amp; &quot;Jerry&quot;');
+    expect(html).toContain('src="https://example.com/a.png?x=&quot;y&quot;"');
+  });
+
+  test('renders a 1200x630 PNG and stores it with a record', async () => {
+    const { regenerated, record } = await generator.refresh('form_1', { title: 'Feedback' });
+
+    expect(regenerated).toBe(true);
+    expect(page.setViewport).toHaveBeenCalledWith({ width: 1200, height: 630, deviceScaleFactor: 1 });
+    expect(page.screenshot).toHaveBeenCalledWith({ type: 'png', clip: { x: 0, y: 0, width: 1200, height: 630 } });
+    expect(gcpClient.objects.get('test-bucket/og-images/form_1.png').options.metadata.contentType).toBe('image/png');
+    expect(record).toMatchObject({ formId: 'form_1', bucket: 'test-bucket', path: 'og-images/form_1.png', width: 1200, height: 630, size: 9 });
+    expect(gcpClient.records.get('form_1')).toEqual(record);
+  });
+
+  test('skips the render when the card content is unchanged', async () => {
+    await generator.refresh('form_1', { title: 'Feedback', fields: [{ id: 'a' }] });
+    const second = await generator.refresh('form_1', { title: 'Feedback', fields: [{ id: 'a' }, { id: 'b' }] });
+    const third = await generator.refresh('form_1', { title: 'Feedback v2' });
+
+    expect(second.regenerated).toBe(false);
+    expect(third.regenerated).toBe(true);
+    expect(browserPool.withPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('renders publishes of the same form one at a time', async () => {
+    const first = generator.refresh('form_1', { title: 'One' });
+    const second = generator.refresh('form_1', { title: 'Two' });
+
+    await Promise.all([first, second]);
+
+    expect(browserPool.withPage).toHaveBeenCalledTimes(2);
+    expect(gcpClient.records.get('form_1').hash).toBe(generator.contentHash(generator.describe({ title: 'Two' })));
+  });
+
+  test('builds a versioned public URL', () => {
+    expect(generator.imageUrl('https://api.example.com', 'form 1', 'abcdef1234567890'))
+      .toBe('https://api.example.com/api/forms/form%201/og-image.png?v=abcdef123456');
+  });
+});
+
+describe('GCPClient.deleteFormOgImage', () => {
+  const GCPClient = require('../gcp-client');
+
+  test('removes the stored card and its record', async () => {
+    // Skip the constructor: it needs GCP credentials
+    const client = Object.create(GCPClient.prototype);
+    const deleteFile = jest.fn(async () => {});
+    const deleteRecord = jest.fn(async () => {});
+    const bucket = jest.fn(() => ({ file: (destination) => ({ delete: (options) => deleteFile(destination, options) }) }));
+    client.storage = { bucket };
+    client.getFormOgImage = jest.fn(async () => ({ formId: 'form_1', bucket: 'cards', path: 'og-images/form_1.png' }));
+    client.collection = () => ({ doc: (id) => ({ delete: () => deleteRecord(id) }) });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(client.deleteFormOgImage('form_1')).resolves.toEqual({ success: true, deleted: true });
+    expect(bucket).toHaveBeenCalledWith('cards');
+    expect(deleteFile).toHaveBeenCalledWith('og-images/form_1.png', { ignoreNotFound: true });
+    expect(deleteRecord).toHaveBeenCalledWith('form_1');
+
+    client.getFormOgImage.mockResolvedValueOnce(null);
+    await expect(client.deleteFormOgImage('form_2')).resolves.toEqual({ success: true, deleted: false });
+    console.log.mockRestore();
+  });
+});
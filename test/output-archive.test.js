@@ -0,0 +1,84 @@
+/**
+ * Output Archive Tests
+ * Tests for streaming an upload's rendered pages as a ZIP
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const OutputArchive = require('../output-archive');
+
+// Collect everything written to a stream that behaves like an HTTP response
+const createSink = () => {
+  const sink = new PassThrough();
+  const chunks = [];
+  sink.on('data', chunk => chunks.push(chunk));
+  sink.getBuffer = () => Buffer.concat(chunks);
+  return sink;
+};
+
+// File names from the ZIP central directory
+const readZipEntryNames = (buffer) => {
+  const names = [];
+  let offset = buffer.indexOf(Buffer.from([0x50, 0x4B, 0x01, 0x02]));
+  while (offset !== -1 && buffer.readUInt32LE(offset) === 0x02014B50) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+};
+
+describe('OutputArchive', () => {
+  const uuid = '2f1c6f0e-4d3b-4a57-9a8e-0b5f7c1d2e3f';
+  let tempDir;
+  let outputArchive;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-archive-'));
+    const outputDir = path.join(tempDir, 'output', uuid);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.mkdirSync(path.join(tempDir, 'uploads'));
+
+    ['page-10.png', 'page-2.png', 'page-1.png'].forEach(filename => {
+      fs.writeFileSync(path.join(outputDir, filename), `png ${filename}`);
+    });
+    fs.writeFileSync(path.join(tempDir, 'uploads', `${uuid}.pdf`), '%PDF-1.7');
+
+    outputArchive = new OutputArchive(path.join(tempDir, 'output'), path.join(tempDir, 'uploads'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('lists rendered pages in page order', () => {
+    expect(outputArchive.listEntries(uuid).map(entry => entry.name)).toEqual(['page-1.png', 'page-2.png', 'page-10.png']);
+    expect(outputArchive.listEntries(uuid, { includeSource: true }).pop()).toEqual({
+      filePath: path.join(tempDir, 'uploads', `${uuid}.pdf`),
+      name: 'source.pdf'
+    });
+  });
+
+  test('returns null when nothing was rendered for the uuid', () => {
+    expect(outputArchive.listEntries('7d9e1b2a-0c4f-4e6a-8b3d-5f2a1c9e0d7b')).toBeNull();
+  });
+
+  test('streams a ZIP of the entries and refreshes the folder mtime', async () => {
+    const outputDir = path.join(tempDir, 'output', uuid);
+    const fiftyMinutesAgo = new Date(Date.now() - 50 * 60 * 1000);
+    fs.utimesSync(outputDir, fiftyMinutesAgo, fiftyMinutesAgo);
+    const sink = createSink();
+
+    const bytes = await outputArchive.stream(uuid, outputArchive.listEntries(uuid, { includeSource: true }), sink);
+
+    const zip = sink.getBuffer();
+    expect(bytes).toBe(zip.length);
+    expect(zip.readUInt32LE(0)).toBe(0x04034B50);
+    expect(readZipEntryNames(zip)).toEqual(['page-1.png', 'page-2.png', 'page-10.png', 'source.pdf']);
+    expect(fs.statSync(outputDir).mtime.getTime()).toBeGreaterThan(Date.now() - 60 * 1000);
+  });
+});
@@ -0,0 +1,669 @@
+/**
+ * PDF Service Tests
+ * Tests for /upload conversion options, page rendering, text extraction, AcroForm import, inspection
+ * page manipulation and embedded image extraction
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, EncryptedPDFError } = require('pdf-lib');
+const PDFService = require('../pdf-service');
+
+// Minimal PNG header: signature + IHDR chunk with the given size
+const createPngHeader = (width, height) => {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+// Minimal JPEG header: SOI + APP0 + SOF0 with the given size
+const createJpegHeader = (width, height) => {
+  const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00]);
+  const sof0 = Buffer.alloc(19);
+  sof0.writeUInt16BE(0xFFC0, 0);
+  sof0.writeUInt16BE(17, 2);
+  sof0.writeUInt8(8, 4);
+  sof0.writeUInt16BE(height, 5);
+  sof0.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, sof0]);
+};
+
+// Little-endian TIFF whose directory follows the strip data, as libtiff writes it
+const createTiff = (width, height, stripBytes) => {
+  const header = Buffer.alloc(8);
+  header.write('II', 0, 'ascii');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(8 + stripBytes, 4);
+  const ifd = Buffer.alloc(2 + 2 * 12 + 4);
+  ifd.writeUInt16LE(2, 0);
+  [[256, 4, width], [257, 3, height]].forEach(([tag, type, value], i) => {
+    ifd.writeUInt16LE(tag, 2 + i * 12);
+    ifd.writeUInt16LE(type, 4 + i * 12);
+    ifd.writeUInt32LE(1, 6 + i * 12);
+    if (type === 3) ifd.writeUInt16LE(value, 10 + i * 12);
+    else ifd.writeUInt32LE(value, 10 + i * 12);
+  });
+  return Buffer.concat([header, Buffer.alloc(stripBytes), ifd]);
+};
+
+describe('PDFService', () => {
+  let pdfService;
+  let tempDir;
+
+  beforeEach(() => {
+    pdfService = new PDFService({
+      pdfInfo: jest.fn(),
+      pdfToCairo: jest.fn(),
+      pdfToText: jest.fn(),
+      pdfToHtml: jest.fn(),
+      pdfFonts: jest.fn(),
+      pdfImages: jest.fn(),
+      pdfSeparate: jest.fn(),
+      pdfUnite: jest.fn()
+    });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-service-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseConversionOptions', () => {
+    test('defaults to PNG at 150 DPI for every page', () => {
+      const result = pdfService.parseConversionOptions({});
+
+      expect(result.isValid).toBe(true);
+      expect(result.options).toEqual({
+        format: 'png',
+        dpi: 150,
+        quality: undefined,
+        firstPage: 1,
+        lastPage: null,
+        scaleWidth: undefined,
+        scaleHeight: undefined
+      });
+    });
+
+    test('accepts multipart string values and format aliases', () => {
+      const result = pdfService.parseConversionOptions({
+        format: 'JPG',
+        quality: '80',
+        dpi: '72',
+        pages: '2-4',
+        scaleWidth: '400'
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.options).toMatchObject({
+        format: 'jpeg',
+        quality: 80,
+        dpi: 72,
+        firstPage: 2,
+        lastPage: 4,
+        scaleWidth: 400
+      });
+    });
+
+    test('treats a single page number as a one-page range', () => {
+      const result = pdfService.parseConversionOptions({ pages: '3' });
+
+      expect(result.options.firstPage).toBe(3);
+      expect(result.options.lastPage).toBe(3);
+    });
+
+    test.each([
+      [{ format: 'gif' }, 'Unsupported format'],
+      [{ dpi: '2000' }, 'dpi must be'],
+      [{ dpi: 'high' }, 'dpi must be'],
+      [{ format: 'png', quality: '80' }, 'quality is only supported'],
+      [{ format: 'jpeg', quality: '0' }, 'quality must be'],
+      [{ pages: 'all' }, 'pages must look like'],
+      [{ firstPage: '5', lastPage: '2' }, 'lastPage must be greater'],
+      [{ firstPage: '0' }, 'positive integers'],
+      [{ scaleWidth: '-10' }, 'scaleWidth must be'],
+      [{ format: 'svg', scaleHeight: '200' }, 'only supported for raster formats']
+    ])('rejects %j', (body, message) => {
+      const result = pdfService.parseConversionOptions(body);
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain(message);
+    });
+  });
+
+  describe('buildPopplerOptions', () => {
+    test('maps JPEG quality and single-sided scaling to pdftocairo options', () => {
+      const { options } = pdfService.parseConversionOptions({ format: 'jpeg', quality: '60', scaleHeight: '300' });
+
+      expect(pdfService.buildPopplerOptions(options)).toEqual({
+        jpegFile: true,
+        firstPageToConvert: 1,
+        lastPageToConvert: 0,
+        resolutionXYAxis: 150,
+        singleFile: false,
+        jpegOptions: 'quality=60',
+        scalePageToXAxis: -1,
+        scalePageToYAxis: 300
+      });
+    });
+
+    test('does not pass singleFile for SVG output', () => {
+      const { options } = pdfService.parseConversionOptions({ format: 'svg' });
+
+      expect(pdfService.buildPopplerOptions(options)).toEqual({
+        svgFile: true,
+        firstPageToConvert: 1,
+        lastPageToConvert: 0,
+        resolutionXYAxis: 150
+      });
+    });
+  });
+
+  describe('getImageDimensions', () => {
+    test('reads PNG, JPEG and SVG headers', () => {
+      const pngPath = path.join(tempDir, 'page-1.png');
+      const jpegPath = path.join(tempDir, 'page-1.jpg');
+      const svgPath = path.join(tempDir, 'page-1.svg');
+      fs.writeFileSync(pngPath, createPngHeader(1275, 1650));
+      fs.writeFileSync(jpegPath, createJpegHeader(612, 792));
+      fs.writeFileSync(svgPath, '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="612pt" height="792pt" viewBox="0 0 612 792">');
+
+      expect(pdfService.getImageDimensions(pngPath, 'png')).toEqual({ width: 1275, height: 1650 });
+      expect(pdfService.getImageDimensions(jpegPath, 'jpeg')).toEqual({ width: 612, height: 792 });
+      expect(pdfService.getImageDimensions(svgPath, 'svg')).toEqual({ width: 612, height: 792 });
+    });
+
+    test('reads the TIFF directory after strip data larger than the header read', () => {
+      const tiffPath = path.join(tempDir, 'page-1.tif');
+      fs.writeFileSync(tiffPath, createTiff(2550, 3300, 100 * 1024));
+
+      expect(pdfService.getImageDimensions(tiffPath, 'tiff')).toEqual({ width: 2550, height: 3300 });
+    });
+
+    test('returns null for unreadable files', () => {
+      const badPath = path.join(tempDir, 'page-1.png');
+      fs.writeFileSync(badPath, 'not an image');
+
+      expect(pdfService.getImageDimensions(badPath, 'png')).toBeNull();
+      expect(pdfService.getImageDimensions(badPath, 'tiff')).toBeNull();
+      expect(pdfService.getImageDimensions(path.join(tempDir, 'missing.png'), 'png')).toBeNull();
+    });
+  });
+
+  describe('convertPdf', () => {
+    test('reports page number, format and pixel size for each rendered page', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '12' });
+      pdfService.poppler.pdfToCairo.mockImplementation(async () => {
+        fs.writeFileSync(path.join(tempDir, 'page-10.png'), createPngHeader(200, 260));
+        fs.writeFileSync(path.join(tempDir, 'page-09.png'), createPngHeader(200, 259));
+      });
+
+      const { options } = pdfService.parseConversionOptions({ pages: '9-20' });
+      const pages = await pdfService.convertPdf('/tmp/input.pdf', tempDir, options);
+
+      expect(pdfService.poppler.pdfToCairo).toHaveBeenCalledWith(
+        '/tmp/input.pdf',
+        path.join(tempDir, 'page'),
+        expect.objectContaining({ firstPageToConvert: 9, lastPageToConvert: 12 })
+      );
+      expect(pages.map(p => [p.page, p.filename, p.format, p.width, p.height])).toEqual([
+        [9, 'page-09.png', 'png', 200, 259],
+        [10, 'page-10.png', 'png', 200, 260]
+      ]);
+    });
+
+    test('renders in batches and reports progress when asked to', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '12' });
+      const onProgress = jest.fn();
+
+      const { options } = pdfService.parseConversionOptions({});
+      await pdfService.convertPdf('/tmp/input.pdf', tempDir, options, { onProgress });
+
+      expect(pdfService.poppler.pdfToCairo.mock.calls.map(([, , opts]) => [opts.firstPageToConvert, opts.lastPageToConvert]))
+        .toEqual([[1, 5], [6, 10], [11, 12]]);
+      expect(onProgress.mock.calls.map(([progress]) => progress.pagesDone)).toEqual([0, 5, 10, 12]);
+      expect(onProgress).toHaveBeenLastCalledWith({ pagesDone: 12, totalPages: 12 });
+    });
+
+    test('renders SVG output one page at a time', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '2' });
+
+      const { options } = pdfService.parseConversionOptions({ format: 'svg' });
+      await pdfService.convertPdf('/tmp/input.pdf', tempDir, options);
+
+      expect(pdfService.poppler.pdfToCairo).toHaveBeenCalledTimes(2);
+      expect(pdfService.poppler.pdfToCairo).toHaveBeenLastCalledWith(
+        '/tmp/input.pdf',
+        path.join(tempDir, 'page-2.svg'),
+        expect.objectContaining({ svgFile: true, firstPageToConvert: 2, lastPageToConvert: 2 })
+      );
+    });
+
+    test('rejects a first page beyond the end of the document', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '2' });
+
+      const { options } = pdfService.parseConversionOptions({ firstPage: '3' });
+
+      await expect(pdfService.convertPdf('/tmp/input.pdf', tempDir, options))
+        .rejects.toMatchObject({ code: 'PAGE_OUT_OF_RANGE' });
+      expect(pdfService.poppler.pdfToCairo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parsePageRange', () => {
+    test('returns the whole document when no range is given', () => {
+      expect(pdfService.parsePageRange({})).toEqual({ isValid: true, firstPage: 1, lastPage: null });
+    });
+
+    test('prefers the pages field over firstPage/lastPage', () => {
+      expect(pdfService.parsePageRange({ pages: '4-6', firstPage: '1' }))
+        .toEqual({ isValid: true, firstPage: 4, lastPage: 6 });
+    });
+  });
+
+  describe('extractText', () => {
+    const layoutXhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<body>
+<doc>
+  <page width="612.000000" height="792.000000">
+    <flow>
+      <block xMin="72.000000" yMin="70.000000" xMax="300.000000" yMax="100.000000">
+        <line xMin="72.000000" yMin="70.000000" xMax="200.000000" yMax="84.000000">
+          <word xMin="72.000000" yMin="70.000000" xMax="120.000000" yMax="84.000000">Patient</word>
+          <word xMin="124.000000" yMin="70.000000" xMax="200.000000" yMax="84.000000">Name:</word>
+        </line>
+        <line xMin="72.000000" yMin="88.000000" xMax="300.000000" yMax="100.000000">
+          <word xMin="72.000000" yMin="88.000000" xMax="300.000000" yMax="100.000000">Smith &amp; Sons</word>
+        </line>
+      </block>
+    </flow>
+  </page>
+</doc>
+</body>
+</html>`;
+
+    const fontXml = `<?xml version="1.0" encoding="UTF-8"?>
+<pdf2xml producer="poppler" version="23.02.0">
+<page number="2" position="absolute" top="0" left="0" height="792" width="612">
+	<fontspec id="0" size="14" family="Helvetica" color="#000000"/>
+	<fontspec id="1" size="10" family="Times" color="#333333"/>
+<text top="70" left="72" width="128" height="14" font="0"><b>Patient Name:</b></text>
+<text top="88" left="72" width="228" height="12" font="1">Smith &amp; Sons</text>
+</page>
+</pdf2xml>`;
+
+    test('returns blocks, lines and words with coordinates and matched fonts', async () => {
+      pdfService.poppler.pdfToText.mockResolvedValue(layoutXhtml);
+      pdfService.poppler.pdfToHtml.mockResolvedValue(fontXml);
+
+      const pages = await pdfService.extractText('/tmp/input.pdf', { firstPage: 2, lastPage: 2 });
+
+      expect(pdfService.poppler.pdfToText).toHaveBeenCalledWith('/tmp/input.pdf', undefined, expect.objectContaining({
+        boundingBoxXhtmlLayout: true,
+        firstPageToConvert: 2,
+        lastPageToConvert: 2
+      }));
+      expect(pdfService.poppler.pdfToHtml).toHaveBeenCalledWith('/tmp/input.pdf', undefined, expect.objectContaining({
+        xmlOutput: true,
+        stdout: true,
+        zoom: 1
+      }));
+
+      expect(pages).toHaveLength(1);
+      const [page] = pages;
+      expect(page).toMatchObject({ page: 2, width: 612, height: 792, text: 'Patient Name:\nSmith & Sons' });
+
+      const [firstLine, secondLine] = page.blocks[0].lines;
+      expect(page.blocks[0].bbox).toEqual({ xMin: 72, yMin: 70, xMax: 300, yMax: 100 });
+      expect(firstLine.words.map(w => w.text)).toEqual(['Patient', 'Name:']);
+      expect(firstLine.words[1].bbox).toEqual({ xMin: 124, yMin: 70, xMax: 200, yMax: 84 });
+      expect(firstLine.font).toEqual({ family: 'Helvetica', size: 14, color: '#000000', bold: true, italic: false });
+      expect(secondLine.font).toEqual({ family: 'Times', size: 10, color: '#333333', bold: false, italic: false });
+    });
+
+    test('leaves font null when no text run overlaps a line', async () => {
+      pdfService.poppler.pdfToText.mockResolvedValue(layoutXhtml);
+      pdfService.poppler.pdfToHtml.mockResolvedValue('<pdf2xml></pdf2xml>');
+
+      const [page] = await pdfService.extractText('/tmp/input.pdf');
+
+      expect(page.page).toBe(1);
+      expect(page.blocks[0].lines[0].font).toBeNull();
+    });
+  });
+
+  describe('extractFormStructure', () => {
+    const createFillablePdf = async () => {
+      const pdfDoc = await PDFDocument.create();
+      const firstPage = pdfDoc.addPage([612, 792]);
+      const secondPage = pdfDoc.addPage([612, 792]);
+      const form = pdfDoc.getForm();
+
+      const notes = form.createTextField('page2.notes');
+      notes.enableMultiline();
+      notes.addToPage(secondPage, { x: 50, y: 600 });
+
+      const email = form.createTextField('patient.emailAddress');
+      email.enableRequired();
+      email.addToPage(firstPage, { x: 50, y: 500 });
+
+      form.createTextField('patient_name').addToPage(firstPage, { x: 50, y: 700 });
+
+      const gender = form.createRadioGroup('gender');
+      gender.addOptionToPage('Male', firstPage, { x: 50, y: 400 });
+      gender.addOptionToPage('Female', firstPage, { x: 100, y: 400 });
+
+      const state = form.createDropdown('state');
+      state.addOptions(['CA', 'NY']);
+      state.addToPage(firstPage, { x: 50, y: 300 });
+
+      const allergies = form.createOptionList('allergies');
+      allergies.addOptions(['Peanut', 'Dust']);
+      allergies.enableMultiselect();
+      allergies.addToPage(firstPage, { x: 300, y: 200 });
+
+      form.createCheckBox('agree').addToPage(firstPage, { x: 50, y: 200 });
+      form.createButton('submit').addToPage('Submit', secondPage, { x: 50, y: 100 });
+
+      const pdfPath = path.join(tempDir, 'fillable.pdf');
+      fs.writeFileSync(pdfPath, await pdfDoc.save());
+      return pdfPath;
+    };
+
+    test('maps AcroForm fields to ChatterForms fields in page order', async () => {
+      const pdfPath = await createFillablePdf();
+
+      const structure = await pdfService.extractFormStructure(pdfPath, { title: 'Intake Packet' });
+
+      expect(structure.isAcroForm).toBe(true);
+      expect(structure.title).toBe('Intake Packet');
+      expect(structure.fields).toEqual([
+        { id: 'patient_name', type: 'text', label: 'Patient name', required: false },
+        { id: 'patient_emailaddress', type: 'email', label: 'Email Address', required: true },
+        { id: 'gender', type: 'radio', label: 'Gender', required: false, options: ['Male', 'Female'] },
+        { id: 'state', type: 'select', label: 'State', required: false, options: ['CA', 'NY'] },
+        { id: 'agree', type: 'checkbox', label: 'Agree', required: false },
+        { id: 'allergies', type: 'checkbox-group', label: 'Allergies', required: false, options: ['Peanut', 'Dust'] },
+        { id: 'page2_notes', type: 'textarea', label: 'Notes', required: false }
+      ]);
+      expect(structure.skipped).toEqual([{ name: 'submit', type: 'PDFButton' }]);
+    });
+
+    test('reports PDFs without form fields', async () => {
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage();
+      const pdfPath = path.join(tempDir, 'flat.pdf');
+      fs.writeFileSync(pdfPath, await pdfDoc.save());
+
+      const structure = await pdfService.extractFormStructure(pdfPath);
+
+      expect(structure.isAcroForm).toBe(false);
+      expect(structure.fields).toEqual([]);
+    });
+
+    test('classifies unreadable and encrypted PDFs', async () => {
+      const pdfPath = path.join(tempDir, 'broken.pdf');
+      fs.writeFileSync(pdfPath, 'not a pdf');
+
+      await expect(pdfService.extractFormStructure(pdfPath)).rejects.toMatchObject({ code: 'PDF_CORRUPT' });
+
+      const load = jest.spyOn(PDFDocument, 'load').mockRejectedValueOnce(new EncryptedPDFError());
+      await expect(pdfService.extractFormStructure(pdfPath)).rejects.toMatchObject({
+        code: 'PDF_PASSWORD_REQUIRED',
+        message: 'PDF is encrypted; remove its password and upload it again'
+      });
+      load.mockRestore();
+    });
+  });
+
+  describe('encrypted PDFs', () => {
+    test('parsePasswords keeps only non-empty values and accepts `password` as the user password', () => {
+      expect(pdfService.parsePasswords({ password: 'open-sesame', ownerPassword: '' }))
+        .toEqual({ userPassword: 'open-sesame' });
+      expect(pdfService.parsePasswords({ ownerPassword: 'owner', userPassword: 'user', password: 'ignored' }))
+        .toEqual({ ownerPassword: 'owner', userPassword: 'user' });
+      expect(pdfService.parsePasswords({})).toEqual({});
+    });
+
+    test('reports a missing password when an encrypted PDF is opened without one', async () => {
+      pdfService.poppler.pdfInfo.mockRejectedValue(new Error('Command Line Error: Incorrect password'));
+
+      const { options } = pdfService.parseConversionOptions({});
+
+      await expect(pdfService.convertPdf('/tmp/input.pdf', tempDir, options))
+        .rejects.toMatchObject({ code: 'PDF_PASSWORD_REQUIRED' });
+    });
+
+    test('passes passwords to poppler and reports a rejected password', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '1' });
+      pdfService.poppler.pdfToCairo.mockRejectedValue(new Error('Command Line Error: Incorrect password'));
+
+      const { options } = pdfService.parseConversionOptions({});
+      const passwords = { userPassword: 'wrong' };
+
+      await expect(pdfService.convertPdf('/tmp/input.pdf', tempDir, options, { passwords }))
+        .rejects.toMatchObject({ code: 'PDF_WRONG_PASSWORD' });
+      expect(pdfService.poppler.pdfInfo).toHaveBeenCalledWith('/tmp/input.pdf', { printAsJson: true, userPassword: 'wrong' });
+      expect(pdfService.poppler.pdfToCairo).toHaveBeenCalledWith('/tmp/input.pdf', expect.any(String), expect.objectContaining({ userPassword: 'wrong' }));
+    });
+
+    test('classifies unreadable files as corrupt and redacts passwords from messages', () => {
+      const corrupt = pdfService.classifyPopplerError(new Error("Syntax Error: Couldn't read xref table"));
+      expect(corrupt.code).toBe('PDF_CORRUPT');
+
+      const echoed = pdfService.classifyPopplerError(
+        new Error('pdftocairo -upw hunter2 /tmp/input.pdf exited with code 99'),
+        { userPassword: 'hunter2' }
+      );
+      expect(echoed.message).toBe('pdftocairo -upw *** /tmp/input.pdf exited with code 99');
+      expect(echoed.stack).toContain('pdftocairo -upw *** /tmp/input.pdf');
+      expect(echoed.stack).not.toContain('hunter2');
+      expect(echoed.code).toBeUndefined();
+
+      const spawnFailure = Object.assign(new Error('spawn pdftocairo -upw hunter2 ENOENT'), { code: 'ENOENT' });
+      const classified = pdfService.classifyPopplerError(spawnFailure, { userPassword: 'hunter2' });
+      expect(classified).toMatchObject({ code: 'ENOENT', message: 'spawn pdftocairo -upw *** ENOENT' });
+    });
+  });
+
+  describe('inspectPdf', () => {
+    const infoText = [
+      'Title:          Patient Intake',
+      'Author:         Front Desk',
+      'Creator:        Scanner 3000',
+      'CreationDate:   2024-03-01T09:30:00-08',
+      'Tagged:         no',
+      'Suspects:       no',
+      'Form:           none',
+      'JavaScript:     no',
+      'Pages:          2',
+      'Encrypted:      yes (print:yes copy:no change:no addNotes:no algorithm:AES-256)',
+      'File size:      48213 bytes',
+      'Optimized:      no',
+      'PDF version:    1.7'
+    ].join('\n');
+
+    const pageInfoText = [
+      'Pages:          2',
+      'Page    1 size: 612 x 792 pts (letter)',
+      'Page    1 rot:  0',
+      'Page    2 size: 792 x 612 pts',
+      'Page    2 rot:  90'
+    ].join('\n');
+
+    const fontsText = [
+      'name                                 type              encoding         emb sub uni object ID',
+      '------------------------------------ ----------------- ---------------- --- --- --- ---------',
+      'ABCDEE+Helvetica                     Type 1C           WinAnsi          yes yes no       6  0'
+    ].join('\n');
+
+    const imagesText = [
+      'page   num  type   width height color comp bpc  enc interp  object ID x-ppi y-ppi size ratio',
+      '--------------------------------------------------------------------------------------------',
+      '   2     0 image    2550  3300  gray    1   1  ccitt  no        12  0   300   300 52.1K 5.0%',
+      '   2     1 smask    2550  3300  gray    1   8  image  no        13  0   300   300 1.2K 0.1%'
+    ].join('\n');
+
+    test('combines document info, page sizes, fonts and scanned-page detection', async () => {
+      pdfService.poppler.pdfInfo
+        .mockResolvedValueOnce(infoText)
+        .mockResolvedValueOnce(pageInfoText);
+      pdfService.poppler.pdfFonts.mockResolvedValue(fontsText);
+      pdfService.poppler.pdfImages.mockResolvedValue(imagesText);
+      pdfService.poppler.pdfToText.mockResolvedValue('Name: ____\n\f   \n\f');
+
+      const info = await pdfService.inspectPdf('/tmp/input.pdf', { userPassword: 'secret' });
+
+      expect(pdfService.poppler.pdfInfo).toHaveBeenLastCalledWith('/tmp/input.pdf', {
+        firstPageToConvert: 1,
+        lastPageToConvert: 2,
+        userPassword: 'secret'
+      });
+      expect(info).toMatchObject({
+        pageCount: 2,
+        pdfVersion: '1.7',
+        fileSize: 48213,
+        form: 'none',
+        metadata: { title: 'Patient Intake', author: 'Front Desk', creationDate: '2024-03-01T09:30:00-08' },
+        encryption: {
+          encrypted: true,
+          algorithm: 'AES-256',
+          permissions: { print: true, copy: false, change: false, addNotes: false }
+        },
+        fonts: [{ name: 'ABCDEE+Helvetica', type: 'Type 1C', encoding: 'WinAnsi', embedded: true, subset: true, unicode: false }],
+        isScanned: false
+      });
+      expect(info.pages).toEqual([
+        { page: 1, width: 612, height: 792, paperSize: 'letter', rotation: 0, hasText: true, imageCount: 0, imageOnly: false },
+        { page: 2, width: 792, height: 612, paperSize: null, rotation: 90, hasText: false, imageCount: 1, imageOnly: true }
+      ]);
+      expect(info.warnings.map(w => w.code)).toEqual(['PARTIALLY_SCANNED', 'ENCRYPTED']);
+    });
+
+    test('flags fully scanned, oversized and suspect documents', async () => {
+      pdfService.poppler.pdfInfo
+        .mockResolvedValueOnce('Pages:          1\nSuspects:       yes\nEncrypted:      no')
+        .mockResolvedValueOnce('Page    1 size: 2448 x 1584 pts (tabloid)\nPage    1 rot:  0');
+      pdfService.poppler.pdfFonts.mockResolvedValue(fontsText.split('\n').slice(0, 2).join('\n'));
+      pdfService.poppler.pdfImages.mockResolvedValue(imagesText.replace(/^ {3}2/gm, '   1'));
+      pdfService.poppler.pdfToText.mockResolvedValue('\f');
+
+      const info = await pdfService.inspectPdf('/tmp/input.pdf');
+
+      expect(info.isScanned).toBe(true);
+      expect(info.fonts).toEqual([]);
+      expect(info.encryption).toEqual({
+        encrypted: false,
+        algorithm: null,
+        permissions: { print: true, copy: true, change: true, addNotes: true }
+      });
+      expect(info.warnings.map(w => w.code)).toEqual(['SCANNED', 'OVERSIZED_PAGES', 'MALFORMED']);
+    });
+  });
+
+  describe('page manipulation', () => {
+    // pdfseparate stand-in: writes one file per page from the %d output pattern
+    const fakeSeparate = (pdfPath, pattern, options) => {
+      for (let page = options.firstPageToExtract; page <= options.lastPageToExtract; page++) {
+        fs.writeFileSync(pattern.replace('%d', page), `page ${page}`);
+      }
+      return Promise.resolve('');
+    };
+
+    test('splitPdf writes one file per page in the requested range', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '5' });
+      pdfService.poppler.pdfSeparate.mockImplementation(fakeSeparate);
+
+      const pages = await pdfService.splitPdf('/tmp/input.pdf', tempDir, { firstPage: 2, lastPage: 9 });
+
+      expect(pdfService.poppler.pdfSeparate).toHaveBeenCalledWith('/tmp/input.pdf', path.join(tempDir, 'page-%d.pdf'), {
+        firstPageToExtract: 2,
+        lastPageToExtract: 5
+      });
+      expect(pages).toEqual([2, 3, 4, 5].map(page => ({ page, filename: `page-${page}.pdf` })));
+    });
+
+    test('rejects ranges starting past the last page', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '2' });
+
+      await expect(pdfService.splitPdf('/tmp/input.pdf', tempDir, { firstPage: 3 }))
+        .rejects.toMatchObject({ code: 'PAGE_OUT_OF_RANGE' });
+      expect(pdfService.poppler.pdfSeparate).not.toHaveBeenCalled();
+    });
+
+    test('extractPages unites the separated pages and removes the scratch folder', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '6' });
+      pdfService.poppler.pdfSeparate.mockImplementation(fakeSeparate);
+      pdfService.poppler.pdfUnite.mockImplementation((inputs, outputPath) => {
+        fs.writeFileSync(outputPath, 'merged');
+        return Promise.resolve('');
+      });
+      const outputPath = path.join(tempDir, 'extracted.pdf');
+
+      const range = await pdfService.extractPages('/tmp/input.pdf', outputPath, { firstPage: 2, lastPage: 4 });
+
+      expect(range).toEqual({ firstPage: 2, lastPage: 4 });
+      expect(pdfService.poppler.pdfUnite).toHaveBeenCalledWith(
+        [2, 3, 4].map(page => path.join(`${outputPath}.parts`, `page-${page}.pdf`)),
+        outputPath
+      );
+      expect(fs.readdirSync(tempDir)).toEqual(['extracted.pdf']);
+    });
+
+    test('rotatePages adds to the existing rotation of the selected pages', async () => {
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage([612, 792]);
+      pdfDoc.addPage([612, 792]);
+      pdfDoc.addPage([612, 792]).setRotation({ type: 'degrees', angle: 90 });
+      const pdfPath = path.join(tempDir, 'input.pdf');
+      const outputPath = path.join(tempDir, 'rotated.pdf');
+      fs.writeFileSync(pdfPath, await pdfDoc.save());
+
+      const rotated = await pdfService.rotatePages(pdfPath, outputPath, -90, { firstPage: 2 });
+
+      expect(rotated).toEqual([{ page: 2, rotation: 270 }, { page: 3, rotation: 0 }]);
+      const result = await PDFDocument.load(fs.readFileSync(outputPath));
+      expect(result.getPages().map(page => page.getRotation().angle)).toEqual([0, 270, 0]);
+    });
+  });
+
+  describe('extractImages', () => {
+    const imagesList = [
+      'page   num  type   width height color comp bpc  enc interp  object ID x-ppi y-ppi size ratio',
+      '--------------------------------------------------------------------------------------------',
+      '   1     0 image     400   120  rgb     3   8  jpeg   no         9  0   144   144 18.2K 13%',
+      '   1     1 image     300   300  rgb     3   8  image  no        10  0    72    72 40.0K 15%',
+      '   1     2 smask     300   300  gray    1   8  image  no        11  0    72    72 2.1K 2.4%'
+    ].join('\n');
+
+    test('returns visible images with page, dimensions and format and drops masks', async () => {
+      pdfService.poppler.pdfInfo.mockResolvedValue({ pages: '3' });
+      pdfService.poppler.pdfImages.mockImplementation((pdfPath, prefix, options) => {
+        if (options.list) return Promise.resolve(imagesList);
+        fs.writeFileSync(`${prefix}-000.jpg`, 'jpeg');
+        fs.writeFileSync(`${prefix}-001.png`, 'png');
+        fs.writeFileSync(`${prefix}-002.png`, 'mask');
+        return Promise.resolve('');
+      });
+
+      const images = await pdfService.extractImages('/tmp/input.pdf', tempDir, { firstPage: 1, lastPage: 1 });
+
+      expect(pdfService.poppler.pdfImages).toHaveBeenLastCalledWith('/tmp/input.pdf', path.join(tempDir, 'embedded'), {
+        pngFile: true,
+        jpegFile: true,
+        firstPageToConvert: 1,
+        lastPageToConvert: 1
+      });
+      expect(images).toEqual([
+        { page: 1, index: 0, filename: 'embedded-000.jpg', format: 'jpeg', width: 400, height: 120, color: 'rgb', xPpi: 144, yPpi: 144, objectId: '9 0 R', size: 4 },
+        { page: 1, index: 1, filename: 'embedded-001.png', format: 'png', width: 300, height: 300, color: 'rgb', xPpi: 72, yPpi: 72, objectId: '10 0 R', size: 3 }
+      ]);
+      expect(fs.readdirSync(tempDir).sort()).toEqual(['embedded-000.jpg', 'embedded-001.png']);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Render Storage Tests
+ * Tests for persisting /upload renders to Cloud Storage with signed URLs and retention
+ */
+
+const RenderStorage = require('../render-storage');
+
+describe('RenderStorage', () => {
+  let gcpClient;
+  let renderStorage;
+
+  const images = [
+    { page: 1, filename: 'page-1.png', format: 'png', width: 1275, height: 1650, size: 2048, url: 'http://localhost/output/u/page-1.png' },
+    { page: 2, filename: 'page-2.png', format: 'png', width: 1275, height: 1650, size: 4096, url: 'http://localhost/output/u/page-2.png' }
+  ];
+
+  beforeEach(() => {
+    gcpClient = {
+      uploadFile: jest.fn().mockResolvedValue({ success: true }),
+      getSignedReadUrl: jest.fn((bucketName, destination) => Promise.resolve(`https://signed.example/${destination}`)),
+      storePdfRender: jest.fn().mockResolvedValue({ success: true }),
+      getPdfRender: jest.fn(),
+      getExpiredPdfRenders: jest.fn(),
+      deleteFile: jest.fn().mockResolvedValue({ success: true }),
+      deletePdfRender: jest.fn().mockResolvedValue({ success: true })
+    };
+    renderStorage = new RenderStorage(gcpClient, { bucketName: 'test-bucket', defaultRetentionDays: 30 });
+  });
+
+  describe('parseOptions', () => {
+    test('returns no options unless persist is requested', () => {
+      expect(renderStorage.parseOptions({ userId: 'user_1' })).toEqual({ isValid: true, options: null });
+    });
+
+    test('requires a path-safe userId and accepts multipart strings', () => {
+      expect(renderStorage.parseOptions({ persist: 'true' }).isValid).toBe(false);
+      expect(renderStorage.parseOptions({ persist: 'true', userId: '../other' }).isValid).toBe(false);
+      expect(renderStorage.parseOptions({ persist: 'true', userId: 'user_1', formId: 'form_1', retentionDays: '0' })).toEqual({
+        isValid: true,
+        options: { userId: 'user_1', formId: 'form_1', retentionDays: 0 }
+      });
+      expect(renderStorage.parseOptions({ persist: 'true', userId: 'user_1' }).options.retentionDays).toBe(30);
+    });
+
+    test('rejects out-of-range retention', () => {
+      expect(renderStorage.parseOptions({ persist: 'true', userId: 'user_1', retentionDays: '-1' }).isValid).toBe(false);
+      expect(renderStorage.parseOptions({ persist: 'true', userId: 'user_1', retentionDays: '1.5' }).isValid).toBe(false);
+    });
+  });
+
+  test('persist uploads every page under the user/form prefix and records the render', async () => {
+    const stored = await renderStorage.persist('uuid-1', '/app/output/uuid-1', images, {
+      userId: 'user_1',
+      formId: 'form_1',
+      retentionDays: 1
+    });
+
+    expect(stored.prefix).toMatch(/^pdf-renders\/user_1\/form_1\/render_\d+_[0-9a-f]{16}$/);
+    expect(gcpClient.uploadFile).toHaveBeenCalledWith('/app/output/uuid-1/page-1.png', `${stored.prefix}/page-1.png`, 'test-bucket');
+    expect(gcpClient.uploadFile).toHaveBeenCalledTimes(2);
+
+    const record = gcpClient.storePdfRender.mock.calls[0][0];
+    expect(record).toMatchObject({ id: stored.renderId, uuid: 'uuid-1', userId: 'user_1', formId: 'form_1', bucketName: 'test-bucket' });
+    expect(new Date(record.expiresAt).getTime() - new Date(record.createdAt).getTime()).toBe(24 * 60 * 60 * 1000);
+
+    expect(stored.images[1]).toEqual({
+      page: 2,
+      filename: 'page-2.png',
+      gcsUrl: `gs://test-bucket/${stored.prefix}/page-2.png`,
+      signedUrl: `https://signed.example/${stored.prefix}/page-2.png`
+    });
+    // Signed URLs never outlive a 1-day retention
+    expect(gcpClient.getSignedReadUrl.mock.calls[0][2]).toBeLessThanOrEqual(24 * 60);
+  });
+
+  test('renders kept indefinitely have no expiry and get maximum-lifetime URLs', async () => {
+    const stored = await renderStorage.persist('uuid-1', '/app/output/uuid-1', images, { userId: 'user_1', retentionDays: 0 });
+
+    expect(stored.expiresAt).toBeNull();
+    expect(stored.prefix).toMatch(/^pdf-renders\/user_1\/unassigned\//);
+    expect(gcpClient.getSignedReadUrl.mock.calls[0][2]).toBe(7 * 24 * 60);
+  });
+
+  test('get only returns unexpired renders owned by the user', async () => {
+    const renderData = {
+      id: 'render_1',
+      uuid: 'uuid-1',
+      userId: 'user_1',
+      formId: null,
+      bucketName: 'test-bucket',
+      prefix: 'pdf-renders/user_1/unassigned/render_1',
+      files: [{ page: 1, filename: 'page-1.png', gcsPath: 'pdf-renders/user_1/unassigned/render_1/page-1.png' }],
+      retentionDays: 30,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    };
+    gcpClient.getPdfRender.mockResolvedValue(renderData);
+
+    await expect(renderStorage.get('render_1', 'user_2')).resolves.toBeNull();
+    await expect(renderStorage.get('render_1', 'user_1')).resolves.toMatchObject({ renderId: 'render_1', images: [{ page: 1 }] });
+
+    gcpClient.getPdfRender.mockResolvedValue({ ...renderData, expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await expect(renderStorage.get('render_1', 'user_1')).resolves.toBeNull();
+  });
+
+  test('purgeExpired deletes objects before records and keeps going after a failure', async () => {
+    gcpClient.getExpiredPdfRenders.mockResolvedValue([
+      { id: 'render_1', bucketName: 'test-bucket', files: [{ gcsPath: 'a/page-1.png' }] },
+      { id: 'render_2', bucketName: 'test-bucket', files: [{ gcsPath: 'b/page-1.png' }, { gcsPath: 'b/page-2.png' }] }
+    ]);
+    gcpClient.deleteFile.mockImplementation((bucketName, gcsPath) =>
+      gcsPath.startsWith('a/') ? Promise.reject(new Error('permission denied')) : Promise.resolve({ success: true })
+    );
+
+    await expect(renderStorage.purgeExpired()).resolves.toBe(1);
+    expect(gcpClient.deletePdfRender).toHaveBeenCalledTimes(1);
+    expect(gcpClient.deletePdfRender).toHaveBeenCalledWith('render_2');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Screenshot Options Tests
+ * Tests for validating /screenshot capture options and applying them to a page
+ */
+
+const ScreenshotOptions = require('../screenshot-options');
+
+// Stand-in for the puppeteer Page methods the options touch
+const createFakePage = ({ element = null, waitFails = false } = {}) => ({
+  setViewport: jest.fn(async () => {}),
+  setUserAgent: jest.fn(async () => {}),
+  emulateMediaFeatures: jest.fn(async () => {}),
+  waitForSelector: jest.fn(async () => {
+    if (waitFails) throw new Error('Waiting for selector failed');
+  }),
+  evaluate: jest.fn(async (fn, selectors) => selectors.length),
+  screenshot: jest.fn(async () => {}),
+  $: jest.fn(async () => element)
+});
+
+describe('ScreenshotOptions', () => {
+  let screenshotOptions;
+
+  beforeEach(() => {
+    screenshotOptions = new ScreenshotOptions();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('defaults match the previous desktop PNG capture', () => {
+    const { isValid, options } = screenshotOptions.parse({});
+
+    expect(isValid).toBe(true);
+    expect(options).toMatchObject({
+      device: 'desktop',
+      viewport: { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false },
+      colorScheme: null,
+      format: 'png',
+      quality: null,
+      selector: null,
+      fullPage: true,
+      waitForSelector: null,
+      waitTime: 4000,
+      hideSelectors: []
+    });
+    expect(screenshotOptions.cacheSignature(options)).toBe('');
+    expect(screenshotOptions.filename(options)).toBe('screenshot.png');
+  });
+
+  test('applies device presets, viewport overrides and output format', () => {
+    const { options } = screenshotOptions.parse({
+      device: 'iPhone',
+      viewport: { height: '700' },
+      colorScheme: 'dark',
+      format: 'jpg',
+      selector: 'form',
+      waitForSelector: 'form input'
+    });
+
+    expect(options.viewport).toEqual({ width: 390, height: 700, deviceScaleFactor: 3, isMobile: true, hasTouch: true });
+    expect(options.userAgent).toContain('iPhone');
+    expect(options).toMatchObject({ colorScheme: 'dark', format: 'jpeg', quality: 80, waitTime: 0 });
+    expect(screenshotOptions.filename(options)).toBe('screenshot.jpg');
+    expect(screenshotOptions.cacheSignature(options)).toContain('selector="form"');
+  });
+
+  test('merges the cookie banner list with custom hide selectors', () => {
+    const { options } = screenshotOptions.parse({ hideCookieBanners: true, hideSelectors: ['#chat-widget', '.cc-window'] });
+
+    expect(options.hideSelectors).toContain('#onetrust-consent-sdk');
+    expect(options.hideSelectors).toContain('#chat-widget');
+    expect(options.hideSelectors.filter(selector => selector === '.cc-window')).toHaveLength(1);
+  });
+
+  test('rejects invalid options', () => {
+    const invalid = [
+      [{ device: 'fridge' }, 'device must be one of: desktop, iphone, ipad'],
+      [{ viewport: { width: 10 } }, 'viewport.width must be an integer between 320 and 3840'],
+      [{ colorScheme: 'sepia' }, 'colorScheme must be one of: light, dark'],
+      [{ format: 'gif' }, 'format must be one of: png, jpeg, webp'],
+      [{ quality: 50 }, 'quality applies to jpeg and webp output only'],
+      [{ format: 'webp', quality: 101 }, 'quality must be an integer between 1 and 100'],
+      [{ selector: '' }, 'selector must be a CSS selector of at most 500 characters'],
+      [{ waitTime: 60000 }, 'waitTime must be an integer between 0 and 30000'],
+      [{ hideSelectors: '.banner' }, 'hideSelectors must be an array of at most 50 CSS selectors']
+    ];
+
+    invalid.forEach(([raw, error]) => {
+      expect(screenshotOptions.parse(raw)).toEqual({ isValid: false, error });
+    });
+  });
+
+  test('emulates the device and waits for the selector', async () => {
+    const page = createFakePage();
+    const { options } = screenshotOptions.parse({ device: 'ipad', colorScheme: 'light', waitForSelector: '#form' });
+
+    await screenshotOptions.emulate(page, options);
+    await screenshotOptions.waitForContent(page, options);
+
+    expect(page.setViewport).toHaveBeenCalledWith(options.viewport);
+    expect(page.setUserAgent).toHaveBeenCalledWith(expect.stringContaining('iPad'));
+    expect(page.emulateMediaFeatures).toHaveBeenCalledWith([{ name: 'prefers-color-scheme', value: 'light' }]);
+    expect(page.waitForSelector).toHaveBeenCalledWith('#form', { visible: true, timeout: 15000 });
+  });
+
+  test('reports a missing waitForSelector element', async () => {
+    const page = createFakePage({ waitFails: true });
+    const { options } = screenshotOptions.parse({ waitForSelector: '#never', waitTimeout: 100 });
+
+    await expect(screenshotOptions.waitForContent(page, options)).rejects.toMatchObject({ code: 'WAIT_FOR_SELECTOR_TIMEOUT' });
+  });
+
+  test('captures the page or the matching element', async () => {
+    const element = { boundingBox: jest.fn(async () => ({ width: 600, height: 400 })), screenshot: jest.fn(async () => {}) };
+    const page = createFakePage({ element });
+
+    const { options: pageOptions } = screenshotOptions.parse({ format: 'webp', quality: 60, fullPage: false });
+    await screenshotOptions.capture(page, pageOptions, '/tmp/screenshot.webp');
+    expect(page.screenshot).toHaveBeenCalledWith({ path: '/tmp/screenshot.webp', type: 'webp', quality: 60, fullPage: false });
+
+    const { options: elementOptions } = screenshotOptions.parse({ selector: 'form' });
+    await screenshotOptions.capture(page, elementOptions, '/tmp/screenshot.png');
+    expect(page.$).toHaveBeenCalledWith('form');
+    expect(element.screenshot).toHaveBeenCalledWith({ path: '/tmp/screenshot.png', type: 'png' });
+
+    await expect(screenshotOptions.capture(createFakePage(), elementOptions, '/tmp/screenshot.png'))
+      .rejects.toMatchObject({ code: 'SELECTOR_NOT_FOUND' });
+  });
+
+  test('hides elements matching the hide selectors', async () => {
+    const page = createFakePage();
+
+    await expect(screenshotOptions.hideElements(page, screenshotOptions.parse({}).options)).resolves.toBe(0);
+    expect(page.evaluate).not.toHaveBeenCalled();
+
+    const { options } = screenshotOptions.parse({ hideSelectors: ['#banner', '.overlay'] });
+    await expect(screenshotOptions.hideElements(page, options)).resolves.toBe(2);
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), ['#banner', '.overlay']);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Server Smoke Tests
+ * Requires server.js the way `npm start` loads it, so a module that cannot boot fails here
+ */
+
+const request = require('supertest');
+
+// The poppler-utils binaries are looked up on PATH when the module loads
+jest.mock('node-poppler', () => ({ Poppler: class Poppler {} }));
+
+describe('server.js', () => {
+  const originalEnv = process.env;
+  let app;
+
+  beforeAll(() => {
+    process.env = {
+      ...originalEnv,
+      STRIPE_SECRET_KEY: 'sk_test_smoke',
+      MAILGUN_API_KEY: 'mailgun-smoke-key',
+      GOOGLE_APPLICATION_CREDENTIALS_JSON: JSON.stringify({
+        type: 'service_account',
+        project_id: 'chatterforms-test',
+        client_email: 'smoke-test@chatterforms-test.iam.gserviceaccount.com',
+        private_key: 'not-a-real-key'
+      })
+    };
+    app = require('../server');
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('boots and answers the health check', async () => {
+    const response = await request(app).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('healthy');
+    expect(response.body.pdfQueue).toBeDefined();
+  });
+});
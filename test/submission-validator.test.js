@@ -0,0 +1,124 @@
+/**
+ * Submission Validator Tests
+ * Tests for checking submitted answers against the published form structure
+ */
+
+const SubmissionValidator = require('../submission-validator');
+
+const structure = {
+  title: 'Clinic intake',
+  fields: [
+    { id: 'intro', type: 'richtext' },
+    { id: 'name', type: 'text', label: 'Name', required: true, maxLength: 20 },
+    { id: 'email', type: 'email', label: 'Email', required: true },
+    { id: 'phone', type: 'tel', label: 'Phone' },
+    { id: 'website', type: 'url', label: 'Website' },
+    { id: 'dob', type: 'date', label: 'Date of birth' },
+    { id: 'visit', type: 'select', label: 'Visit type', options: ['New', { label: 'Follow-up', value: 'followup' }] },
+    { id: 'symptoms', type: 'checkbox-group', label: 'Symptoms', options: ['Fever', 'Cough'] },
+    { id: 'age', type: 'number', label: 'Age', min: 0, max: 120 },
+    { id: 'insurance', type: 'file', label: 'Insurance card', required: true },
+    { id: 'consent', type: 'signature', label: 'Signature' }
+  ]
+};
+
+const validAnswers = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  phone: '+1 (555) 010-2030',
+  website: 'https://example.com',
+  dob: '1990-02-28',
+  visit: 'followup',
+  symptoms: ['Fever'],
+  age: { type: 'number', value: '42' },
+  insurance: { fileName: 'card.png', gcpUrl: 'gs://bucket/card.png' },
+  consent: { imageBase64: 'data:image/png;base64,AAAA' }
+};
+
+describe('SubmissionValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new SubmissionValidator();
+  });
+
+  test('accepts valid answers, including wrapped values and option labels', () => {
+    expect(validator.validate(structure, validAnswers)).toEqual({ valid: true, errors: [], data: validAnswers, hiddenFields: [] });
+    expect(validator.validate(structure, { ...validAnswers, visit: 'Follow-up' }).valid).toBe(true);
+  });
+
+  test('reports missing required fields, including files', () => {
+    const result = validator.validate(structure, { name: '  ', email: 'ada@example.com' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { fieldId: 'name', message: 'Name is required' },
+      { fieldId: 'insurance', message: 'Insurance card is required' }
+    ]);
+  });
+
+  test('checks email, phone, URL and date formats', () => {
+    const result = validator.validate(structure, {
+      ...validAnswers,
+      email: 'not-an-email',
+      phone: '12',
+      website: 'javascript:alert(1)',
+      dob: '2023-02-30'
+    });
+
+    expect(result.errors.map(error => error.fieldId)).toEqual(['email', 'phone', 'website', 'dob']);
+  });
+
+  test('rejects answers outside the options and number limits', () => {
+    const result = validator.validate(structure, {
+      ...validAnswers,
+      visit: 'Emergency',
+      symptoms: ['Fever', 'Rash'],
+      age: 130
+    });
+
+    expect(result.errors).toEqual([
+      { fieldId: 'visit', message: 'Must be one of the options' },
+      { fieldId: 'symptoms', message: 'Not an option: Rash' },
+      { fieldId: 'age', message: 'Must be at most 120' }
+    ]);
+  });
+
+  test('enforces text length limits and file uploads', () => {
+    const result = validator.validate(structure, {
+      ...validAnswers,
+      name: 'x'.repeat(21),
+      insurance: 'card.png'
+    });
+
+    expect(result.errors).toEqual([
+      { fieldId: 'name', message: 'Must be at most 20 characters' },
+      { fieldId: 'insurance', message: 'Must be an uploaded file' }
+    ]);
+  });
+
+  test('rejects unknown fields and answers to display-only fields', () => {
+    const result = validator.validate(structure, { ...validAnswers, isAdmin: true, intro: 'hello' });
+
+    expect(result.errors).toEqual([
+      { fieldId: 'isAdmin', message: 'Unknown field' },
+      { fieldId: 'intro', message: 'Field does not accept answers' }
+    ]);
+  });
+
+  test('skips hidden fields and drops their answers', () => {
+    const withLogic = {
+      ...structure,
+      logic: [{ action: 'show', fields: ['insurance'], when: { fieldId: 'visit', operator: 'equals', value: 'New' } }]
+    };
+
+    const result = validator.validate(withLogic, { ...validAnswers, insurance: 'not-a-file' });
+
+    expect(result.valid).toBe(true);
+    expect(result.hiddenFields).toEqual(['insurance']);
+    expect(result.data).not.toHaveProperty('insurance');
+    expect(validator.validate(withLogic, { ...validAnswers, visit: 'New', insurance: undefined }).errors).toEqual([
+      { fieldId: 'insurance', message: 'Insurance card is required' }
+    ]);
+  });
+});
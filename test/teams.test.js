@@ -0,0 +1,86 @@
+/**
+ * Team Tests
+ * Tests for creating teams and changing their members (GCPClient team methods)
+ */
+
+const { FieldValue } = require('@google-cloud/firestore');
+const GCPClient = require('../gcp-client');
+
+describe('GCPClient teams', () => {
+  let client;
+  let teams;
+  let writes;
+  let commitError;
+
+  beforeEach(() => {
+    // Skip the constructor: it needs GCP credentials
+    client = Object.create(GCPClient.prototype);
+    teams = new Map();
+    writes = [];
+    commitError = null;
+
+    client.collection = (name) => ({
+      doc: (id) => ({
+        path: `${name}/${id}`,
+        get: async () => ({ exists: name === 'teams' && teams.has(id), data: () => teams.get(id) })
+      })
+    });
+    // Batch records its writes only when commit succeeds, like Firestore
+    client.firestore = {
+      batch: () => {
+        const pending = [];
+        return {
+          set: (ref, data) => pending.push({ type: 'set', path: ref.path, data }),
+          update: (ref, data) => pending.push({ type: 'update', path: ref.path, data }),
+          commit: async () => {
+            if (commitError) throw commitError;
+            writes.push(...pending);
+          }
+        };
+      }
+    };
+  });
+
+  const team = { id: 'team_acme', name: 'Acme', ownerId: 'user_1', memberIds: ['user_1'] };
+
+  test('creates the team and points the owner at it', async () => {
+    await expect(client.createTeam(team)).resolves.toBe(team);
+
+    expect(writes).toEqual([
+      { type: 'set', path: 'teams/team_acme', data: team },
+      { type: 'update', path: 'users/user_1', data: { teamId: 'team_acme' } }
+    ]);
+  });
+
+  test('writes nothing when the team cannot be created', async () => {
+    commitError = new Error('Firestore unavailable');
+
+    await expect(client.createTeam(team)).rejects.toThrow('Firestore unavailable');
+    expect(writes).toEqual([]);
+  });
+
+  test('returns null for an unknown team', async () => {
+    teams.set('team_acme', team);
+
+    await expect(client.getTeam('team_acme')).resolves.toEqual(team);
+    await expect(client.getTeam('team_other')).resolves.toBeNull();
+  });
+
+  test('adds a member to the team and the user record together', async () => {
+    await client.addTeamMember('team_acme', 'user_2');
+
+    expect(writes).toStrictEqual([
+      { type: 'update', path: 'teams/team_acme', data: { memberIds: FieldValue.arrayUnion('user_2'), updatedAt: expect.any(String) } },
+      { type: 'update', path: 'users/user_2', data: { teamId: 'team_acme' } }
+    ]);
+  });
+
+  test('removes a member from the team and clears their team id', async () => {
+    await client.removeTeamMember('team_acme', 'user_2');
+
+    expect(writes).toStrictEqual([
+      { type: 'update', path: 'teams/team_acme', data: { memberIds: FieldValue.arrayRemove('user_2'), updatedAt: expect.any(String) } },
+      { type: 'update', path: 'users/user_2', data: { teamId: FieldValue.delete() } }
+    ]);
+  });
+});
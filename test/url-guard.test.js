@@ -0,0 +1,152 @@
+/**
+ * URL Guard Tests
+ * Tests for keeping URL-fetching endpoints away from internal addresses
+ */
+
+const EventEmitter = require('events');
+const UrlGuard = require('../url-guard');
+
+// Stand-in for a puppeteer HTTPRequest seen through request interception
+const createFakeRequest = (url, { navigation = false, frame = 'main' } = {}) => ({
+  url: () => url,
+  headers: () => ({ accept: '*/*' }),
+  isNavigationRequest: () => navigation,
+  frame: () => frame,
+  continue: jest.fn(),
+  abort: jest.fn()
+});
+
+describe('UrlGuard', () => {
+  let lookup;
+  let guard;
+
+  beforeEach(() => {
+    lookup = jest.fn(async () => [{ address: '93.184.216.34', family: 4 }]);
+    guard = new UrlGuard({ lookup });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('classifies private, loopback, link-local and public addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.100.0.1', '0.0.0.0',
+      '::1', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1', '::ffff:7f00:1'].forEach(address => {
+      expect(UrlGuard.isBlockedAddress(address)).toBe(true);
+    });
+    ['8.8.8.8', '93.184.216.34', '2606:4700::1111', '::ffff:808:808'].forEach(address => {
+      expect(UrlGuard.isBlockedAddress(address)).toBe(false);
+    });
+  });
+
+  test('classifies IPv4-compatible and 6to4 addresses that embed an IPv4 address as blocked', () => {
+    ['::', '::127.0.0.1', '::a9fe:a9fe', '2002:7f00:1::', '2002:a9fe:a9fe::1', '2002:808:808::'].forEach(address => {
+      expect(UrlGuard.isBlockedAddress(address)).toBe(true);
+    });
+    ['2001:4860:4860::8888', '2003::1'].forEach(address => {
+      expect(UrlGuard.isBlockedAddress(address)).toBe(false);
+    });
+  });
+
+  test('allows public hosts on the default ports', async () => {
+    await expect(guard.check('https://example.com/form')).resolves.toEqual({ isValid: true, url: 'https://example.com/form' });
+    expect(lookup).toHaveBeenCalledWith('example.com', { all: true, verbatim: true });
+  });
+
+  test('rejects IP literals in blocked ranges, including numeric encodings', async () => {
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::127.0.0.1]/', 'http://[2002:7f00:1::]/', 'http://2130706433/', 'http://0x7f000001/', 'http://127.1/']) {
+      await expect(guard.check(url)).resolves.toMatchObject({ isValid: false, code: 'URL_BLOCKED' });
+    }
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('rejects internal hostnames and ports outside the allowlist', async () => {
+    await expect(guard.check('http://localhost:3000/debug-env')).resolves.toMatchObject({ isValid: false });
+    await expect(guard.check('http://api.railway.internal/')).resolves.toMatchObject({ isValid: false, error: 'Host api.railway.internal is internal' });
+    await expect(guard.check('https://example.com:8443/')).resolves.toMatchObject({ isValid: false, error: 'Port 8443 is not allowed (allowed: 80, 443)' });
+    await expect(guard.check('ftp://example.com/')).resolves.toMatchObject({ isValid: false });
+
+    const custom = new UrlGuard({ allowedPorts: [443, 8443], lookup });
+    await expect(custom.check('https://example.com:8443/')).resolves.toMatchObject({ isValid: true });
+  });
+
+  test('rejects hosts where any resolved address is private or resolution fails', async () => {
+    lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.7', family: 4 }]);
+    await expect(guard.check('https://rebind.example.com/')).resolves.toMatchObject({
+      isValid: false,
+      error: 'Host rebind.example.com resolves to a private, loopback or link-local address (10.0.0.7)'
+    });
+
+    lookup.mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+    await expect(guard.check('https://missing.example.com/')).resolves.toMatchObject({ isValid: false, code: 'URL_BLOCKED' });
+  });
+
+  test('protectPage aborts blocked redirects and sub-requests and records them', async () => {
+    const page = new EventEmitter();
+    page.setRequestInterception = jest.fn(async () => {});
+    page.mainFrame = () => 'main';
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    const state = await guard.protectPage(page);
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+
+    const allowed = createFakeRequest('https://example.com/', { navigation: true });
+    const asset = createFakeRequest('https://example.com/app.js');
+    const inline = createFakeRequest('data:image/png;base64,AAAA');
+    const pixel = createFakeRequest('http://192.168.0.10/pixel.gif');
+    const redirect = createFakeRequest('http://169.254.169.254/latest/meta-data', { navigation: true });
+    [allowed, asset, inline, pixel, redirect].forEach(request => page.emit('request', request));
+    await flush();
+
+    expect(allowed.continue).toHaveBeenCalled();
+    expect(asset.continue).toHaveBeenCalled();
+    expect(inline.continue).toHaveBeenCalled();
+    expect(pixel.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(redirect.abort).toHaveBeenCalledWith('blockedbyclient');
+    // One lookup per origin
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(state.blockedNavigation).toMatchObject({ url: 'http://169.254.169.254/latest/meta-data' });
+    expect(state.blockedRequests).toEqual([{ url: 'http://192.168.0.10/pixel.gif', reason: 'Address 192.168.0.10 is private, loopback or link-local' }]);
+  });
+
+  test('protectPage adds request headers to allowed requests', async () => {
+    const page = new EventEmitter();
+    page.setRequestInterception = jest.fn(async () => {});
+    page.mainFrame = () => 'main';
+    const requestHeaders = jest.fn(url => (url.startsWith('https://example.com/') ? { authorization: 'Basic abc' } : null));
+
+    await guard.protectPage(page, { requestHeaders });
+
+    const own = createFakeRequest('https://example.com/', { navigation: true });
+    const thirdParty = createFakeRequest('https://cdn.example.net/app.js');
+    [own, thirdParty].forEach(request => page.emit('request', request));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(own.continue).toHaveBeenCalledWith({ headers: { accept: '*/*', authorization: 'Basic abc' } });
+    expect(thirdParty.continue).toHaveBeenCalledWith();
+  });
+
+  test('protectPage records responses served from a private address after the host passed the check', async () => {
+    const page = new EventEmitter();
+    page.setRequestInterception = jest.fn(async () => {});
+    page.mainFrame = () => 'main';
+    const createFakeResponse = (url, ip, request) => ({ url: () => url, remoteAddress: () => ({ ip, port: 80 }), request: () => request });
+
+    const state = await guard.protectPage(page);
+    // The host resolved to a public address for the check, then Chromium connected to a private one
+    page.emit('response', createFakeResponse('https://example.com/', '93.184.216.34', createFakeRequest('https://example.com/', { navigation: true })));
+    page.emit('response', createFakeResponse('https://rebind.example.com/logo.png', '[::1]', createFakeRequest('https://rebind.example.com/logo.png')));
+    page.emit('response', createFakeResponse('https://cached.example.com/app.js', '', createFakeRequest('https://cached.example.com/app.js')));
+
+    expect(state.blockedNavigation).toBeNull();
+    expect(state.privateResponses).toEqual([
+      { url: 'https://rebind.example.com/logo.png', reason: 'Response came from a private, loopback or link-local address (::1)' }
+    ]);
+    expect(() => guard.assertNoPrivateResponses(state)).toThrow(expect.objectContaining({ code: 'URL_BLOCKED' }));
+
+    page.emit('response', createFakeResponse('https://rebind.example.com/', '10.0.0.5', createFakeRequest('https://rebind.example.com/', { navigation: true })));
+    expect(state.blockedNavigation).toMatchObject({ url: 'https://rebind.example.com/' });
+    expect(() => guard.assertNoPrivateResponses({ privateResponses: [] })).not.toThrow();
+  });
+});
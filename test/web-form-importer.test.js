@@ -0,0 +1,99 @@
+/**
+ * Web Form Importer Tests
+ * Tests for mapping controls collected from a live web form to ChatterForms fields
+ */
+
+const WebFormImporter = require('../web-form-importer');
+
+describe('WebFormImporter', () => {
+  let importer;
+
+  // Shape returned by collectFormControls for a page with a search box and a contact form
+  const collected = {
+    title: 'Contact us',
+    forms: [
+      {
+        index: 0,
+        action: '/search',
+        controls: [
+          { kind: 'input', inputType: 'text', name: 'q', label: '', placeholder: 'Search', required: false, min: null, max: null }
+        ]
+      },
+      {
+        index: 1,
+        action: '/submit',
+        controls: [
+          { kind: 'input', inputType: 'text', name: 'full_name', label: 'Full name *', placeholder: '', required: false, min: null, max: null },
+          { kind: 'input', inputType: 'email', name: 'email', label: 'Email', placeholder: '', required: true, min: null, max: null },
+          { kind: 'input', inputType: 'text', name: 'phone_number', label: '', placeholder: 'Phone', required: false, min: null, max: null },
+          { kind: 'input', inputType: 'password', name: 'password', label: 'Password', placeholder: '', required: true, min: null, max: null },
+          { kind: 'radio', name: 'gender', label: 'Gender', options: ['Male', 'Female', 'Female'], required: false },
+          { kind: 'checkbox-group', name: 'interests[]', label: 'Interests', options: ['Art', 'Books'], required: false },
+          { kind: 'checkbox', name: 'agree', label: 'I agree to the terms', required: true },
+          { kind: 'select', name: 'country', label: 'Country', placeholder: 'Please select', options: ['US', 'UK'], multiple: false, required: false },
+          { kind: 'select', name: 'languages', label: 'Languages', placeholder: '', options: ['English', 'French'], multiple: true, required: false },
+          { kind: 'textarea', name: 'message', label: 'Message', placeholder: 'Say hi', required: false },
+          { kind: 'input', inputType: 'number', name: 'age', label: 'Age', placeholder: '', required: false, min: '18', max: '99' },
+          { kind: 'radio', name: 'i1', label: 'Favourite colour *', options: ['Red', 'Blue'], required: true },
+          { kind: 'radio', name: 'i2', label: 'Empty question', options: [], required: false },
+          { kind: 'input', inputType: 'email', name: 'email', label: 'Confirm email', placeholder: '', required: false, min: null, max: null }
+        ]
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    importer = new WebFormImporter();
+  });
+
+  test('imports the form with the most controls and maps each control type', () => {
+    const result = importer.buildFormStructure(collected);
+
+    expect(result.title).toBe('Contact us');
+    expect(result.formIndex).toBe(1);
+    expect(result.forms).toEqual([
+      { index: 0, action: '/search', controlCount: 1 },
+      { index: 1, action: '/submit', controlCount: 14 }
+    ]);
+    expect(result.fields).toEqual([
+      { id: 'full_name', type: 'text', label: 'Full name', required: true },
+      { id: 'email', type: 'email', label: 'Email', required: true },
+      { id: 'phone_number', type: 'tel', label: 'Phone number', required: false, placeholder: 'Phone' },
+      { id: 'gender', type: 'radio', label: 'Gender', required: false, options: ['Male', 'Female'] },
+      { id: 'interests', type: 'checkbox-group', label: 'Interests', required: false, options: ['Art', 'Books'] },
+      { id: 'agree', type: 'checkbox', label: 'I agree to the terms', required: true },
+      { id: 'country', type: 'select', label: 'Country', required: false, placeholder: 'Please select', options: ['US', 'UK'] },
+      { id: 'languages', type: 'checkbox-group', label: 'Languages', required: false, options: ['English', 'French'] },
+      { id: 'message', type: 'textarea', label: 'Message', required: false, placeholder: 'Say hi' },
+      { id: 'age', type: 'number', label: 'Age', required: false, min: 18, max: 99 },
+      { id: 'i1', type: 'radio', label: 'Favourite colour', required: true, options: ['Red', 'Blue'] },
+      { id: 'email_2', type: 'email', label: 'Confirm email', required: false }
+    ]);
+    expect(result.skipped).toEqual([
+      { name: 'password', reason: 'password input' },
+      { name: 'i2', reason: 'choice field without options' }
+    ]);
+  });
+
+  test('formIndex selects a specific form and title overrides the page title', () => {
+    const result = importer.buildFormStructure(collected, { formIndex: 0, title: 'Site search' });
+
+    expect(result.title).toBe('Site search');
+    expect(result.fields).toEqual([{ id: 'q', type: 'text', label: 'Q', required: false, placeholder: 'Search' }]);
+  });
+
+  test('returns no fields when the page has no controls', () => {
+    const result = importer.buildFormStructure({ title: '', forms: [{ index: 0, action: null, controls: [] }] });
+
+    expect(result).toMatchObject({ title: 'Imported Web Form', formIndex: 0, fields: [], skipped: [] });
+  });
+
+  test('extract evaluates the collector in the page', async () => {
+    const page = { evaluate: jest.fn().mockResolvedValue(collected) };
+
+    const result = await importer.extract(page, { formIndex: 0 });
+
+    expect(page.evaluate).toHaveBeenCalledWith(WebFormImporter.collectFormControls);
+    expect(result.formIndex).toBe(0);
+  });
+});
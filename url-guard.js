@@ -0,0 +1,214 @@
+/**
+ * URL Guard for ChatterForms Railway Backend
+ * Keeps URL-fetching endpoints (screenshots, web form import) away from internal addresses:
+ * private, loopback and link-local ranges, cloud metadata endpoints and non-allowlisted ports
+ *
+ * Chromium resolves a host again after the check, so a DNS-rebinding host could pass it and then
+ * point at an internal address. protectPage therefore also checks the address each response actually
+ * came from, and callers reject pages that reached a private address (assertNoPrivateResponses), so
+ * internal content never ends up in a screenshot or import. The request itself has been sent by then:
+ * side effects of a GET on an internal service are out of scope.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Ranges that are never reachable from the public internet (RFC 6890 special-purpose registries)
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  // Unspecified, loopback and deprecated IPv4-compatible addresses (::127.0.0.1)
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  // 6to4 embeds an IPv4 address (2002:7f00:1:: is 127.0.0.1) and is routed through public relays
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+// Schemes the browser resolves without touching the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+function isBlockedAddress(address) {
+  return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(message) {
+  const error = new Error(message);
+  error.code = 'URL_BLOCKED';
+  return error;
+}
+
+class UrlGuard {
+  /**
+   * @param {Object} options
+   * @param {Array<number>} options.allowedPorts - Ports a URL may use (the scheme default when none is given)
+   * @param {Function} options.lookup - dns.promises.lookup compatible resolver (injectable for tests)
+   */
+  constructor({ allowedPorts = [80, 443], lookup = dns.promises.lookup } = {}) {
+    this.allowedPorts = allowedPorts;
+    this.lookup = lookup;
+  }
+
+  /**
+   * Check a URL before fetching it
+   * @returns {Promise<Object>} - { isValid: true, url } or { isValid: false, error, code: 'URL_BLOCKED' }
+   */
+  async check(url) {
+    try {
+      await this.assertAllowed(url);
+      return { isValid: true, url };
+    } catch (error) {
+      return { isValid: false, error: error.message, code: error.code || 'URL_BLOCKED' };
+    }
+  }
+
+  /**
+   * Throw a URL_BLOCKED error unless the URL is http(s) on an allowed port and every address
+   * its host resolves to is public
+   */
+  async assertAllowed(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      throw blockedError('Invalid URL format');
+    }
+
+    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+      throw blockedError('Only HTTP and HTTPS URLs are supported');
+    }
+
+    const port = urlObj.port ? parseInt(urlObj.port, 10) : (urlObj.protocol === 'https:' ? 443 : 80);
+    if (!this.allowedPorts.includes(port)) {
+      throw blockedError(`Port ${port} is not allowed (allowed: ${this.allowedPorts.join(', ')})`);
+    }
+
+    // URL keeps IPv6 literals bracketed
+    const hostname = urlObj.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal')) {
+      throw blockedError(`Host ${hostname} is internal`);
+    }
+
+    if (net.isIP(hostname)) {
+      if (isBlockedAddress(hostname)) {
+        throw blockedError(`Address ${hostname} is private, loopback or link-local`);
+      }
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = await this.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      throw blockedError(`Host ${hostname} could not be resolved`);
+    }
+
+    // A host with one public and one private record could be steered to the private one
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      throw blockedError(`Host ${hostname} resolves to a private, loopback or link-local address (${blocked.address})`);
+    }
+  }
+
+  /**
+   * Re-check every request a page makes (navigations, redirect hops, sub-resources) through
+   * request interception and abort the ones that fail, and record responses served from a private
+   * address (DNS rebinding). Must be called before page.goto.
+   * @param {Object} options
+   * @param {Function} options.requestHeaders - (requestUrl) => headers to add to an allowed request, or null
+   * @returns {Promise<Object>} - { blockedNavigation, blockedRequests, privateResponses } filled in as the page loads
+   */
+  async protectPage(page, { requestHeaders } = {}) {
+    const state = { blockedNavigation: null, blockedRequests: [], privateResponses: [] };
+    // Hosts repeat across sub-resources; resolve each origin once per page
+    const verdicts = new Map();
+
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      // Another handler may already have resolved the request
+      if (request.isInterceptResolutionHandled && request.isInterceptResolutionHandled()) return;
+
+      const requestUrl = request.url();
+      if (LOCAL_SCHEMES.some(scheme => requestUrl.startsWith(scheme))) {
+        return request.continue();
+      }
+
+      let origin;
+      try {
+        const urlObj = new URL(requestUrl);
+        origin = `${urlObj.protocol}//${urlObj.host}`;
+      } catch (error) {
+        origin = requestUrl;
+      }
+
+      if (!verdicts.has(origin)) {
+        verdicts.set(origin, this.check(requestUrl));
+      }
+      const verdict = await verdicts.get(origin);
+
+      if (verdict.isValid) {
+        const headers = requestHeaders ? requestHeaders(requestUrl) : null;
+        return headers ? request.continue({ headers: { ...request.headers(), ...headers } }) : request.continue();
+      }
+
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        state.blockedNavigation = { url: requestUrl, reason: verdict.error };
+      } else {
+        state.blockedRequests.push({ url: requestUrl, reason: verdict.error });
+      }
+      console.warn(`🛡️ Blocked request to ${requestUrl}: ${verdict.error}`);
+      return request.abort('blockedbyclient');
+    });
+
+    // The address the browser connected to (empty for cached and data responses)
+    page.on('response', (response) => {
+      const ip = (response.remoteAddress()?.ip || '').replace(/^\[|\]$/g, '');
+      if (!net.isIP(ip) || !isBlockedAddress(ip)) return;
+
+      const entry = { url: response.url(), reason: `Response came from a private, loopback or link-local address (${ip})` };
+      const request = response.request();
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        state.blockedNavigation = entry;
+      }
+      state.privateResponses.push(entry);
+      console.warn(`🛡️ ${entry.url}: ${entry.reason}`);
+    });
+
+    return state;
+  }
+
+  /**
+   * Throw a URL_BLOCKED error when a protected page received any response from a private address
+   */
+  assertNoPrivateResponses(state) {
+    const [first] = state.privateResponses;
+    if (first) {
+      throw blockedError(`${first.url} was blocked: ${first.reason}`);
+    }
+  }
+}
+
+UrlGuard.isBlockedAddress = isBlockedAddress;
+
+module.exports = UrlGuard;
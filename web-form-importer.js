@@ -0,0 +1,303 @@
+/**
+ * Web Form Importer for ChatterForms Railway Backend
+ * Reads the controls of a live web form (loaded in Puppeteer) and maps them to a ChatterForms field list
+ */
+
+const { inferTextFieldType, humanizeFieldName, uniqueFieldId } = require('./field-naming');
+
+// Native <input> types mapped to ChatterForms field types; unlisted types import as text
+const INPUT_TYPE_MAP = {
+  email: 'email',
+  tel: 'tel',
+  number: 'number',
+  range: 'number',
+  date: 'date',
+  'datetime-local': 'date',
+  month: 'date',
+  week: 'date',
+  file: 'file'
+};
+
+/**
+ * Runs inside the page via page.evaluate, so it must not reference anything outside its own body.
+ * Collects native controls plus ARIA widgets (Google Forms renders radios, checkboxes and
+ * dropdowns as role="radio"/"checkbox"/"listbox" elements), grouped per <form>.
+ */
+function collectFormControls() {
+  const SKIPPED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+  const CONTROL_SELECTOR = 'input, select, textarea, button, [role="radio"], [role="checkbox"], [role="option"]';
+
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const textWithoutControls = (element) => {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(CONTROL_SELECTOR).forEach(node => node.remove());
+    return clean(clone.textContent);
+  };
+  const textOfIds = (ids) => clean((ids || '').split(/\s+/).map(id => {
+    const node = id && document.getElementById(id);
+    return node ? textWithoutControls(node) : '';
+  }).join(' '));
+
+  const ownLabel = (element) => {
+    const labelledBy = textOfIds(element.getAttribute('aria-labelledby'));
+    if (labelledBy) return labelledBy;
+    if (element.labels && element.labels.length > 0) {
+      const labelText = textWithoutControls(element.labels[0]);
+      if (labelText) return labelText;
+    }
+    return clean(element.getAttribute('aria-label') || element.getAttribute('data-value') || element.getAttribute('title'));
+  };
+
+  // Question text for a group of radios/checkboxes: legend, ARIA label or heading near the group
+  const groupLabel = (members) => {
+    let container = members[0].parentElement;
+    while (container && !members.every(member => container.contains(member))) {
+      container = container.parentElement;
+    }
+
+    for (let node = container, depth = 0; node && node !== document.body && depth < 4; node = node.parentElement, depth++) {
+      const labelled = textOfIds(node.getAttribute('aria-labelledby')) || clean(node.getAttribute('aria-label'));
+      if (labelled) return labelled;
+
+      const candidates = node.querySelectorAll('legend, [role="heading"], h1, h2, h3, h4, h5, h6, label, [class*="label"], [class*="question"], [class*="title"]');
+      for (const candidate of candidates) {
+        if (members.some(member => candidate.contains(member) || (candidate.htmlFor && candidate.htmlFor === member.id))) continue;
+        const text = textWithoutControls(candidate);
+        if (text) return text;
+      }
+    }
+    return '';
+  };
+
+  const isRequired = (element) => element.required === true || element.getAttribute('aria-required') === 'true';
+  const isHidden = (element) => !!element.closest('[aria-hidden="true"]');
+
+  const scopes = Array.from(document.querySelectorAll('form'));
+  if (scopes.length === 0) scopes.push(document.body);
+
+  return {
+    title: clean(document.title),
+    forms: scopes.map((root, index) => {
+      const controls = [];
+      const seenGroups = new Set();
+
+      root.querySelectorAll('input, select, textarea, [role="radiogroup"], [role="listbox"], [role="checkbox"]').forEach(element => {
+        if (isHidden(element)) return;
+        const tag = element.tagName.toLowerCase();
+        const role = element.getAttribute('role');
+
+        if (tag === 'input') {
+          const type = (element.getAttribute('type') || 'text').toLowerCase();
+          if (SKIPPED_INPUT_TYPES.includes(type)) return;
+
+          if (type === 'radio' || type === 'checkbox') {
+            const groupKey = `${type}:${element.name || element.id}`;
+            if (seenGroups.has(groupKey)) return;
+            seenGroups.add(groupKey);
+
+            const members = element.name
+              ? Array.from(root.querySelectorAll(`input[type="${type}"]`)).filter(member => member.name === element.name)
+              : [element];
+
+            if (type === 'checkbox' && members.length === 1) {
+              controls.push({ kind: 'checkbox', name: element.name || element.id, label: ownLabel(element) || groupLabel(members), required: isRequired(element) });
+            } else {
+              controls.push({
+                kind: type === 'radio' ? 'radio' : 'checkbox-group',
+                name: element.name,
+                label: groupLabel(members),
+                options: members.map(member => ownLabel(member) || member.value),
+                required: members.some(isRequired)
+              });
+            }
+            return;
+          }
+
+          controls.push({
+            kind: 'input',
+            inputType: type,
+            name: element.name || element.id,
+            label: ownLabel(element),
+            placeholder: element.placeholder || '',
+            required: isRequired(element),
+            min: element.getAttribute('min'),
+            max: element.getAttribute('max')
+          });
+          return;
+        }
+
+        if (tag === 'select') {
+          const options = Array.from(element.options);
+          // A leading empty-valued option is a prompt ("Please select"), not a choice
+          const prompt = options.length > 0 && options[0].value === '' ? options.shift() : null;
+          controls.push({
+            kind: 'select',
+            name: element.name || element.id,
+            label: ownLabel(element),
+            placeholder: prompt ? clean(prompt.textContent) : '',
+            options: options.map(option => clean(option.textContent) || option.value),
+            multiple: element.multiple,
+            required: isRequired(element)
+          });
+          return;
+        }
+
+        if (tag === 'textarea') {
+          controls.push({
+            kind: 'textarea',
+            name: element.name || element.id,
+            label: ownLabel(element),
+            placeholder: element.placeholder || '',
+            required: isRequired(element)
+          });
+          return;
+        }
+
+        // ARIA widgets wrapping native inputs are handled through those inputs
+        if (element.querySelector('input, select')) return;
+
+        if (role === 'radiogroup' || role === 'listbox') {
+          const itemRole = role === 'radiogroup' ? 'radio' : 'option';
+          controls.push({
+            kind: role === 'radiogroup' ? 'radio' : 'select',
+            name: element.id,
+            label: ownLabel(element) || groupLabel([element]),
+            options: Array.from(element.querySelectorAll(`[role="${itemRole}"]`)).map(item => ownLabel(item) || clean(item.textContent)),
+            required: isRequired(element)
+          });
+          return;
+        }
+
+        if (role === 'checkbox') {
+          const container = element.closest('[role="list"], [role="group"]') || element.parentElement;
+          if (seenGroups.has(container)) return;
+          seenGroups.add(container);
+
+          const members = Array.from(container.querySelectorAll('[role="checkbox"]'));
+          controls.push(members.length === 1
+            ? { kind: 'checkbox', name: element.id, label: ownLabel(element) || groupLabel(members), required: isRequired(element) }
+            : {
+              kind: 'checkbox-group',
+              name: container.id,
+              label: groupLabel(members),
+              options: members.map(member => ownLabel(member) || clean(member.textContent)),
+              required: isRequired(container) || members.some(isRequired)
+            });
+        }
+      });
+
+      return { index, action: root.getAttribute('action') || null, controls };
+    })
+  };
+}
+
+// Strip the "*" that forms append to required labels; reports whether it was there
+function readLabel(label) {
+  const text = (label || '').trim();
+  const marked = /\s*\*\s*$/.test(text);
+  return { text: text.replace(/\s*\*\s*$/, ''), marked };
+}
+
+class WebFormImporter {
+  /**
+   * Read the controls of the page currently loaded in a Puppeteer page
+   * @returns {Promise<Object>} - See buildFormStructure
+   */
+  async extract(page, options = {}) {
+    const collected = await page.evaluate(collectFormControls);
+    return this.buildFormStructure(collected, options);
+  }
+
+  /**
+   * Map collected controls to ChatterForms fields
+   * Pages often contain several forms (search, newsletter, the real one); the form with the
+   * most controls is imported unless formIndex selects another
+   * @param {Object} collected - Output of collectFormControls
+   * @param {Object} options - { title, formIndex }
+   * @returns {Object} - { title, formIndex, forms: [{ index, action, controlCount }], fields, skipped }
+   */
+  buildFormStructure(collected, { title, formIndex } = {}) {
+    const forms = collected.forms || [];
+    const summaries = forms.map(form => ({ index: form.index, action: form.action, controlCount: form.controls.length }));
+
+    let selected = null;
+    if (formIndex !== undefined && formIndex !== null) {
+      selected = forms.find(form => form.index === formIndex) || null;
+    } else {
+      selected = forms.reduce((best, form) => (!best || form.controls.length > best.controls.length ? form : best), null);
+    }
+
+    const usedIds = new Set();
+    const fields = [];
+    const skipped = [];
+
+    (selected ? selected.controls : []).forEach(control => {
+      const { text: labelText, marked } = readLabel(control.label);
+      const name = control.name || '';
+      const mapped = this.mapControl(control);
+
+      if (mapped.skipReason) {
+        skipped.push({ name: name || labelText, reason: mapped.skipReason });
+        return;
+      }
+
+      const label = labelText || (name ? humanizeFieldName(name) : '') || control.placeholder || 'Untitled field';
+      const field = {
+        id: uniqueFieldId(name || label, usedIds),
+        type: mapped.type,
+        label,
+        required: !!control.required || marked
+      };
+      if (control.placeholder) field.placeholder = control.placeholder;
+      if (mapped.options) field.options = mapped.options;
+      if (mapped.min !== undefined) field.min = mapped.min;
+      if (mapped.max !== undefined) field.max = mapped.max;
+      fields.push(field);
+    });
+
+    return {
+      title: title || collected.title || 'Imported Web Form',
+      formIndex: selected ? selected.index : null,
+      forms: summaries,
+      fields,
+      skipped
+    };
+  }
+
+  // ChatterForms type (plus options/limits) for one collected control, or { skipReason }
+  mapControl(control) {
+    const options = control.options
+      ? [...new Set(control.options.map(option => (option || '').trim()).filter(Boolean))]
+      : null;
+
+    switch (control.kind) {
+      case 'input': {
+        if (control.inputType === 'password') return { skipReason: 'password input' };
+        const type = INPUT_TYPE_MAP[control.inputType] || inferTextFieldType(`${control.name || ''} ${control.label || ''}`);
+        const limits = {};
+        if (type === 'number') {
+          if (control.min !== null && control.min !== '' && !isNaN(Number(control.min))) limits.min = Number(control.min);
+          if (control.max !== null && control.max !== '' && !isNaN(Number(control.max))) limits.max = Number(control.max);
+        }
+        return { type, ...limits };
+      }
+      case 'textarea':
+        return { type: 'textarea' };
+      case 'checkbox':
+        return { type: 'checkbox' };
+      case 'select':
+      case 'radio':
+      case 'checkbox-group': {
+        if (!options || options.length === 0) return { skipReason: 'choice field without options' };
+        const type = control.kind === 'select' && control.multiple ? 'checkbox-group' : control.kind;
+        return { type, options };
+      }
+      default:
+        return { skipReason: `unsupported control "${control.kind}"` };
+    }
+  }
+}
+
+WebFormImporter.collectFormControls = collectFormControls;
+
+module.exports = WebFormImporter;